@@ -0,0 +1,315 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import { cache } from '../database/redis.js';
+import prisma from '../database/connection.js';
+import { appLogger } from '../utils/logger.js';
+import { validateAdminSanction, validateRoleUpdate, validateProductTakedown, validateDisputeResolution } from '../utils/validators.js';
+import { ROLES, PERMISSIONS, getPermissions, hasPermission } from '../utils/permissions.js';
+import { ACCOUNT_STATUSES } from '../utils/accountStatus.js';
+import {
+  revokeUserSessions,
+  suspendUser as suspendUserAccount,
+  banUser as banUserAccount,
+  reactivateUser as reactivateUserAccount,
+  takeDownProduct as takeDownProductListing,
+  restoreProduct as restoreProductListing,
+  resolveDispute as resolveOrderDispute
+} from '../services/moderationService.js';
+
+const adminUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  phone: true,
+  phoneVerified: true,
+  avatar: true,
+  isVerified: true,
+  userMode: true,
+  role: true,
+  status: true,
+  suspendedUntil: true,
+  statusReason: true,
+  warningCount: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// Récupérer un utilisateur sur lequel l'acteur peut agir
+// (pas sur soi-même, et seuls les admins agissent sur un membre de l'équipe)
+const findManageableUser = async (userId, actor) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: adminUserSelect
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  if (user.id === actor.id) {
+    throw errors.badRequest('Action impossible sur votre propre compte');
+  }
+
+  if (user.role !== 'USER' && actor.role !== 'ADMIN') {
+    throw errors.forbidden('Action réservée aux administrateurs sur un membre de l\'équipe');
+  }
+
+  return user;
+};
+
+// Rechercher des utilisateurs (email, nom, statut, rôle)
+export const listUsers = asyncHandler(async (req, res) => {
+  const { q, status, role, page = 1, limit = 20 } = req.query;
+
+  if (status && !ACCOUNT_STATUSES.includes(status)) {
+    throw errors.badRequest('Statut invalide');
+  }
+
+  if (role && !ROLES.includes(role)) {
+    throw errors.badRequest('Rôle invalide');
+  }
+
+  const where = {
+    ...(q && {
+      OR: [
+        { id: q },
+        { email: { contains: q, mode: 'insensitive' } },
+        { name: { contains: q, mode: 'insensitive' } }
+      ]
+    }),
+    ...(status && { status }),
+    ...(role && { role })
+  };
+
+  const [users, total] = await Promise.all([
+    prisma.user.findMany({
+      where,
+      select: adminUserSelect,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: parseInt(limit)
+    }),
+    prisma.user.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Fiche détaillée d'un utilisateur
+export const getUserDetails = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: {
+      ...adminUserSelect,
+      _count: {
+        select: {
+          products: true,
+          offers: true,
+          purchases: true,
+          sales: true,
+          reportsMade: true,
+          reportsReceived: true
+        }
+      }
+    }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  const activeSessions = await prisma.authToken.count({
+    where: {
+      userId: id,
+      type: 'REFRESH',
+      isRevoked: false,
+      expiresAt: { gt: new Date() }
+    }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      user,
+      activeSessions,
+      permissions: getPermissions(user.role)
+    }
+  });
+});
+
+// Suspendre un utilisateur
+export const suspendUser = asyncHandler(async (req, res) => {
+  const { error, value } = validateAdminSanction(req.body);
+  if (error) {
+    throw errors.badRequest('Données de sanction invalides', error.details);
+  }
+
+  const target = await findManageableUser(req.params.id, req.user);
+
+  const user = await suspendUserAccount(target.id, {
+    ...(value.days && { days: value.days }),
+    reason: value.reason,
+    moderatorId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Utilisateur suspendu',
+    data: { user }
+  });
+});
+
+// Bannir un utilisateur
+export const banUser = asyncHandler(async (req, res) => {
+  const { error, value } = validateAdminSanction(req.body);
+  if (error) {
+    throw errors.badRequest('Données de sanction invalides', error.details);
+  }
+
+  const target = await findManageableUser(req.params.id, req.user);
+
+  const user = await banUserAccount(target.id, {
+    reason: value.reason,
+    moderatorId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Utilisateur banni',
+    data: { user }
+  });
+});
+
+// Réactiver un utilisateur suspendu ou banni
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const target = await findManageableUser(req.params.id, req.user);
+
+  if (!['SUSPENDED', 'BANNED'].includes(target.status)) {
+    throw errors.badRequest(`Compte non sanctionné (statut: ${target.status})`);
+  }
+
+  // Lever un bannissement demande la même permission que le prononcer
+  if (target.status === 'BANNED' && !hasPermission(req.user, PERMISSIONS.USERS_BAN)) {
+    throw errors.forbidden(`Permission requise: ${PERMISSIONS.USERS_BAN}`);
+  }
+
+  const user = await reactivateUserAccount(target.id, { moderatorId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Utilisateur réactivé',
+    data: { user }
+  });
+});
+
+// Déconnexion forcée de toutes les sessions
+export const forceLogout = asyncHandler(async (req, res) => {
+  const target = await findManageableUser(req.params.id, req.user);
+
+  const revokedSessions = await revokeUserSessions(target.id);
+
+  appLogger.security(`Déconnexion forcée de ${target.id}`, {
+    userId: target.id,
+    actorId: req.user.id,
+    revokedSessions
+  });
+
+  res.json({
+    success: true,
+    message: 'Sessions révoquées',
+    data: { revokedSessions }
+  });
+});
+
+// Modifier le rôle d'administration d'un utilisateur
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { error, value } = validateRoleUpdate(req.body);
+  if (error) {
+    throw errors.badRequest('Rôle invalide', error.details);
+  }
+
+  const target = await findManageableUser(req.params.id, req.user);
+
+  const user = await prisma.user.update({
+    where: { id: target.id },
+    data: { role: value.role },
+    select: adminUserSelect
+  });
+
+  // Le rôle est lu depuis le cache d'authentification
+  await cache.del(`user:${target.id}`);
+
+  appLogger.security(`Rôle de ${target.id}: ${target.role} -> ${value.role}`, {
+    userId: target.id,
+    actorId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Rôle mis à jour',
+    data: { user, permissions: getPermissions(user.role) }
+  });
+});
+
+// Retirer un produit de la vente
+export const takeDownProduct = asyncHandler(async (req, res) => {
+  const { error, value } = validateProductTakedown(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
+
+  const product = await takeDownProductListing(req.params.id, {
+    remove: value.remove,
+    reason: value.reason,
+    moderatorId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: value.remove ? 'Produit supprimé' : 'Produit suspendu',
+    data: { product }
+  });
+});
+
+// Remettre en vente un produit suspendu
+export const restoreProduct = asyncHandler(async (req, res) => {
+  const product = await restoreProductListing(req.params.id, { moderatorId: req.user.id });
+
+  res.json({
+    success: true,
+    message: 'Produit rétabli',
+    data: { product }
+  });
+});
+
+// Arbitrer un litige : déblocage des fonds au vendeur ou remboursement de l'acheteur
+export const resolveDispute = asyncHandler(async (req, res) => {
+  const { error, value } = validateDisputeResolution(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
+
+  const order = await resolveOrderDispute(req.params.id, {
+    resolution: value.resolution,
+    reason: value.reason,
+    moderatorId: req.user.id
+  });
+
+  res.json({
+    success: true,
+    message: value.resolution === 'RELEASE' ? 'Litige clos, fonds versés au vendeur' : 'Litige clos, acheteur remboursé',
+    data: { order }
+  });
+});
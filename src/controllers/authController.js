@@ -1,10 +1,51 @@
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import { asyncHandler, errors } from '../middleware/errorHandler.js';
 import { jwtUtils } from '../middleware/auth.js';
-import { cache, session } from '../database/redis.js';
+import { cache, session, rateLimiter } from '../database/redis.js';
 import prisma from '../database/connection.js';
 import { logger, appLogger } from '../utils/logger.js';
-import { validateRegistration, validateLogin } from '../utils/validators.js';
+import { getAllowedOrigins, getUrlOrigin } from '../utils/origins.js';
+import { assertAccountActive } from '../utils/accountStatus.js';
+import {
+  validateRegistration,
+  validateLogin,
+  validateTwoFactorLogin,
+  validatePasswordReset,
+  validateMagicLinkRequest,
+  validateMagicLinkConsume,
+  validateOidcSignIn,
+  validateOidcLink
+} from '../utils/validators.js';
+import { queueUserEmail } from '../services/emailService.js';
+import { verifyTwoFactor } from '../services/twoFactorService.js';
+import { issueOneTimeToken, consumeOneTimeToken } from '../services/oneTimeTokenService.js';
+import { confirmEmailChange as confirmUserEmailChange, cancelEmailChange as cancelUserEmailChange } from '../services/emailChangeService.js';
+import {
+  assertNotLocked,
+  recordFailedLogin,
+  resetFailedLogins,
+  unlockAccount as unlockUserAccount
+} from '../services/loginProtectionService.js';
+import {
+  issueNonce,
+  signInWithOidc,
+  listIdentities,
+  linkIdentity as linkUserIdentity,
+  unlinkIdentity as unlinkUserIdentity
+} from '../services/oidcService.js';
+import { listOidcProviders } from '../services/oidcProviders/index.js';
+import {
+  createSession,
+  refreshSession,
+  revokeFamily,
+  listSessions,
+  revokeSession,
+  hashToken
+} from '../services/authSessionService.js';
+
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+const ACCOUNT_LOCKED_MESSAGE = 'Trop d\'échecs de connexion : compte temporairement verrouillé. Un lien de déverrouillage vous a été envoyé par email.';
 
 // Inscription d'un nouvel utilisateur
 export const register = asyncHandler(async (req, res) => {
@@ -14,7 +55,10 @@ export const register = asyncHandler(async (req, res) => {
     throw errors.badRequest('Données d\'inscription invalides', error.details);
   }
 
-  const { name, email, password, userMode } = value;
+  const { name, email, password, userMode, deviceName } = value;
+
+  // Langue des emails : choix explicite, sinon en-tête Accept-Language
+  const locale = value.locale || req.acceptsLanguages('fr', 'en') || 'fr';
 
   // Vérification si l'utilisateur existe déjà
   const existingUser = await prisma.user.findUnique({
@@ -36,6 +80,7 @@ export const register = asyncHandler(async (req, res) => {
       email,
       password: hashedPassword,
       userMode,
+      locale,
       preferences: {
         create: {
           emailNotifications: true,
@@ -50,33 +95,24 @@ export const register = asyncHandler(async (req, res) => {
       email: true,
       name: true,
       userMode: true,
+      role: true,
       isVerified: true,
+      twoFactorEnabled: true,
+      locale: true,
       createdAt: true
     }
   });
 
-  // Génération des tokens
-  const accessToken = jwtUtils.generateAccessToken({ id: user.id });
-  const refreshToken = jwtUtils.generateRefreshToken({ id: user.id });
-
-  // Sauvegarde du refresh token en DB
-  await prisma.authToken.create({
-    data: {
-      token: refreshToken,
-      type: 'REFRESH',
-      userId: user.id,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 jours
-    }
-  });
+  // Ouverture de la session de l'appareil
+  const { tokens } = await createSession(user.id, req, { deviceName });
 
   // Mise en cache de l'utilisateur
   await cache.set(`user:${user.id}`, user, 3600);
 
-  // Génération du token de vérification email
-  const emailToken = jwtUtils.generateEmailToken(user.id);
-  
-  // TODO: Envoyer l'email de vérification (sera implémenté plus tard)
-  
+  // Génération du lien de vérification email (usage unique)
+  const emailToken = await issueOneTimeToken(user.id, 'EMAIL_VERIFICATION');
+  await queueUserEmail(user.id, 'verification', { token: emailToken });
+
   appLogger.auth(`Nouvel utilisateur inscrit: ${email}`, { userId: user.id });
 
   res.status(201).json({
@@ -84,14 +120,77 @@ export const register = asyncHandler(async (req, res) => {
     message: 'Inscription réussie',
     data: {
       user,
-      tokens: {
-        accessToken,
-        refreshToken
-      }
+      tokens
     }
   });
 });
 
+// Ouvrir une session sur l'appareil de la requête et mettre l'utilisateur en cache
+// Les sessions des autres appareils restent actives
+const issueSession = async (user, req, { deviceName } = {}) => {
+  const { session, tokens } = await createSession(user.id, req, { deviceName });
+
+  // Préparation des données utilisateur (sans mot de passe ni secrets)
+  const userData = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    userMode: user.userMode,
+    role: user.role,
+    status: user.status,
+    suspendedUntil: user.suspendedUntil,
+    statusReason: user.statusReason,
+    isVerified: user.isVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    locale: user.locale,
+    avatar: user.avatar,
+    createdAt: user.createdAt,
+    preferences: user.preferences
+  };
+
+  // Mise en cache
+  await cache.set(`user:${user.id}`, userData, 3600);
+
+  return {
+    user: userData,
+    session,
+    tokens
+  };
+};
+
+// Fin de connexion commune (mot de passe, lien magique, fournisseur d'identité) : challenge 2FA ou ouverture de session
+const completeLogin = async (req, res, user, { deviceName, method, created = false }) => {
+  // Compte suspendu, banni ou supprimé : aucune session
+  assertAccountActive(user);
+
+  // Double authentification : aucun token tant que le code n'est pas vérifié
+  if (user.twoFactorEnabled) {
+    appLogger.auth(`Connexion en attente de double authentification: ${user.email}`, { userId: user.id, method });
+
+    return res.json({
+      success: true,
+      message: 'Code de double authentification requis',
+      data: {
+        requiresTwoFactor: true,
+        challengeToken: jwtUtils.generateTwoFactorChallenge(user.id)
+      }
+    });
+  }
+
+  // Connexion réussie : compteur d'échecs remis à zéro
+  await resetFailedLogins(user);
+
+  const authData = await issueSession(user, req, { deviceName });
+
+  appLogger.auth(`Connexion utilisateur: ${user.email}`, { userId: user.id, method });
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Inscription réussie' : 'Connexion réussie',
+    data: authData
+  });
+};
+
 // Connexion d'un utilisateur
 export const login = asyncHandler(async (req, res) => {
   // Validation des données
@@ -100,7 +199,7 @@ export const login = asyncHandler(async (req, res) => {
     throw errors.badRequest('Données de connexion invalides', error.details);
   }
 
-  const { email, password } = value;
+  const { email, password, deviceName } = value;
 
   // Recherche de l'utilisateur avec le mot de passe
   const user = await prisma.user.findUnique({
@@ -114,139 +213,243 @@ export const login = asyncHandler(async (req, res) => {
     throw errors.unauthorized('Email ou mot de passe incorrect');
   }
 
+  // Compte verrouillé après trop d'échecs
+  assertNotLocked(user);
+
   // Vérification du mot de passe
   const isPasswordValid = await bcrypt.compare(password, user.password);
   if (!isPasswordValid) {
+    const { locked } = await recordFailedLogin(user, req);
+    if (locked) {
+      throw errors.tooManyRequests(ACCOUNT_LOCKED_MESSAGE);
+    }
     throw errors.unauthorized('Email ou mot de passe incorrect');
   }
 
-  // Pas de mise à jour de date de connexion pour le moment
+  await completeLogin(req, res, user, { deviceName, method: 'password' });
+});
 
-  // Génération des tokens
-  const accessToken = jwtUtils.generateAccessToken({ id: user.id });
-  const refreshToken = jwtUtils.generateRefreshToken({ id: user.id });
+// URL du lien de connexion : deep link de l'application si son origine est autorisée, sinon APP_URL
+// (le joker '*' du CORS ne suffit pas : le token ne doit jamais partir vers une origine inconnue)
+const buildMagicLinkUrl = (token, redirectUrl) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const origin = redirectUrl && getUrlOrigin(redirectUrl);
+  const target = origin && (getAllowedOrigins().includes(origin) || origin === getUrlOrigin(appUrl))
+    ? new URL(redirectUrl)
+    : new URL(`${appUrl}/magic-link`);
+
+  target.searchParams.set('token', token);
+  return target.toString();
+};
+
+// Demande d'un lien de connexion sans mot de passe
+export const requestMagicLink = asyncHandler(async (req, res) => {
+  const { error, value } = validateMagicLinkRequest(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
 
-  // Révocation des anciens refresh tokens
-  await prisma.authToken.updateMany({
-    where: {
-      userId: user.id,
-      type: 'REFRESH',
-      isRevoked: false
-    },
-    data: { isRevoked: true }
+  const { email, redirectUrl } = value;
+
+  const user = await prisma.user.findUnique({
+    where: { email }
   });
 
-  // Sauvegarde du nouveau refresh token
-  await prisma.authToken.create({
-    data: {
-      token: refreshToken,
-      type: 'REFRESH',
-      userId: user.id,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 jours
+  // On retourne toujours la même réponse pour éviter l'énumération des emails
+  if (user) {
+    const token = await issueOneTimeToken(user.id, 'MAGIC_LINK');
+    await queueUserEmail(user.id, 'magicLink', { url: buildMagicLinkUrl(token, redirectUrl) });
+
+    appLogger.auth(`Demande de lien de connexion: ${email}`, { userId: user.id });
+  }
+
+  res.json({
+    success: true,
+    message: 'Si cet email existe, un lien de connexion a été envoyé'
+  });
+});
+
+// Échange d'un lien de connexion contre les tokens (mêmes réponses que /login)
+export const consumeMagicLink = asyncHandler(async (req, res) => {
+  const { error, value } = validateMagicLinkConsume(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
+
+  const userId = await consumeOneTimeToken(value.token, 'MAGIC_LINK', 'Lien de connexion invalide ou expiré');
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      preferences: true
     }
   });
 
-  // Préparation des données utilisateur (sans mot de passe)
-  const userData = {
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    userMode: user.userMode,
-    isVerified: user.isVerified,
-    avatar: user.avatar,
-    createdAt: user.createdAt,
-    preferences: user.preferences
-  };
+  if (!user) {
+    throw errors.unauthorized('Utilisateur non trouvé');
+  }
 
-  // Mise en cache
-  await cache.set(`user:${user.id}`, userData, 3600);
+  await completeLogin(req, res, user, { deviceName: value.deviceName, method: 'magic_link' });
+});
 
-  appLogger.auth(`Connexion utilisateur: ${email}`, { userId: user.id });
+// Fournisseurs d'identité disponibles
+export const getOidcProviders = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: listOidcProviders() }
+  });
+});
+
+// Nonce à usage unique à transmettre au fournisseur avant la connexion ou la liaison
+export const getOidcNonce = asyncHandler(async (req, res) => {
+  const { nonce, expiresAt } = await issueNonce();
+
+  res.status(201).json({
+    success: true,
+    data: { nonce, expiresAt }
+  });
+});
+
+// Connexion ou inscription via un fournisseur d'identité (ID token obtenu par le client)
+export const oidcSignIn = asyncHandler(async (req, res) => {
+  const { error, value } = validateOidcSignIn(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
+
+  const { idToken, nonce, name, deviceName } = value;
+  const locale = value.locale || req.acceptsLanguages('fr', 'en') || 'fr';
+
+  const { user, created } = await signInWithOidc(req.params.provider, { idToken, nonce, name, locale });
+
+  // Email non garanti par le fournisseur : vérification classique par lien
+  if (created && !user.isVerified) {
+    const emailToken = await issueOneTimeToken(user.id, 'EMAIL_VERIFICATION');
+    await queueUserEmail(user.id, 'verification', { token: emailToken });
+  }
+
+  await completeLogin(req, res, user, { deviceName, method: req.params.provider, created });
+});
+
+// Fournisseurs d'identité liés au compte
+export const getIdentities = asyncHandler(async (req, res) => {
+  const identities = await listIdentities(req.user.id);
 
   res.json({
     success: true,
-    message: 'Connexion réussie',
-    data: {
-      user: userData,
-      tokens: {
-        accessToken,
-        refreshToken
-      }
-    }
+    data: { identities }
   });
 });
 
-// Rafraîchissement du token d'accès
-export const refresh = asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+// Lier un fournisseur d'identité au compte connecté
+export const linkIdentity = asyncHandler(async (req, res) => {
+  const { error, value } = validateOidcLink(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
 
-  if (!refreshToken) {
-    throw errors.badRequest('Refresh token requis');
+  const identity = await linkUserIdentity(req.user.id, req.params.provider, value);
+
+  res.status(201).json({
+    success: true,
+    message: 'Fournisseur d\'identité lié',
+    data: { identity }
+  });
+});
+
+// Délier un fournisseur d'identité
+export const unlinkIdentity = asyncHandler(async (req, res) => {
+  await unlinkUserIdentity(req.user.id, req.params.provider);
+
+  res.json({
+    success: true,
+    message: 'Fournisseur d\'identité délié'
+  });
+});
+
+// Seconde étape de la connexion : vérification du code 2FA ou d'un code de secours
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { error, value } = validateTwoFactorLogin(req.body);
+  if (error) {
+    throw errors.badRequest('Données de vérification invalides', error.details);
   }
 
-  // Vérification du token
-  const decoded = jwtUtils.verifyRefreshToken(refreshToken);
+  const { challengeToken, code, backupCode, deviceName } = value;
 
-  // Vérification en base de données
-  const tokenRecord = await prisma.authToken.findFirst({
-    where: {
-      token: refreshToken,
-      type: 'REFRESH',
-      isRevoked: false,
-      expiresAt: { gt: new Date() }
-    },
+  let decoded;
+  try {
+    decoded = jwtUtils.verifyTwoFactorChallenge(challengeToken);
+  } catch (err) {
+    throw errors.unauthorized('Challenge expiré ou invalide, reconnectez-vous');
+  }
+
+  // Limiter les tentatives par challenge pour empêcher la recherche exhaustive du code
+  const { current } = await rateLimiter.check(
+    `2fa_challenge:${crypto.createHash('sha256').update(challengeToken).digest('hex')}`,
+    MAX_TWO_FACTOR_ATTEMPTS,
+    5 * 60
+  );
+  if (current > MAX_TWO_FACTOR_ATTEMPTS) {
+    throw errors.tooManyRequests('Trop de tentatives, reconnectez-vous');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
     include: {
-      user: {
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          userMode: true,
-          isVerified: true,
-          avatar: true
-        }
-      }
+      preferences: true
     }
   });
 
-  if (!tokenRecord) {
-    throw errors.unauthorized('Refresh token invalide ou expiré');
+  if (!user) {
+    throw errors.unauthorized('Utilisateur non trouvé');
   }
 
-  // Génération d'un nouveau token d'accès
-  const newAccessToken = jwtUtils.generateAccessToken({ id: tokenRecord.userId });
-
-  // Optionnel: rotation des refresh tokens (sécurité renforcée)
-  let newRefreshToken = refreshToken;
-  if (process.env.ROTATE_REFRESH_TOKENS === 'true') {
-    newRefreshToken = jwtUtils.generateRefreshToken({ id: tokenRecord.userId });
-    
-    // Révocation de l'ancien
-    await prisma.authToken.update({
-      where: { id: tokenRecord.id },
-      data: { isRevoked: true }
-    });
+  assertNotLocked(user);
+  assertAccountActive(user);
 
-    // Création du nouveau
-    await prisma.authToken.create({
-      data: {
-        token: newRefreshToken,
-        type: 'REFRESH',
-        userId: tokenRecord.userId,
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
-      }
-    });
+  // Les codes 2FA erronés comptent comme des échecs de connexion (pas une 2FA indisponible)
+  try {
+    await verifyTwoFactor(user.id, { code, backupCode });
+  } catch (err) {
+    if (err.statusCode !== 401) {
+      throw err;
+    }
+
+    const { locked } = await recordFailedLogin(user, req);
+    if (locked) {
+      throw errors.tooManyRequests(ACCOUNT_LOCKED_MESSAGE);
+    }
+    throw err;
   }
 
+  await resetFailedLogins(user);
+
+  const authData = await issueSession(user, req, { deviceName });
+
+  appLogger.auth(`Connexion utilisateur (2FA): ${user.email}`, { userId: user.id });
+
+  res.json({
+    success: true,
+    message: 'Connexion réussie',
+    data: authData
+  });
+});
+
+// Rafraîchissement du token d'accès
+export const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw errors.badRequest('Refresh token requis');
+  }
+
+  // Rotation du refresh token (réutilisation d'un ancien token : session révoquée)
+  const tokens = await refreshSession(refreshToken, req);
+
   res.json({
     success: true,
     message: 'Token rafraîchi',
-    data: {
-      tokens: {
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken
-      }
-    }
+    data: { tokens }
   });
 });
 
@@ -259,11 +462,16 @@ export const logout = asyncHandler(async (req, res) => {
     await jwtUtils.revokeToken(req.token);
   }
 
-  // Révocation du refresh token
+  // Révocation de la session de l'appareil
+  if (req.sessionId) {
+    await revokeFamily(req.sessionId);
+  }
+
+  // Révocation du refresh token (tokens émis avant les sessions par appareil)
   if (refreshToken) {
     await prisma.authToken.updateMany({
       where: {
-        token: refreshToken,
+        token: hashToken(refreshToken),
         userId: req.user.id
       },
       data: { isRevoked: true }
@@ -298,6 +506,9 @@ export const logoutAll = asyncHandler(async (req, res) => {
     data: { isRevoked: true }
   });
 
+  // Révocation des tokens d'accès encore valides sur les autres appareils
+  await jwtUtils.revokeUserTokens(req.user.id);
+
   // Suppression du cache utilisateur
   await cache.del(`user:${req.user.id}`);
 
@@ -309,6 +520,31 @@ export const logoutAll = asyncHandler(async (req, res) => {
   });
 });
 
+// Sessions actives (appareils connectés)
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user.id, req.sessionId);
+
+  res.json({
+    success: true,
+    data: { sessions }
+  });
+});
+
+// Révocation d'une session (déconnexion d'un appareil)
+export const deleteSession = asyncHandler(async (req, res) => {
+  await revokeSession(req.user.id, req.params.id);
+
+  // La session courante est révoquée : le token d'accès de la requête aussi
+  if (req.params.id === req.sessionId && req.token) {
+    await jwtUtils.revokeToken(req.token);
+  }
+
+  res.json({
+    success: true,
+    message: 'Session révoquée'
+  });
+});
+
 // Profil de l'utilisateur connecté
 export const profile = asyncHandler(async (req, res) => {
   const user = await prisma.user.findUnique({
@@ -320,6 +556,7 @@ export const profile = asyncHandler(async (req, res) => {
       phone: true,
       userMode: true,
       isVerified: true,
+      twoFactorEnabled: true,
       avatar: true,
       createdAt: true,
       preferences: true,
@@ -348,16 +585,12 @@ export const profile = asyncHandler(async (req, res) => {
 export const verifyEmail = asyncHandler(async (req, res) => {
   const { token } = req.params;
 
-  // Vérification du token
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-  if (decoded.type !== 'email_verification') {
-    throw errors.badRequest('Token de vérification invalide');
-  }
+  // Consommation du token (usage unique)
+  const userId = await consumeOneTimeToken(token, 'EMAIL_VERIFICATION', 'Lien de vérification invalide ou expiré');
 
   // Mise à jour de l'utilisateur
   const user = await prisma.user.update({
-    where: { id: decoded.userId },
+    where: { id: userId },
     data: { isVerified: true },
     select: {
       id: true,
@@ -399,10 +632,9 @@ export const forgotPassword = asyncHandler(async (req, res) => {
     });
   }
 
-  // Génération du token de reset
-  const resetToken = jwtUtils.generateResetToken(user.id);
-
-  // TODO: Envoyer l'email de reset (sera implémenté plus tard)
+  // Génération du lien de reset (usage unique, invalide les liens précédents)
+  const resetToken = await issueOneTimeToken(user.id, 'PASSWORD_RESET');
+  await queueUserEmail(user.id, 'passwordReset', { token: resetToken });
 
   appLogger.auth(`Demande de reset password: ${email}`, { userId: user.id });
 
@@ -412,46 +644,111 @@ export const forgotPassword = asyncHandler(async (req, res) => {
   });
 });
 
-// Reset du mot de passe
-export const resetPassword = asyncHandler(async (req, res) => {
-  const { token, password } = req.body;
+// Renvoi du lien de vérification email
+export const resendVerification = asyncHandler(async (req, res) => {
+  const { email } = req.body;
 
-  if (!token || !password) {
-    throw errors.badRequest('Token et nouveau mot de passe requis');
+  if (!email) {
+    throw errors.badRequest('Email requis');
   }
 
-  // Vérification du token
-  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true, isVerified: true, status: true }
+  });
+
+  // Même réponse dans tous les cas pour éviter l'énumération des emails
+  if (user && !user.isVerified && user.status !== 'DELETED') {
+    const emailToken = await issueOneTimeToken(user.id, 'EMAIL_VERIFICATION');
+    await queueUserEmail(user.id, 'verification', { token: emailToken });
 
-  if (decoded.type !== 'password_reset') {
-    throw errors.badRequest('Token de reset invalide');
+    appLogger.auth(`Renvoi du lien de vérification: ${email}`, { userId: user.id });
   }
 
+  res.json({
+    success: true,
+    message: 'Si ce compte existe et n\'est pas encore vérifié, un nouveau lien a été envoyé'
+  });
+});
+
+// Reset du mot de passe
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { error, value } = validatePasswordReset(req.body);
+  if (error) {
+    throw errors.badRequest('Données de réinitialisation invalides', error.details);
+  }
+
+  const { token, password } = value;
+
+  // Consommation du token (usage unique)
+  const userId = await consumeOneTimeToken(token, 'PASSWORD_RESET', 'Lien de réinitialisation invalide ou expiré');
+
   // Hashage du nouveau mot de passe
   const hashedPassword = await bcrypt.hash(password, 12);
 
   // Mise à jour du mot de passe
+  // Le lien prouve la possession de l'email : le compte est aussi déverrouillé
   await prisma.user.update({
-    where: { id: decoded.userId },
-    data: { password: hashedPassword }
+    where: { id: userId },
+    data: {
+      password: hashedPassword,
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    }
   });
 
-  // Révocation de tous les tokens de l'utilisateur
+  // Révocation de tous les tokens de l'utilisateur (sessions et liens encore valables)
+  // Sauf le lien d'annulation d'un changement d'email : il doit rester utilisable par l'ancienne adresse
   await prisma.authToken.updateMany({
     where: {
-      userId: decoded.userId,
-      isRevoked: false
+      userId,
+      isRevoked: false,
+      type: { not: 'EMAIL_CHANGE_CANCEL' }
     },
     data: { isRevoked: true }
   });
+  await jwtUtils.revokeUserTokens(userId);
 
   // Suppression du cache
-  await cache.del(`user:${decoded.userId}`);
+  await cache.del(`user:${userId}`);
 
-  appLogger.auth(`Mot de passe réinitialisé`, { userId: decoded.userId });
+  appLogger.auth(`Mot de passe réinitialisé`, { userId });
 
   res.json({
     success: true,
     message: 'Mot de passe réinitialisé avec succès'
   });
-});
\ No newline at end of file
+});
+
+// Déverrouillage du compte via le lien reçu par email
+export const unlockAccount = asyncHandler(async (req, res) => {
+  await unlockUserAccount(req.params.token);
+
+  res.json({
+    success: true,
+    message: 'Compte déverrouillé, vous pouvez vous reconnecter'
+  });
+});
+
+// Confirmation de la nouvelle adresse email (lien envoyé à la nouvelle adresse)
+export const confirmEmailChange = asyncHandler(async (req, res) => {
+  const user = await confirmUserEmailChange(req.params.token);
+
+  res.json({
+    success: true,
+    message: 'Adresse email modifiée. Reconnectez-vous avec votre nouvelle adresse.',
+    data: { user }
+  });
+});
+
+// Annulation d'un changement d'email (lien envoyé à l'ancienne adresse)
+export const cancelEmailChange = asyncHandler(async (req, res) => {
+  const user = await cancelUserEmailChange(req.params.token);
+
+  res.json({
+    success: true,
+    message: 'Changement d\'email annulé. Toutes les sessions ont été fermées par sécurité.',
+    data: { user }
+  });
+});
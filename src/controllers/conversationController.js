@@ -0,0 +1,415 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import { cache } from '../database/redis.js';
+import prisma from '../database/connection.js';
+import { appLogger } from '../utils/logger.js';
+import { validateConversationCreation, validateMessageCreation } from '../utils/validators.js';
+import { emitToRoom, emitToUser } from '../services/socketService.js';
+
+// Champs communs renvoyés pour une conversation
+const conversationInclude = {
+  product: {
+    select: {
+      id: true,
+      title: true,
+      price: true,
+      mainImage: true,
+      status: true
+    }
+  },
+  buyer: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true,
+      isVerified: true
+    }
+  },
+  seller: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true,
+      isVerified: true
+    }
+  },
+  offer: {
+    select: {
+      id: true,
+      amount: true,
+      status: true
+    }
+  }
+};
+
+// Récupérer une conversation en vérifiant que l'utilisateur y participe
+const findConversationForUser = async (id, userId) => {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id },
+    include: conversationInclude
+  });
+
+  if (!conversation) {
+    throw errors.notFound('Conversation');
+  }
+
+  if (conversation.buyerId !== userId && conversation.sellerId !== userId) {
+    throw errors.forbidden('Accès non autorisé à cette conversation');
+  }
+
+  return conversation;
+};
+
+// Nombre de messages non lus d'une conversation pour un utilisateur
+const countUnread = (conversationId, userId) => prisma.message.count({
+  where: {
+    conversationId,
+    senderId: { not: userId },
+    readAt: null
+  }
+});
+
+// Créer un message et diffuser l'événement aux participants
+const postMessage = async (conversation, sender, content, type = 'TEXT') => {
+  const now = new Date();
+
+  const [message] = await prisma.$transaction([
+    prisma.message.create({
+      data: {
+        conversationId: conversation.id,
+        senderId: sender.id,
+        content,
+        type
+      },
+      include: {
+        sender: {
+          select: {
+            id: true,
+            name: true,
+            avatar: true
+          }
+        }
+      }
+    }),
+    prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { lastMessageAt: now }
+    })
+  ]);
+
+  const recipientId = conversation.buyerId === sender.id ? conversation.sellerId : conversation.buyerId;
+
+  // Invalider les listes de conversations des deux participants
+  await cache.flushPattern(`conversations:${conversation.buyerId}:*`);
+  await cache.flushPattern(`conversations:${conversation.sellerId}:*`);
+
+  // Diffusion temps réel : room du chat et room personnelle du destinataire
+  emitToRoom(`chat:${conversation.id}`, 'message:new', { conversationId: conversation.id, message });
+  emitToUser(recipientId, 'conversation:updated', {
+    conversationId: conversation.id,
+    lastMessage: message,
+    unreadCount: await countUnread(conversation.id, recipientId)
+  });
+
+  return message;
+};
+
+// Démarrer (ou reprendre) une conversation autour d'un produit
+export const startConversation = asyncHandler(async (req, res) => {
+  const { error, value } = validateConversationCreation(req.body);
+  if (error) {
+    throw errors.badRequest('Données de conversation invalides', error.details);
+  }
+
+  const { productId, offerId, message } = value;
+  const userId = req.user.id;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, title: true, sellerId: true, status: true }
+  });
+
+  if (!product) {
+    throw errors.notFound('Produit');
+  }
+
+  // Par défaut l'utilisateur est l'acheteur ; une offre permet au vendeur d'initier
+  let buyerId = userId;
+
+  if (offerId) {
+    const offer = await prisma.offer.findUnique({
+      where: { id: offerId },
+      select: { id: true, productId: true, buyerId: true, sellerId: true }
+    });
+
+    if (!offer || offer.productId !== productId) {
+      throw errors.notFound('Offre');
+    }
+
+    if (offer.buyerId !== userId && offer.sellerId !== userId) {
+      throw errors.forbidden('Accès non autorisé à cette offre');
+    }
+
+    buyerId = offer.buyerId;
+  } else {
+    if (product.sellerId === userId) {
+      throw errors.badRequest('Vous ne pouvez pas ouvrir une conversation sur vos propres produits');
+    }
+
+    if (product.status !== 'ACTIVE') {
+      throw errors.badRequest('Le produit n\'est plus disponible');
+    }
+  }
+
+  let conversation = await prisma.conversation.findUnique({
+    where: {
+      productId_buyerId: { productId, buyerId }
+    },
+    include: conversationInclude
+  });
+
+  const isNew = !conversation;
+
+  if (isNew) {
+    conversation = await prisma.conversation.create({
+      data: {
+        productId,
+        buyerId,
+        sellerId: product.sellerId,
+        ...(offerId && { offerId })
+      },
+      include: conversationInclude
+    });
+
+    appLogger.business(`Nouvelle conversation pour ${product.title}`, {
+      conversationId: conversation.id,
+      productId,
+      buyerId,
+      sellerId: product.sellerId
+    });
+  } else if (offerId && conversation.offerId !== offerId) {
+    // Rattacher la dernière offre à la conversation existante
+    conversation = await prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { offerId },
+      include: conversationInclude
+    });
+  }
+
+  let firstMessage = null;
+  if (message) {
+    firstMessage = await postMessage(conversation, req.user, message);
+  } else if (isNew) {
+    await cache.flushPattern(`conversations:${conversation.buyerId}:*`);
+    await cache.flushPattern(`conversations:${conversation.sellerId}:*`);
+  }
+
+  res.status(isNew ? 201 : 200).json({
+    success: true,
+    message: isNew ? 'Conversation créée avec succès' : 'Conversation existante',
+    data: { conversation, message: firstMessage }
+  });
+});
+
+// Obtenir les conversations de l'utilisateur connecté
+export const getConversations = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const userId = req.user.id;
+
+  // Clé de cache
+  const cacheKey = `conversations:${userId}:${page}:${limit}`;
+  let cachedConversations = await cache.get(cacheKey);
+
+  if (!cachedConversations) {
+    const where = {
+      OR: [
+        { buyerId: userId },
+        { sellerId: userId }
+      ]
+    };
+
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        orderBy: [
+          { lastMessageAt: { sort: 'desc', nulls: 'last' } },
+          { createdAt: 'desc' }
+        ],
+        skip: (page - 1) * limit,
+        take: parseInt(limit),
+        include: {
+          ...conversationInclude,
+          messages: {
+            orderBy: { createdAt: 'desc' },
+            take: 1
+          }
+        }
+      }),
+      prisma.conversation.count({ where })
+    ]);
+
+    // Compteurs de non lus par conversation
+    const unreadGroups = conversations.length > 0
+      ? await prisma.message.groupBy({
+          by: ['conversationId'],
+          where: {
+            conversationId: { in: conversations.map(c => c.id) },
+            senderId: { not: userId },
+            readAt: null
+          },
+          _count: { id: true }
+        })
+      : [];
+
+    const unreadByConversation = Object.fromEntries(
+      unreadGroups.map(group => [group.conversationId, group._count.id])
+    );
+
+    cachedConversations = {
+      conversations: conversations.map(({ messages, ...conversation }) => ({
+        ...conversation,
+        lastMessage: messages[0] || null,
+        unreadCount: unreadByConversation[conversation.id] || 0
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+
+    // Cache pour 30 secondes seulement (données temps réel)
+    await cache.set(cacheKey, cachedConversations, 30);
+  }
+
+  res.json({
+    success: true,
+    data: cachedConversations
+  });
+});
+
+// Nombre total de messages non lus
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const unreadCount = await prisma.message.count({
+    where: {
+      senderId: { not: userId },
+      readAt: null,
+      conversation: {
+        OR: [
+          { buyerId: userId },
+          { sellerId: userId }
+        ]
+      }
+    }
+  });
+
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+});
+
+// Obtenir une conversation spécifique
+export const getConversation = asyncHandler(async (req, res) => {
+  const conversation = await findConversationForUser(req.params.id, req.user.id);
+  const unreadCount = await countUnread(conversation.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: { conversation, unreadCount }
+  });
+});
+
+// Obtenir les messages d'une conversation (du plus récent au plus ancien)
+export const getMessages = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 30 } = req.query;
+  const conversation = await findConversationForUser(req.params.id, req.user.id);
+
+  const where = { conversationId: conversation.id };
+
+  const [messages, total] = await Promise.all([
+    prisma.message.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      include: {
+        sender: {
+          select: {
+            id: true,
+            name: true,
+            avatar: true
+          }
+        }
+      }
+    }),
+    prisma.message.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      messages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    }
+  });
+});
+
+// Envoyer un message
+export const sendMessage = asyncHandler(async (req, res) => {
+  const { error, value } = validateMessageCreation(req.body);
+  if (error) {
+    throw errors.badRequest('Message invalide', error.details);
+  }
+
+  const conversation = await findConversationForUser(req.params.id, req.user.id);
+  const message = await postMessage(conversation, req.user, value.content);
+
+  res.status(201).json({
+    success: true,
+    message: 'Message envoyé',
+    data: { message }
+  });
+});
+
+// Marquer les messages reçus d'une conversation comme lus
+export const markConversationAsRead = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const conversation = await findConversationForUser(req.params.id, userId);
+  const readAt = new Date();
+
+  const result = await prisma.message.updateMany({
+    where: {
+      conversationId: conversation.id,
+      senderId: { not: userId },
+      readAt: null
+    },
+    data: { readAt }
+  });
+
+  if (result.count > 0) {
+    await cache.flushPattern(`conversations:${userId}:*`);
+
+    // Accusé de lecture pour l'autre participant
+    emitToRoom(`chat:${conversation.id}`, 'message:read', {
+      conversationId: conversation.id,
+      readerId: userId,
+      readAt,
+      count: result.count
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `${result.count} messages marqués comme lus`,
+    data: { count: result.count, readAt }
+  });
+});
@@ -0,0 +1,69 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import prisma from '../database/connection.js';
+import { LEDGER_ACCOUNTS, getBalances, getEscrowForOrder } from '../services/escrowService.js';
+
+// Soldes de l'utilisateur (fonds bloqués, gelés, à venir et disponibles)
+export const getBalance = asyncHandler(async (req, res) => {
+  const balance = await getBalances(req.user.id);
+
+  res.json({
+    success: true,
+    data: { balance }
+  });
+});
+
+// Mouvements du grand livre de l'utilisateur
+export const getLedger = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, account } = req.query;
+
+  if (account && !LEDGER_ACCOUNTS.includes(account)) {
+    throw errors.badRequest('Compte invalide');
+  }
+
+  const where = {
+    userId: req.user.id,
+    ...(account && { account })
+  };
+
+  const [entries, total] = await Promise.all([
+    prisma.ledgerEntry.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      include: {
+        escrow: {
+          select: {
+            id: true,
+            orderId: true,
+            status: true
+          }
+        }
+      }
+    }),
+    prisma.ledgerEntry.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Séquestre d'une commande avec son journal d'audit
+export const getOrderEscrow = asyncHandler(async (req, res) => {
+  const escrow = await getEscrowForOrder(req.params.orderId, req.user.id);
+
+  res.json({
+    success: true,
+    data: { escrow }
+  });
+});
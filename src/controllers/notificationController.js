@@ -199,7 +199,7 @@ export const getNotificationStats = asyncHandler(async (req, res) => {
       prisma.notification.count({ 
         where: { 
           userId, 
-          type: { in: ['OFFER_RECEIVED', 'OFFER_ACCEPTED', 'OFFER_REJECTED', 'OFFER_COUNTER'] }
+          type: { in: ['OFFER_RECEIVED', 'OFFER_ACCEPTED', 'OFFER_REJECTED', 'OFFER_COUNTER', 'OFFER_EXPIRING', 'OFFER_EXPIRED'] }
         } 
       }),
       prisma.notification.count({ 
@@ -1,8 +1,86 @@
 import { asyncHandler, errors } from '../middleware/errorHandler.js';
 import { cache } from '../database/redis.js';
-import prisma from '../database/connection.js';
+import prisma, { isSqlite } from '../database/connection.js';
 import { logger, appLogger } from '../utils/logger.js';
-import { validateOfferCreation } from '../utils/validators.js';
+import { validateOfferCreation, validateCounterOffer } from '../utils/validators.js';
+import { createNotification } from '../services/notificationService.js';
+import { queueUserEmail } from '../services/emailService.js';
+import { createOrderFromOffer, invalidateOrderCaches } from '../services/orderService.js';
+import { queueProductWatch } from '../services/productWatchService.js';
+
+// Nombre maximum de propositions dans une négociation (offre initiale comprise)
+const getMaxRounds = () => parseInt(process.env.OFFER_MAX_ROUNDS) || 5;
+
+// Auteur d'une proposition et partie qui doit y répondre
+const getProposerId = (offer) => offer.proposedBy === 'SELLER' ? offer.sellerId : offer.buyerId;
+const getCounterpartyId = (offer) => offer.proposedBy === 'SELLER' ? offer.buyerId : offer.sellerId;
+
+// Seule la partie adverse peut répondre à la dernière proposition en attente
+const assertCanRespond = (offer, userId, action) => {
+  if (offer.buyerId !== userId && offer.sellerId !== userId) {
+    throw errors.forbidden('Accès non autorisé à cette offre');
+  }
+
+  if (offer.status !== 'PENDING') {
+    throw errors.badRequest(`Impossible de ${action} une offre avec le statut: ${offer.status}`);
+  }
+
+  if (getProposerId(offer) === userId) {
+    throw errors.forbidden(`Vous ne pouvez pas ${action} votre propre proposition`);
+  }
+};
+
+// Verrouiller la ligne du produit jusqu'à la fin de la transaction, s'il est encore en vente
+// L'acceptation d'une offre passe le produit en SOLD puis rejette les propositions en attente :
+// sans ce verrou, une contre-offre créée en parallèle échapperait à ce rejet.
+// SQLite sérialise déjà les transactions d'écriture, une lecture suffit
+const lockAvailableProduct = async (tx, productId) => {
+  if (isSqlite()) {
+    const product = await tx.product.findFirst({ where: { id: productId, status: 'ACTIVE' }, select: { id: true } });
+    return Boolean(product);
+  }
+
+  const rows = await tx.$queryRaw`SELECT id FROM products WHERE id = ${productId} AND status = 'ACTIVE' FOR UPDATE`;
+  return rows.length === 1;
+};
+
+// Vendeur exigeant un acheteur au numéro vérifié : l'offre ne peut pas être acceptée avant la vérification
+const assertBuyerPhoneRequirement = async (offer, userId) => {
+  const [sellerPreferences, buyer] = await Promise.all([
+    prisma.userPreference.findUnique({
+      where: { userId: offer.sellerId },
+      select: { requirePhoneVerifiedBuyers: true }
+    }),
+    prisma.user.findUnique({
+      where: { id: offer.buyerId },
+      select: { phoneVerified: true }
+    })
+  ]);
+
+  if (sellerPreferences?.requirePhoneVerifiedBuyers && !buyer?.phoneVerified) {
+    throw errors.forbidden(offer.buyerId === userId
+      ? 'Ce vendeur exige un numéro de téléphone vérifié : vérifiez votre numéro avant d\'accepter'
+      : 'L\'acheteur doit vérifier son numéro de téléphone avant que l\'offre puisse être acceptée');
+  }
+};
+
+// Champs renvoyés pour chaque étape d'un fil de négociation
+const threadOfferInclude = {
+  buyer: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true
+    }
+  },
+  seller: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true
+    }
+  }
+};
 
 // Créer une offre
 export const createOffer = asyncHandler(async (req, res) => {
@@ -46,12 +124,13 @@ export const createOffer = asyncHandler(async (req, res) => {
     throw errors.badRequest('Vous ne pouvez pas faire d\'offre sur vos propres produits');
   }
 
-  // Vérifier s'il y a déjà une offre en cours de ce même acheteur
+  // Vérifier s'il y a déjà une négociation en cours de ce même acheteur
+  // (seule sa dernière proposition est PENDING, les étapes contrées font partie de l'historique)
   const existingOffer = await prisma.offer.findFirst({
     where: {
       productId,
       buyerId: req.user.id,
-      status: { in: ['PENDING', 'COUNTER_OFFERED'] }
+      status: 'PENDING'
     }
   });
 
@@ -106,6 +185,13 @@ export const createOffer = asyncHandler(async (req, res) => {
     }
   }).catch(err => logger.error('Erreur création notification offre:', err));
 
+  await queueUserEmail(product.sellerId, 'offerReceived', {
+    offerId: offer.id,
+    productTitle: product.title,
+    buyerName: req.user.name,
+    amount
+  });
+
   // Invalider le cache des offres
   await cache.flushPattern(`offers:*`);
 
@@ -362,7 +448,7 @@ export const getOffer = asyncHandler(async (req, res) => {
   });
 });
 
-// Accepter une offre (vendeur)
+// Accepter la dernière proposition d'une négociation (acheteur ou vendeur)
 export const acceptOffer = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -377,13 +463,6 @@ export const acceptOffer = asyncHandler(async (req, res) => {
           sellerId: true,
           status: true
         }
-      },
-      buyer: {
-        select: {
-          id: true,
-          name: true,
-          email: true
-        }
       }
     }
   });
@@ -393,13 +472,7 @@ export const acceptOffer = asyncHandler(async (req, res) => {
   }
 
   // Vérifications de sécurité
-  if (offer.sellerId !== req.user.id) {
-    throw errors.forbidden('Vous ne pouvez accepter que vos propres offres');
-  }
-
-  if (offer.status !== 'PENDING' && offer.status !== 'COUNTER_OFFERED') {
-    throw errors.badRequest(`Impossible d'accepter une offre avec le statut: ${offer.status}`);
-  }
+  assertCanRespond(offer, req.user.id, 'accepter');
 
   if (offer.product.status !== 'ACTIVE') {
     throw errors.badRequest('Le produit n\'est plus disponible');
@@ -409,74 +482,107 @@ export const acceptOffer = asyncHandler(async (req, res) => {
     throw errors.badRequest('Cette offre a expiré');
   }
 
+  await assertBuyerPhoneRequirement(offer, req.user.id);
+
   // Transaction pour accepter l'offre
   const result = await prisma.$transaction(async (tx) => {
-    // Mettre à jour l'offre
-    const updatedOffer = await tx.offer.update({
-      where: { id },
+    const respondedAt = new Date();
+
+    // Gardes sur les statuts : deux acceptations simultanées sur le même produit ne peuvent pas aboutir toutes les deux
+    const accepted = await tx.offer.updateMany({
+      where: { id, status: 'PENDING' },
       data: {
         status: 'ACCEPTED',
-        respondedAt: new Date()
+        respondedAt
       }
     });
 
+    if (accepted.count !== 1) {
+      throw errors.conflict('Cette offre n\'est plus en attente');
+    }
+
     // Marquer le produit comme vendu
-    await tx.product.update({
-      where: { id: offer.product.id },
+    const sold = await tx.product.updateMany({
+      where: { id: offer.product.id, status: 'ACTIVE' },
       data: { status: 'SOLD' }
     });
 
-    // Rejeter toutes les autres offres en attente pour ce produit
+    if (sold.count !== 1) {
+      throw errors.conflict('Le produit n\'est plus disponible');
+    }
+
+    // Rejeter les autres propositions en attente pour ce produit
+    // (les étapes contrées des négociations restent dans l'historique)
     await tx.offer.updateMany({
       where: {
         productId: offer.product.id,
-        status: { in: ['PENDING', 'COUNTER_OFFERED'] },
-        id: { not: id }
+        id: { not: id },
+        status: 'PENDING'
       },
       data: {
         status: 'REJECTED',
-        respondedAt: new Date()
+        respondedAt
       }
     });
 
-    return updatedOffer;
+    const updatedOffer = await tx.offer.findUnique({ where: { id } });
+
+    // Ouvrir la commande correspondante
+    const order = await createOrderFromOffer(tx, updatedOffer);
+
+    return { offer: updatedOffer, order };
   });
 
-  // Créer une notification pour l'acheteur
-  await prisma.notification.create({
+  // Notifier l'auteur de la proposition
+  const proposerId = getProposerId(offer);
+  await createNotification({
+    userId: proposerId,
+    type: 'OFFER_ACCEPTED',
+    title: 'Offre acceptée ! 🎉',
+    message: offer.proposedBy === 'SELLER'
+      ? `${req.user.name} a accepté votre contre-offre de ${offer.amount}€ pour "${offer.product.title}"`
+      : `Votre offre de ${offer.amount}€ pour "${offer.product.title}" a été acceptée !`,
     data: {
-      type: 'OFFER_ACCEPTED',
-      title: 'Offre acceptée ! 🎉',
-      message: `Votre offre de ${offer.amount}€ pour "${offer.product.title}" a été acceptée !`,
-      userId: offer.buyerId,
-      data: {
-        offerId: offer.id,
-        productId: offer.product.id,
-        amount: offer.amount,
-        sellerName: req.user.name
-      }
+      offerId: offer.id,
+      productId: offer.product.id,
+      amount: offer.amount,
+      orderId: result.order.id,
+      acceptedBy: req.user.id,
+      acceptedByName: req.user.name
     }
-  }).catch(err => logger.error('Erreur création notification acceptation:', err));
+  });
+
+  await queueUserEmail(proposerId, 'offerAccepted', {
+    orderId: result.order.id,
+    productTitle: offer.product.title,
+    amount: offer.amount
+  });
 
   // Invalider les caches
   await cache.flushPattern(`offers:*`);
-  await cache.del(`product:${offer.product.id}`);
+  await invalidateOrderCaches(result.order);
+
+  // Prévenir les utilisateurs ayant liké le produit qu'il est vendu
+  queueProductWatch(offer.product.id, { previousStatus: 'ACTIVE' });
 
   appLogger.business(`Offre acceptée: ${offer.amount}€ pour ${offer.product.title}`, {
     offerId: offer.id,
+    orderId: result.order.id,
     productId: offer.product.id,
     buyerId: offer.buyerId,
-    sellerId: req.user.id
+    sellerId: offer.sellerId,
+    acceptedBy: req.user.id,
+    round: offer.round
   });
 
   res.json({
     success: true,
     message: 'Offre acceptée avec succès',
-    data: { offer: result }
+    data: result
   });
 });
 
-// Rejeter une offre (vendeur)
+// Rejeter la dernière proposition d'une négociation (acheteur ou vendeur)
 export const rejectOffer = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { reason } = req.body;
@@ -490,12 +596,6 @@ export const rejectOffer = asyncHandler(async (req, res) => {
           title: true,
           sellerId: true
         }
-      },
-      buyer: {
-        select: {
-          id: true,
-          name: true
-        }
       }
     }
   });
@@ -504,17 +604,11 @@ export const rejectOffer = asyncHandler(async (req, res) => {
     throw errors.notFound('Offre');
   }
 
-  if (offer.sellerId !== req.user.id) {
-    throw errors.forbidden('Vous ne pouvez rejeter que vos propres offres');
-  }
+  assertCanRespond(offer, req.user.id, 'rejeter');
 
-  if (offer.status !== 'PENDING' && offer.status !== 'COUNTER_OFFERED') {
-    throw errors.badRequest(`Impossible de rejeter une offre avec le statut: ${offer.status}`);
-  }
-
-  // Mettre à jour l'offre
-  const updatedOffer = await prisma.offer.update({
-    where: { id },
+  // Mettre à jour l'offre (garde sur le statut : elle a pu être acceptée ou contrée entre-temps)
+  const { count } = await prisma.offer.updateMany({
+    where: { id, status: 'PENDING' },
     data: {
       status: 'REJECTED',
       respondedAt: new Date(),
@@ -522,22 +616,36 @@ export const rejectOffer = asyncHandler(async (req, res) => {
     }
   });
 
-  // Créer une notification pour l'acheteur
-  await prisma.notification.create({
+  if (count !== 1) {
+    throw errors.conflict('Cette offre n\'est plus en attente');
+  }
+
+  const updatedOffer = await prisma.offer.findUnique({ where: { id } });
+
+  // Notifier l'auteur de la proposition
+  await createNotification({
+    userId: getProposerId(offer),
+    type: 'OFFER_REJECTED',
+    title: 'Offre déclinée',
+    message: offer.proposedBy === 'SELLER'
+      ? `Votre contre-offre de ${offer.amount}€ pour "${offer.product.title}" a été déclinée`
+      : `Votre offre de ${offer.amount}€ pour "${offer.product.title}" a été déclinée`,
     data: {
-      type: 'OFFER_REJECTED',
-      title: 'Offre déclinée',
-      message: `Votre offre de ${offer.amount}€ pour "${offer.product.title}" a été déclinée`,
-      userId: offer.buyerId,
-      data: {
-        offerId: offer.id,
-        productId: offer.product.id,
-        amount: offer.amount,
-        sellerName: req.user.name,
-        reason
-      }
+      offerId: offer.id,
+      productId: offer.product.id,
+      amount: offer.amount,
+      rejectedBy: req.user.id,
+      rejectedByName: req.user.name,
+      reason
     }
-  }).catch(err => logger.error('Erreur création notification rejet:', err));
+  });
+
+  await queueUserEmail(getProposerId(offer), 'offerRejected', {
+    productId: offer.product.id,
+    productTitle: offer.product.title,
+    amount: offer.amount,
+    reason
+  });
 
   // Invalider les caches
   await cache.flushPattern(`offers:*`);
@@ -546,7 +654,8 @@ export const rejectOffer = asyncHandler(async (req, res) => {
     offerId: offer.id,
     productId: offer.product.id,
     buyerId: offer.buyerId,
-    sellerId: req.user.id,
+    sellerId: offer.sellerId,
+    rejectedBy: req.user.id,
     reason
   });
 
@@ -557,15 +666,17 @@ export const rejectOffer = asyncHandler(async (req, res) => {
   });
 });
 
-// Faire une contre-offre (vendeur)
+// Faire une contre-offre sur la dernière proposition (acheteur ou vendeur)
 export const createCounterOffer = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { amount, message } = req.body;
 
-  if (!amount || amount <= 0) {
-    throw errors.badRequest('Montant de contre-offre requis et positif');
+  const { error, value } = validateCounterOffer(req.body);
+  if (error) {
+    throw errors.badRequest('Données de contre-offre invalides', error.details);
   }
 
+  const { amount, message } = value;
+
   const originalOffer = await prisma.offer.findUnique({
     where: { id },
     include: {
@@ -577,12 +688,6 @@ export const createCounterOffer = asyncHandler(async (req, res) => {
           sellerId: true,
           status: true
         }
-      },
-      buyer: {
-        select: {
-          id: true,
-          name: true
-        }
       }
     }
   });
@@ -591,37 +696,49 @@ export const createCounterOffer = asyncHandler(async (req, res) => {
     throw errors.notFound('Offre');
   }
 
-  if (originalOffer.sellerId !== req.user.id) {
-    throw errors.forbidden('Vous ne pouvez faire de contre-offre que sur vos propres offres');
-  }
-
-  if (originalOffer.status !== 'PENDING' && originalOffer.status !== 'COUNTER_OFFERED') {
-    throw errors.badRequest(`Impossible de faire une contre-offre sur une offre avec le statut: ${originalOffer.status}`);
-  }
+  assertCanRespond(originalOffer, req.user.id, 'contrer');
 
   if (originalOffer.product.status !== 'ACTIVE') {
     throw errors.badRequest('Le produit n\'est plus disponible');
   }
 
+  const maxRounds = getMaxRounds();
+  if (originalOffer.round >= maxRounds) {
+    throw errors.badRequest(`Nombre maximum de tours de négociation atteint (${maxRounds}). Acceptez ou rejetez la dernière proposition.`);
+  }
+
+  const proposedBy = req.user.id === originalOffer.sellerId ? 'SELLER' : 'BUYER';
+
   // Transaction pour créer la contre-offre
   const result = await prisma.$transaction(async (tx) => {
-    // Mettre à jour l'offre originale
-    await tx.offer.update({
-      where: { id },
+    // Mettre à jour l'offre originale (garde sur le statut : une seule réponse par proposition)
+    const countered = await tx.offer.updateMany({
+      where: { id, status: 'PENDING' },
       data: {
         status: 'COUNTER_OFFERED',
         respondedAt: new Date()
       }
     });
 
+    if (countered.count !== 1) {
+      throw errors.conflict('Cette offre n\'est plus en attente');
+    }
+
+    // Le produit a pu être vendu par une autre négociation entre-temps
+    if (!await lockAvailableProduct(tx, originalOffer.product.id)) {
+      throw errors.conflict('Le produit n\'est plus disponible');
+    }
+
     // Créer la contre-offre
     const counterOffer = await tx.offer.create({
       data: {
         productId: originalOffer.product.id,
-        buyerId: originalOffer.buyerId, // L'acheteur reste le même
-        sellerId: req.user.id,
-        amount: parseFloat(amount),
+        buyerId: originalOffer.buyerId, // Les parties restent les mêmes
+        sellerId: originalOffer.sellerId,
+        amount,
         message,
+        proposedBy,
+        round: originalOffer.round + 1,
         parentOfferId: id,
         expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 jours
         status: 'PENDING'
@@ -646,6 +763,7 @@ export const createCounterOffer = asyncHandler(async (req, res) => {
           select: {
             id: true,
             amount: true,
+            proposedBy: true,
             createdAt: true
           }
         }
@@ -655,33 +773,45 @@ export const createCounterOffer = asyncHandler(async (req, res) => {
     return counterOffer;
   });
 
-  // Créer une notification pour l'acheteur
-  await prisma.notification.create({
+  // Notifier l'autre partie
+  await createNotification({
+    userId: getCounterpartyId(result),
+    type: 'OFFER_COUNTER',
+    title: 'Contre-offre reçue !',
+    message: `${req.user.name} vous propose ${amount}€ pour "${originalOffer.product.title}"`,
     data: {
-      type: 'OFFER_COUNTER',
-      title: 'Contre-offre reçue !',
-      message: `${req.user.name} vous propose ${amount}€ pour "${originalOffer.product.title}"`,
-      userId: originalOffer.buyerId,
-      data: {
-        offerId: result.id,
-        parentOfferId: id,
-        productId: originalOffer.product.id,
-        originalAmount: originalOffer.amount,
-        counterAmount: amount,
-        sellerName: req.user.name
-      }
+      offerId: result.id,
+      parentOfferId: id,
+      productId: originalOffer.product.id,
+      originalAmount: originalOffer.amount,
+      counterAmount: amount,
+      proposedBy,
+      proposerName: req.user.name,
+      round: result.round,
+      maxRounds
     }
-  }).catch(err => logger.error('Erreur création notification contre-offre:', err));
+  });
+
+  await queueUserEmail(getCounterpartyId(result), 'offerCountered', {
+    offerId: result.id,
+    productTitle: originalOffer.product.title,
+    proposerName: req.user.name,
+    amount,
+    round: result.round,
+    maxRounds
+  });
 
   // Invalider les caches
   await cache.flushPattern(`offers:*`);
 
-  appLogger.business(`Contre-offre créée: ${amount}€ (original: ${originalOffer.amount}€) pour ${originalOffer.product.title}`, {
+  appLogger.business(`Contre-offre créée: ${amount}€ (précédente: ${originalOffer.amount}€) pour ${originalOffer.product.title}`, {
     counterOfferId: result.id,
     originalOfferId: id,
     productId: originalOffer.product.id,
     buyerId: originalOffer.buyerId,
-    sellerId: req.user.id,
+    sellerId: originalOffer.sellerId,
+    proposedBy,
+    round: result.round,
     originalAmount: originalOffer.amount,
     counterAmount: amount
   });
@@ -693,7 +823,80 @@ export const createCounterOffer = asyncHandler(async (req, res) => {
   });
 });
 
-// Annuler une offre (acheteur)
+// Obtenir le fil complet d'une négociation, de l'offre initiale à la dernière proposition
+export const getOfferThread = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const offer = await prisma.offer.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      buyerId: true,
+      sellerId: true,
+      parentOfferId: true
+    }
+  });
+
+  if (!offer) {
+    throw errors.notFound('Offre');
+  }
+
+  if (offer.buyerId !== req.user.id && offer.sellerId !== req.user.id) {
+    throw errors.forbidden('Accès non autorisé à cette offre');
+  }
+
+  // Remonter jusqu'à l'offre initiale
+  let rootId = offer.id;
+  let parentId = offer.parentOfferId;
+  while (parentId) {
+    const parent = await prisma.offer.findUnique({
+      where: { id: parentId },
+      select: { id: true, parentOfferId: true }
+    });
+    if (!parent) break;
+    rootId = parent.id;
+    parentId = parent.parentOfferId;
+  }
+
+  // Redescendre la chaîne des contre-offres
+  const thread = [];
+  let current = await prisma.offer.findUnique({
+    where: { id: rootId },
+    include: threadOfferInclude
+  });
+
+  while (current) {
+    thread.push(current);
+    current = await prisma.offer.findFirst({
+      where: { parentOfferId: current.id },
+      orderBy: { createdAt: 'asc' },
+      include: threadOfferInclude
+    });
+  }
+
+  const latest = thread[thread.length - 1];
+  const lastMovedById = getProposerId(latest);
+
+  res.json({
+    success: true,
+    data: {
+      thread,
+      latestOfferId: latest.id,
+      status: latest.status,
+      round: latest.round,
+      maxRounds: getMaxRounds(),
+      lastMovedBy: {
+        role: latest.proposedBy,
+        userId: lastMovedById
+      },
+      awaitingResponseFrom: latest.status === 'PENDING' ? getCounterpartyId(latest) : null,
+      canRespond: latest.status === 'PENDING' && lastMovedById !== req.user.id,
+      canCounter: latest.status === 'PENDING' && lastMovedById !== req.user.id && latest.round < getMaxRounds()
+    }
+  });
+});
+
+// Retirer sa proposition (auteur de la dernière proposition : l'acheteur ou le vendeur pour sa contre-offre)
 export const cancelOffer = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -703,6 +906,7 @@ export const cancelOffer = asyncHandler(async (req, res) => {
       id: true,
       buyerId: true,
       sellerId: true,
+      proposedBy: true,
       status: true,
       amount: true,
       product: {
@@ -718,31 +922,39 @@ export const cancelOffer = asyncHandler(async (req, res) => {
     throw errors.notFound('Offre');
   }
 
-  if (offer.buyerId !== req.user.id) {
-    throw errors.forbidden('Vous ne pouvez annuler que vos propres offres');
+  if (getProposerId(offer) !== req.user.id) {
+    throw errors.forbidden('Vous ne pouvez annuler que vos propres propositions');
   }
 
-  if (offer.status !== 'PENDING' && offer.status !== 'COUNTER_OFFERED') {
+  // Seule la dernière proposition (PENDING) d'une négociation peut être annulée
+  if (offer.status !== 'PENDING') {
     throw errors.badRequest(`Impossible d'annuler une offre avec le statut: ${offer.status}`);
   }
 
-  // Annuler l'offre
-  const cancelledOffer = await prisma.offer.update({
-    where: { id },
+  // Annuler l'offre (garde sur le statut : elle a pu être acceptée ou contrée entre-temps)
+  const { count } = await prisma.offer.updateMany({
+    where: { id, status: 'PENDING' },
     data: {
       status: 'CANCELLED',
       respondedAt: new Date()
     }
   });
 
+  if (count !== 1) {
+    throw errors.conflict('Cette offre n\'est plus en attente');
+  }
+
+  const cancelledOffer = await prisma.offer.findUnique({ where: { id } });
+
   // Invalider les caches
   await cache.flushPattern(`offers:*`);
 
   appLogger.business(`Offre annulée: ${offer.amount}€ pour ${offer.product.title}`, {
     offerId: offer.id,
     productId: offer.product.id,
-    buyerId: req.user.id,
-    sellerId: offer.sellerId
+    buyerId: offer.buyerId,
+    sellerId: offer.sellerId,
+    cancelledBy: offer.proposedBy
   });
 
   res.json({
@@ -773,8 +985,8 @@ export const getOfferStats = asyncHandler(async (req, res) => {
       prisma.offer.count({ where: { sellerId: userId } }),
       prisma.offer.count({ where: { buyerId: userId, status: 'ACCEPTED' } }),
       prisma.offer.count({ where: { sellerId: userId, status: 'ACCEPTED' } }),
-      prisma.offer.count({ where: { buyerId: userId, status: { in: ['PENDING', 'COUNTER_OFFERED'] } } }),
-      prisma.offer.count({ where: { sellerId: userId, status: { in: ['PENDING', 'COUNTER_OFFERED'] } } })
+      prisma.offer.count({ where: { buyerId: userId, status: 'PENDING' } }),
+      prisma.offer.count({ where: { sellerId: userId, status: 'PENDING' } })
     ]);
 
     stats = {
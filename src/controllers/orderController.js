@@ -0,0 +1,195 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import { cache } from '../database/redis.js';
+import prisma from '../database/connection.js';
+import { validateOrderUpdate } from '../utils/validators.js';
+import { ORDER_STATUSES, ORDER_TRANSITIONS, getOrderRole, transitionOrder } from '../services/orderService.js';
+
+// Obtenir les commandes de l'utilisateur (achats ou ventes)
+export const getOrders = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, role = 'buyer' } = req.query;
+  const userId = req.user.id;
+
+  if (!['buyer', 'seller'].includes(role)) {
+    throw errors.badRequest('Rôle invalide (buyer ou seller)');
+  }
+
+  if (status && !ORDER_STATUSES.includes(status)) {
+    throw errors.badRequest('Statut de commande invalide');
+  }
+
+  // Clé de cache
+  const cacheKey = `orders:${userId}:${role}:${page}:${limit}:${status || 'all'}`;
+  let cachedOrders = await cache.get(cacheKey);
+
+  if (!cachedOrders) {
+    const where = {
+      ...(role === 'buyer' ? { buyerId: userId } : { sellerId: userId }),
+      ...(status && { status })
+    };
+
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: parseInt(limit),
+        include: {
+          product: {
+            select: {
+              id: true,
+              title: true,
+              mainImage: true,
+              status: true
+            }
+          },
+          buyer: {
+            select: {
+              id: true,
+              name: true,
+              avatar: true
+            }
+          },
+          seller: {
+            select: {
+              id: true,
+              name: true,
+              avatar: true
+            }
+          }
+        }
+      }),
+      prisma.order.count({ where })
+    ]);
+
+    cachedOrders = {
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+
+    // Cache pour 2 minutes
+    await cache.set(cacheKey, cachedOrders, 120);
+  }
+
+  res.json({
+    success: true,
+    data: cachedOrders
+  });
+});
+
+// Obtenir une commande spécifique
+export const getOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const order = await prisma.order.findUnique({
+    where: { id },
+    include: {
+      product: {
+        select: {
+          id: true,
+          title: true,
+          mainImage: true,
+          price: true,
+          status: true
+        }
+      },
+      offer: {
+        select: {
+          id: true,
+          amount: true,
+          round: true,
+          createdAt: true,
+          respondedAt: true
+        }
+      },
+      escrow: {
+        select: {
+          id: true,
+          amount: true,
+          refundedAmount: true,
+          status: true,
+          releaseAfter: true
+        }
+      },
+      buyer: {
+        select: {
+          id: true,
+          name: true,
+          avatar: true,
+          isVerified: true
+        }
+      },
+      seller: {
+        select: {
+          id: true,
+          name: true,
+          avatar: true,
+          isVerified: true
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    throw errors.notFound('Commande');
+  }
+
+  const role = getOrderRole(order, req.user.id);
+  if (!role) {
+    throw errors.forbidden('Accès non autorisé à cette commande');
+  }
+
+  // Actions disponibles pour l'utilisateur selon le statut courant
+  const availableTransitions = Object.entries(ORDER_TRANSITIONS[order.status] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([status]) => status);
+
+  res.json({
+    success: true,
+    data: { order, role, availableTransitions }
+  });
+});
+
+// Fabrique de handlers pour les transitions de statut
+const orderTransitionHandler = (toStatus, { message, requireReason = false }) => {
+  return asyncHandler(async (req, res) => {
+    const { error, value } = validateOrderUpdate(req.body);
+    if (error) {
+      throw errors.badRequest('Données de commande invalides', error.details);
+    }
+
+    if (requireReason && !value.reason) {
+      throw errors.badRequest('Motif requis');
+    }
+
+    const order = await transitionOrder(req.params.id, toStatus, {
+      actorId: req.user.id,
+      details: value
+    });
+
+    res.json({
+      success: true,
+      message,
+      data: { order }
+    });
+  });
+};
+
+// Expédier la commande (vendeur)
+export const shipOrder = orderTransitionHandler('SHIPPED', { message: 'Commande expédiée' });
+
+// Confirmer la livraison (acheteur)
+export const confirmDelivery = orderTransitionHandler('DELIVERED', { message: 'Livraison confirmée' });
+
+// Clôturer la transaction (acheteur)
+export const completeOrder = orderTransitionHandler('COMPLETED', { message: 'Transaction terminée' });
+
+// Annuler la commande avant paiement (acheteur ou vendeur)
+export const cancelOrder = orderTransitionHandler('CANCELLED', { message: 'Commande annulée' });
+
+// Ouvrir un litige (acheteur)
+export const openDispute = orderTransitionHandler('DISPUTED', { message: 'Litige ouvert', requireReason: true });
@@ -0,0 +1,111 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import { validatePaymentIntent, validatePaymentConfirmation, validateRefund } from '../utils/validators.js';
+import {
+  getPaymentForUser,
+  createPaymentIntent,
+  confirmPayment as confirmPaymentIntent,
+  capturePayment as capturePaymentIntent,
+  refundPayment as refundPaymentIntent,
+  handlePaymentWebhook
+} from '../services/paymentService.js';
+import { isPaymentEnabled } from '../services/paymentProviders/index.js';
+
+// Paiements non configurés (pas de provider ou de secret de webhook) : routes de paiement indisponibles
+export const requirePaymentsEnabled = (req, res, next) => {
+  if (!isPaymentEnabled()) {
+    return next(errors.serviceUnavailable('Paiements temporairement indisponibles'));
+  }
+  next();
+};
+
+// Le secret client n'est utile qu'à l'acheteur
+const serializePayment = (payment, userId) => {
+  const { clientSecret, ...rest } = payment;
+  return payment.order?.buyerId === userId ? payment : rest;
+};
+
+// Créer un intent de paiement pour une commande ou une offre acceptée
+export const createIntent = asyncHandler(async (req, res) => {
+  const { error, value } = validatePaymentIntent(req.body);
+  if (error) {
+    throw errors.badRequest('Données de paiement invalides', error.details);
+  }
+
+  const { payment, clientSecret } = await createPaymentIntent({
+    ...value,
+    userId: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Intent de paiement créé',
+    data: { payment, clientSecret }
+  });
+});
+
+// Obtenir un paiement
+export const getPayment = asyncHandler(async (req, res) => {
+  const payment = await getPaymentForUser(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    data: { payment: serializePayment(payment, req.user.id) }
+  });
+});
+
+// Confirmer un paiement (acheteur)
+export const confirmPayment = asyncHandler(async (req, res) => {
+  const { error, value } = validatePaymentConfirmation(req.body);
+  if (error) {
+    throw errors.badRequest('Données de confirmation invalides', error.details);
+  }
+
+  const payment = await confirmPaymentIntent(req.params.id, req.user.id, value);
+
+  res.json({
+    success: true,
+    message: payment.status === 'FAILED' ? 'Paiement refusé' : 'Paiement confirmé',
+    data: { payment: serializePayment(payment, req.user.id) }
+  });
+});
+
+// Encaisser un paiement autorisé (vendeur)
+export const capturePayment = asyncHandler(async (req, res) => {
+  const payment = await capturePaymentIntent(req.params.id, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Paiement encaissé',
+    data: { payment: serializePayment(payment, req.user.id) }
+  });
+});
+
+// Rembourser un paiement (vendeur)
+export const refundPayment = asyncHandler(async (req, res) => {
+  const { error, value } = validateRefund(req.body);
+  if (error) {
+    throw errors.badRequest('Données de remboursement invalides', error.details);
+  }
+
+  const payment = await refundPaymentIntent(req.params.id, req.user.id, value);
+
+  res.json({
+    success: true,
+    message: 'Remboursement effectué',
+    data: { payment: serializePayment(payment, req.user.id) }
+  });
+});
+
+// Webhook signé du provider de paiement (corps brut requis pour la signature)
+export const paymentWebhook = asyncHandler(async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  const signature = req.get('X-Want2-Signature') || req.get('Stripe-Signature');
+
+  const result = await handlePaymentWebhook(req.params.provider, rawBody, signature);
+
+  res.json({
+    success: true,
+    received: true,
+    duplicate: Boolean(result.duplicate)
+  });
+});
@@ -1,12 +1,71 @@
 import { asyncHandler, errors } from '../middleware/errorHandler.js';
 import { cache } from '../database/redis.js';
-import prisma from '../database/connection.js';
+import prisma, { isSqlite } from '../database/connection.js';
 import { logger, appLogger } from '../utils/logger.js';
 import { 
   validateProductCreation, 
   validateProductUpdate, 
-  validateProductSearch 
+  validateProductSearch,
+  validateLikeAlertsUpdate
 } from '../utils/validators.js';
+import { getRatingSummary } from '../services/reviewService.js';
+import { activeAccountWhere } from '../utils/accountStatus.js';
+import { searchProducts, buildSearchText } from '../services/productSearchService.js';
+import {
+  DEFAULT_SEARCH_RADIUS_KM,
+  geocodeCity,
+  resolveSearchOrigin,
+  findNearbyProducts
+} from '../services/geoService.js';
+import { computeFacets } from '../services/productFacetService.js';
+import { queueProductMatching } from '../services/savedSearchService.js';
+import { queueProductWatch } from '../services/productWatchService.js';
+
+// Champs renvoyés pour chaque produit d'une liste de résultats
+const productListSelect = {
+  id: true,
+  title: true,
+  description: true,
+  price: true,
+  currency: true,
+  category: true,
+  brand: true,
+  condition: true,
+  authenticityScore: true,
+  isAuthenticated: true,
+  images: true,
+  mainImage: true,
+  location: true,
+  createdAt: true,
+  seller: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true,
+      isVerified: true
+    }
+  },
+  _count: {
+    select: {
+      likes: true,
+      offers: true,
+      views: true
+    }
+  }
+};
+
+// Coordonnées déduites de la ville quand le vendeur ne les fournit pas (annonce trouvable par la recherche
+// géographique) ; une ville inconnue du répertoire efface les coordonnées d'une ancienne localisation
+const locationCoordinates = (value) => {
+  if (!value.location || value.latitude !== undefined || value.longitude !== undefined) {
+    return {};
+  }
+
+  const city = geocodeCity(value.location);
+  return city
+    ? { latitude: city.latitude, longitude: city.longitude }
+    : { latitude: null, longitude: null };
+};
 
 // Obtenir tous les produits avec filtres et pagination
 export const getProducts = asyncHandler(async (req, res) => {
@@ -23,12 +82,18 @@ export const getProducts = asyncHandler(async (req, res) => {
     maxPrice,
     condition,
     location,
-    radius,
+    lat,
+    lng,
     sortBy,
     page,
-    limit
+    limit,
+    facets: withFacets
   } = value;
 
+  // Point de départ de la recherche géographique (ville inconnue du répertoire → 400)
+  const origin = resolveSearchOrigin({ location, lat, lng });
+  const radius = origin ? (value.radius || DEFAULT_SEARCH_RADIUS_KM) : undefined;
+
   // Clé de cache pour cette recherche
   const cacheKey = `products:search:${Buffer.from(JSON.stringify(value)).toString('base64')}`;
   
@@ -42,73 +107,70 @@ export const getProducts = asyncHandler(async (req, res) => {
     });
   }
 
-  // Construction de la requête WHERE
+  // Construction de la requête WHERE (annonces des vendeurs suspendus, bannis ou supprimés masquées)
   const where = {
     status: 'ACTIVE',
-    ...(q && {
-      OR: [
-        { title: { contains: q, mode: 'insensitive' } },
-        { description: { contains: q, mode: 'insensitive' } },
-        { brand: { contains: q, mode: 'insensitive' } }
-      ]
-    }),
+    seller: activeAccountWhere(),
     ...(category && { category }),
-    ...(brand && { brand: { contains: brand, mode: 'insensitive' } }),
-    ...(minPrice && { price: { gte: minPrice } }),
-    ...(maxPrice && { price: { lte: maxPrice } }),
+    // SQLite ne connaît pas le mode insensible à la casse (comparaison déjà insensible pour l'ASCII)
+    ...(brand && { brand: { contains: brand, ...(!isSqlite() && { mode: 'insensitive' }) } }),
+    ...((minPrice || maxPrice) && {
+      price: { ...(minPrice && { gte: minPrice }), ...(maxPrice && { lte: maxPrice }) }
+    }),
     ...(condition && { condition: { in: condition } })
   };
 
-  // Construction de l'ordre de tri
-  const orderBy = {
-    'price_asc': { price: 'asc' },
-    'price_desc': { price: 'desc' },
-    'date_asc': { createdAt: 'asc' },
-    'date_desc': { createdAt: 'desc' },
-    'relevance': { createdAt: 'desc' } // Par défaut
-  }[sortBy];
+  // Facettes mises en cache indépendamment de la page et du tri (même préfixe, donc mêmes invalidations)
+  const facetFilters = { q, category, brand, minPrice, maxPrice, condition, location, lat, lng, radius };
+  const facetsCacheKey = `products:search:facets:${Buffer.from(JSON.stringify(facetFilters)).toString('base64')}`;
+  let facets = withFacets ? await cache.get(facetsCacheKey) : null;
+  const needsFacets = withFacets && !facets;
+
+  let products;
+  let total;
+  // Plafond de candidats atteint (recherche textuelle ou géographique) : total et facettes partiels
+  let truncated = false;
+
+  if (q) {
+    // Recherche plein texte : pertinence, tolérance aux fautes et extraits surlignés
+    ({ products, total, truncated, facets = facets } = await searchProducts({
+      q, where, select: productListSelect, origin, radius, sortBy, page, limit, facets: needsFacets
+    }));
+  } else if (origin) {
+    // Recherche géographique : annonces dans le rayon, avec leur distance
+    ({ products, total, facets = facets } = await findNearbyProducts({
+      where, select: productListSelect, origin, radius, sortBy, page, limit, facets: needsFacets
+    }));
+  } else {
+    // Construction de l'ordre de tri (sans requête, la pertinence revient aux plus récents)
+    const orderBy = {
+      'price_asc': { price: 'asc' },
+      'price_desc': { price: 'desc' },
+      'date_asc': { createdAt: 'asc' },
+      'date_desc': { createdAt: 'desc' },
+      'relevance': { createdAt: 'desc' }
+    }[sortBy];
+
+    // Exécution de la requête
+    [products, total] = await Promise.all([
+      prisma.product.findMany({
+        where,
+        orderBy,
+        skip: (page - 1) * limit,
+        take: limit,
+        select: productListSelect
+      }),
+      prisma.product.count({ where })
+    ]);
 
-  // Exécution de la requête
-  const [products, total] = await Promise.all([
-    prisma.product.findMany({
-      where,
-      orderBy,
-      skip: (page - 1) * limit,
-      take: limit,
-      select: {
-        id: true,
-        title: true,
-        description: true,
-        price: true,
-        currency: true,
-        category: true,
-        brand: true,
-        condition: true,
-        authenticityScore: true,
-        isAuthenticated: true,
-        images: true,
-        mainImage: true,
-        location: true,
-        createdAt: true,
-        seller: {
-          select: {
-            id: true,
-            name: true,
-            avatar: true,
-            isVerified: true
-          }
-        },
-        _count: {
-          select: {
-            likes: true,
-            offers: true,
-            views: true
-          }
-        }
-      }
-    }),
-    prisma.product.count({ where })
-  ]);
+    if (needsFacets) {
+      facets = await computeFacets(where);
+    }
+  }
+
+  if (needsFacets) {
+    await cache.set(facetsCacheKey, facets, 300);
+  }
 
   const result = {
     products,
@@ -118,7 +180,8 @@ export const getProducts = asyncHandler(async (req, res) => {
       total,
       pages: Math.ceil(total / limit),
       hasNext: page < Math.ceil(total / limit),
-      hasPrev: page > 1
+      hasPrev: page > 1,
+      truncated
     },
     filters: {
       q,
@@ -127,8 +190,15 @@ export const getProducts = asyncHandler(async (req, res) => {
       minPrice,
       maxPrice,
       condition,
+      ...(origin && {
+        location: origin.name,
+        lat: origin.latitude,
+        lng: origin.longitude,
+        radius
+      }),
       sortBy
-    }
+    },
+    ...(withFacets && { facets })
   };
 
   // Mise en cache pour 5 minutes
@@ -136,7 +206,7 @@ export const getProducts = asyncHandler(async (req, res) => {
 
   appLogger.business(`Recherche produits: ${total} résultats`, { 
     query: q, 
-    filters: { category, brand, minPrice, maxPrice },
+    filters: { category, brand, minPrice, maxPrice, location: origin?.name, radius },
     userId: req.user?.id 
   });
 
@@ -191,6 +261,9 @@ export const getProduct = asyncHandler(async (req, res) => {
     await cache.set(cacheKey, product, 600);
   }
 
+  // Note du vendeur (cache séparé, invalidé à chaque nouvel avis)
+  const sellerRating = await getRatingSummary(product.sellerId, 'SELLER');
+
   // Enregistrer la vue (de manière asynchrone)
   if (req.user?.id !== product.sellerId) {
     prisma.productView.create({
@@ -218,6 +291,10 @@ export const getProduct = asyncHandler(async (req, res) => {
     success: true,
     data: {
       ...product,
+      seller: {
+        ...product.seller,
+        rating: sellerRating
+      },
       isLiked
     }
   });
@@ -238,6 +315,8 @@ export const createProduct = asyncHandler(async (req, res) => {
 
   const productData = {
     ...value,
+    ...locationCoordinates(value),
+    searchText: buildSearchText(value),
     sellerId: req.user.id,
     // Score d'authenticité simulé (sera remplacé par la vraie logique plus tard)
     authenticityScore: Math.random() * 0.4 + 0.6, // Entre 0.6 et 1.0
@@ -263,6 +342,11 @@ export const createProduct = asyncHandler(async (req, res) => {
     sellerId: req.user.id 
   });
 
+  // Alertes des recherches sauvegardées
+  if (product.status === 'ACTIVE') {
+    queueProductMatching(product.id);
+  }
+
   res.status(201).json({
     success: true,
     message: 'Produit créé avec succès',
@@ -283,7 +367,7 @@ export const updateProduct = asyncHandler(async (req, res) => {
   // Vérifier l'existence et la propriété
   const existingProduct = await prisma.product.findUnique({
     where: { id },
-    select: { id: true, sellerId: true, title: true }
+    select: { id: true, sellerId: true, title: true, brand: true, description: true, price: true, status: true }
   });
 
   if (!existingProduct) {
@@ -294,10 +378,17 @@ export const updateProduct = asyncHandler(async (req, res) => {
     throw errors.forbidden('Vous ne pouvez modifier que vos propres produits');
   }
 
+  // Texte indexé pour la recherche, recalculé si un champ recherché change
+  const searchFieldsChanged = ['title', 'brand', 'description'].some(field => field in value);
+
   // Mise à jour
   const product = await prisma.product.update({
     where: { id },
-    data: value,
+    data: {
+      ...value,
+      ...locationCoordinates(value),
+      ...(searchFieldsChanged && { searchText: buildSearchText({ ...existingProduct, ...value }) })
+    },
     include: {
       seller: {
         select: {
@@ -319,6 +410,16 @@ export const updateProduct = asyncHandler(async (req, res) => {
     sellerId: req.user.id 
   });
 
+  // Annonce remise en ligne : alertes des recherches sauvegardées
+  if (product.status === 'ACTIVE' && existingProduct.status !== 'ACTIVE') {
+    queueProductMatching(id);
+  }
+
+  // Baisse de prix ou changement de statut : alertes des utilisateurs ayant liké le produit
+  if (product.price !== existingProduct.price || product.status !== existingProduct.status) {
+    queueProductWatch(id, { previousPrice: existingProduct.price, previousStatus: existingProduct.status });
+  }
+
   res.json({
     success: true,
     message: 'Produit mis à jour avec succès',
@@ -372,7 +473,7 @@ export const likeProduct = asyncHandler(async (req, res) => {
   // Vérifier que le produit existe
   const product = await prisma.product.findUnique({
     where: { id, status: 'ACTIVE' },
-    select: { id: true, sellerId: true, title: true }
+    select: { id: true, sellerId: true, title: true, price: true }
   });
 
   if (!product) {
@@ -402,7 +503,9 @@ export const likeProduct = asyncHandler(async (req, res) => {
   await prisma.like.create({
     data: {
       userId: req.user.id,
-      productId: id
+      productId: id,
+      // Référence des alertes de baisse de prix
+      alertedPrice: product.price
     }
   });
 
@@ -436,6 +539,48 @@ export const likeProduct = asyncHandler(async (req, res) => {
   });
 });
 
+// Régler les alertes d'un produit liké (prix cible, activation)
+export const updateLikeAlerts = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { error, value } = validateLikeAlertsUpdate(req.body);
+  if (error) {
+    throw errors.badRequest('Paramètres d\'alerte invalides', error.details);
+  }
+
+  const like = await prisma.like.findUnique({
+    where: {
+      userId_productId: {
+        userId: req.user.id,
+        productId: id
+      }
+    },
+    select: { id: true }
+  });
+
+  if (!like) {
+    throw errors.notFound('Like');
+  }
+
+  const updatedLike = await prisma.like.update({
+    where: { id: like.id },
+    data: value,
+    select: {
+      productId: true,
+      alertsEnabled: true,
+      targetPrice: true,
+      alertedPrice: true,
+      lastAlertedAt: true
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Alertes mises à jour',
+    data: { like: updatedLike }
+  });
+});
+
 // Unliker un produit
 export const unlikeProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -0,0 +1,499 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import prisma from '../database/connection.js';
+import { appLogger } from '../utils/logger.js';
+import {
+  validateReportCreation,
+  validateReportResolution,
+  validateReportDismissal
+} from '../utils/validators.js';
+import { REPORT_STATUSES, applyReportAction } from '../services/moderationService.js';
+import { createNotification } from '../services/notificationService.js';
+
+const OPEN_STATUSES = ['PENDING', 'REVIEWING'];
+
+const userSelect = {
+  id: true,
+  name: true,
+  avatar: true
+};
+
+const reportInclude = {
+  author: { select: userSelect },
+  target: {
+    select: {
+      ...userSelect,
+      status: true,
+      warningCount: true
+    }
+  },
+  product: {
+    select: {
+      id: true,
+      title: true,
+      mainImage: true,
+      status: true
+    }
+  },
+  moderator: { select: userSelect }
+};
+
+// Messages envoyés à l'auteur selon l'issue du signalement
+const outcomeMessages = {
+  NONE: 'Votre signalement a été examiné. Aucune action n\'a été jugée nécessaire.',
+  PAUSE_PRODUCT: 'Votre signalement a été traité : l\'annonce a été suspendue.',
+  REMOVE_PRODUCT: 'Votre signalement a été traité : l\'annonce a été supprimée.',
+  WARN_USER: 'Votre signalement a été traité : l\'utilisateur a reçu un avertissement.',
+  SUSPEND_USER: 'Votre signalement a été traité : le compte de l\'utilisateur a été suspendu.'
+};
+
+// Récupérer un signalement ouvert et vérifier que le modérateur peut le traiter
+const findOpenReport = async (id, moderator) => {
+  const report = await prisma.report.findUnique({ where: { id } });
+
+  if (!report) {
+    throw errors.notFound('Signalement');
+  }
+
+  if (!OPEN_STATUSES.includes(report.status)) {
+    throw errors.badRequest(`Signalement déjà traité (${report.status})`);
+  }
+
+  // Un signalement pris en charge reste réservé à son modérateur (sauf admin)
+  if (report.status === 'REVIEWING' && report.moderatorId !== moderator.id && moderator.role !== 'ADMIN') {
+    throw errors.conflict('Signalement déjà pris en charge par un autre modérateur');
+  }
+
+  return report;
+};
+
+// Clore un signalement ouvert (garde sur le statut contre les traitements concurrents)
+const closeReport = async (report, data) => {
+  const { count } = await prisma.report.updateMany({
+    where: { id: report.id, status: report.status },
+    data: { ...data, resolvedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw errors.conflict('Le signalement a été modifié entre-temps, veuillez réessayer');
+  }
+};
+
+// Réserver un signalement ouvert au modérateur avant d'appliquer une action
+// (deux résolutions concurrentes n'appliquent pas deux fois l'action)
+const reserveReport = async (report, moderatorId) => {
+  if (report.status === 'REVIEWING' && report.moderatorId === moderatorId) {
+    return report;
+  }
+
+  const { count } = await prisma.report.updateMany({
+    where: { id: report.id, status: report.status, moderatorId: report.moderatorId },
+    data: {
+      status: 'REVIEWING',
+      moderatorId,
+      claimedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    throw errors.conflict('Le signalement a été modifié entre-temps, veuillez réessayer');
+  }
+
+  return { ...report, status: 'REVIEWING', moderatorId };
+};
+
+// Historique des signalements d'une cible (utilisateur ou produit)
+const getReportHistory = async (where) => {
+  const [reports, byStatus] = await Promise.all([
+    prisma.report.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: 100,
+      include: reportInclude
+    }),
+    prisma.report.groupBy({
+      by: ['status'],
+      where,
+      _count: { _all: true }
+    })
+  ]);
+
+  const counts = Object.fromEntries(REPORT_STATUSES.map(status => [status, 0]));
+  byStatus.forEach(({ status, _count }) => {
+    counts[status] = _count._all;
+  });
+
+  // Total réel (la liste est limitée aux 100 plus récents)
+  const total = byStatus.reduce((sum, { _count }) => sum + _count._all, 0);
+
+  return { reports, counts, total };
+};
+
+// Signaler un produit ou un utilisateur
+export const createReport = asyncHandler(async (req, res) => {
+  const { error, value } = validateReportCreation(req.body);
+  if (error) {
+    throw errors.badRequest('Données de signalement invalides', error.details);
+  }
+
+  const { productId, userId, reason, description } = value;
+  const authorId = req.user.id;
+
+  let targetId = userId;
+  if (productId) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, sellerId: true }
+    });
+
+    if (!product) {
+      throw errors.notFound('Produit');
+    }
+    targetId = product.sellerId;
+  } else {
+    const target = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true }
+    });
+
+    if (!target) {
+      throw errors.notFound('Utilisateur');
+    }
+  }
+
+  if (targetId === authorId) {
+    throw errors.badRequest('Vous ne pouvez pas vous signaler vous-même');
+  }
+
+  // Un seul signalement ouvert par auteur et par cible
+  const existingReport = await prisma.report.findFirst({
+    where: {
+      authorId,
+      targetId,
+      productId: productId || null,
+      status: { in: OPEN_STATUSES }
+    },
+    select: { id: true }
+  });
+
+  if (existingReport) {
+    throw errors.conflict('Vous avez déjà un signalement en cours pour cette cible');
+  }
+
+  const report = await prisma.report.create({
+    data: {
+      reason,
+      description: description || null,
+      authorId,
+      targetId,
+      productId: productId || null
+    }
+  });
+
+  appLogger.security(`Signalement ${reason} créé`, {
+    reportId: report.id,
+    authorId,
+    targetId,
+    productId
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Signalement envoyé. Merci, notre équipe va l\'examiner.',
+    data: { report }
+  });
+});
+
+// Mes signalements et leur issue
+export const getMyReports = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const where = { authorId: req.user.id };
+
+  const [reports, total] = await Promise.all([
+    prisma.report.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      select: {
+        id: true,
+        reason: true,
+        description: true,
+        status: true,
+        action: true,
+        createdAt: true,
+        resolvedAt: true,
+        product: {
+          select: {
+            id: true,
+            title: true
+          }
+        },
+        target: { select: userSelect }
+      }
+    }),
+    prisma.report.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// File de modération (plus anciens en premier)
+export const getReportQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, reason, assigned } = req.query;
+
+  if (status && !REPORT_STATUSES.includes(status)) {
+    throw errors.badRequest('Statut de signalement invalide');
+  }
+
+  const where = {
+    status: status || { in: OPEN_STATUSES },
+    ...(reason && { reason }),
+    ...(assigned === 'me' && { moderatorId: req.user.id }),
+    ...(assigned === 'none' && { moderatorId: null })
+  };
+
+  const [reports, total] = await Promise.all([
+    prisma.report.findMany({
+      where,
+      orderBy: { createdAt: 'asc' },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      include: reportInclude
+    }),
+    prisma.report.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reports,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Détails d'un signalement (modération)
+export const getReport = asyncHandler(async (req, res) => {
+  const report = await prisma.report.findUnique({
+    where: { id: req.params.id },
+    include: reportInclude
+  });
+
+  if (!report) {
+    throw errors.notFound('Signalement');
+  }
+
+  // Antécédents de la cible
+  const targetReports = await prisma.report.count({
+    where: { targetId: report.targetId, id: { not: report.id } }
+  });
+
+  res.json({
+    success: true,
+    data: { report, targetReports }
+  });
+});
+
+// Prendre en charge un signalement
+export const claimReport = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const moderatorId = req.user.id;
+
+  const { count } = await prisma.report.updateMany({
+    where: { id, status: 'PENDING' },
+    data: {
+      status: 'REVIEWING',
+      moderatorId,
+      claimedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    const report = await prisma.report.findUnique({
+      where: { id },
+      select: { status: true, moderatorId: true }
+    });
+
+    if (!report) {
+      throw errors.notFound('Signalement');
+    }
+
+    if (report.status !== 'REVIEWING' || report.moderatorId !== moderatorId) {
+      throw errors.conflict(`Signalement non disponible (${report.status})`);
+    }
+  }
+
+  const report = await prisma.report.findUnique({
+    where: { id },
+    include: reportInclude
+  });
+
+  res.json({
+    success: true,
+    message: 'Signalement pris en charge',
+    data: { report }
+  });
+});
+
+// Résoudre un signalement en appliquant une action
+export const resolveReport = asyncHandler(async (req, res) => {
+  const { error, value } = validateReportResolution(req.body);
+  if (error) {
+    throw errors.badRequest('Données de résolution invalides', error.details);
+  }
+
+  const { action, suspensionDays, note } = value;
+  const moderatorId = req.user.id;
+
+  const openReport = await findOpenReport(req.params.id, req.user);
+
+  if (['PAUSE_PRODUCT', 'REMOVE_PRODUCT'].includes(action) && !openReport.productId) {
+    throw errors.badRequest('Ce signalement ne concerne pas un produit');
+  }
+
+  // L'action est appliquée avant la clôture : si elle échoue, le signalement reste ouvert (pris en charge)
+  const report = await reserveReport(openReport, moderatorId);
+
+  await applyReportAction(report, action, { suspensionDays, note, moderatorId });
+
+  await closeReport(report, {
+    status: 'RESOLVED',
+    action,
+    resolutionNote: note || null,
+    moderatorId
+  });
+
+  await createNotification({
+    userId: report.authorId,
+    type: 'REPORT_RESOLVED',
+    title: 'Signalement traité',
+    message: outcomeMessages[action],
+    data: { reportId: report.id, action }
+  });
+
+  appLogger.security(`Signalement ${report.id} résolu: ${action}`, {
+    reportId: report.id,
+    moderatorId,
+    targetId: report.targetId,
+    productId: report.productId
+  });
+
+  const updatedReport = await prisma.report.findUnique({
+    where: { id: report.id },
+    include: reportInclude
+  });
+
+  res.json({
+    success: true,
+    message: 'Signalement résolu',
+    data: { report: updatedReport }
+  });
+});
+
+// Classer un signalement sans suite
+export const dismissReport = asyncHandler(async (req, res) => {
+  const { error, value } = validateReportDismissal(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
+
+  const moderatorId = req.user.id;
+  const report = await findOpenReport(req.params.id, req.user);
+
+  await closeReport(report, {
+    status: 'DISMISSED',
+    action: 'NONE',
+    resolutionNote: value.note || null,
+    moderatorId
+  });
+
+  await createNotification({
+    userId: report.authorId,
+    type: 'REPORT_DISMISSED',
+    title: 'Signalement examiné',
+    message: 'Votre signalement a été examiné et classé sans suite. Merci de votre vigilance.',
+    data: { reportId: report.id }
+  });
+
+  appLogger.security(`Signalement ${report.id} classé sans suite`, { reportId: report.id, moderatorId });
+
+  const updatedReport = await prisma.report.findUnique({
+    where: { id: report.id },
+    include: reportInclude
+  });
+
+  res.json({
+    success: true,
+    message: 'Signalement classé sans suite',
+    data: { report: updatedReport }
+  });
+});
+
+// Historique des signalements visant un utilisateur
+export const getUserReportHistory = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      ...userSelect,
+      status: true,
+      suspendedUntil: true,
+      statusReason: true,
+      warningCount: true
+    }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  const history = await getReportHistory({ targetId: userId });
+
+  res.json({
+    success: true,
+    data: { user, ...history }
+  });
+});
+
+// Historique des signalements visant un produit
+export const getProductReportHistory = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: {
+      id: true,
+      title: true,
+      status: true,
+      sellerId: true
+    }
+  });
+
+  if (!product) {
+    throw errors.notFound('Produit');
+  }
+
+  const history = await getReportHistory({ productId });
+
+  res.json({
+    success: true,
+    data: { product, ...history }
+  });
+});
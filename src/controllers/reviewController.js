@@ -0,0 +1,215 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import prisma from '../database/connection.js';
+import { appLogger } from '../utils/logger.js';
+import { validateReviewCreation, validateReviewResponse } from '../utils/validators.js';
+import { getOrderRole } from '../services/orderService.js';
+import { getRatingSummary, invalidateRatingCaches } from '../services/reviewService.js';
+import { createNotification } from '../services/notificationService.js';
+
+const reviewInclude = {
+  author: {
+    select: {
+      id: true,
+      name: true,
+      avatar: true
+    }
+  },
+  offer: {
+    select: {
+      id: true,
+      product: {
+        select: {
+          id: true,
+          title: true,
+          mainImage: true
+        }
+      }
+    }
+  }
+};
+
+// Laisser un avis sur l'autre partie d'une transaction terminée
+export const createReview = asyncHandler(async (req, res) => {
+  const { error, value } = validateReviewCreation(req.body);
+  if (error) {
+    throw errors.badRequest('Données d\'avis invalides', error.details);
+  }
+
+  const { offerId, orderId, rating, comment } = value;
+  const userId = req.user.id;
+
+  const order = await prisma.order.findFirst({
+    where: orderId ? { id: orderId } : { offerId },
+    include: {
+      product: {
+        select: {
+          id: true,
+          title: true
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    throw errors.notFound('Transaction');
+  }
+
+  const role = getOrderRole(order, userId);
+  if (!role) {
+    throw errors.forbidden('Vous n\'avez pas participé à cette transaction');
+  }
+
+  if (order.status !== 'COMPLETED') {
+    throw errors.badRequest('Un avis ne peut être laissé qu\'après une transaction terminée');
+  }
+
+  const targetId = role === 'BUYER' ? order.sellerId : order.buyerId;
+
+  let review;
+  try {
+    review = await prisma.review.create({
+      data: {
+        offerId: order.offerId,
+        authorId: userId,
+        targetId,
+        authorRole: role,
+        rating,
+        comment: comment || null
+      },
+      include: reviewInclude
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw errors.conflict('Vous avez déjà laissé un avis pour cette transaction');
+    }
+    throw error;
+  }
+
+  await invalidateRatingCaches(targetId);
+
+  await createNotification({
+    userId: targetId,
+    type: 'REVIEW_RECEIVED',
+    title: 'Nouvel avis ⭐',
+    message: `${req.user.name} vous a attribué ${rating}/5 pour "${order.product.title}"`,
+    data: {
+      reviewId: review.id,
+      offerId: order.offerId,
+      orderId: order.id,
+      rating
+    }
+  });
+
+  appLogger.business(`Avis ${rating}/5 laissé sur ${targetId}`, {
+    reviewId: review.id,
+    authorId: userId,
+    targetId,
+    orderId: order.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Avis publié',
+    data: { review }
+  });
+});
+
+// Avis reçus par un utilisateur (en tant que vendeur par défaut)
+export const getUserReviews = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { page = 1, limit = 20, role = 'seller' } = req.query;
+
+  if (!['buyer', 'seller'].includes(role)) {
+    throw errors.badRequest('Rôle invalide (buyer ou seller)');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  const where = {
+    targetId: userId,
+    authorRole: role === 'seller' ? 'BUYER' : 'SELLER'
+  };
+
+  const [reviews, total, summary] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      include: reviewInclude
+    }),
+    prisma.review.count({ where }),
+    getRatingSummary(userId, role.toUpperCase())
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      summary,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Répondre à un avis reçu (une seule réponse)
+export const respondToReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { error, value } = validateReviewResponse(req.body);
+  if (error) {
+    throw errors.badRequest('Réponse invalide', error.details);
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id },
+    select: { id: true, targetId: true, authorId: true, response: true }
+  });
+
+  if (!review) {
+    throw errors.notFound('Avis');
+  }
+
+  if (review.targetId !== req.user.id) {
+    throw errors.forbidden('Seule la personne évaluée peut répondre à cet avis');
+  }
+
+  if (review.response) {
+    throw errors.conflict('Vous avez déjà répondu à cet avis');
+  }
+
+  const updatedReview = await prisma.review.update({
+    where: { id },
+    data: {
+      response: value.response,
+      respondedAt: new Date()
+    },
+    include: reviewInclude
+  });
+
+  await createNotification({
+    userId: review.authorId,
+    type: 'REVIEW_RESPONSE',
+    title: 'Réponse à votre avis',
+    message: `${req.user.name} a répondu à votre avis`,
+    data: { reviewId: review.id }
+  });
+
+  res.json({
+    success: true,
+    message: 'Réponse publiée',
+    data: { review: updatedReview }
+  });
+});
@@ -0,0 +1,60 @@
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import { validateSavedSearchCreation, validateSavedSearchUpdate } from '../utils/validators.js';
+import {
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} from '../services/savedSearchService.js';
+
+// Mes recherches sauvegardées
+export const getSavedSearches = asyncHandler(async (req, res) => {
+  const savedSearches = await listSavedSearches(req.user.id);
+
+  res.json({
+    success: true,
+    data: { savedSearches }
+  });
+});
+
+// Sauvegarder une recherche (mêmes paramètres que GET /api/products)
+export const saveSearch = asyncHandler(async (req, res) => {
+  const { error, value } = validateSavedSearchCreation(req.body);
+  if (error) {
+    throw errors.badRequest('Recherche invalide', error.details);
+  }
+
+  const savedSearch = await createSavedSearch(req.user.id, value);
+
+  res.status(201).json({
+    success: true,
+    message: 'Recherche sauvegardée',
+    data: { savedSearch }
+  });
+});
+
+// Modifier le nom, les filtres ou les alertes d'une recherche
+export const editSavedSearch = asyncHandler(async (req, res) => {
+  const { error, value } = validateSavedSearchUpdate(req.body);
+  if (error) {
+    throw errors.badRequest('Données de mise à jour invalides', error.details);
+  }
+
+  const savedSearch = await updateSavedSearch(req.user.id, req.params.id, value);
+
+  res.json({
+    success: true,
+    message: 'Recherche mise à jour',
+    data: { savedSearch }
+  });
+});
+
+// Supprimer une recherche sauvegardée (et ses alertes)
+export const removeSavedSearch = asyncHandler(async (req, res) => {
+  await deleteSavedSearch(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Recherche supprimée'
+  });
+});
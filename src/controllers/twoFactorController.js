@@ -0,0 +1,91 @@
+import bcrypt from 'bcryptjs';
+import { asyncHandler, errors } from '../middleware/errorHandler.js';
+import prisma from '../database/connection.js';
+import { validateTwoFactorCode, validateTwoFactorDisable } from '../utils/validators.js';
+import {
+  startTwoFactorSetup,
+  enableTwoFactor as enableTwoFactorForUser,
+  disableTwoFactor as disableTwoFactorForUser,
+  regenerateBackupCodes as regenerateBackupCodesForUser,
+  verifyTwoFactor,
+  getTwoFactorStatus
+} from '../services/twoFactorService.js';
+
+// État de la double authentification
+export const getStatus = asyncHandler(async (req, res) => {
+  const status = await getTwoFactorStatus(req.user.id);
+
+  res.json({
+    success: true,
+    data: status
+  });
+});
+
+// Démarrer l'enrôlement (secret et URI otpauth:// à afficher en QR code)
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const { secret, otpauthUrl } = await startTwoFactorSetup(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Scannez le QR code puis confirmez avec un code généré',
+    data: { secret, otpauthUrl }
+  });
+});
+
+// Confirmer l'enrôlement avec un premier code
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { error, value } = validateTwoFactorCode(req.body);
+  if (error) {
+    throw errors.badRequest('Code invalide', error.details);
+  }
+
+  const backupCodes = await enableTwoFactorForUser(req.user.id, value.code);
+
+  res.json({
+    success: true,
+    message: 'Double authentification activée. Conservez vos codes de secours en lieu sûr.',
+    data: { backupCodes }
+  });
+});
+
+// Désactiver la double authentification (mot de passe + code)
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { error, value } = validateTwoFactorDisable(req.body);
+  if (error) {
+    throw errors.badRequest('Données invalides', error.details);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { password: true }
+  });
+
+  const isPasswordValid = await bcrypt.compare(value.password, user.password);
+  if (!isPasswordValid) {
+    throw errors.badRequest('Mot de passe incorrect');
+  }
+
+  await verifyTwoFactor(req.user.id, { code: value.code, backupCode: value.backupCode });
+  await disableTwoFactorForUser(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Double authentification désactivée'
+  });
+});
+
+// Régénérer les codes de secours (code 2FA exigé par le middleware)
+export const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const status = await getTwoFactorStatus(req.user.id);
+  if (!status.enabled) {
+    throw errors.badRequest('La double authentification n\'est pas activée');
+  }
+
+  const backupCodes = await regenerateBackupCodesForUser(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Nouveaux codes de secours générés, les précédents ne sont plus valides',
+    data: { backupCodes }
+  });
+});
@@ -2,8 +2,17 @@ import { asyncHandler, errors } from '../middleware/errorHandler.js';
 import { cache } from '../database/redis.js';
 import prisma from '../database/connection.js';
 import { logger, appLogger } from '../utils/logger.js';
-import { validateUserUpdate, validatePreferencesUpdate } from '../utils/validators.js';
+import {
+  validateUserUpdate,
+  validatePreferencesUpdate,
+  validatePhoneVerificationRequest,
+  validatePhoneVerificationCode
+} from '../utils/validators.js';
 import bcrypt from 'bcryptjs';
+import { getRatingSummary } from '../services/reviewService.js';
+import { requestEmailChange } from '../services/emailChangeService.js';
+import { revokeUserSessions } from '../services/moderationService.js';
+import { requestPhoneVerification as sendPhoneVerificationCode, verifyPhoneCode } from '../services/phoneVerificationService.js';
 
 // Obtenir le profil de l'utilisateur connecté
 export const getProfile = asyncHandler(async (req, res) => {
@@ -23,7 +32,9 @@ export const getProfile = asyncHandler(async (req, res) => {
         avatar: true,
         userMode: true,
         isVerified: true,
+        pendingEmail: true,
         phone: true,
+        phoneVerified: true,
         createdAt: true,
         _count: {
           select: {
@@ -68,9 +79,13 @@ export const getPublicProfile = asyncHandler(async (req, res) => {
         userMode: true,
         isVerified: true,
         phone: true,
+        phoneVerified: true,
         name: true,
         createdAt: true,
         updatedAt: true,
+        preferences: {
+          select: { requirePhoneVerifiedBuyers: true }
+        },
         _count: {
           select: {
             products: {
@@ -88,8 +103,15 @@ export const getPublicProfile = asyncHandler(async (req, res) => {
       throw errors.notFound('Utilisateur');
     }
 
+    // Seule l'exigence envers les acheteurs est publique dans les préférences
+    const { preferences, ...publicUser } = user;
+    user = {
+      ...publicUser,
+      requiresPhoneVerifiedBuyers: Boolean(preferences?.requirePhoneVerifiedBuyers)
+    };
+
     // Calculer les statistiques publiques
-    const stats = await Promise.all([
+    const [completedSales, sellerRating, buyerRating] = await Promise.all([
       // Nombre de ventes réussies
       prisma.offer.count({
         where: {
@@ -97,20 +119,17 @@ export const getPublicProfile = asyncHandler(async (req, res) => {
           status: 'ACCEPTED'
         }
       }),
-      // Note moyenne (simulation)
-      prisma.user.findUnique({
-        where: { id: userId },
-        select: { 
-          // En attendant un vrai système de notation
-          id: true
-        }
-      }).then(() => (Math.random() * 2 + 3).toFixed(1)) // Entre 3.0 et 5.0
+      // Avis reçus en tant que vendeur et en tant qu'acheteur
+      getRatingSummary(userId, 'SELLER'),
+      getRatingSummary(userId, 'BUYER')
     ]);
 
     user.publicStats = {
-      completedSales: stats[0],
-      averageRating: parseFloat(stats[1]),
-      totalRatings: Math.floor(stats[0] * (Math.random() * 0.8 + 0.2)) // Simulation
+      completedSales,
+      averageRating: sellerRating.averageRating,
+      totalRatings: sellerRating.totalRatings,
+      ratingDistribution: sellerRating.distribution,
+      buyerRating
     };
 
     // Mise en cache pour 10 minutes
@@ -133,27 +152,27 @@ export const updateProfile = asyncHandler(async (req, res) => {
     throw errors.badRequest('Données de profil invalides', error.details);
   }
 
-  const { name, phone, userMode } = value;
+  const { name, phone, userMode, locale } = value;
 
-  // Vérifier si l'email est déjà utilisé (si fourni)
-  if (value.email && value.email !== req.user.email) {
-    const existingUser = await prisma.user.findUnique({
-      where: { email: value.email }
-    });
-    
-    if (existingUser) {
-      throw errors.conflict('Cette adresse email est déjà utilisée');
-    }
-  }
+  // Changement d'email : demande en attente, confirmée par un lien envoyé à la nouvelle adresse
+  const emailChange = value.email && value.email !== req.user.email
+    ? await requestEmailChange(userId, value.email)
+    : null;
+
+  // Nouveau numéro : il devra être vérifié à nouveau par SMS
+  const currentUser = phone
+    ? await prisma.user.findUnique({ where: { id: userId }, select: { phone: true } })
+    : null;
+  const phoneChanged = Boolean(phone) && phone !== currentUser?.phone;
 
   // Mise à jour
   const updatedUser = await prisma.user.update({
     where: { id: userId },
     data: {
       ...(name && { name }),
-      ...(value.email && { email: value.email }),
-      ...(phone && { phone }),
-      ...(userMode && { userMode })
+      ...(phoneChanged && { phone, phoneVerified: false, phoneVerifiedAt: null }),
+      ...(userMode && { userMode }),
+      ...(locale && { locale })
     },
     select: {
       id: true,
@@ -161,8 +180,11 @@ export const updateProfile = asyncHandler(async (req, res) => {
       name: true,
       avatar: true,
       userMode: true,
+      locale: true,
       isVerified: true,
+      pendingEmail: true,
       phone: true,
+      phoneVerified: true,
       createdAt: true,
       updatedAt: true
     }
@@ -180,7 +202,9 @@ export const updateProfile = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    message: 'Profil mis à jour avec succès',
+    message: emailChange
+      ? 'Profil mis à jour. Confirmez votre nouvelle adresse via le lien envoyé par email.'
+      : 'Profil mis à jour avec succès',
     data: { user: updatedUser }
   });
 });
@@ -274,9 +298,10 @@ export const updatePreferences = asyncHandler(async (req, res) => {
     }
   });
 
-  // Invalider le cache utilisateur
+  // Invalider le cache utilisateur (le profil public expose requiresPhoneVerifiedBuyers)
   await cache.del(`user:${userId}`);
   await cache.del(`user:profile:${userId}`);
+  await cache.del(`user:public:${userId}`);
 
   appLogger.business('Préférences utilisateur mises à jour', {
     userId,
@@ -290,6 +315,38 @@ export const updatePreferences = asyncHandler(async (req, res) => {
   });
 });
 
+// Envoyer un code de vérification par SMS
+export const requestPhoneVerification = asyncHandler(async (req, res) => {
+  const { error, value } = validatePhoneVerificationRequest(req.body);
+  if (error) {
+    throw errors.badRequest('Numéro de téléphone invalide', error.details);
+  }
+
+  const result = await sendPhoneVerificationCode(req.user.id, value.phone);
+
+  res.json({
+    success: true,
+    message: `Un code de vérification a été envoyé au ${result.phone}`,
+    data: result
+  });
+});
+
+// Vérifier le code reçu par SMS
+export const verifyPhone = asyncHandler(async (req, res) => {
+  const { error, value } = validatePhoneVerificationCode(req.body);
+  if (error) {
+    throw errors.badRequest('Code invalide', error.details);
+  }
+
+  const user = await verifyPhoneCode(req.user.id, value.code);
+
+  res.json({
+    success: true,
+    message: 'Numéro de téléphone vérifié',
+    data: { user }
+  });
+});
+
 // Supprimer le compte utilisateur
 export const deleteAccount = asyncHandler(async (req, res) => {
   const { password } = req.body;
@@ -314,8 +371,8 @@ export const deleteAccount = asyncHandler(async (req, res) => {
   const pendingOffers = await prisma.offer.count({
     where: {
       OR: [
-        { buyerId: userId, status: { in: ['PENDING', 'COUNTER_OFFERED'] } },
-        { sellerId: userId, status: { in: ['PENDING', 'COUNTER_OFFERED'] } }
+        { buyerId: userId, status: 'PENDING' },
+        { sellerId: userId, status: 'PENDING' }
       ]
     }
   });
@@ -336,11 +393,11 @@ export const deleteAccount = asyncHandler(async (req, res) => {
         password: 'deleted',
         avatar: null,
         phone: null,
-        name: null,
-        phone: null,
+        phoneVerified: false,
         isVerified: false,
-        isVerified: false,
-        status: 'DELETED'
+        status: 'DELETED',
+        suspendedUntil: null,
+        statusReason: null
       }
     });
 
@@ -349,6 +406,16 @@ export const deleteAccount = asyncHandler(async (req, res) => {
       where: { userId }
     });
 
+    // Délier les fournisseurs d'identité (plus de connexion possible via Apple/Google)
+    await tx.userIdentity.deleteMany({
+      where: { userId }
+    });
+
+    // Supprimer les recherches sauvegardées (et leurs alertes)
+    await tx.savedSearch.deleteMany({
+      where: { userId }
+    });
+
     // Marquer tous les produits comme supprimés
     await tx.product.updateMany({
       where: { sellerId: userId },
@@ -366,9 +433,16 @@ export const deleteAccount = asyncHandler(async (req, res) => {
     });
   });
 
-  // Invalider tous les caches liés à cet utilisateur
+  // Fermer toutes les sessions et connexions temps réel
+  await revokeUserSessions(userId);
+
+  // Invalider tous les caches liés à cet utilisateur (user:${id} porte le statut lu par authenticate)
+  await cache.del(`user:${userId}`);
+  await cache.del(`user:profile:${userId}`);
+  await cache.del(`user:public:${userId}`);
   await cache.flushPattern(`user:${userId}:*`);
   await cache.flushPattern(`*:${userId}:*`);
+  await cache.flushPattern(`products:search:*`);
 
   appLogger.business('Compte utilisateur supprimé', {
     userId,
@@ -45,6 +45,9 @@ prisma.$on('warn', (e) => {
   logger.warn(`⚠️ Warning Prisma: ${e.message}`);
 });
 
+// Base SQLite (prisma/schema-sqlite.prisma, DATABASE_URL="file:...") plutôt que PostgreSQL
+export const isSqlite = () => (process.env.DATABASE_URL || '').startsWith('file:');
+
 // Fonction de connexion à la base de données
 export async function connectDatabase() {
   try {
@@ -73,6 +73,9 @@ export async function disconnectRedis() {
   }
 }
 
+// Redis connecté (sinon les données critiques passent par la base)
+export const isRedisAvailable = () => Boolean(redisClient?.isReady);
+
 // Utilitaires Redis pour cache
 export const cache = {
   // GET avec parsing JSON automatique
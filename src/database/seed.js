@@ -1,6 +1,8 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
 import { logger } from '../utils/logger.js';
+import { buildSearchText } from '../services/productSearchService.js';
+import { geocodeCity } from '../services/geoService.js';
 
 const prisma = new PrismaClient();
 
@@ -48,6 +50,18 @@ const testUsers = [
     name: 'Julie Petit',
     email: 'julie@test.com',
     userMode: 'SELLER'
+  },
+  {
+    name: 'Camille Bernard',
+    email: 'moderation@test.com',
+    userMode: 'BUYER',
+    role: 'MODERATOR'
+  },
+  {
+    name: 'Antoine Garnier',
+    email: 'admin@test.com',
+    userMode: 'BUYER',
+    role: 'ADMIN'
   }
 ];
 
@@ -142,17 +156,43 @@ const getRandomItem = (array) => array[Math.floor(Math.random() * array.length)]
 const getRandomNumber = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
 const getRandomBoolean = () => Math.random() > 0.5;
 
+// Ville au hasard, coordonnées dispersées autour du centre (spread en degrés)
+const getRandomLocation = (spread) => {
+  const location = getRandomItem(locations);
+  const city = geocodeCity(location);
+  return {
+    location,
+    latitude: city.latitude + (Math.random() - 0.5) * spread,
+    longitude: city.longitude + (Math.random() - 0.5) * spread
+  };
+};
+
 async function main() {
   try {
     logger.info('🌱 Début du seeding de la base de données...');
 
     // Nettoyer les données existantes
     logger.info('🗑️ Nettoyage des données existantes...');
+    await prisma.review.deleteMany();
+    await prisma.escrowAuditLog.deleteMany();
+    await prisma.ledgerEntry.deleteMany();
+    await prisma.escrow.deleteMany();
+    await prisma.paymentEvent.deleteMany();
+    await prisma.payment.deleteMany();
+    await prisma.order.deleteMany();
+    await prisma.message.deleteMany();
+    await prisma.conversation.deleteMany();
+    await prisma.report.deleteMany();
     await prisma.notification.deleteMany();
     await prisma.productView.deleteMany();
+    await prisma.savedSearchMatch.deleteMany();
+    await prisma.savedSearch.deleteMany();
     await prisma.like.deleteMany();
     await prisma.offer.deleteMany();
     await prisma.product.deleteMany();
+    await prisma.twoFactorBackupCode.deleteMany();
+    await prisma.userIdentity.deleteMany();
+    await prisma.phoneVerificationCode.deleteMany();
     await prisma.userPreference.deleteMany();
     await prisma.user.deleteMany();
 
@@ -199,10 +239,9 @@ async function main() {
       const product = await prisma.product.create({
         data: {
           ...productData,
+          searchText: buildSearchText(productData),
           sellerId,
-          location: getRandomItem(locations),
-          latitude: 48.8566 + (Math.random() - 0.5) * 0.1,
-          longitude: 2.3522 + (Math.random() - 0.5) * 0.1,
+          ...getRandomLocation(0.1),
           authenticityScore: Math.random() * 0.4 + 0.6,
           isAuthenticated: getRandomBoolean(),
           images: JSON.stringify([productData.mainImage]),
@@ -217,19 +256,20 @@ async function main() {
       const sellerId = getRandomItem(createdUsers.filter(u => ['SELLER', 'BOTH'].includes(u.userMode))).id;
       const category = getRandomItem(categories);
       const brand = Math.random() > 0.3 ? getRandomItem(brands) : null;
+      const title = `${category} ${brand || 'Sans marque'} #${i + 1}`;
+      const description = `${category.toLowerCase()} de qualité en ${getRandomItem(conditions.map(c => c.toLowerCase()))} état. Pièce unique à ne pas manquer !`;
       
       const product = await prisma.product.create({
         data: {
-          title: `${category} ${brand || 'Sans marque'} #${i + 1}`,
-          description: `${category.toLowerCase()} de qualité en ${getRandomItem(conditions.map(c => c.toLowerCase()))} état. Pièce unique à ne pas manquer !`,
+          title,
+          description,
+          searchText: buildSearchText({ title, brand, description }),
           price: getRandomNumber(20, 2000),
           category,
           brand,
           condition: getRandomItem(conditions),
           sellerId,
-          location: getRandomItem(locations),
-          latitude: 48.8566 + (Math.random() - 0.5) * 2,
-          longitude: 2.3522 + (Math.random() - 0.5) * 2,
+          ...getRandomLocation(0.5),
           authenticityScore: Math.random() * 0.4 + 0.6,
           isAuthenticated: getRandomBoolean(),
           color: getRandomItem(['Noir', 'Blanc', 'Rouge', 'Bleu', 'Vert', 'Marron', 'Gris']),
@@ -256,7 +296,8 @@ async function main() {
           await prisma.like.create({
             data: {
               userId,
-              productId: product.id
+              productId: product.id,
+              alertedPrice: product.price
             }
           });
         } catch (error) {
@@ -324,11 +365,18 @@ async function main() {
                 amount: Math.round(counterAmount * 100) / 100,
                 message: 'Contre-offre du vendeur',
                 parentOfferId: offer.id,
+                proposedBy: 'SELLER',
+                round: 2,
                 status: 'PENDING',
                 expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
                 createdAt: new Date(offer.createdAt.getTime() + 60 * 60 * 1000) // 1h après
               }
             });
+
+            await prisma.offer.update({
+              where: { id: offer.id },
+              data: { status: 'COUNTER_OFFERED', respondedAt: new Date() }
+            });
           }
         } catch (error) {
           // Ignorer les doublons d'offres
@@ -401,7 +449,7 @@ async function main() {
     
     logger.info('🔑 Comptes de test créés (mot de passe: Password123):');
     testUsers.forEach(user => {
-      logger.info(`   - ${user.email} (${user.userMode})`);
+      logger.info(`   - ${user.email} (${user.userMode}${user.role ? `, ${user.role}` : ''})`);
     });
 
   } catch (error) {
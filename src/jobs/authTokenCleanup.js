@@ -0,0 +1,25 @@
+import { appLogger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { purgeExpiredTokens } from '../services/authSessionService.js';
+import { purgeExpiredNonces } from '../services/oidcService.js';
+
+const QUEUE_NAME = 'auth-token-cleanup';
+
+const sweepInterval = () => parseInt(process.env.AUTH_TOKEN_CLEANUP_INTERVAL_MS) || 24 * 60 * 60 * 1000; // 24 heures
+
+// Supprimer les tokens expirés (les rotations créent un refresh token à chaque rafraîchissement)
+// et les nonces OpenID Connect jamais utilisés
+export const cleanupExpiredTokens = async (now = new Date()) => {
+  const deletedCount = await purgeExpiredTokens(now) + await purgeExpiredNonces(now);
+
+  if (deletedCount > 0) {
+    appLogger.auth(`${deletedCount} tokens expirés supprimés`, { deletedCount });
+  }
+
+  return deletedCount;
+};
+
+// Planification du nettoyage
+export const scheduleAuthTokenCleanupJobs = async () => {
+  await scheduleRecurring(QUEUE_NAME, 'cleanup', sweepInterval(), () => cleanupExpiredTokens());
+};
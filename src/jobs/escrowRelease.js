@@ -0,0 +1,39 @@
+import { appLogger, logger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { findEscrowsDueForRelease } from '../services/escrowService.js';
+import { transitionOrder } from '../services/orderService.js';
+
+const QUEUE_NAME = 'escrow-release';
+
+const sweepInterval = () => parseInt(process.env.ESCROW_RELEASE_SWEEP_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+
+// Débloquer les fonds dont la période d'inspection (après réception) est écoulée sans litige
+// La transaction est alors clôturée par la plateforme, ce qui débloque le séquestre
+// (une commande seulement expédiée n'est jamais considérée comme livrée)
+export const releaseDueEscrows = async (now = new Date()) => {
+  const escrows = await findEscrowsDueForRelease(now);
+  let releasedCount = 0;
+
+  for (const escrow of escrows) {
+    try {
+      await transitionOrder(escrow.orderId, 'COMPLETED', {
+        details: { reason: 'Période d\'inspection écoulée' }
+      });
+      releasedCount++;
+    } catch (error) {
+      // Commande modifiée entre-temps (litige, clôture par l'acheteur) : ignorée
+      logger.warn(`⚠️ Déblocage du séquestre ${escrow.id} impossible: ${error.message}`);
+    }
+  }
+
+  if (releasedCount > 0) {
+    appLogger.business(`${releasedCount} séquestres débloqués automatiquement`, { releasedCount });
+  }
+
+  return releasedCount;
+};
+
+// Planification du job de déblocage
+export const scheduleEscrowReleaseJobs = async () => {
+  await scheduleRecurring(QUEUE_NAME, 'release', sweepInterval(), () => releaseDueEscrows());
+};
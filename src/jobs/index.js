@@ -0,0 +1,35 @@
+import { setQueuesEnabled } from '../services/queueService.js';
+import { scheduleOfferExpiryJobs } from './offerExpiry.js';
+import { scheduleEscrowReleaseJobs } from './escrowRelease.js';
+import { scheduleOrderAutoCompleteJobs } from './orderAutoComplete.js';
+import { scheduleWeeklyDigestJobs } from './weeklyDigest.js';
+import { scheduleAuthTokenCleanupJobs } from './authTokenCleanup.js';
+import { scheduleSavedSearchDigestJobs } from './savedSearchDigest.js';
+import { scheduleSearchTextBackfillJobs } from './searchTextBackfill.js';
+import { startEmailWorker } from '../services/emailService.js';
+import { startSavedSearchWorker } from '../services/savedSearchService.js';
+import { startProductWatchWorker } from '../services/productWatchService.js';
+
+// Démarrer l'ensemble des jobs planifiés
+export const startJobs = async ({ useQueues = false } = {}) => {
+  setQueuesEnabled(useQueues);
+
+  await scheduleOfferExpiryJobs();
+  await scheduleEscrowReleaseJobs();
+  await scheduleOrderAutoCompleteJobs();
+  await scheduleWeeklyDigestJobs();
+  await scheduleAuthTokenCleanupJobs();
+  await scheduleSavedSearchDigestJobs();
+  await scheduleSearchTextBackfillJobs();
+
+  // Consommateur de la file d'emails (outbox)
+  startEmailWorker();
+
+  // Comparaison des nouvelles annonces aux recherches sauvegardées
+  startSavedSearchWorker();
+
+  // Alertes des produits likés (baisse de prix, remise en vente, vente)
+  startProductWatchWorker();
+};
+
+export { closeQueues as stopJobs } from '../services/queueService.js';
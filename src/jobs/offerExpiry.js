@@ -0,0 +1,149 @@
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { appLogger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { createNotifications } from '../services/notificationService.js';
+
+const QUEUE_NAME = 'offer-expiry';
+const BATCH_SIZE = 100;
+
+const sweepInterval = () => parseInt(process.env.OFFER_EXPIRY_SWEEP_INTERVAL_MS) || 5 * 60 * 1000; // 5 minutes
+const reminderHours = () => parseInt(process.env.OFFER_EXPIRY_REMINDER_HOURS) || 24;
+
+const offerSelect = {
+  id: true,
+  amount: true,
+  status: true,
+  expiresAt: true,
+  buyerId: true,
+  sellerId: true,
+  product: {
+    select: {
+      id: true,
+      title: true
+    }
+  }
+};
+
+// Passer au statut EXPIRED les offres en attente dont l'échéance est dépassée
+// (seule la dernière proposition d'une négociation est PENDING : les étapes contrées restent dans l'historique)
+export const expireOffers = async (now = new Date()) => {
+  let expiredCount = 0;
+
+  for (;;) {
+    const offers = await prisma.offer.findMany({
+      where: {
+        status: 'PENDING',
+        expiresAt: { lt: now }
+      },
+      select: offerSelect,
+      orderBy: { expiresAt: 'asc' },
+      take: BATCH_SIZE
+    });
+
+    if (offers.length === 0) break;
+
+    for (const offer of offers) {
+      // Garde sur le statut : l'offre a pu être acceptée entre-temps
+      const { count } = await prisma.offer.updateMany({
+        where: { id: offer.id, status: 'PENDING' },
+        data: { status: 'EXPIRED', respondedAt: now }
+      });
+
+      if (count === 0) continue;
+      expiredCount++;
+
+      const data = {
+        offerId: offer.id,
+        productId: offer.product.id,
+        amount: offer.amount
+      };
+
+      await createNotifications([
+        {
+          userId: offer.buyerId,
+          type: 'OFFER_EXPIRED',
+          title: 'Offre expirée',
+          message: `L'offre de ${offer.amount}€ pour "${offer.product.title}" a expiré`,
+          data
+        },
+        {
+          userId: offer.sellerId,
+          type: 'OFFER_EXPIRED',
+          title: 'Offre expirée',
+          message: `L'offre de ${offer.amount}€ reçue pour "${offer.product.title}" a expiré sans réponse`,
+          data
+        }
+      ]);
+    }
+
+    if (offers.length < BATCH_SIZE) break;
+  }
+
+  if (expiredCount > 0) {
+    // Invalider les caches des offres
+    await cache.flushPattern(`offers:*`);
+    await cache.flushPattern(`offer_stats:*`);
+
+    appLogger.business(`${expiredCount} offres expirées`, { expiredCount });
+  }
+
+  return expiredCount;
+};
+
+// Rappeler aux deux parties qu'une offre en attente arrive à échéance
+export const sendExpiryReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + reminderHours() * 60 * 60 * 1000);
+
+  const offers = await prisma.offer.findMany({
+    where: {
+      status: 'PENDING',
+      reminderSentAt: null,
+      expiresAt: { gt: now, lte: horizon }
+    },
+    select: offerSelect,
+    take: BATCH_SIZE
+  });
+
+  for (const offer of offers) {
+    const { count } = await prisma.offer.updateMany({
+      where: { id: offer.id, reminderSentAt: null },
+      data: { reminderSentAt: now }
+    });
+
+    if (count === 0) continue;
+
+    const hoursLeft = Math.max(1, Math.round((new Date(offer.expiresAt) - now) / (60 * 60 * 1000)));
+    const data = {
+      offerId: offer.id,
+      productId: offer.product.id,
+      amount: offer.amount,
+      expiresAt: offer.expiresAt
+    };
+
+    await createNotifications([
+      {
+        userId: offer.sellerId,
+        type: 'OFFER_EXPIRING',
+        title: 'Offre bientôt expirée',
+        message: `L'offre de ${offer.amount}€ pour "${offer.product.title}" expire dans ${hoursLeft}h`,
+        data
+      },
+      {
+        userId: offer.buyerId,
+        type: 'OFFER_EXPIRING',
+        title: 'Offre bientôt expirée',
+        message: `Votre offre de ${offer.amount}€ pour "${offer.product.title}" expire dans ${hoursLeft}h`,
+        data
+      }
+    ]);
+  }
+
+  return offers.length;
+};
+
+// Planification des jobs d'expiration
+export const scheduleOfferExpiryJobs = async () => {
+  await scheduleRecurring(QUEUE_NAME, 'expire', sweepInterval(), () => expireOffers());
+  await scheduleRecurring(QUEUE_NAME, 'remind', sweepInterval(), () => sendExpiryReminders());
+};
@@ -0,0 +1,53 @@
+import prisma from '../database/connection.js';
+import { appLogger, logger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { transitionOrder } from '../services/orderService.js';
+
+const QUEUE_NAME = 'order-auto-complete';
+const BATCH_SIZE = 100;
+
+const sweepInterval = () => parseInt(process.env.ORDER_AUTO_COMPLETE_SWEEP_INTERVAL_MS) || 60 * 60 * 1000; // 1 heure
+const autoCompleteHours = () => parseInt(process.env.ORDER_AUTO_COMPLETE_HOURS) || 7 * 24; // 7 jours
+
+// Clôturer les commandes livrées que l'acheteur n'a ni clôturées ni contestées dans le délai
+// (sans clôture, aucune des deux parties ne pourrait laisser d'avis)
+// Les fonds encore en séquestre suivent leur propre période d'inspection (jobs/escrowRelease.js)
+export const completeDeliveredOrders = async (now = new Date()) => {
+  const deliveredBefore = new Date(now.getTime() - autoCompleteHours() * 60 * 60 * 1000);
+
+  const orders = await prisma.order.findMany({
+    where: {
+      status: 'DELIVERED',
+      deliveredAt: { lte: deliveredBefore },
+      NOT: { escrow: { is: { status: 'HELD' } } }
+    },
+    select: { id: true },
+    orderBy: { deliveredAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let completedCount = 0;
+
+  for (const order of orders) {
+    try {
+      await transitionOrder(order.id, 'COMPLETED', {
+        details: { reason: 'Clôture automatique après livraison' }
+      });
+      completedCount++;
+    } catch (error) {
+      // Commande modifiée entre-temps (litige, clôture par l'acheteur) : ignorée
+      logger.warn(`⚠️ Clôture automatique de la commande ${order.id} impossible: ${error.message}`);
+    }
+  }
+
+  if (completedCount > 0) {
+    appLogger.business(`${completedCount} commandes clôturées automatiquement`, { completedCount });
+  }
+
+  return completedCount;
+};
+
+// Planification de la clôture automatique
+export const scheduleOrderAutoCompleteJobs = async () => {
+  await scheduleRecurring(QUEUE_NAME, 'complete', sweepInterval(), () => completeDeliveredOrders());
+};
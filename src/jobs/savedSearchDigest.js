@@ -0,0 +1,134 @@
+import prisma from '../database/connection.js';
+import { appLogger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { createNotification } from '../services/notificationService.js';
+import { sendUserEmail } from '../services/emailService.js';
+
+const QUEUE_NAME = 'saved-search-digest';
+const BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PRODUCTS_PER_SEARCH = 5; // Annonces détaillées par recherche dans l'email
+
+// Délai minimal entre deux récapitulatifs d'une recherche
+// (INSTANT : correspondances restées en attente après un changement de fréquence)
+const FREQUENCY_PERIODS_MS = {
+  INSTANT: 0,
+  DAILY: DAY_MS,
+  WEEKLY: 7 * DAY_MS
+};
+
+const sweepInterval = () => parseInt(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MS) || HOUR_MS;
+
+// Recherches dont le récapitulatif est dû et qui ont des annonces en attente
+const dueSearchesWhere = (now) => ({
+  alertsEnabled: true,
+  matches: { some: { notifiedAt: null } },
+  OR: Object.entries(FREQUENCY_PERIODS_MS).map(([frequency, period]) => ({
+    frequency,
+    OR: [
+      { lastNotifiedAt: null },
+      { lastNotifiedAt: { lte: new Date(now.getTime() - period) } }
+    ]
+  }))
+});
+
+// Marquer les correspondances en attente d'une recherche et renvoyer les annonces encore en ligne
+const collectPendingMatches = async (savedSearch, now) => {
+  const matches = await prisma.savedSearchMatch.findMany({
+    where: { savedSearchId: savedSearch.id, notifiedAt: null },
+    select: {
+      id: true,
+      product: {
+        select: { id: true, title: true, price: true, status: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  await prisma.$transaction([
+    prisma.savedSearchMatch.updateMany({
+      where: { id: { in: matches.map(match => match.id) } },
+      data: { notifiedAt: now }
+    }),
+    prisma.savedSearch.update({
+      where: { id: savedSearch.id },
+      data: { lastNotifiedAt: now }
+    })
+  ]);
+
+  // Une annonce vendue ou retirée depuis n'est plus signalée
+  return matches
+    .map(match => match.product)
+    .filter(product => product.status === 'ACTIVE');
+};
+
+// Envoyer les récapitulatifs des recherches sauvegardées (notification par recherche, un email par utilisateur)
+export const sendSavedSearchDigests = async (now = new Date()) => {
+  const where = dueSearchesWhere(now);
+  let cursor = null;
+  let sentCount = 0;
+
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: {
+        status: 'ACTIVE',
+        savedSearches: { some: where }
+      },
+      select: {
+        id: true,
+        savedSearches: {
+          where,
+          select: { id: true, name: true }
+        }
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      const searches = [];
+
+      for (const savedSearch of user.savedSearches) {
+        const products = await collectPendingMatches(savedSearch, now);
+        if (products.length === 0) continue;
+
+        await createNotification({
+          userId: user.id,
+          type: 'SAVED_SEARCH_MATCH',
+          title: `Nouvelles annonces pour « ${savedSearch.name} »`,
+          message: `${products.length} nouvelle(s) annonce(s) correspondent à votre recherche`,
+          data: { savedSearchId: savedSearch.id, productIds: products.map(product => product.id) }
+        });
+
+        searches.push({
+          name: savedSearch.name,
+          count: products.length,
+          products: products.slice(0, PRODUCTS_PER_SEARCH).map(({ title, price }) => ({ title, price }))
+        });
+      }
+
+      if (searches.length === 0) continue;
+
+      await sendUserEmail(user.id, 'savedSearchDigest', { searches });
+      sentCount++;
+    }
+
+    if (users.length < BATCH_SIZE) break;
+    cursor = users[users.length - 1].id;
+  }
+
+  if (sentCount > 0) {
+    appLogger.business(`${sentCount} récapitulatifs de recherches sauvegardées envoyés`, { sentCount });
+  }
+
+  return sentCount;
+};
+
+// Planification des récapitulatifs (quotidiens et hebdomadaires vérifiés à chaque passage)
+export const scheduleSavedSearchDigestJobs = async () => {
+  await scheduleRecurring(QUEUE_NAME, 'sweep', sweepInterval(), () => sendSavedSearchDigests());
+};
@@ -0,0 +1,26 @@
+import { logger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { backfillSearchText } from '../services/productSearchService.js';
+
+const QUEUE_NAME = 'search-text-backfill';
+
+const sweepInterval = () => parseInt(process.env.SEARCH_TEXT_BACKFILL_INTERVAL_MS) || 60 * 60 * 1000; // 1 heure
+
+// Indexer les produits sans searchText (invisibles dans la recherche plein texte tant qu'ils n'en ont pas)
+export const indexMissingSearchText = async () => {
+  const updatedCount = await backfillSearchText();
+
+  if (updatedCount > 0) {
+    logger.info(`🔎 ${updatedCount} produits indexés pour la recherche plein texte`);
+  }
+
+  return updatedCount;
+};
+
+// Planification : un premier passage au démarrage, puis périodiquement
+export const scheduleSearchTextBackfillJobs = async () => {
+  indexMissingSearchText()
+    .catch(error => logger.error('❌ Indexation des produits pour la recherche échouée:', error));
+
+  await scheduleRecurring(QUEUE_NAME, 'backfill', sweepInterval(), () => indexMissingSearchText());
+};
@@ -0,0 +1,89 @@
+import prisma from '../database/connection.js';
+import { appLogger } from '../utils/logger.js';
+import { scheduleRecurring } from '../services/queueService.js';
+import { sendUserEmail } from '../services/emailService.js';
+
+const QUEUE_NAME = 'email-digest';
+const BATCH_SIZE = 100;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const digestInterval = () => parseInt(process.env.EMAIL_DIGEST_INTERVAL_MS) || WEEK_MS;
+
+// Activité de la semaine écoulée pour un utilisateur
+const getWeeklyActivity = async (userId, since) => {
+  const [offersReceived, offersAwaitingResponse, unreadMessages, unreadNotifications] = await Promise.all([
+    prisma.offer.count({
+      where: { sellerId: userId, createdAt: { gte: since } }
+    }),
+    // Offres en attente dont la dernière proposition vient de l'autre partie
+    prisma.offer.count({
+      where: {
+        status: 'PENDING',
+        OR: [
+          { sellerId: userId, proposedBy: 'BUYER' },
+          { buyerId: userId, proposedBy: 'SELLER' }
+        ]
+      }
+    }),
+    prisma.message.count({
+      where: {
+        readAt: null,
+        senderId: { not: userId },
+        conversation: {
+          OR: [{ buyerId: userId }, { sellerId: userId }]
+        }
+      }
+    }),
+    prisma.notification.count({
+      where: { userId, isRead: false, createdAt: { gte: since } }
+    })
+  ]);
+
+  return { offersReceived, offersAwaitingResponse, unreadMessages, unreadNotifications };
+};
+
+// Envoyer le récapitulatif hebdomadaire aux utilisateurs ayant de l'activité
+export const sendWeeklyDigests = async (now = new Date()) => {
+  const since = new Date(now.getTime() - WEEK_MS);
+  let cursor = null;
+  let sentCount = 0;
+
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: {
+        status: 'ACTIVE',
+        preferences: { emailNotifications: true }
+      },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (users.length === 0) break;
+
+    for (const user of users) {
+      const activity = await getWeeklyActivity(user.id, since);
+      const hasActivity = Object.values(activity).some(count => count > 0);
+
+      if (!hasActivity) continue;
+
+      await sendUserEmail(user.id, 'weeklyDigest', activity);
+      sentCount++;
+    }
+
+    if (users.length < BATCH_SIZE) break;
+    cursor = users[users.length - 1].id;
+  }
+
+  if (sentCount > 0) {
+    appLogger.business(`${sentCount} récapitulatifs hebdomadaires envoyés`, { sentCount });
+  }
+
+  return sentCount;
+};
+
+// Planification du récapitulatif
+export const scheduleWeeklyDigestJobs = async () => {
+  await scheduleRecurring(QUEUE_NAME, 'weekly', digestInterval(), () => sendWeeklyDigests());
+};
@@ -1,89 +1,212 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { asyncHandler, errors } from './errorHandler.js';
 import prisma from '../database/connection.js';
-import { cache, rateLimiter } from '../database/redis.js';
+import { cache, rateLimiter, isRedisAvailable } from '../database/redis.js';
 import { logger } from '../utils/logger.js';
+import { hasPermission } from '../utils/permissions.js';
+import { verifyTwoFactor } from '../services/twoFactorService.js';
+import { assertAccountActive } from '../utils/accountStatus.js';
 
-// Middleware d'authentification principale
-export const authenticate = asyncHandler(async (req, res, next) => {
-  let token;
+// Empreinte d'un token d'accès (stockée en base à la place du token)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-  // Récupération du token depuis les headers
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+const SESSION_MAX_AGE_SECONDS = 7 * 24 * 60 * 60; // Durée de vie maximale d'une session
+
+const getRevocationCheckTtlSeconds = () => parseInt(process.env.ACCESS_TOKEN_CHECK_TTL_SECONDS) || 30;
+
+// Les révocations font foi en base : Redis en garde un cache positif (écrit à chaque révocation,
+// consulté en premier) et retient brièvement qu'un token a été vérifié, pour ne pas interroger la base à chaque requête.
+// Une clé absente (expirée, purgée, Redis redémarré) entraîne donc une vérification en base
+
+// Motif de révocation d'un token d'accès, ou null
+// - token révoqué : empreinte enregistrée par jwtUtils.revokeToken
+// - session révoquée : plus aucun refresh token actif dans la famille
+// - déconnexion forcée : date lue sur la ligne utilisateur déjà chargée
+const getRevocationReason = async (token, decoded, user) => {
+  const redisAvailable = isRedisAvailable();
+
+  if (redisAvailable && await cache.exists(`revoked_token:${token}`)) {
+    return 'Token révoqué';
   }
 
-  // Vérification de la présence du token
-  if (!token) {
-    throw errors.unauthorized('Token d\'authentification requis');
+  if (redisAvailable && decoded.sid && await cache.exists(`revoked_session:${decoded.sid}`)) {
+    return 'Session révoquée';
   }
 
-  try {
-    // Vérification et décodage du token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Vérification dans le cache Redis d'abord
-    let user = await cache.get(`user:${decoded.id}`);
-    
-    if (!user) {
-      // Si pas en cache, récupération depuis la DB
-      user = await prisma.user.findUnique({
-        where: { id: decoded.id },
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          userMode: true,
-          isVerified: true,
-          avatar: true,
-          createdAt: true
-        }
-      });
-
-      if (!user) {
-        throw errors.unauthorized('Utilisateur non trouvé');
-      }
+  const revokedBefore = await getTokensRevokedBefore(user);
+  if (revokedBefore && decoded.iat < revokedBefore) {
+    return 'Session révoquée';
+  }
 
-      // Mise en cache de l'utilisateur pour 1 heure
-      await cache.set(`user:${user.id}`, user, 3600);
-    }
+  const tokenHash = hashToken(token);
+  if (redisAvailable && await cache.exists(`checked_token:${tokenHash}`)) {
+    return null;
+  }
+
+  // Une seule requête : empreinte du token révoqué et refresh token actif de la session
+  const records = await prisma.authToken.findMany({
+    where: {
+      OR: [
+        { token: tokenHash },
+        ...(decoded.sid ? [{ type: 'REFRESH', isRevoked: false, OR: [{ familyId: decoded.sid }, { id: decoded.sid }] }] : [])
+      ]
+    },
+    select: { type: true }
+  });
+
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
 
-    // Vérification que le token n'est pas révoqué
-    const isTokenRevoked = await cache.exists(`revoked_token:${token}`);
-    if (isTokenRevoked) {
-      throw errors.unauthorized('Token révoqué');
+  if (records.some(record => record.type === 'REVOKED_ACCESS')) {
+    if (ttl > 0) {
+      await cache.set(`revoked_token:${token}`, true, ttl);
     }
+    return 'Token révoqué';
+  }
 
-    // Ajout des informations utilisateur à la requête
-    req.user = user;
-    req.token = token;
+  if (decoded.sid && !records.some(record => record.type === 'REFRESH')) {
+    await cache.set(`revoked_session:${decoded.sid}`, true, SESSION_MAX_AGE_SECONDS);
+    return 'Session révoquée';
+  }
 
-    logger.info(`🔐 Utilisateur authentifié: ${user.email} (${user.id})`);
-    
-    next();
+  if (ttl > 0) {
+    await cache.set(`checked_token:${tokenHash}`, true, Math.min(getRevocationCheckTtlSeconds(), ttl));
+  }
+  return null;
+};
+
+// Date (en secondes) avant laquelle les tokens de l'utilisateur sont révoqués (déconnexion forcée)
+// Copie Redis écrite par jwtUtils.revokeUserTokens, sinon date de la ligne utilisateur
+const getTokensRevokedBefore = async (user) => {
+  const cached = await cache.get(`tokens_revoked_before:${user.id}`);
+  if (cached) {
+    return cached;
+  }
+
+  if (!user.tokensRevokedAt) {
+    return null;
+  }
+
+  return Math.floor(new Date(user.tokensRevokedAt).getTime() / 1000);
+};
+
+// Champs de l'utilisateur authentifié (mis en cache sous user:${id}, à purger à chaque changement)
+const authUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  userMode: true,
+  role: true,
+  status: true,
+  suspendedUntil: true,
+  statusReason: true,
+  isVerified: true,
+  twoFactorEnabled: true,
+  locale: true,
+  avatar: true,
+  tokensRevokedAt: true,
+  createdAt: true
+};
+
+// Vérifier un token d'accès et charger l'utilisateur (HTTP et handshake Socket.io)
+// Lève une AppError si le token est invalide, révoqué ou si le compte n'est pas actif
+export const resolveAccessToken = async (token) => {
+  if (!token) {
+    throw errors.unauthorized('Token d\'authentification requis');
+  }
+
+  let decoded;
+  try {
+    // Vérification et décodage du token
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      throw errors.unauthorized('Token invalide');
-    }
     if (error.name === 'TokenExpiredError') {
       throw errors.unauthorized('Token expiré');
     }
-    throw error;
+    throw errors.unauthorized('Token invalide');
+  }
+
+  // Les tokens à usage spécifique (vérification email, challenge 2FA...) ne sont pas des tokens d'accès
+  if (!decoded.id || decoded.type) {
+    throw errors.unauthorized('Token invalide');
+  }
+
+  // Vérification dans le cache Redis d'abord
+  let user = await cache.get(`user:${decoded.id}`);
+
+  if (!user) {
+    // Si pas en cache, récupération depuis la DB
+    user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: authUserSelect
+    });
+
+    if (!user) {
+      throw errors.unauthorized('Utilisateur non trouvé');
+    }
+
+    // Mise en cache de l'utilisateur pour 1 heure
+    await cache.set(`user:${user.id}`, user, 3600);
+  }
+
+  // Compte suspendu, banni ou supprimé
+  assertAccountActive(user);
+
+  // Token, session de l'appareil ou ensemble des sessions (déconnexion forcée) révoqués
+  const revocationReason = await getRevocationReason(token, decoded, user);
+  if (revocationReason) {
+    throw errors.unauthorized(revocationReason);
   }
+
+  const { tokensRevokedAt, ...authUser } = user;
+
+  return { user: authUser, sessionId: decoded.sid || null };
+};
+
+// Token Bearer de l'en-tête Authorization
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Middleware d'authentification principale
+export const authenticate = asyncHandler(async (req, res, next) => {
+  const token = getBearerToken(req);
+  const { user, sessionId } = await resolveAccessToken(token);
+
+  // Ajout des informations utilisateur à la requête
+  req.user = user;
+  req.token = token;
+  req.sessionId = sessionId;
+
+  logger.info(`🔐 Utilisateur authentifié: ${user.email} (${user.id})`);
+
+  next();
 });
 
 // Middleware optionnel (utilisateur connecté ou anonyme)
+// Token absent, invalide ou compte non actif : la requête continue en anonyme
 export const optionalAuth = asyncHandler(async (req, res, next) => {
-  try {
-    await authenticate(req, res, next);
-  } catch (error) {
-    // Ignore l'erreur et continue sans utilisateur
-    req.user = null;
-    next();
+  const token = getBearerToken(req);
+  req.user = null;
+
+  if (token) {
+    try {
+      const { user, sessionId } = await resolveAccessToken(token);
+      req.user = user;
+      req.token = token;
+      req.sessionId = sessionId;
+    } catch (error) {
+      if (!error.isOperational) throw error;
+    }
   }
+
+  next();
 });
 
-// Middleware de vérification des rôles
+// Middleware de vérification du userMode (BUYER, SELLER, BOTH)
 export const authorize = (...roles) => {
   return asyncHandler(async (req, res, next) => {
     if (!req.user) {
@@ -98,6 +221,21 @@ export const authorize = (...roles) => {
   });
 };
 
+// Middleware de vérification des permissions d'administration (rôles USER, SUPPORT, MODERATOR, ADMIN)
+export const requirePermission = (...permissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw errors.unauthorized('Authentification requise');
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user, permission))) {
+      throw errors.forbidden(`Permission requise: ${permissions.join(', ')}`);
+    }
+
+    next();
+  });
+};
+
 // Middleware de vérification email vérifié
 export const requireVerified = asyncHandler(async (req, res, next) => {
   if (!req.user) {
@@ -111,6 +249,37 @@ export const requireVerified = asyncHandler(async (req, res, next) => {
   next();
 });
 
+// Middleware de ré-authentification par double authentification (actions sensibles)
+// Code TOTP dans l'en-tête X-Two-Factor-Code ou dans le corps (twoFactorCode / backupCode)
+// `when(req)` permet de limiter l'exigence à certaines requêtes (ex. changement d'email)
+export const requireTwoFactor = ({ when } = {}) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw errors.unauthorized('Authentification requise');
+    }
+
+    const body = req.body || {};
+    const code = req.get('X-Two-Factor-Code') || body.twoFactorCode;
+    const { backupCode } = body;
+
+    // Retirer les champs 2FA avant la validation du corps par le contrôleur
+    delete body.twoFactorCode;
+    delete body.backupCode;
+
+    if (!req.user.twoFactorEnabled || (when && !when(req))) {
+      return next();
+    }
+
+    if (!code && !backupCode) {
+      throw errors.forbidden('Code de double authentification requis pour cette action');
+    }
+
+    await verifyTwoFactor(req.user.id, { code, backupCode });
+
+    next();
+  });
+};
+
 // Middleware de vérification propriétaire de ressource
 export const requireOwnership = (resourceParam = 'id', userField = 'userId') => {
   return asyncHandler(async (req, res, next) => {
@@ -183,32 +352,61 @@ export const jwtUtils = {
     return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
   },
 
-  // Révocation d'un token
+  // Révocation d'un token (Redis + empreinte en base pour survivre à une panne de Redis)
   revokeToken: async (token) => {
     const decoded = jwt.decode(token);
     if (decoded && decoded.exp) {
       const ttl = decoded.exp - Math.floor(Date.now() / 1000);
       if (ttl > 0) {
         await cache.set(`revoked_token:${token}`, true, ttl);
+
+        await prisma.authToken.upsert({
+          where: { token: hashToken(token) },
+          update: {},
+          create: {
+            token: hashToken(token),
+            type: 'REVOKED_ACCESS',
+            userId: decoded.id,
+            isRevoked: true,
+            expiresAt: new Date(decoded.exp * 1000)
+          }
+        });
       }
     }
   },
 
-  // Génération d'un token de vérification email
-  generateEmailToken: (userId) => {
-    return jwt.sign(
-      { userId, type: 'email_verification' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
+  // Révocation de tous les tokens d'accès émis avant maintenant (déconnexion forcée)
+  // La date est enregistrée en base ; Redis n'en garde qu'une copie
+  revokeUserTokens: async (userId) => {
+    const revokedAt = new Date();
+    await prisma.user.update({
+      where: { id: userId },
+      data: { tokensRevokedAt: revokedAt }
+    });
+    await cache.set(
+      `tokens_revoked_before:${userId}`,
+      Math.floor(revokedAt.getTime() / 1000),
+      SESSION_MAX_AGE_SECONDS
     );
+    // L'utilisateur mis en cache porte aussi tokensRevokedAt
+    await cache.del(`user:${userId}`);
   },
 
-  // Génération d'un token de reset password
-  generateResetToken: (userId) => {
+  // Génération d'un token de challenge 2FA (étape intermédiaire de la connexion)
+  generateTwoFactorChallenge: (userId) => {
     return jwt.sign(
-      { userId, type: 'password_reset' },
+      { userId, type: '2fa_challenge' },
       process.env.JWT_SECRET,
-      { expiresIn: '1h' }
+      { expiresIn: '5m' }
     );
+  },
+
+  // Vérification d'un token de challenge 2FA
+  verifyTwoFactorChallenge: (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== '2fa_challenge') {
+      throw errors.unauthorized('Challenge de double authentification invalide');
+    }
+    return decoded;
   }
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+import rateLimit from 'express-rate-limit';
+import slowDown from 'express-slow-down';
+import { appLogger } from '../utils/logger.js';
+
+// Protections des routes d'authentification publiques (stockage en mémoire : actives même sans Redis)
+
+const FAILED_ATTEMPTS_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// Limite stricte par IP pour les routes anonymes (userRateLimit ne s'applique qu'aux utilisateurs connectés)
+export const ipRateLimit = (maxRequests, windowMs) => rateLimit({
+  windowMs,
+  max: maxRequests,
+  message: {
+    error: 'Trop de tentatives, veuillez réessayer plus tard.',
+    code: 'TOO_MANY_REQUESTS'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Ralentissement progressif après des échecs répétés (seules les réponses en erreur sont comptées)
+const failedAttemptsSlowDown = (scope, keyGenerator) => slowDown({
+  windowMs: FAILED_ATTEMPTS_WINDOW_MS,
+  delayAfter: 3, // 3 échecs sans délai
+  delayMs: 500, // +500 ms par échec supplémentaire
+  maxDelayMs: 10000,
+  skipSuccessfulRequests: true,
+  keyGenerator,
+  onLimitReached: (req) => {
+    appLogger.security(`Échecs d'authentification répétés (${scope})`, {
+      ip: req.ip,
+      path: req.originalUrl,
+      email: normalizeEmail(req.body?.email) || undefined
+    });
+  }
+});
+
+// Par IP et par email ciblé (une attaque distribuée sur un compte est aussi ralentie)
+export const slowDownFailedAttempts = [
+  failedAttemptsSlowDown('ip', (req) => `ip:${req.ip}`),
+  failedAttemptsSlowDown('email', (req) => `email:${normalizeEmail(req.body?.email) || req.ip}`)
+];
+
+export default {
+  ipRateLimit,
+  slowDownFailedAttempts
+};
@@ -167,6 +167,9 @@ export const errors = {
   tooManyRequests: (message = 'Trop de requêtes') => 
     new AppError(message, 429),
   
+  serviceUnavailable: (message = 'Service indisponible') => 
+    new AppError(message, 503),
+  
   internal: (message = 'Erreur interne du serveur') => 
     new AppError(message, 500)
 };
\ No newline at end of file
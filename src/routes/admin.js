@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+  listUsers,
+  getUserDetails,
+  suspendUser,
+  banUser,
+  reactivateUser,
+  forceLogout,
+  updateUserRole,
+  takeDownProduct,
+  restoreProduct,
+  resolveDispute
+} from '../controllers/adminController.js';
+import { getPlatformStats } from '../controllers/analyticsController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification et une permission d'administration
+router.use(authenticate);
+
+// Utilisateurs
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), listUsers); // ?q=&status=&role=
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), getUserDetails);
+router.post('/users/:id/logout', requirePermission(PERMISSIONS.USERS_LOGOUT), forceLogout);
+router.post('/users/:id/suspend', requirePermission(PERMISSIONS.USERS_SUSPEND), suspendUser);
+router.post('/users/:id/ban', requirePermission(PERMISSIONS.USERS_BAN), banUser);
+router.post('/users/:id/reactivate', requirePermission(PERMISSIONS.USERS_SUSPEND), reactivateUser);
+router.put('/users/:id/role', requirePermission(PERMISSIONS.USERS_ROLE), updateUserRole);
+
+// Produits
+router.post('/products/:id/takedown', requirePermission(PERMISSIONS.PRODUCTS_TAKEDOWN), takeDownProduct);
+router.post('/products/:id/restore', requirePermission(PERMISSIONS.PRODUCTS_TAKEDOWN), restoreProduct);
+
+// Commandes
+router.post('/orders/:id/dispute/resolve', requirePermission(PERMISSIONS.ORDERS_DISPUTES), resolveDispute);
+
+// Statistiques de la plateforme
+router.get('/analytics/platform', requirePermission(PERMISSIONS.ANALYTICS_PLATFORM), getPlatformStats);
+
+export default router;
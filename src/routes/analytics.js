@@ -7,7 +7,8 @@ import {
   getTopItems,
   getInsights
 } from '../controllers/analyticsController.js';
-import { authenticate, userRateLimit } from '../middleware/auth.js';
+import { authenticate, requirePermission, userRateLimit } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -18,8 +19,8 @@ router.use(authenticate);
 router.get('/user/stats', getUserStats);
 router.get('/user/insights', userRateLimit(20, 15 * 60 * 1000), getInsights);
 
-// Statistiques globales (limitées)
-router.get('/platform/stats', userRateLimit(10, 15 * 60 * 1000), getPlatformStats);
+// Statistiques globales (réservées à l'administration)
+router.get('/platform/stats', requirePermission(PERMISSIONS.ANALYTICS_PLATFORM), userRateLimit(10, 15 * 60 * 1000), getPlatformStats);
 router.get('/categories/stats', userRateLimit(10, 15 * 60 * 1000), getCategoryStats);
 router.get('/timeseries', userRateLimit(20, 15 * 60 * 1000), getTimeSeriesData);
 router.get('/top', userRateLimit(20, 15 * 60 * 1000), getTopItems);
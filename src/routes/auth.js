@@ -8,19 +8,52 @@ import {
   profile, 
   verifyEmail, 
   forgotPassword, 
-  resetPassword 
+  resetPassword,
+  verifyTwoFactorLogin,
+  getSessions,
+  deleteSession,
+  unlockAccount,
+  resendVerification,
+  confirmEmailChange,
+  cancelEmailChange,
+  requestMagicLink,
+  consumeMagicLink,
+  getOidcProviders,
+  getOidcNonce,
+  oidcSignIn,
+  getIdentities,
+  linkIdentity,
+  unlinkIdentity
 } from '../controllers/authController.js';
-import { authenticate, userRateLimit } from '../middleware/auth.js';
+import {
+  getStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} from '../controllers/twoFactorController.js';
+import { authenticate, userRateLimit, requireTwoFactor } from '../middleware/auth.js';
+import { ipRateLimit, slowDownFailedAttempts } from '../middleware/bruteForce.js';
 
 const router = express.Router();
 
-// Routes publiques (non authentifiées)
-router.post('/register', userRateLimit(5, 15 * 60 * 1000), register);
-router.post('/login', userRateLimit(10, 15 * 60 * 1000), login);
-router.post('/refresh', userRateLimit(20, 15 * 60 * 1000), refresh);
-router.post('/forgot-password', userRateLimit(3, 60 * 60 * 1000), forgotPassword);
-router.post('/reset-password', userRateLimit(3, 60 * 60 * 1000), resetPassword);
+// Routes publiques (non authentifiées) : limites par IP et ralentissement progressif après échecs
+router.post('/register', ipRateLimit(5, 15 * 60 * 1000), register);
+router.post('/login', ipRateLimit(20, 15 * 60 * 1000), slowDownFailedAttempts, login);
+router.post('/magic-link', ipRateLimit(10, 60 * 60 * 1000), requestMagicLink);
+router.post('/magic-link/consume', ipRateLimit(20, 15 * 60 * 1000), slowDownFailedAttempts, consumeMagicLink);
+router.get('/oidc/providers', getOidcProviders);
+router.post('/oidc/nonce', ipRateLimit(30, 15 * 60 * 1000), getOidcNonce);
+router.post('/oidc/:provider', ipRateLimit(20, 15 * 60 * 1000), oidcSignIn);
+router.post('/refresh', ipRateLimit(60, 15 * 60 * 1000), refresh);
+router.post('/forgot-password', ipRateLimit(5, 60 * 60 * 1000), forgotPassword); // Toujours 200 (pas d'énumération) : seule la limite par IP s'applique
+router.post('/reset-password', ipRateLimit(5, 60 * 60 * 1000), slowDownFailedAttempts, resetPassword);
 router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', ipRateLimit(5, 60 * 60 * 1000), resendVerification);
+router.get('/confirm-email-change/:token', ipRateLimit(10, 60 * 60 * 1000), confirmEmailChange);
+router.get('/cancel-email-change/:token', ipRateLimit(10, 60 * 60 * 1000), cancelEmailChange);
+router.get('/unlock-account/:token', ipRateLimit(10, 60 * 60 * 1000), unlockAccount);
+router.post('/2fa/verify-login', ipRateLimit(20, 15 * 60 * 1000), slowDownFailedAttempts, verifyTwoFactorLogin);
 
 // Routes authentifiées
 router.use(authenticate);
@@ -29,4 +62,20 @@ router.get('/profile', profile);
 router.post('/logout', logout);
 router.post('/logout-all', logoutAll);
 
+// Sessions par appareil
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', deleteSession);
+
+// Fournisseurs d'identité liés (Apple, Google...)
+router.get('/identities', getIdentities);
+router.post('/identities/:provider', userRateLimit(10, 60 * 60 * 1000), requireTwoFactor(), linkIdentity);
+router.delete('/identities/:provider', requireTwoFactor(), unlinkIdentity);
+
+// Double authentification (TOTP)
+router.get('/2fa/status', getStatus);
+router.post('/2fa/setup', userRateLimit(10, 60 * 60 * 1000), setupTwoFactor);
+router.post('/2fa/enable', userRateLimit(10, 60 * 60 * 1000), enableTwoFactor);
+router.post('/2fa/disable', userRateLimit(5, 60 * 60 * 1000), disableTwoFactor);
+router.post('/2fa/backup-codes', userRateLimit(5, 60 * 60 * 1000), requireTwoFactor(), regenerateBackupCodes);
+
 export default router;
\ No newline at end of file
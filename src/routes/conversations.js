@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  startConversation,
+  getConversations,
+  getUnreadCount,
+  getConversation,
+  getMessages,
+  sendMessage,
+  markConversationAsRead
+} from '../controllers/conversationController.js';
+import { authenticate, userRateLimit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification
+router.use(authenticate);
+
+// Conversations
+router.get('/', getConversations);
+router.post('/', userRateLimit(30, 60 * 60 * 1000), startConversation); // Max 30 nouvelles conversations/heure
+router.get('/unread-count', getUnreadCount);
+router.get('/:id', getConversation);
+
+// Messages
+router.get('/:id/messages', getMessages);
+router.post('/:id/messages', userRateLimit(120, 15 * 60 * 1000), sendMessage); // Max 120 messages/15min
+router.put('/:id/read', markConversationAsRead);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getBalance, getLedger, getOrderEscrow } from '../controllers/escrowController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification
+router.use(authenticate);
+
+router.get('/balance', getBalance);
+router.get('/ledger', getLedger); // ?account=HELD|FROZEN|AVAILABLE
+router.get('/orders/:orderId', getOrderEscrow);
+
+export default router;
@@ -8,7 +8,8 @@ import {
   rejectOffer,
   createCounterOffer,
   cancelOffer,
-  getOfferStats
+  getOfferStats,
+  getOfferThread
 } from '../controllers/offerController.js';
 import { authenticate, userRateLimit } from '../middleware/auth.js';
 
@@ -23,13 +24,14 @@ router.get('/sent', getMyOffers);
 router.get('/received', getReceivedOffers);
 router.get('/stats', getOfferStats);
 router.get('/:id', getOffer);
+router.get('/:id/thread', getOfferThread);
 
-// Actions sur les offres (vendeur)
+// Négociation : la partie qui n'a pas fait la dernière proposition peut répondre
 router.put('/:id/accept', acceptOffer);
 router.put('/:id/reject', rejectOffer);
 router.post('/:id/counter', userRateLimit(10, 60 * 60 * 1000), createCounterOffer); // Max 10 contre-offres/heure
 
-// Actions sur les offres (acheteur)
+// Retrait de la dernière proposition (son auteur)
 router.put('/:id/cancel', cancelOffer);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getOrders,
+  getOrder,
+  shipOrder,
+  confirmDelivery,
+  completeOrder,
+  cancelOrder,
+  openDispute
+} from '../controllers/orderController.js';
+import { authenticate, userRateLimit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification
+router.use(authenticate);
+
+// Consultation des commandes
+router.get('/', getOrders); // ?role=buyer|seller
+router.get('/:id', getOrder);
+
+// Actions vendeur
+router.put('/:id/ship', shipOrder);
+
+// Actions acheteur
+router.put('/:id/delivered', confirmDelivery);
+router.put('/:id/complete', completeOrder);
+router.post('/:id/dispute', userRateLimit(5, 60 * 60 * 1000), openDispute); // Max 5 litiges/heure
+
+// Actions acheteur ou vendeur
+router.put('/:id/cancel', cancelOrder);
+
+export default router;
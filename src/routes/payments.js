@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  createIntent,
+  getPayment,
+  confirmPayment,
+  capturePayment,
+  refundPayment,
+  requirePaymentsEnabled
+} from '../controllers/paymentController.js';
+import { authenticate, userRateLimit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification et des paiements configurés
+router.use(authenticate);
+router.use(requirePaymentsEnabled);
+
+// Paiement d'une commande (acheteur)
+router.post('/intents', userRateLimit(20, 60 * 60 * 1000), createIntent); // Max 20 intents/heure
+router.get('/:id', getPayment);
+router.post('/:id/confirm', userRateLimit(10, 15 * 60 * 1000), confirmPayment); // Max 10 tentatives/15min
+
+// Encaissement et remboursement (vendeur)
+router.post('/:id/capture', capturePayment);
+router.post('/:id/refund', userRateLimit(10, 60 * 60 * 1000), refundPayment);
+
+export default router;
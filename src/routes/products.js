@@ -7,6 +7,7 @@ import {
   deleteProduct, 
   likeProduct, 
   unlikeProduct, 
+  updateLikeAlerts,
   getRecommendations,
   getSellerProducts 
 } from '../controllers/productController.js';
@@ -28,6 +29,7 @@ router.get('/recommendations/ai', userRateLimit(50, 15 * 60 * 1000), getRecommen
 
 // Gestion des likes
 router.post('/:id/like', userRateLimit(100, 15 * 60 * 1000), likeProduct);
+router.put('/:id/like', updateLikeAlerts); // Alertes : prix cible (targetPrice), alertsEnabled
 router.delete('/:id/like', unlikeProduct);
 
 // CRUD produits (vendeurs uniquement)
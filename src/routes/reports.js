@@ -0,0 +1,36 @@
+import express from 'express';
+import {
+  createReport,
+  getMyReports,
+  getReportQueue,
+  getReport,
+  claimReport,
+  resolveReport,
+  dismissReport,
+  getUserReportHistory,
+  getProductReportHistory
+} from '../controllers/reportController.js';
+import { authenticate, requirePermission, userRateLimit } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification
+router.use(authenticate);
+
+// Signalements des utilisateurs
+router.post('/', userRateLimit(10, 60 * 60 * 1000), createReport); // Max 10 signalements/heure
+router.get('/mine', getMyReports);
+
+// File de modération
+const moderatorOnly = requirePermission(PERMISSIONS.REPORTS_MODERATE);
+
+router.get('/', moderatorOnly, getReportQueue); // ?status=&reason=&assigned=me|none
+router.get('/history/users/:userId', moderatorOnly, getUserReportHistory);
+router.get('/history/products/:productId', moderatorOnly, getProductReportHistory);
+router.get('/:id', moderatorOnly, getReport);
+router.post('/:id/claim', moderatorOnly, claimReport);
+router.post('/:id/resolve', moderatorOnly, resolveReport);
+router.post('/:id/dismiss', moderatorOnly, dismissReport);
+
+export default router;
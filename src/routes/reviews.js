@@ -0,0 +1,14 @@
+import express from 'express';
+import { createReview, getUserReviews, respondToReview } from '../controllers/reviewController.js';
+import { authenticate, optionalAuth, userRateLimit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Consultation publique
+router.get('/users/:userId', optionalAuth, getUserReviews); // ?role=seller|buyer
+
+// Avis sur une transaction terminée (acheteur ou vendeur)
+router.post('/', authenticate, userRateLimit(20, 60 * 60 * 1000), createReview); // Max 20 avis/heure
+router.post('/:id/response', authenticate, respondToReview);
+
+export default router;
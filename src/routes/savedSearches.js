@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getSavedSearches,
+  saveSearch,
+  editSavedSearch,
+  removeSavedSearch
+} from '../controllers/savedSearchController.js';
+import { authenticate, userRateLimit } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Toutes les routes nécessitent une authentification
+router.use(authenticate);
+
+router.get('/', getSavedSearches);
+router.post('/', userRateLimit(30, 60 * 60 * 1000), saveSearch); // Max 30 créations/heure
+router.put('/:id', editSavedSearch); // Nom, filtres (query), fréquence et activation des alertes
+router.delete('/:id', removeSavedSearch);
+
+export default router;
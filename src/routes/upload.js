@@ -10,7 +10,8 @@ import {
   uploadAvatar,
   getUploadStats
 } from '../controllers/uploadController.js';
-import { authenticate, userRateLimit } from '../middleware/auth.js';
+import { authenticate, requirePermission, userRateLimit } from '../middleware/auth.js';
+import { PERMISSIONS } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -54,6 +55,6 @@ router.delete(
 router.get('/images', listImages);
 
 // Statistiques (admin uniquement)
-router.get('/stats', getUploadStats);
+router.get('/stats', requirePermission(PERMISSIONS.UPLOADS_STATS), getUploadStats);
 
 export default router;
\ No newline at end of file
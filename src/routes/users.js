@@ -7,11 +7,14 @@ import {
   getPreferences,
   updatePreferences,
   deleteAccount,
+  requestPhoneVerification,
+  verifyPhone,
   getActivityHistory,
   updateLastSeen,
   searchUsers
 } from '../controllers/userController.js';
-import { authenticate, userRateLimit } from '../middleware/auth.js';
+import { authenticate, userRateLimit, requireTwoFactor } from '../middleware/auth.js';
+import { ipRateLimit } from '../middleware/bruteForce.js';
 
 const router = express.Router();
 
@@ -24,9 +27,19 @@ router.use(authenticate);
 
 // Profil utilisateur
 router.get('/profile', getProfile);
-router.put('/profile', userRateLimit(20, 60 * 60 * 1000), updateProfile); // Max 20 mises à jour/heure
-router.post('/change-password', userRateLimit(5, 60 * 60 * 1000), changePassword); // Max 5 changements/heure
-router.delete('/account', userRateLimit(3, 24 * 60 * 60 * 1000), deleteAccount); // Max 3 tentatives/jour
+router.put(
+  '/profile',
+  userRateLimit(20, 60 * 60 * 1000), // Max 20 mises à jour/heure
+  requireTwoFactor({ when: (req) => Boolean(req.body.email) && req.body.email !== req.user.email }), // Changement d'email
+  updateProfile
+);
+router.post('/change-password', userRateLimit(5, 60 * 60 * 1000), requireTwoFactor(), changePassword); // Max 5 changements/heure
+router.delete('/account', userRateLimit(3, 24 * 60 * 60 * 1000), requireTwoFactor(), deleteAccount); // Max 3 tentatives/jour
+
+// Vérification du téléphone par SMS (limites d'envoi également appliquées en base)
+// Limites par IP en plus : plusieurs comptes depuis une même adresse
+router.post('/phone/verification', ipRateLimit(10, 60 * 60 * 1000), userRateLimit(5, 60 * 60 * 1000), requestPhoneVerification);
+router.post('/phone/verify', ipRateLimit(20, 15 * 60 * 1000), userRateLimit(10, 15 * 60 * 1000), verifyPhone);
 
 // Préférences utilisateur
 router.get('/preferences', getPreferences);
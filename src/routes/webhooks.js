@@ -0,0 +1,9 @@
+import express from 'express';
+import { paymentWebhook, requirePaymentsEnabled } from '../controllers/paymentController.js';
+
+const router = express.Router();
+
+// Webhooks externes : pas d'authentification JWT, signature vérifiée sur le corps brut
+router.post('/payments/:provider', requirePaymentsEnabled, express.raw({ type: '*/*', limit: '1mb' }), paymentWebhook);
+
+export default router;
@@ -12,10 +12,14 @@ import { createServer } from 'http';
 // Import des configurations et middlewares
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { logger } from './utils/logger.js';
+import { isAllowedOrigin } from './utils/origins.js';
 import { connectDatabase } from './database/connection.js';
 import prisma from './database/connection.js';
 import { connectRedis } from './database/redis.js';
 import { initializeSocketIO, closeSocketIO } from './services/socketService.js';
+import { startJobs, stopJobs } from './jobs/index.js';
+import { getPaymentUnavailableReason } from './services/paymentProviders/index.js';
+import { isTwoFactorAvailable } from './services/twoFactorService.js';
 
 // Import des routes
 import authRoutes from './routes/auth.js';
@@ -25,6 +29,15 @@ import offerRoutes from './routes/offers.js';
 import notificationRoutes from './routes/notifications.js';
 import uploadRoutes from './routes/upload.js';
 import analyticsRoutes from './routes/analytics.js';
+import conversationRoutes from './routes/conversations.js';
+import orderRoutes from './routes/orders.js';
+import paymentRoutes from './routes/payments.js';
+import webhookRoutes from './routes/webhooks.js';
+import escrowRoutes from './routes/escrow.js';
+import reviewRoutes from './routes/reviews.js';
+import reportRoutes from './routes/reports.js';
+import adminRoutes from './routes/admin.js';
+import savedSearchRoutes from './routes/savedSearches.js';
 
 // Configuration des variables d'environnement
 dotenv.config();
@@ -51,25 +64,14 @@ app.use(helmet({
 
 app.use(compression());
 
-// Configuration CORS pour iOS et production
-const allowedOrigins = [
-  'capacitor://localhost',
-  'ionic://localhost', 
-  'http://localhost',
-  'http://localhost:3000',
-  'http://localhost:8080',
-  'http://localhost:8100',
-  // Production origins - depuis variables d'environnement
-  ...(process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : [])
-];
-
+// Configuration CORS pour iOS et production (voir utils/origins.js)
 app.use(cors({
   origin: (origin, callback) => {
     // Permettre les requêtes sans origin (apps mobiles)
     if (!origin) return callback(null, true);
     
     // Vérifier si l'origin est autorisé
-    if (allowedOrigins.includes(origin) || allowedOrigins.includes('*')) {
+    if (isAllowedOrigin(origin)) {
       return callback(null, true);
     }
     
@@ -77,7 +79,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Two-Factor-Code']
 }));
 
 // Rate limiting
@@ -105,6 +107,9 @@ app.use(morgan('combined', {
   }
 }));
 
+// Webhooks (avant le parsing JSON : la signature porte sur le corps brut)
+app.use('/webhooks', webhookRoutes);
+
 // Parsing du body
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -130,6 +135,14 @@ app.use('/api/offers', offerRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/escrow', escrowRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
 
 // Documentation endpoint
 app.get('/api', (req, res) => {
@@ -144,7 +157,15 @@ app.get('/api', (req, res) => {
       offers: '/api/offers',
       notifications: '/api/notifications',
       upload: '/api/upload',
-      analytics: '/api/analytics'
+      analytics: '/api/analytics',
+      conversations: '/api/conversations',
+      orders: '/api/orders',
+      payments: '/api/payments',
+      escrow: '/api/escrow',
+      reviews: '/api/reviews',
+      reports: '/api/reports',
+      admin: '/api/admin',
+      savedSearches: '/api/saved-searches'
     },
     documentation: 'https://docs.want2.app',
     status: 'active'
@@ -158,14 +179,26 @@ app.use(errorHandler);
 // Fonction de démarrage du serveur
 async function startServer() {
   try {
+    // Paiements non configurés : le serveur démarre, les routes de paiement répondent 503
+    const paymentUnavailableReason = getPaymentUnavailableReason();
+    if (paymentUnavailableReason) {
+      logger.warn(`⚠️ Paiements désactivés : ${paymentUnavailableReason}`);
+    }
+
+    // Clé de chiffrement des secrets TOTP absente : les routes 2FA répondent 503
+    if (!isTwoFactorAvailable()) {
+      logger.warn('⚠️ Double authentification désactivée : TWO_FACTOR_ENCRYPTION_KEY manquant');
+    }
+
     // Connexion à la base de données
     await connectDatabase();
     logger.info('✅ Base de données connectée');
 
     // Connexion à Redis  
     // Connexion Redis (optionnelle)
+    let redisClient = null;
     try {
-      await connectRedis();
+      redisClient = await connectRedis();
       logger.info('✅ Redis connecté');
     } catch (error) {
       logger.warn('⚠️ Redis indisponible, serveur démarre sans cache');
@@ -178,6 +211,10 @@ async function startServer() {
     const io = initializeSocketIO(server);
     logger.info('🔌 Socket.io initialisé');
 
+    // Jobs planifiés (Bull si Redis est disponible)
+    await startJobs({ useQueues: Boolean(redisClient) });
+    logger.info('⏱️ Jobs planifiés démarrés');
+
     // Démarrage du serveur
     server.listen(PORT, '0.0.0.0', () => {
       logger.info(`🚀 Serveur WANT2 démarré sur le port ${PORT}`);
@@ -199,6 +236,10 @@ async function startServer() {
           // Fermer Socket.io
           closeSocketIO();
           logger.info('🔌 Socket.io fermé');
+
+          // Arrêter les jobs planifiés
+          await stopJobs();
+          logger.info('⏱️ Jobs planifiés arrêtés');
           
           // Fermer les connexions DB/Redis proprement
           await prisma.$disconnect();
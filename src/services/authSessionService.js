@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { jwtUtils } from '../middleware/auth.js';
+import { appLogger } from '../utils/logger.js';
+import { assertAccountActive } from '../utils/accountStatus.js';
+import { createNotification } from './notificationService.js';
+
+// Une session = une famille de refresh tokens (lignes AuthToken de type REFRESH) liée à un appareil
+// Chaque rafraîchissement remplace le token par un nouveau de la même famille
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 jours
+
+// Empreinte d'un refresh token (stockée en base à la place du token)
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Rotation activée par défaut, désactivable avec ROTATE_REFRESH_TOKENS=false
+const isRotationEnabled = () => process.env.ROTATE_REFRESH_TOKENS !== 'false';
+
+const sessionSelect = {
+  id: true,
+  deviceName: true,
+  userAgent: true,
+  ipAddress: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true
+};
+
+// Identifiant de session d'un token (les tokens antérieurs aux familles forment leur propre famille)
+const getFamilyId = (record) => record.familyId || record.id;
+
+const familyWhere = (familyId) => ({
+  type: 'REFRESH',
+  OR: [{ familyId }, { id: familyId }]
+});
+
+// Nom d'appareil lisible déduit du User-Agent quand le client n'en fournit pas
+const platforms = [
+  [/iPad/i, 'iPad'],
+  [/iPhone/i, 'iPhone'],
+  [/Android/i, 'Android'],
+  [/Macintosh|Mac OS X/i, 'Mac'],
+  [/Windows/i, 'Windows'],
+  [/Linux/i, 'Linux']
+];
+
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return null;
+  if (/^WANT2\//i.test(userAgent)) return 'Application WANT2';
+
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent));
+  return platform ? platform[1] : null;
+};
+
+// Informations de l'appareil à l'origine de la requête
+const getClientInfo = (req, deviceName) => {
+  const userAgent = req.get('User-Agent')?.slice(0, 500) || null;
+
+  return {
+    deviceName: deviceName || describeUserAgent(userAgent),
+    userAgent,
+    ipAddress: req.ip || null
+  };
+};
+
+// Créer un refresh token dans une famille (client Prisma ou transaction)
+const createRefreshToken = async (db, userId, familyId, data = {}) => {
+  const refreshToken = jwtUtils.generateRefreshToken({ id: userId, sid: familyId, jti: crypto.randomUUID() });
+  const now = new Date();
+
+  const record = await db.authToken.create({
+    data: {
+      token: hashToken(refreshToken),
+      type: 'REFRESH',
+      userId,
+      familyId,
+      expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+      lastUsedAt: now,
+      ...data
+    },
+    select: sessionSelect
+  });
+
+  return { record, refreshToken };
+};
+
+// Ouvrir une session sur un appareil et générer ses tokens
+export const createSession = async (userId, req, { deviceName } = {}) => {
+  const familyId = crypto.randomUUID();
+  const { record, refreshToken } = await createRefreshToken(prisma, userId, familyId, getClientInfo(req, deviceName));
+
+  return {
+    session: { ...record, id: familyId },
+    tokens: {
+      accessToken: jwtUtils.generateAccessToken({ id: userId, sid: familyId }),
+      refreshToken
+    }
+  };
+};
+
+// Révoquer tous les tokens d'une famille et refuser les tokens d'accès de la session
+export const revokeFamily = async (familyId) => {
+  const { count } = await prisma.authToken.updateMany({
+    where: { ...familyWhere(familyId), isRevoked: false },
+    data: { isRevoked: true }
+  });
+
+  await cache.set(`revoked_session:${familyId}`, true, Math.ceil(SESSION_TTL_MS / 1000));
+
+  return count;
+};
+
+// Réutilisation d'un refresh token déjà remplacé : vol probable, toute la session est révoquée
+const handleTokenReuse = async (record, req) => {
+  const familyId = getFamilyId(record);
+  const revokedCount = await revokeFamily(familyId);
+
+  appLogger.security('Réutilisation d\'un refresh token déjà remplacé, session révoquée', {
+    userId: record.userId,
+    sessionId: familyId,
+    revokedCount,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  await createNotification({
+    userId: record.userId,
+    type: 'SECURITY_ALERT',
+    title: 'Activité suspecte détectée',
+    message: `Une ancienne clé de connexion${record.deviceName ? ` (${record.deviceName})` : ''} a été réutilisée. La session concernée a été fermée par sécurité : reconnectez-vous et changez votre mot de passe si ce n'était pas vous.`,
+    data: { sessionId: familyId, ipAddress: req.ip || null }
+  });
+};
+
+// Rafraîchir les tokens d'une session (rotation du refresh token avec détection de réutilisation)
+export const refreshSession = async (refreshToken, req) => {
+  // Vérification de la signature et de l'expiration
+  jwtUtils.verifyRefreshToken(refreshToken);
+
+  const record = await prisma.authToken.findUnique({
+    where: { token: hashToken(refreshToken) }
+  });
+
+  if (!record || record.type !== 'REFRESH') {
+    throw errors.unauthorized('Refresh token invalide ou expiré');
+  }
+
+  if (record.isRevoked) {
+    if (record.rotatedAt) {
+      await handleTokenReuse(record, req);
+    }
+    throw errors.unauthorized('Refresh token invalide ou expiré');
+  }
+
+  if (record.expiresAt <= new Date()) {
+    throw errors.unauthorized('Refresh token invalide ou expiré');
+  }
+
+  // Compte suspendu, banni ou supprimé : plus de nouveaux tokens
+  const user = await prisma.user.findUnique({
+    where: { id: record.userId },
+    select: { status: true, suspendedUntil: true, statusReason: true }
+  });
+
+  if (!user) {
+    throw errors.unauthorized('Refresh token invalide ou expiré');
+  }
+
+  assertAccountActive(user);
+
+  const familyId = getFamilyId(record);
+  const accessToken = jwtUtils.generateAccessToken({ id: record.userId, sid: familyId });
+
+  if (!isRotationEnabled()) {
+    await prisma.authToken.update({
+      where: { id: record.id },
+      data: { lastUsedAt: new Date(), ipAddress: req.ip || null }
+    });
+
+    return { accessToken, refreshToken };
+  }
+
+  const newRefreshToken = await prisma.$transaction(async (tx) => {
+    // Garde : un seul rafraîchissement par token, même en cas de requêtes concurrentes
+    const { count } = await tx.authToken.updateMany({
+      where: { id: record.id, isRevoked: false },
+      data: { isRevoked: true, rotatedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const { refreshToken: token } = await createRefreshToken(tx, record.userId, familyId, {
+      deviceName: record.deviceName,
+      userAgent: req.get('User-Agent')?.slice(0, 500) || record.userAgent,
+      ipAddress: req.ip || null
+    });
+
+    return token;
+  });
+
+  // Token remplacé entre-temps par une autre requête : traité comme une réutilisation
+  if (!newRefreshToken) {
+    await handleTokenReuse(record, req);
+    throw errors.unauthorized('Refresh token invalide ou expiré');
+  }
+
+  return { accessToken, refreshToken: newRefreshToken };
+};
+
+// Sessions actives d'un utilisateur, la plus récemment utilisée en premier
+export const listSessions = async (userId, currentSessionId = null) => {
+  const tokens = await prisma.authToken.findMany({
+    where: {
+      userId,
+      type: 'REFRESH',
+      isRevoked: false,
+      expiresAt: { gt: new Date() }
+    },
+    select: { ...sessionSelect, familyId: true },
+    orderBy: [
+      { lastUsedAt: { sort: 'desc', nulls: 'last' } },
+      { createdAt: 'desc' }
+    ]
+  });
+
+  // Date d'ouverture de chaque session : premier token de la famille
+  const openings = await prisma.authToken.groupBy({
+    by: ['familyId'],
+    where: { familyId: { in: tokens.map(token => token.familyId).filter(Boolean) } },
+    _min: { createdAt: true }
+  });
+  const openedAt = new Map(openings.map(({ familyId, _min }) => [familyId, _min.createdAt]));
+
+  return tokens.map(({ familyId, ...token }) => {
+    const id = familyId || token.id;
+    return {
+      ...token,
+      id,
+      createdAt: openedAt.get(familyId) || token.createdAt,
+      current: id === currentSessionId
+    };
+  });
+};
+
+// Révoquer une session : refresh tokens invalidés et tokens d'accès associés refusés
+export const revokeSession = async (userId, sessionId) => {
+  const session = await prisma.authToken.findFirst({
+    where: { ...familyWhere(sessionId), userId },
+    select: { id: true }
+  });
+
+  if (!session) {
+    throw errors.notFound('Session');
+  }
+
+  await revokeFamily(sessionId);
+
+  appLogger.auth(`Session révoquée: ${sessionId}`, { userId, sessionId });
+
+  return session;
+};
+
+// Supprimer les tokens expirés (refresh tokens remplacés et empreintes de tokens d'accès)
+export const purgeExpiredTokens = async (now = new Date()) => {
+  const { count } = await prisma.authToken.deleteMany({
+    where: { expiresAt: { lt: now } }
+  });
+
+  return count;
+};
+
+export default {
+  hashToken,
+  createSession,
+  revokeFamily,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  purgeExpiredTokens
+};
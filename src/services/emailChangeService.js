@@ -0,0 +1,167 @@
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { appLogger } from '../utils/logger.js';
+import { queueUserEmail } from './emailService.js';
+import { issueOneTimeToken, consumeOneTimeToken } from './oneTimeTokenService.js';
+import { revokeUserSessions } from './moderationService.js';
+
+// Changement d'email en deux temps : l'adresse n'est remplacée qu'après confirmation par la nouvelle
+// adresse, et l'ancienne reçoit un lien d'annulation qui permet aussi de revenir en arrière
+
+const invalidateUserCaches = async (userId) => {
+  await cache.del(`user:${userId}`);
+  await cache.del(`user:profile:${userId}`);
+  await cache.del(`user:public:${userId}`);
+};
+
+const assertEmailAvailable = async (email, userId) => {
+  const existingUser = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true }
+  });
+
+  if (existingUser && existingUser.id !== userId) {
+    throw errors.conflict('Cette adresse email est déjà utilisée');
+  }
+};
+
+// Enregistrer une demande de changement et envoyer les liens de confirmation et d'annulation
+export const requestEmailChange = async (userId, newEmail) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  if (newEmail === user.email) {
+    throw errors.badRequest('Cette adresse est déjà celle de votre compte');
+  }
+
+  await assertEmailAvailable(newEmail, userId);
+
+  // Compte non vérifié tant que la nouvelle adresse n'est pas confirmée
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      pendingEmail: newEmail,
+      emailChangeRequestedAt: new Date(),
+      isVerified: false
+    }
+  });
+
+  const [confirmToken, cancelToken] = await Promise.all([
+    issueOneTimeToken(userId, 'EMAIL_CHANGE'),
+    issueOneTimeToken(userId, 'EMAIL_CHANGE_CANCEL')
+  ]);
+
+  await queueUserEmail(userId, 'emailChangeConfirm', { token: confirmToken, newEmail }, { to: newEmail });
+  await queueUserEmail(userId, 'emailChangeRequested', { token: cancelToken, newEmail });
+
+  await invalidateUserCaches(userId);
+
+  appLogger.security(`Changement d'email demandé: ${user.email} -> ${newEmail}`, { userId });
+
+  return { pendingEmail: newEmail };
+};
+
+// Confirmer la nouvelle adresse (lien reçu sur la nouvelle adresse)
+export const confirmEmailChange = async (token) => {
+  const userId = await consumeOneTimeToken(token, 'EMAIL_CHANGE', 'Lien de confirmation invalide ou expiré');
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, pendingEmail: true }
+  });
+
+  if (!user?.pendingEmail) {
+    throw errors.badRequest('Aucun changement d\'email en attente');
+  }
+
+  // L'adresse a pu être prise entre la demande et la confirmation
+  await assertEmailAvailable(user.pendingEmail, userId);
+
+  const updatedUser = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      email: user.pendingEmail,
+      previousEmail: user.email,
+      pendingEmail: null,
+      emailChangeRequestedAt: null,
+      isVerified: true
+    },
+    select: {
+      id: true,
+      email: true,
+      isVerified: true
+    }
+  });
+
+  // Toutes les sessions sont fermées : reconnexion avec la nouvelle adresse
+  await revokeUserSessions(userId);
+  await invalidateUserCaches(userId);
+
+  appLogger.security(`Email modifié: ${user.email} -> ${updatedUser.email}`, { userId });
+
+  return updatedUser;
+};
+
+// Annuler la demande, ou restaurer l'ancienne adresse si elle a déjà été confirmée (lien reçu sur l'ancienne adresse)
+export const cancelEmailChange = async (token) => {
+  const userId = await consumeOneTimeToken(token, 'EMAIL_CHANGE_CANCEL', 'Lien d\'annulation invalide ou expiré');
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, pendingEmail: true, previousEmail: true }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  const restoredEmail = user.pendingEmail ? user.email : user.previousEmail;
+  if (!restoredEmail) {
+    throw errors.badRequest('Aucun changement d\'email à annuler');
+  }
+
+  await assertEmailAvailable(restoredEmail, userId);
+
+  // Le lien prouve la possession de l'ancienne adresse : elle redevient vérifiée
+  const updatedUser = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      email: restoredEmail,
+      previousEmail: null,
+      pendingEmail: null,
+      emailChangeRequestedAt: null,
+      isVerified: true
+    },
+    select: {
+      id: true,
+      email: true,
+      isVerified: true
+    }
+  });
+
+  // Le lien de confirmation éventuellement encore valable ne doit plus servir
+  await prisma.authToken.updateMany({
+    where: { userId, type: 'EMAIL_CHANGE', usedAt: null, isRevoked: false },
+    data: { isRevoked: true }
+  });
+
+  await revokeUserSessions(userId);
+  await invalidateUserCaches(userId);
+
+  appLogger.security(`Changement d'email annulé, adresse conservée: ${restoredEmail}`, { userId });
+
+  return updatedUser;
+};
+
+export default {
+  requestEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+};
@@ -0,0 +1,166 @@
+import nodemailer from 'nodemailer';
+import prisma from '../database/connection.js';
+import { logger } from '../utils/logger.js';
+import { areQueuesEnabled, getQueue } from './queueService.js';
+import { renderEmail } from './emailTemplates.js';
+
+const QUEUE_NAME = 'email-outbox';
+
+// Catégorie de chaque modèle : les emails de compte sont toujours envoyés,
+// les autres respectent les préférences de notification
+const templateCategories = {
+  verification: 'account',
+  passwordReset: 'account',
+  accountLocked: 'account',
+  magicLink: 'account',
+  emailChangeConfirm: 'account',
+  emailChangeRequested: 'account',
+  offerReceived: 'offer',
+  offerAccepted: 'offer',
+  offerRejected: 'offer',
+  offerCountered: 'offer',
+  weeklyDigest: 'digest',
+  savedSearchMatch: 'digest',
+  savedSearchDigest: 'digest'
+};
+
+const getMaxAttempts = () => parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+
+let transporter = null;
+
+// Transport SMTP si SMTP_HOST est défini (ex. Mailpit/MailHog en local sur le port 1025),
+// sinon transport JSON qui journalise les messages sans les envoyer
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      })
+    });
+  } else {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+    logger.warn('⚠️ SMTP_HOST non défini : les emails sont journalisés sans être envoyés');
+  }
+
+  return transporter;
+};
+
+// Envoi effectif d'un message déjà rendu
+export const deliverEmail = async ({ to, subject, html, text, template }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'WANT2 <no-reply@want2.app>',
+    to,
+    subject,
+    html,
+    text
+  });
+
+  logger.info(`📧 Email ${template || ''} envoyé à ${to} (${info.messageId})`);
+  return info;
+};
+
+// Repli sans Redis : envoi en process avec retries et backoff exponentiel
+const deliverWithRetry = async (message, attempt = 1) => {
+  try {
+    await deliverEmail(message);
+  } catch (error) {
+    if (attempt >= getMaxAttempts()) {
+      logger.error(`❌ Email ${message.template} à ${message.to} abandonné après ${attempt} tentatives:`, error.message);
+      return;
+    }
+    const delay = 5000 * 2 ** (attempt - 1);
+    setTimeout(() => deliverWithRetry(message, attempt + 1), delay).unref();
+  }
+};
+
+// Rendre un modèle et le placer dans la file d'envoi
+export const sendEmail = async ({ to, template, locale = 'fr', data = {} }) => {
+  const message = {
+    to,
+    template,
+    ...renderEmail(template, locale, data)
+  };
+
+  if (areQueuesEnabled()) {
+    await getQueue(QUEUE_NAME).add('send', message, {
+      attempts: getMaxAttempts(),
+      backoff: { type: 'exponential', delay: 30000 }
+    });
+  } else {
+    deliverWithRetry(message);
+  }
+
+  return message;
+};
+
+// Envoyer un email à un utilisateur en respectant ses préférences et sa langue
+// `to` remplace l'adresse du compte (ex. confirmation d'une nouvelle adresse)
+export const sendUserEmail = async (userId, template, data = {}, { to } = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      email: true,
+      name: true,
+      locale: true,
+      status: true,
+      preferences: {
+        select: {
+          emailNotifications: true,
+          offerNotifications: true
+        }
+      }
+    }
+  });
+
+  if (!user || user.status === 'DELETED') {
+    return null;
+  }
+
+  const category = templateCategories[template];
+  const preferences = user.preferences || { emailNotifications: true, offerNotifications: true };
+
+  if (category !== 'account') {
+    if (!preferences.emailNotifications) return null;
+    if (category === 'offer' && !preferences.offerNotifications) return null;
+  }
+
+  return sendEmail({
+    to: to || user.email,
+    template,
+    locale: user.locale,
+    data: { name: user.name, ...data }
+  });
+};
+
+// Variante pour les emails secondaires : une erreur ne doit pas faire échouer la requête
+export const queueUserEmail = (userId, template, data = {}, options = {}) => {
+  return sendUserEmail(userId, template, data, options)
+    .catch(error => logger.error(`❌ Email ${template} non planifié pour ${userId}:`, error));
+};
+
+// Démarrer le consommateur de la file d'envoi (avec Redis uniquement)
+export const startEmailWorker = () => {
+  if (!areQueuesEnabled()) return null;
+
+  const queue = getQueue(QUEUE_NAME);
+  queue.process('send', (job) => deliverEmail(job.data));
+  logger.info('📧 Consommateur de la file email démarré');
+  return queue;
+};
+
+export default {
+  deliverEmail,
+  sendEmail,
+  sendUserEmail,
+  queueUserEmail,
+  startEmailWorker
+};
@@ -0,0 +1,332 @@
+// Modèles d'emails transactionnels (HTML + texte) en français et en anglais
+
+export const SUPPORTED_LOCALES = ['fr', 'en'];
+
+const getAppUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Échapper les valeurs saisies par les utilisateurs (noms, titres, messages)
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount, locale) => new Intl.NumberFormat(locale === 'en' ? 'en-GB' : 'fr-FR', {
+  style: 'currency',
+  currency: 'EUR'
+}).format(amount);
+
+// Textes communs
+const common = {
+  fr: {
+    greeting: (name) => `Bonjour ${name},`,
+    signature: 'L\'équipe WANT2',
+    colon: ' : ',
+    footer: 'Vous recevez cet email car vous avez un compte WANT2. Gérez vos notifications depuis les réglages de l\'application.',
+    ignore: 'Si vous n\'êtes pas à l\'origine de cette demande, ignorez simplement cet email.'
+  },
+  en: {
+    greeting: (name) => `Hi ${name},`,
+    signature: 'The WANT2 team',
+    colon: ': ',
+    footer: 'You are receiving this email because you have a WANT2 account. Manage your notifications from the app settings.',
+    ignore: 'If you did not make this request, you can safely ignore this email.'
+  }
+};
+
+// Contenu de chaque modèle : sujet, paragraphes et bouton d'action optionnel
+// Les valeurs des paragraphes sont du texte brut, échappé au rendu HTML
+const templates = {
+  verification: {
+    fr: (data) => ({
+      subject: 'Confirmez votre adresse email',
+      paragraphs: ['Bienvenue sur WANT2 ! Confirmez votre adresse email pour sécuriser votre compte.', 'Ce lien expire dans 1 heure.'],
+      action: { label: 'Confirmer mon email', url: `${getAppUrl()}/verify-email/${data.token}` },
+      footnote: common.fr.ignore
+    }),
+    en: (data) => ({
+      subject: 'Confirm your email address',
+      paragraphs: ['Welcome to WANT2! Please confirm your email address to secure your account.', 'This link expires in 1 hour.'],
+      action: { label: 'Confirm my email', url: `${getAppUrl()}/verify-email/${data.token}` },
+      footnote: common.en.ignore
+    })
+  },
+
+  passwordReset: {
+    fr: (data) => ({
+      subject: 'Réinitialisation de votre mot de passe',
+      paragraphs: ['Vous avez demandé à réinitialiser votre mot de passe.', 'Ce lien expire dans 1 heure.'],
+      action: { label: 'Choisir un nouveau mot de passe', url: `${getAppUrl()}/reset-password?token=${data.token}` },
+      footnote: common.fr.ignore
+    }),
+    en: (data) => ({
+      subject: 'Reset your password',
+      paragraphs: ['You asked to reset your password.', 'This link expires in 1 hour.'],
+      action: { label: 'Choose a new password', url: `${getAppUrl()}/reset-password?token=${data.token}` },
+      footnote: common.en.ignore
+    })
+  },
+
+  emailChangeConfirm: {
+    fr: (data) => ({
+      subject: 'Confirmez votre nouvelle adresse email',
+      paragraphs: [
+        `Vous avez demandé à utiliser ${data.newEmail} pour votre compte WANT2.`,
+        'Confirmez ce changement pour qu\'il prenne effet. Ce lien expire dans 24 heures.'
+      ],
+      action: { label: 'Confirmer ma nouvelle adresse', url: `${getAppUrl()}/confirm-email-change/${data.token}` },
+      footnote: common.fr.ignore
+    }),
+    en: (data) => ({
+      subject: 'Confirm your new email address',
+      paragraphs: [
+        `You asked to use ${data.newEmail} for your WANT2 account.`,
+        'Confirm this change for it to take effect. This link expires in 24 hours.'
+      ],
+      action: { label: 'Confirm my new address', url: `${getAppUrl()}/confirm-email-change/${data.token}` },
+      footnote: common.en.ignore
+    })
+  },
+
+  emailChangeRequested: {
+    fr: (data) => ({
+      subject: 'Changement d\'adresse email demandé',
+      paragraphs: [
+        `Une demande de changement de l'adresse email de votre compte vers ${data.newEmail} a été faite.`,
+        'Si vous n\'êtes pas à l\'origine de cette demande, annulez-la : votre adresse actuelle sera conservée (ou restaurée) et toutes les sessions seront fermées. Ce lien reste valable 7 jours.'
+      ],
+      action: { label: 'Annuler le changement', url: `${getAppUrl()}/cancel-email-change/${data.token}` }
+    }),
+    en: (data) => ({
+      subject: 'Email address change requested',
+      paragraphs: [
+        `A request was made to change your account email address to ${data.newEmail}.`,
+        'If you did not make this request, cancel it: your current address will be kept (or restored) and all sessions will be signed out. This link is valid for 7 days.'
+      ],
+      action: { label: 'Cancel the change', url: `${getAppUrl()}/cancel-email-change/${data.token}` }
+    })
+  },
+
+  magicLink: {
+    fr: (data) => ({
+      subject: 'Votre lien de connexion WANT2',
+      paragraphs: ['Utilisez le bouton ci-dessous pour vous connecter sans mot de passe.', 'Ce lien ne fonctionne qu\'une fois et expire dans 15 minutes.'],
+      action: { label: 'Me connecter', url: data.url },
+      footnote: common.fr.ignore
+    }),
+    en: (data) => ({
+      subject: 'Your WANT2 sign-in link',
+      paragraphs: ['Use the button below to sign in without a password.', 'This link works only once and expires in 15 minutes.'],
+      action: { label: 'Sign in', url: data.url },
+      footnote: common.en.ignore
+    })
+  },
+
+  accountLocked: {
+    fr: (data) => ({
+      subject: 'Votre compte a été temporairement verrouillé',
+      paragraphs: [
+        `Suite à plusieurs tentatives de connexion échouées, votre compte est verrouillé pendant ${data.minutes} minutes.`,
+        'Si c\'était bien vous, déverrouillez-le dès maintenant avec le bouton ci-dessous. Sinon, nous vous conseillons de changer votre mot de passe.'
+      ],
+      action: { label: 'Déverrouiller mon compte', url: `${getAppUrl()}/unlock-account/${data.token}` }
+    }),
+    en: (data) => ({
+      subject: 'Your account has been temporarily locked',
+      paragraphs: [
+        `After several failed sign-in attempts, your account is locked for ${data.minutes} minutes.`,
+        'If this was you, unlock it right away with the button below. Otherwise, we recommend changing your password.'
+      ],
+      action: { label: 'Unlock my account', url: `${getAppUrl()}/unlock-account/${data.token}` }
+    })
+  },
+
+  offerReceived: {
+    fr: (data) => ({
+      subject: `Nouvelle offre pour "${data.productTitle}"`,
+      paragraphs: [`${data.buyerName} vous propose ${formatAmount(data.amount, 'fr')} pour "${data.productTitle}".`, 'Acceptez, refusez ou faites une contre-offre depuis l\'application.'],
+      action: { label: 'Voir l\'offre', url: `${getAppUrl()}/offers/${data.offerId}` }
+    }),
+    en: (data) => ({
+      subject: `New offer for "${data.productTitle}"`,
+      paragraphs: [`${data.buyerName} offers ${formatAmount(data.amount, 'en')} for "${data.productTitle}".`, 'Accept, decline or counter from the app.'],
+      action: { label: 'View offer', url: `${getAppUrl()}/offers/${data.offerId}` }
+    })
+  },
+
+  offerAccepted: {
+    fr: (data) => ({
+      subject: `Offre acceptée pour "${data.productTitle}" 🎉`,
+      paragraphs: [`Votre proposition de ${formatAmount(data.amount, 'fr')} pour "${data.productTitle}" a été acceptée.`, 'Finalisez la commande depuis l\'application.'],
+      action: { label: 'Voir la commande', url: `${getAppUrl()}/orders/${data.orderId}` }
+    }),
+    en: (data) => ({
+      subject: `Offer accepted for "${data.productTitle}" 🎉`,
+      paragraphs: [`Your ${formatAmount(data.amount, 'en')} proposal for "${data.productTitle}" was accepted.`, 'Complete the order from the app.'],
+      action: { label: 'View order', url: `${getAppUrl()}/orders/${data.orderId}` }
+    })
+  },
+
+  offerRejected: {
+    fr: (data) => ({
+      subject: `Offre déclinée pour "${data.productTitle}"`,
+      paragraphs: [
+        `Votre proposition de ${formatAmount(data.amount, 'fr')} pour "${data.productTitle}" a été déclinée.`,
+        ...(data.reason ? [`Motif : ${data.reason}`] : [])
+      ],
+      action: { label: 'Voir le produit', url: `${getAppUrl()}/products/${data.productId}` }
+    }),
+    en: (data) => ({
+      subject: `Offer declined for "${data.productTitle}"`,
+      paragraphs: [
+        `Your ${formatAmount(data.amount, 'en')} proposal for "${data.productTitle}" was declined.`,
+        ...(data.reason ? [`Reason: ${data.reason}`] : [])
+      ],
+      action: { label: 'View product', url: `${getAppUrl()}/products/${data.productId}` }
+    })
+  },
+
+  offerCountered: {
+    fr: (data) => ({
+      subject: `Contre-offre pour "${data.productTitle}"`,
+      paragraphs: [
+        `${data.proposerName} vous propose ${formatAmount(data.amount, 'fr')} pour "${data.productTitle}" (proposition ${data.round}/${data.maxRounds}).`,
+        'Acceptez, refusez ou répondez depuis l\'application.'
+      ],
+      action: { label: 'Voir la négociation', url: `${getAppUrl()}/offers/${data.offerId}` }
+    }),
+    en: (data) => ({
+      subject: `Counter-offer for "${data.productTitle}"`,
+      paragraphs: [
+        `${data.proposerName} proposes ${formatAmount(data.amount, 'en')} for "${data.productTitle}" (proposal ${data.round}/${data.maxRounds}).`,
+        'Accept, decline or reply from the app.'
+      ],
+      action: { label: 'View negotiation', url: `${getAppUrl()}/offers/${data.offerId}` }
+    })
+  },
+
+  weeklyDigest: {
+    fr: (data) => ({
+      subject: 'Votre semaine sur WANT2',
+      paragraphs: [
+        'Voici ce que vous avez manqué cette semaine :',
+        `• ${data.offersReceived} offre(s) reçue(s)`,
+        `• ${data.offersAwaitingResponse} offre(s) en attente de votre réponse`,
+        `• ${data.unreadMessages} message(s) non lu(s)`,
+        `• ${data.unreadNotifications} notification(s) non lue(s)`
+      ],
+      action: { label: 'Ouvrir WANT2', url: getAppUrl() }
+    }),
+    en: (data) => ({
+      subject: 'Your week on WANT2',
+      paragraphs: [
+        'Here is what you missed this week:',
+        `• ${data.offersReceived} offer(s) received`,
+        `• ${data.offersAwaitingResponse} offer(s) awaiting your reply`,
+        `• ${data.unreadMessages} unread message(s)`,
+        `• ${data.unreadNotifications} unread notification(s)`
+      ],
+      action: { label: 'Open WANT2', url: getAppUrl() }
+    })
+  },
+
+  savedSearchMatch: {
+    fr: (data) => ({
+      subject: `Nouvelle annonce pour « ${data.searchName} »`,
+      paragraphs: [`"${data.productTitle}" à ${formatAmount(data.price, 'fr')} correspond à votre recherche « ${data.searchName} ».`],
+      action: { label: 'Voir l\'annonce', url: `${getAppUrl()}/products/${data.productId}` },
+      footnote: 'Vous pouvez passer cette alerte en récapitulatif quotidien ou hebdomadaire depuis vos recherches sauvegardées.'
+    }),
+    en: (data) => ({
+      subject: `New listing for "${data.searchName}"`,
+      paragraphs: [`"${data.productTitle}" at ${formatAmount(data.price, 'en')} matches your saved search "${data.searchName}".`],
+      action: { label: 'View listing', url: `${getAppUrl()}/products/${data.productId}` },
+      footnote: 'You can switch this alert to a daily or weekly digest from your saved searches.'
+    })
+  },
+
+  savedSearchDigest: {
+    fr: (data) => ({
+      subject: 'Nouvelles annonces pour vos recherches',
+      paragraphs: [
+        'De nouvelles annonces correspondent à vos recherches sauvegardées :',
+        ...data.searches.flatMap(search => [
+          `• « ${search.name} » : ${search.count} nouvelle(s) annonce(s)`,
+          ...search.products.map(product => `   – ${product.title} (${formatAmount(product.price, 'fr')})`)
+        ])
+      ],
+      action: { label: 'Voir mes recherches', url: `${getAppUrl()}/saved-searches` }
+    }),
+    en: (data) => ({
+      subject: 'New listings for your searches',
+      paragraphs: [
+        'New listings match your saved searches:',
+        ...data.searches.flatMap(search => [
+          `• "${search.name}": ${search.count} new listing(s)`,
+          ...search.products.map(product => `   – ${product.title} (${formatAmount(product.price, 'en')})`)
+        ])
+      ],
+      action: { label: 'View my searches', url: `${getAppUrl()}/saved-searches` }
+    })
+  }
+};
+
+export const EMAIL_TEMPLATES = Object.keys(templates);
+
+// Mise en page HTML commune
+const renderHtml = (content, strings, name) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:Helvetica,Arial,sans-serif;color:#222;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h1 style="font-size:20px;margin:0 0 24px;">WANT2</h1>
+        <p>${escapeHtml(strings.greeting(name))}</p>
+        ${content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${content.action ? `<p style="margin:32px 0;"><a href="${escapeHtml(content.action.url)}" style="background:#111;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none;">${escapeHtml(content.action.label)}</a></p>` : ''}
+        ${content.footnote ? `<p style="color:#666;font-size:13px;">${escapeHtml(content.footnote)}</p>` : ''}
+        <p>${escapeHtml(strings.signature)}</p>
+        <p style="color:#999;font-size:12px;margin-top:32px;">${escapeHtml(strings.footer)}</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+// Version texte brut
+const renderText = (content, strings, name) => [
+  strings.greeting(name),
+  '',
+  ...content.paragraphs,
+  ...(content.action ? ['', `${content.action.label}${strings.colon}${content.action.url}`] : []),
+  ...(content.footnote ? ['', content.footnote] : []),
+  '',
+  strings.signature,
+  '',
+  '--',
+  strings.footer
+].join('\n');
+
+// Produire le sujet, le HTML et le texte d'un email
+export const renderEmail = (template, locale, data = {}) => {
+  const definition = templates[template];
+  if (!definition) {
+    throw new Error(`Modèle d'email inconnu: ${template}`);
+  }
+
+  const lang = SUPPORTED_LOCALES.includes(locale) ? locale : 'fr';
+  const content = definition[lang](data);
+  const strings = common[lang];
+  const name = data.name || '';
+
+  return {
+    subject: content.subject,
+    html: renderHtml(content, strings, name),
+    text: renderText(content, strings, name)
+  };
+};
+
+export default {
+  SUPPORTED_LOCALES,
+  EMAIL_TEMPLATES,
+  renderEmail
+};
@@ -0,0 +1,356 @@
+import prisma from '../database/connection.js';
+import { errors } from '../middleware/errorHandler.js';
+import { appLogger } from '../utils/logger.js';
+import { createNotification } from './notificationService.js';
+
+// Comptes du grand livre
+// HELD / FROZEN : fonds de l'acheteur bloqués (litige pour FROZEN), AVAILABLE : fonds débloqués du vendeur
+export const LEDGER_ACCOUNTS = ['HELD', 'FROZEN', 'AVAILABLE'];
+
+export const ESCROW_STATUSES = ['HELD', 'FROZEN', 'RELEASED', 'REFUNDED'];
+
+// Compte de l'acheteur portant les fonds selon le statut du séquestre
+const buyerAccounts = {
+  HELD: 'HELD',
+  FROZEN: 'FROZEN'
+};
+
+const getInspectionWindowHours = () => parseInt(process.env.ESCROW_INSPECTION_WINDOW_HOURS) || 7 * 24; // 7 jours
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getRemainingAmount = (escrow) => roundAmount(escrow.amount - escrow.refundedAmount);
+
+// Enregistrer un mouvement : écritures du grand livre + ligne d'audit (dans une transaction)
+const recordMovement = async (tx, escrow, { action, toStatus, amount, actorId = null, reason = null, entries = [] }) => {
+  for (const entry of entries) {
+    await tx.ledgerEntry.create({
+      data: {
+        escrowId: escrow.id,
+        currency: escrow.currency,
+        type: action,
+        ...entry,
+        amount: roundAmount(entry.amount)
+      }
+    });
+  }
+
+  await tx.escrowAuditLog.create({
+    data: {
+      escrowId: escrow.id,
+      action,
+      fromStatus: escrow.status,
+      toStatus,
+      amount: roundAmount(amount),
+      actorId,
+      reason
+    }
+  });
+};
+
+// Mettre à jour le séquestre en vérifiant qu'il n'a pas changé entre-temps
+const updateEscrowGuarded = async (tx, escrow, data) => {
+  const { count } = await tx.escrow.updateMany({
+    where: { id: escrow.id, status: escrow.status, refundedAmount: escrow.refundedAmount },
+    data
+  });
+
+  if (count === 0) {
+    throw errors.conflict('Le séquestre a été modifié entre-temps, veuillez réessayer');
+  }
+};
+
+// Bloquer les fonds d'une commande payée via un paiement encaissé
+export const holdEscrow = async (tx, order, { actorId = null } = {}) => {
+  const existing = await tx.escrow.findUnique({ where: { orderId: order.id } });
+  if (existing) return null;
+
+  // Aucun paiement encaissé : aucun fonds à séquestrer
+  const payment = await tx.payment.findFirst({
+    where: { orderId: order.id, status: 'SUCCEEDED' },
+    orderBy: { succeededAt: 'desc' }
+  });
+  if (!payment) return null;
+
+  const escrow = await tx.escrow.create({
+    data: {
+      orderId: order.id,
+      buyerId: order.buyerId,
+      sellerId: order.sellerId,
+      amount: payment.amount,
+      currency: payment.currency
+    }
+  });
+
+  await recordMovement(tx, { ...escrow, status: null }, {
+    action: 'HOLD',
+    toStatus: 'HELD',
+    amount: escrow.amount,
+    actorId,
+    entries: [{ userId: order.buyerId, account: 'HELD', amount: escrow.amount }]
+  });
+
+  return { action: 'HOLD', escrow };
+};
+
+// Démarrer la période d'inspection à la réception (un colis lent ne raccourcit pas l'inspection)
+export const startInspectionWindow = async (tx, order, { actorId = null, now = new Date() } = {}) => {
+  const escrow = await tx.escrow.findUnique({ where: { orderId: order.id } });
+  if (!escrow || escrow.status !== 'HELD') return null;
+
+  const releaseAfter = new Date(now.getTime() + getInspectionWindowHours() * 60 * 60 * 1000);
+
+  await updateEscrowGuarded(tx, escrow, { releaseAfter });
+
+  await tx.escrowAuditLog.create({
+    data: {
+      escrowId: escrow.id,
+      action: 'INSPECTION_STARTED',
+      fromStatus: escrow.status,
+      toStatus: escrow.status,
+      amount: getRemainingAmount(escrow),
+      actorId,
+      reason: `Déblocage automatique le ${releaseAfter.toISOString()}`
+    }
+  });
+
+  return null;
+};
+
+// Débloquer les fonds au profit du vendeur
+export const releaseEscrow = async (tx, order, { actorId = null, reason = null, now = new Date() } = {}) => {
+  const escrow = await tx.escrow.findUnique({ where: { orderId: order.id } });
+  if (!escrow || !buyerAccounts[escrow.status]) return null;
+
+  const amount = getRemainingAmount(escrow);
+
+  await updateEscrowGuarded(tx, escrow, { status: 'RELEASED', releasedAt: now, releaseAfter: null });
+
+  await recordMovement(tx, escrow, {
+    action: 'RELEASE',
+    toStatus: 'RELEASED',
+    amount,
+    actorId,
+    reason,
+    entries: [
+      { userId: escrow.buyerId, account: buyerAccounts[escrow.status], amount: -amount },
+      { userId: escrow.sellerId, account: 'AVAILABLE', amount }
+    ]
+  });
+
+  return { action: 'RELEASE', escrow, amount };
+};
+
+// Geler les fonds pendant un litige
+export const freezeEscrow = async (tx, order, { actorId = null, reason = null, now = new Date() } = {}) => {
+  const escrow = await tx.escrow.findUnique({ where: { orderId: order.id } });
+
+  if (!escrow || escrow.status !== 'HELD') {
+    // Fonds déjà débloqués : le litige sera arbitré par un remboursement
+    if (escrow?.status === 'RELEASED') {
+      appLogger.business(`Litige sur un séquestre déjà débloqué: ${escrow.id}`, { escrowId: escrow.id, orderId: order.id });
+    }
+    return null;
+  }
+
+  const amount = getRemainingAmount(escrow);
+
+  await updateEscrowGuarded(tx, escrow, { status: 'FROZEN', frozenAt: now, releaseAfter: null });
+
+  await recordMovement(tx, escrow, {
+    action: 'FREEZE',
+    toStatus: 'FROZEN',
+    amount,
+    actorId,
+    reason,
+    entries: [
+      { userId: escrow.buyerId, account: 'HELD', amount: -amount },
+      { userId: escrow.buyerId, account: 'FROZEN', amount }
+    ]
+  });
+
+  return { action: 'FREEZE', escrow, amount };
+};
+
+// Répercuter un remboursement (total ou partiel) sur le séquestre
+export const refundEscrow = async (tx, orderId, amount, { actorId = null, reason = null, now = new Date() } = {}) => {
+  const escrow = await tx.escrow.findUnique({ where: { orderId } });
+  if (!escrow || escrow.status === 'REFUNDED' || amount <= 0) return null;
+
+  const refundedAmount = roundAmount(Math.min(escrow.refundedAmount + amount, escrow.amount));
+  const delta = roundAmount(refundedAmount - escrow.refundedAmount);
+  const fullyRefunded = refundedAmount >= escrow.amount;
+
+  // Fonds encore bloqués : débit du compte acheteur, sinon reprise sur le solde du vendeur
+  const entry = buyerAccounts[escrow.status]
+    ? { userId: escrow.buyerId, account: buyerAccounts[escrow.status], amount: -delta }
+    : { userId: escrow.sellerId, account: 'AVAILABLE', amount: -delta };
+
+  const toStatus = fullyRefunded ? 'REFUNDED' : escrow.status;
+
+  await updateEscrowGuarded(tx, escrow, {
+    refundedAmount,
+    ...(fullyRefunded && { status: 'REFUNDED', refundedAt: now, releaseAfter: null })
+  });
+
+  await recordMovement(tx, escrow, {
+    action: 'REFUND',
+    toStatus,
+    amount: delta,
+    actorId,
+    reason,
+    entries: [entry]
+  });
+
+  return { action: 'REFUND', escrow, amount: delta };
+};
+
+// Effet d'une transition de commande sur le séquestre (appelé dans la transaction de la commande)
+export const applyOrderTransition = (tx, order, toStatus, options = {}) => {
+  switch (toStatus) {
+    case 'PAID':
+      return holdEscrow(tx, order, options);
+    case 'DELIVERED':
+      return startInspectionWindow(tx, order, options);
+    case 'COMPLETED':
+      return releaseEscrow(tx, order, options);
+    case 'DISPUTED':
+      return freezeEscrow(tx, order, options);
+    default:
+      return null;
+  }
+};
+
+// Notifier les parties d'un mouvement (après validation de la transaction)
+export const notifyEscrowMovement = async (movement) => {
+  if (!movement) return;
+
+  const { action, escrow, amount } = movement;
+  const data = { escrowId: escrow.id, orderId: escrow.orderId, amount: amount ?? escrow.amount };
+
+  switch (action) {
+    case 'HOLD':
+      await createNotification({
+        userId: escrow.sellerId,
+        type: 'ESCROW_HELD',
+        title: 'Fonds sécurisés 🔒',
+        message: `${escrow.amount}€ sont bloqués en séquestre et vous seront versés à la clôture de la transaction`,
+        data
+      });
+      break;
+
+    case 'RELEASE':
+      await createNotification({
+        userId: escrow.sellerId,
+        type: 'ESCROW_RELEASED',
+        title: 'Fonds débloqués 💸',
+        message: `${amount}€ ont été ajoutés à votre solde disponible`,
+        data
+      });
+      break;
+
+    case 'FREEZE':
+      await Promise.all([escrow.buyerId, escrow.sellerId].map(userId => createNotification({
+        userId,
+        type: 'ESCROW_FROZEN',
+        title: 'Fonds gelés',
+        message: `${amount}€ sont gelés jusqu'à la résolution du litige`,
+        data
+      })));
+      break;
+
+    default:
+      break;
+  }
+
+  appLogger.business(`Séquestre ${escrow.id}: ${action} ${amount ?? escrow.amount}€`, {
+    escrowId: escrow.id,
+    orderId: escrow.orderId
+  });
+};
+
+// Séquestres dont la période d'inspection est écoulée (commande livrée, sans litige)
+export const findEscrowsDueForRelease = (now = new Date(), take = 100) => {
+  return prisma.escrow.findMany({
+    where: {
+      status: 'HELD',
+      releaseAfter: { lte: now },
+      order: { status: 'DELIVERED' }
+    },
+    select: {
+      id: true,
+      orderId: true
+    },
+    orderBy: { releaseAfter: 'asc' },
+    take
+  });
+};
+
+// Soldes d'un utilisateur
+export const getBalances = async (userId) => {
+  const [accounts, pending] = await Promise.all([
+    prisma.ledgerEntry.groupBy({
+      by: ['account'],
+      where: { userId },
+      _sum: { amount: true }
+    }),
+    prisma.escrow.aggregate({
+      where: { sellerId: userId, status: { in: ['HELD', 'FROZEN'] } },
+      _sum: { amount: true, refundedAmount: true },
+      _count: { _all: true }
+    })
+  ]);
+
+  const balances = Object.fromEntries(LEDGER_ACCOUNTS.map(account => [account, 0]));
+  accounts.forEach(({ account, _sum }) => {
+    balances[account] = roundAmount(_sum.amount || 0);
+  });
+
+  return {
+    currency: 'EUR',
+    // Acheteur : fonds bloqués et gelés
+    held: balances.HELD,
+    frozen: balances.FROZEN,
+    // Vendeur : fonds à venir et disponibles
+    pendingIncoming: roundAmount((pending._sum.amount || 0) - (pending._sum.refundedAmount || 0)),
+    pendingEscrows: pending._count._all,
+    available: balances.AVAILABLE
+  };
+};
+
+// Séquestre d'une commande avec son journal d'audit
+export const getEscrowForOrder = async (orderId, userId) => {
+  const escrow = await prisma.escrow.findUnique({
+    where: { orderId },
+    include: {
+      auditLogs: {
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!escrow) {
+    throw errors.notFound('Séquestre');
+  }
+
+  if (escrow.buyerId !== userId && escrow.sellerId !== userId) {
+    throw errors.forbidden('Accès non autorisé à ce séquestre');
+  }
+
+  return escrow;
+};
+
+export default {
+  LEDGER_ACCOUNTS,
+  ESCROW_STATUSES,
+  holdEscrow,
+  startInspectionWindow,
+  releaseEscrow,
+  freezeEscrow,
+  refundEscrow,
+  applyOrderTransition,
+  notifyEscrowMovement,
+  findEscrowsDueForRelease,
+  getBalances,
+  getEscrowForOrder
+};
@@ -0,0 +1,191 @@
+import prisma from '../database/connection.js';
+import { errors } from '../middleware/errorHandler.js';
+import { GAZETTEER } from '../utils/gazetteer.js';
+import { facetSelect, aggregateFacets } from './productFacetService.js';
+
+// Recherche géographique des annonces :
+// - pré-filtrage en base par un rectangle englobant le cercle de recherche, servi par l'index
+//   (status, latitude, longitude) quel que soit le nombre d'annonces
+// - distance exacte (formule de haversine) calculée ici pour écarter les coins du rectangle et trier
+// - le tri et la pagination portent sur toutes les annonces du rectangle : au-delà de GEO_MAX_CANDIDATES,
+//   la recherche est refusée plutôt que de classer un sous-ensemble arbitraire
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+export const DEFAULT_SEARCH_RADIUS_KM = 50;
+
+const getMaxCandidates = () => parseInt(process.env.GEO_MAX_CANDIDATES) || 5000;
+
+// Clé de recherche d'une ville : « Saint-Étienne, France » → « saint etienne »
+const normalizeCityName = (name) => String(name).split(',')[0]
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean)
+  .map(word => ({ st: 'saint', ste: 'sainte' }[word] || word))
+  .join(' ');
+
+let citiesByKey = null;
+
+const getCitiesByKey = () => {
+  if (!citiesByKey) {
+    citiesByKey = new Map();
+    for (const city of GAZETTEER) {
+      for (const name of [city.name, ...(city.aliases || [])]) {
+        citiesByKey.set(normalizeCityName(name), city);
+      }
+    }
+  }
+  return citiesByKey;
+};
+
+// Coordonnées d'une ville du répertoire local (null si inconnue)
+export const geocodeCity = (name) => {
+  if (!name) return null;
+  const city = getCitiesByKey().get(normalizeCityName(name));
+  return city ? { name: city.name, latitude: city.latitude, longitude: city.longitude } : null;
+};
+
+// Point de départ d'une recherche : coordonnées explicites ou ville géocodée
+export const resolveSearchOrigin = ({ location, lat, lng }) => {
+  if (lat !== undefined && lng !== undefined) {
+    return { name: null, latitude: lat, longitude: lng };
+  }
+
+  if (!location) return null;
+
+  const origin = geocodeCity(location);
+  if (!origin) {
+    throw errors.badRequest(`Localisation inconnue : ${location}`);
+  }
+  return origin;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Distance à vol d'oiseau en kilomètres
+export const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Filtre Prisma du rectangle englobant le cercle (origin, radiusKm)
+export const boundingBoxWhere = (origin, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const minLat = origin.latitude - latDelta;
+  const maxLat = origin.latitude + latDelta;
+
+  // Le cercle contient un pôle : toutes les longitudes sont concernées
+  if (minLat <= -90 || maxLat >= 90) {
+    return { latitude: { gte: Math.max(minLat, -90), lte: Math.min(maxLat, 90) }, longitude: { not: null } };
+  }
+
+  // Écart de longitude maximal, atteint à la latitude la plus éloignée de l'équateur
+  const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LATITUDE * Math.cos(toRadians(widestLat)));
+  const latitude = { gte: minLat, lte: maxLat };
+
+  if (lngDelta >= 180) {
+    return { latitude, longitude: { not: null } };
+  }
+
+  const minLng = origin.longitude - lngDelta;
+  const maxLng = origin.longitude + lngDelta;
+
+  // Rectangle à cheval sur l'antiméridien : deux plages de longitude
+  if (minLng < -180) {
+    return { latitude, OR: [{ longitude: { gte: minLng + 360 } }, { longitude: { lte: maxLng } }] };
+  }
+  if (maxLng > 180) {
+    return { latitude, OR: [{ longitude: { gte: minLng } }, { longitude: { lte: maxLng - 360 } }] };
+  }
+
+  return { latitude, longitude: { gte: minLng, lte: maxLng } };
+};
+
+const roundDistance = (distance) => Math.round(distance * 10) / 10;
+
+// Ajoute `distance` (km) aux candidats et écarte ceux situés hors du rayon
+export const filterByDistance = (candidates, origin, radiusKm) => candidates
+  .filter(candidate => candidate.latitude !== null && candidate.longitude !== null)
+  .map(candidate => ({ ...candidate, distance: distanceKm(origin, candidate) }))
+  .filter(candidate => candidate.distance <= radiusKm)
+  .map(candidate => ({ ...candidate, distance: roundDistance(candidate.distance) }));
+
+export const compareByDistance = (a, b) => a.distance - b.distance || new Date(b.createdAt) - new Date(a.createdAt);
+
+const sorters = {
+  distance: compareByDistance,
+  // Sans texte recherché, la pertinence d'une recherche géographique est la proximité
+  relevance: compareByDistance,
+  price_asc: (a, b) => a.price - b.price,
+  price_desc: (a, b) => b.price - a.price,
+  date_asc: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  date_desc: (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+};
+
+const candidateSelect = {
+  id: true,
+  latitude: true,
+  longitude: true,
+  price: true,
+  createdAt: true
+};
+
+// Annonces situées dans le rayon : `where` porte les autres filtres, `select` les champs renvoyés,
+// `facets` demande aussi les facettes de l'ensemble des résultats
+// Lève une erreur 400 si le rectangle contient plus de GEO_MAX_CANDIDATES annonces
+export const findNearbyProducts = async ({
+  where,
+  select,
+  origin,
+  radius,
+  sortBy = 'distance',
+  page = 1,
+  limit = 20,
+  facets = false
+}) => {
+  const maxCandidates = getMaxCandidates();
+  const candidates = await prisma.product.findMany({
+    where: { AND: [where, boundingBoxWhere(origin, radius)] },
+    select: facets ? { ...candidateSelect, ...facetSelect } : candidateSelect,
+    // Un candidat de plus que le plafond pour savoir s'il est dépassé
+    take: maxCandidates + 1
+  });
+
+  if (candidates.length > maxCandidates) {
+    throw errors.badRequest(`Trop d'annonces dans ce rayon (plus de ${maxCandidates}) : réduisez le rayon ou ajoutez des filtres`);
+  }
+
+  const matches = filterByDistance(candidates, origin, radius).sort(sorters[sortBy] || compareByDistance);
+  const pageMatches = matches.slice((page - 1) * limit, page * limit);
+
+  const products = await prisma.product.findMany({
+    where: { id: { in: pageMatches.map(match => match.id) } },
+    select
+  });
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  return {
+    total: matches.length,
+    products: pageMatches
+      .filter(match => productsById.has(match.id))
+      .map(match => ({ ...productsById.get(match.id), distance: match.distance })),
+    ...(facets && { facets: aggregateFacets(matches) })
+  };
+};
+
+export default {
+  DEFAULT_SEARCH_RADIUS_KM,
+  geocodeCity,
+  resolveSearchOrigin,
+  distanceKm,
+  boundingBoxWhere,
+  filterByDistance,
+  compareByDistance,
+  findNearbyProducts
+};
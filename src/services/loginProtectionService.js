@@ -0,0 +1,140 @@
+import prisma from '../database/connection.js';
+import { errors } from '../middleware/errorHandler.js';
+import { appLogger } from '../utils/logger.js';
+import { createNotification } from './notificationService.js';
+import { queueUserEmail } from './emailService.js';
+import { issueOneTimeToken, consumeOneTimeToken } from './oneTimeTokenService.js';
+
+// Verrouillage temporaire après trop d'échecs de connexion sur un même compte
+// Compteurs stockés en base : le verrouillage fonctionne sans Redis et entre plusieurs instances
+const getMaxFailedAttempts = () => parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const getAttemptWindowMinutes = () => parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+
+// Refuser la connexion d'un compte verrouillé
+export const assertNotLocked = (user, now = new Date()) => {
+  if (user.lockedUntil && user.lockedUntil > now) {
+    const minutes = Math.ceil((user.lockedUntil.getTime() - now.getTime()) / 60000);
+    throw errors.tooManyRequests(`Compte temporairement verrouillé suite à plusieurs échecs de connexion. Réessayez dans ${minutes} minute(s) ou utilisez le lien reçu par email.`);
+  }
+};
+
+// Verrouiller le compte, prévenir l'utilisateur et lui envoyer un lien de déverrouillage
+// Garde sur le compteur : en cas d'échecs concurrents, une seule requête verrouille et prévient
+const lockAccount = async (user, req, now) => {
+  const minutes = getLockoutMinutes();
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      failedLoginAttempts: { gte: getMaxFailedAttempts() }
+    },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: now,
+      lockedUntil
+    }
+  });
+
+  if (count !== 1) {
+    return;
+  }
+
+  appLogger.security(`Compte verrouillé après ${getMaxFailedAttempts()} échecs de connexion: ${user.email}`, {
+    userId: user.id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    lockedUntil
+  });
+
+  await createNotification({
+    userId: user.id,
+    type: 'SECURITY_ALERT',
+    title: 'Compte temporairement verrouillé',
+    message: `Plusieurs tentatives de connexion ont échoué. Votre compte est verrouillé pendant ${minutes} minutes.`,
+    data: { lockedUntil, ipAddress: req.ip || null }
+  });
+
+  await queueUserEmail(user.id, 'accountLocked', {
+    token: await issueOneTimeToken(user.id, 'ACCOUNT_UNLOCK'),
+    minutes
+  });
+};
+
+// Enregistrer un échec (mot de passe ou code 2FA) et verrouiller au-delà du seuil
+// Compteur incrémenté en base (requêtes atomiques) : des échecs concurrents sont tous comptés
+export const recordFailedLogin = async (user, req, now = new Date()) => {
+  const windowStart = new Date(now.getTime() - getAttemptWindowMinutes() * 60 * 1000);
+
+  // Dernier échec hors de la fenêtre : le compteur repart de zéro
+  await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { lastFailedLoginAt: null },
+        { lastFailedLoginAt: { lte: windowStart } }
+      ]
+    },
+    data: { failedLoginAttempts: 0 }
+  });
+
+  const { failedLoginAttempts: attempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: { increment: 1 },
+      lastFailedLoginAt: now
+    },
+    select: { failedLoginAttempts: true }
+  });
+
+  if (attempts >= getMaxFailedAttempts()) {
+    await lockAccount(user, req, now);
+    return { locked: true, attempts };
+  }
+
+  return { locked: false, attempts };
+};
+
+// Remettre les compteurs à zéro après une connexion réussie
+export const resetFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return;
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    }
+  });
+};
+
+// Déverrouiller un compte via le lien reçu par email
+export const unlockAccount = async (token) => {
+  const userId = await consumeOneTimeToken(token, 'ACCOUNT_UNLOCK', 'Lien de déverrouillage invalide ou expiré');
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null
+    },
+    select: {
+      id: true,
+      email: true
+    }
+  });
+
+  appLogger.security(`Compte déverrouillé par email: ${user.email}`, { userId: user.id });
+
+  return user;
+};
+
+export default {
+  assertNotLocked,
+  recordFailedLogin,
+  resetFailedLogins,
+  unlockAccount
+};
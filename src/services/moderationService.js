@@ -0,0 +1,291 @@
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { jwtUtils } from '../middleware/auth.js';
+import { appLogger } from '../utils/logger.js';
+import { createNotification } from './notificationService.js';
+import { disconnectUser } from './socketService.js';
+import { queueProductMatching } from './savedSearchService.js';
+import { queueProductWatch } from './productWatchService.js';
+import { transitionOrder } from './orderService.js';
+import { refundPayment } from './paymentService.js';
+
+export const REPORT_REASONS = ['SPAM', 'FRAUD', 'COUNTERFEIT', 'INAPPROPRIATE', 'HARASSMENT', 'OTHER'];
+
+export const REPORT_STATUSES = ['PENDING', 'REVIEWING', 'RESOLVED', 'DISMISSED'];
+
+// Actions applicables à la résolution d'un signalement
+export const REPORT_ACTIONS = ['NONE', 'PAUSE_PRODUCT', 'REMOVE_PRODUCT', 'WARN_USER', 'SUSPEND_USER'];
+
+// Issues d'un litige : fonds versés au vendeur ou remboursés à l'acheteur
+export const DISPUTE_RESOLUTIONS = ['RELEASE', 'REFUND'];
+
+const PRODUCT_ACTIONS = ['PAUSE_PRODUCT', 'REMOVE_PRODUCT'];
+
+const getDefaultSuspensionDays = () => parseInt(process.env.MODERATION_SUSPENSION_DAYS) || 7;
+
+// Invalider les caches d'un utilisateur modéré (user:${id} porte le statut lu par authenticate)
+// et les recherches de produits, qui masquent les annonces des vendeurs sanctionnés
+const invalidateUserCaches = async (userId) => {
+  await cache.del(`user:${userId}`);
+  await cache.del(`user:profile:${userId}`);
+  await cache.del(`user:public:${userId}`);
+  await cache.flushPattern(`products:search:*`);
+};
+
+// Révoquer toutes les sessions d'un utilisateur (refresh tokens et tokens d'accès en cours)
+export const revokeUserSessions = async (userId) => {
+  const { count } = await prisma.authToken.updateMany({
+    where: {
+      userId,
+      type: 'REFRESH',
+      isRevoked: false
+    },
+    data: { isRevoked: true }
+  });
+
+  await jwtUtils.revokeUserTokens(userId);
+  await cache.del(`user:${userId}`);
+  disconnectUser(userId);
+
+  return count;
+};
+
+// Retirer un produit de la vente : REPORTED (suspendu) ou DELETED (supprimé)
+export const takeDownProduct = async (productId, { remove = false, reason = null, moderatorId = null } = {}) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, title: true, sellerId: true, status: true }
+  });
+
+  if (!product) {
+    throw errors.notFound('Produit');
+  }
+
+  const status = remove ? 'DELETED' : 'REPORTED';
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: { status }
+  });
+
+  await cache.del(`product:${productId}`);
+  await cache.flushPattern(`products:search:*`);
+
+  await createNotification({
+    userId: product.sellerId,
+    type: 'PRODUCT_MODERATED',
+    title: remove ? 'Annonce supprimée' : 'Annonce suspendue',
+    message: `Votre annonce "${product.title}" a été ${remove ? 'supprimée' : 'suspendue'} par la modération${reason ? ` : ${reason}` : ''}`,
+    data: { productId, status }
+  });
+
+  appLogger.security(`Produit ${productId} ${status} par la modération`, { productId, moderatorId, reason });
+
+  return { ...product, status };
+};
+
+// Avertir un utilisateur
+export const warnUser = async (userId, { reason = null, moderatorId = null } = {}) => {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { warningCount: { increment: 1 } },
+    select: { id: true, warningCount: true }
+  });
+
+  await createNotification({
+    userId,
+    type: 'ACCOUNT_WARNING',
+    title: 'Avertissement ⚠️',
+    message: `Votre compte a reçu un avertissement de la modération${reason ? ` : ${reason}` : ''}`,
+    data: { warningCount: user.warningCount }
+  });
+
+  appLogger.security(`Avertissement envoyé à ${userId}`, { userId, moderatorId, reason });
+
+  return user;
+};
+
+// Suspendre un utilisateur pour une durée donnée et le déconnecter
+export const suspendUser = async (userId, { days = getDefaultSuspensionDays(), reason = null, moderatorId = null } = {}) => {
+  const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { status: 'SUSPENDED', suspendedUntil, statusReason: reason },
+    select: { id: true, status: true, suspendedUntil: true, statusReason: true }
+  });
+
+  await revokeUserSessions(userId);
+  await invalidateUserCaches(userId);
+
+  await createNotification({
+    userId,
+    type: 'ACCOUNT_SUSPENDED',
+    title: 'Compte suspendu',
+    message: `Votre compte est suspendu jusqu'au ${suspendedUntil.toLocaleDateString('fr-FR')}${reason ? ` : ${reason}` : ''}`,
+    data: { suspendedUntil }
+  });
+
+  appLogger.security(`Utilisateur ${userId} suspendu ${days} jours`, { userId, moderatorId, reason });
+
+  return user;
+};
+
+// Remettre en vente un produit retiré par la modération
+export const restoreProduct = async (productId, { moderatorId = null } = {}) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, title: true, sellerId: true, status: true }
+  });
+
+  if (!product) {
+    throw errors.notFound('Produit');
+  }
+
+  if (product.status !== 'REPORTED') {
+    throw errors.badRequest(`Seul un produit suspendu peut être remis en vente (statut: ${product.status})`);
+  }
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: { status: 'ACTIVE' }
+  });
+
+  await cache.del(`product:${productId}`);
+  await cache.flushPattern(`products:search:*`);
+
+  await createNotification({
+    userId: product.sellerId,
+    type: 'PRODUCT_MODERATED',
+    title: 'Annonce rétablie',
+    message: `Votre annonce "${product.title}" est de nouveau en ligne`,
+    data: { productId, status: 'ACTIVE' }
+  });
+
+  appLogger.security(`Produit ${productId} rétabli par la modération`, { productId, moderatorId });
+
+  queueProductMatching(productId);
+  queueProductWatch(productId, { previousStatus: 'REPORTED' });
+
+  return { ...product, status: 'ACTIVE' };
+};
+
+// Bannir définitivement un utilisateur et retirer ses annonces
+export const banUser = async (userId, { reason = null, moderatorId = null } = {}) => {
+  const user = await prisma.$transaction(async (tx) => {
+    await tx.product.updateMany({
+      where: { sellerId: userId, status: 'ACTIVE' },
+      data: { status: 'REPORTED' }
+    });
+
+    return tx.user.update({
+      where: { id: userId },
+      data: { status: 'BANNED', suspendedUntil: null, statusReason: reason },
+      select: { id: true, status: true, suspendedUntil: true, statusReason: true }
+    });
+  });
+
+  await revokeUserSessions(userId);
+  await invalidateUserCaches(userId);
+
+  appLogger.security(`Utilisateur ${userId} banni`, { userId, moderatorId, reason });
+
+  return user;
+};
+
+// Réactiver un compte suspendu ou banni
+export const reactivateUser = async (userId, { moderatorId = null } = {}) => {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { status: 'ACTIVE', suspendedUntil: null, statusReason: null },
+    select: { id: true, status: true, suspendedUntil: true, statusReason: true }
+  });
+
+  await invalidateUserCaches(userId);
+
+  await createNotification({
+    userId,
+    type: 'ACCOUNT_REACTIVATED',
+    title: 'Compte réactivé',
+    message: 'Votre compte est de nouveau actif',
+    data: {}
+  });
+
+  appLogger.security(`Utilisateur ${userId} réactivé`, { userId, moderatorId });
+
+  return user;
+};
+
+// Appliquer l'action décidée à la résolution d'un signalement
+export const applyReportAction = async (report, action, { suspensionDays, note, moderatorId } = {}) => {
+  if (PRODUCT_ACTIONS.includes(action) && !report.productId) {
+    throw errors.badRequest('Ce signalement ne concerne pas un produit');
+  }
+
+  switch (action) {
+    case 'PAUSE_PRODUCT':
+      return takeDownProduct(report.productId, { reason: note, moderatorId });
+    case 'REMOVE_PRODUCT':
+      return takeDownProduct(report.productId, { remove: true, reason: note, moderatorId });
+    case 'WARN_USER':
+      return warnUser(report.targetId, { reason: note, moderatorId });
+    case 'SUSPEND_USER':
+      return suspendUser(report.targetId, { days: suspensionDays, reason: note, moderatorId });
+    default:
+      return null;
+  }
+};
+
+// Arbitrer un litige : la commande quitte DISPUTED et le séquestre gelé est débloqué ou remboursé
+export const resolveDispute = async (orderId, { resolution, reason = null, moderatorId = null }) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    select: { id: true, status: true }
+  });
+
+  if (!order) {
+    throw errors.notFound('Commande');
+  }
+
+  if (order.status !== 'DISPUTED') {
+    throw errors.badRequest(`Seule une commande en litige peut être arbitrée (statut: ${order.status})`);
+  }
+
+  if (resolution === 'RELEASE') {
+    // COMPLETED débloque le séquestre au profit du vendeur
+    await transitionOrder(orderId, 'COMPLETED', { actorId: moderatorId, asPlatform: true, details: { reason } });
+  } else {
+    const payment = await prisma.payment.findFirst({
+      where: { orderId, status: { in: ['SUCCEEDED', 'PARTIALLY_REFUNDED'] } },
+      orderBy: { succeededAt: 'desc' }
+    });
+
+    // Le remboursement intégral vide le séquestre et annule la commande (synchronisation du paiement)
+    if (payment) {
+      await refundPayment(payment.id, null);
+    } else {
+      await transitionOrder(orderId, 'CANCELLED', { actorId: moderatorId, asPlatform: true, details: { reason } });
+    }
+  }
+
+  appLogger.security(`Litige ${orderId} arbitré: ${resolution}`, { orderId, resolution, moderatorId, reason });
+
+  return prisma.order.findUnique({ where: { id: orderId } });
+};
+
+export default {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORT_ACTIONS,
+  DISPUTE_RESOLUTIONS,
+  revokeUserSessions,
+  takeDownProduct,
+  restoreProduct,
+  warnUser,
+  suspendUser,
+  banUser,
+  reactivateUser,
+  applyReportAction,
+  resolveDispute
+};
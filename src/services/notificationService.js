@@ -0,0 +1,43 @@
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { logger } from '../utils/logger.js';
+import { emitToUser } from './socketService.js';
+
+// Créer une notification en base et la pousser en temps réel
+export const createNotification = async ({ userId, type, title, message, data = null }) => {
+  try {
+    const notification = await prisma.notification.create({
+      data: {
+        userId,
+        type,
+        title,
+        message,
+        data: data ? JSON.stringify(data) : null
+      }
+    });
+
+    // Invalider le cache des notifications
+    await cache.flushPattern(`notifications:${userId}:*`);
+    await cache.del(`notification_stats:${userId}`);
+
+    const unreadCount = await prisma.notification.count({
+      where: { userId, isRead: false }
+    });
+
+    emitToUser(userId, 'notification:new', { notification, unreadCount });
+
+    return notification;
+  } catch (error) {
+    logger.error(`Erreur création notification ${type}:`, error);
+    return null;
+  }
+};
+
+// Créer la même famille de notification pour plusieurs utilisateurs
+export const createNotifications = (notifications) =>
+  Promise.all(notifications.map(createNotification));
+
+export default {
+  createNotification,
+  createNotifications
+};
@@ -0,0 +1,64 @@
+import { createRemoteProvider } from './remoteProvider.js';
+import { mockProvider } from './mockProvider.js';
+
+// Registre des providers OpenID Connect
+// Un provider expose : name, issuers, clientIds (audiences acceptées) et getJwks({ forceRefresh })
+const providers = new Map();
+let configured = false;
+
+const parseList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+export const registerOidcProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Providers configurés par l'environnement (lu au premier usage, après dotenv) :
+// activés seulement si leurs client IDs sont renseignés
+const configureProviders = () => {
+  if (configured) return;
+  configured = true;
+
+  const googleClientIds = parseList(process.env.GOOGLE_CLIENT_IDS);
+  if (googleClientIds.length) {
+    registerOidcProvider(createRemoteProvider({
+      name: 'google',
+      issuers: ['https://accounts.google.com', 'accounts.google.com'],
+      clientIds: googleClientIds,
+      jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs'
+    }));
+  }
+
+  const appleClientIds = parseList(process.env.APPLE_CLIENT_IDS);
+  if (appleClientIds.length) {
+    registerOidcProvider(createRemoteProvider({
+      name: 'apple',
+      issuers: ['https://appleid.apple.com'],
+      clientIds: appleClientIds,
+      jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys'
+    }));
+  }
+
+  // Émetteur factice : jamais en production, sauf activation explicite
+  const mockEnabled = process.env.OIDC_MOCK_ENABLED
+    ? process.env.OIDC_MOCK_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'production';
+  if (mockEnabled) {
+    registerOidcProvider(mockProvider);
+  }
+};
+
+export const getOidcProvider = (name) => {
+  configureProviders();
+  return providers.get(name) || null;
+};
+
+export const listOidcProviders = () => {
+  configureProviders();
+  return [...providers.keys()];
+};
+
+export default {
+  registerOidcProvider,
+  getOidcProvider,
+  listOidcProviders
+};
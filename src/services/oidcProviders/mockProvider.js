@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Émetteur OpenID Connect factice, en mémoire (tests et développement hors ligne)
+// La clé de signature est générée au premier usage : seuls les tokens émis par ce processus sont acceptés
+export const MOCK_OIDC_ISSUER = 'https://oidc.mock.want2.local';
+export const MOCK_OIDC_CLIENT_ID = 'want2-mock-client';
+
+let signingKey = null;
+
+const getSigningKey = () => {
+  if (!signingKey) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    signingKey = {
+      kid: crypto.randomUUID(),
+      privateKey,
+      jwk: publicKey.export({ format: 'jwk' })
+    };
+  }
+  return signingKey;
+};
+
+export const mockProvider = {
+  name: 'mock',
+  issuers: [MOCK_OIDC_ISSUER],
+  clientIds: [MOCK_OIDC_CLIENT_ID],
+
+  async getJwks() {
+    const { kid, jwk } = getSigningKey();
+    return [{ ...jwk, kid, alg: 'RS256', use: 'sig' }];
+  },
+
+  // Émettre un ID token signé (claims standards surchargeables)
+  mintIdToken(claims = {}, { expiresIn = '10m', audience = MOCK_OIDC_CLIENT_ID } = {}) {
+    const { kid, privateKey } = getSigningKey();
+
+    return jwt.sign(
+      {
+        sub: crypto.randomUUID(),
+        email_verified: true,
+        ...claims
+      },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: MOCK_OIDC_ISSUER,
+        audience,
+        expiresIn
+      }
+    );
+  },
+
+  // Nouvelle clé de signature : les tokens émis précédemment deviennent invalides (tests)
+  reset() {
+    signingKey = null;
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,34 @@
+// Provider OpenID Connect dont les clés publiques (JWKS) sont récupérées par HTTP
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 heure
+const JWKS_MIN_REFRESH_INTERVAL_MS = 60 * 1000; // Rafraîchissement forcé (kid inconnu) au plus une fois par minute
+
+export const createRemoteProvider = ({ name, issuers, clientIds, jwksUri }) => {
+  let keys = null;
+  let fetchedAt = 0;
+
+  return {
+    name,
+    issuers,
+    clientIds,
+
+    async getJwks({ forceRefresh = false } = {}) {
+      const age = Date.now() - fetchedAt;
+      const stale = !keys || age > JWKS_CACHE_TTL_MS || (forceRefresh && age > JWKS_MIN_REFRESH_INTERVAL_MS);
+
+      if (stale) {
+        const response = await fetch(jwksUri, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) {
+          throw new Error(`JWKS indisponible (${name}): HTTP ${response.status}`);
+        }
+
+        const body = await response.json();
+        keys = Array.isArray(body.keys) ? body.keys : [];
+        fetchedAt = Date.now();
+      }
+
+      return keys;
+    }
+  };
+};
+
+export default createRemoteProvider;
@@ -0,0 +1,291 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { appLogger, logger } from '../utils/logger.js';
+import { getOidcProvider } from './oidcProviders/index.js';
+
+// Connexion via un fournisseur d'identité OpenID Connect (Apple, Google...) à partir d'un ID token
+// obtenu côté client. Une identité = un couple (provider, sub) rattaché à un utilisateur (UserIdentity)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+const INVALID_TOKEN_MESSAGE = 'Jeton d\'identité invalide ou expiré';
+
+const getNonceTtlMs = () => parseInt(process.env.OIDC_NONCE_TTL_MS) || 10 * 60 * 1000; // 10 minutes
+
+const getProvider = (providerName) => {
+  const provider = getOidcProvider(providerName);
+  if (!provider) {
+    throw errors.notFound('Fournisseur d\'identité');
+  }
+  return provider;
+};
+
+// Clé publique du JWKS correspondant au kid du token (JWKS rechargé une fois si le kid est inconnu)
+const getVerificationKey = async (provider, kid) => {
+  let keys = await provider.getJwks();
+  let jwk = keys.find(key => key.kid === kid);
+
+  if (!jwk) {
+    keys = await provider.getJwks({ forceRefresh: true });
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+// Émettre un nonce à transmettre au fournisseur avant la connexion ou la liaison
+// Seule son empreinte est stockée ; il n'est accepté qu'une fois et jusqu'à expiration
+export const issueNonce = async () => {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + getNonceTtlMs());
+
+  await prisma.oidcNonce.create({
+    data: { nonceHash: hashNonce(nonce), expiresAt }
+  });
+
+  return { nonce, expiresAt };
+};
+
+// Consommer un nonce émis par le serveur (suppression atomique : deux requêtes ne peuvent pas l'utiliser)
+const consumeNonce = async (nonce) => {
+  const { count } = await prisma.oidcNonce.deleteMany({
+    where: { nonceHash: hashNonce(nonce), expiresAt: { gt: new Date() } }
+  });
+
+  if (count !== 1) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+};
+
+// Supprimer les nonces expirés jamais utilisés
+export const purgeExpiredNonces = async (now = new Date()) => {
+  const { count } = await prisma.oidcNonce.deleteMany({
+    where: { expiresAt: { lt: now } }
+  });
+
+  return count;
+};
+
+// Vérifier un ID token (signature, émetteur, audience, expiration, nonce) et normaliser ses claims
+// Le nonce doit avoir été émis par issueNonce et n'est accepté qu'une fois : un ID token intercepté
+// ne peut pas être rejoué, même avec le nonce lu dans ses claims
+export const verifyIdToken = async (providerName, idToken, { nonce } = {}) => {
+  const provider = getProvider(providerName);
+
+  if (!nonce) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+
+  let key;
+  try {
+    key = await getVerificationKey(provider, decoded.header.kid);
+  } catch (error) {
+    if (error.isOperational) throw error;
+    logger.error(`Récupération du JWKS impossible (${provider.name}):`, error);
+    throw errors.internal('Fournisseur d\'identité indisponible');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: provider.issuers,
+      audience: provider.clientIds
+    });
+  } catch (error) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+
+  // Le nonce peut être transmis au fournisseur en clair ou haché (SHA-256, cas de Sign in with Apple)
+  if (!claims.nonce || (claims.nonce !== nonce && claims.nonce !== hashNonce(nonce))) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+
+  if (!claims.sub) {
+    throw errors.unauthorized(INVALID_TOKEN_MESSAGE);
+  }
+
+  await consumeNonce(nonce);
+
+  return {
+    provider: provider.name,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Apple renvoie email_verified sous forme de chaîne
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+    picture: claims.picture || null
+  };
+};
+
+// Nom affiché d'un nouveau compte : nom fourni par le client (Apple ne l'inclut pas dans le token),
+// sinon celui du token, sinon la partie locale de l'email
+const resolveName = (identity, name) => (name || identity.name || identity.email.split('@')[0]).slice(0, 50);
+
+const touchIdentity = (identityId) => prisma.userIdentity.update({
+  where: { id: identityId },
+  data: { lastUsedAt: new Date() }
+});
+
+// Connexion ou inscription via un ID token ; renvoie l'utilisateur (avec ses préférences) et s'il vient d'être créé
+export const signInWithOidc = async (providerName, { idToken, nonce, name, locale }) => {
+  const identity = await verifyIdToken(providerName, idToken, { nonce });
+
+  const linked = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider: identity.provider, subject: identity.subject } },
+    include: { user: { include: { preferences: true } } }
+  });
+
+  if (linked) {
+    await touchIdentity(linked.id);
+    return { user: linked.user, created: false };
+  }
+
+  if (!identity.email) {
+    throw errors.badRequest('Le fournisseur d\'identité n\'a pas communiqué d\'adresse email');
+  }
+
+  // Jamais de rattachement automatique à un compte existant : l'utilisateur doit se connecter puis lier le fournisseur
+  const existingUser = await prisma.user.findUnique({
+    where: { email: identity.email },
+    select: { id: true }
+  });
+
+  if (existingUser) {
+    throw errors.conflict('Un compte avec cet email existe déjà. Connectez-vous puis liez ce fournisseur depuis votre compte.');
+  }
+
+  // Pas de mot de passe utilisable : l'utilisateur peut en définir un via « mot de passe oublié »
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  const user = await prisma.user.create({
+    data: {
+      name: resolveName(identity, name),
+      email: identity.email,
+      password: unusablePassword,
+      avatar: identity.picture,
+      isVerified: identity.emailVerified,
+      locale,
+      preferences: {
+        create: {
+          emailNotifications: true,
+          pushNotifications: true,
+          offerNotifications: true,
+          likeNotifications: true
+        }
+      },
+      identities: {
+        create: {
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email,
+          lastUsedAt: new Date()
+        }
+      }
+    },
+    include: {
+      preferences: true
+    }
+  });
+
+  appLogger.auth(`Nouvel utilisateur inscrit via ${identity.provider}: ${user.email}`, { userId: user.id });
+
+  return { user, created: true };
+};
+
+// Identités liées au compte
+export const listIdentities = (userId) => prisma.userIdentity.findMany({
+  where: { userId },
+  select: {
+    provider: true,
+    email: true,
+    createdAt: true,
+    lastUsedAt: true
+  },
+  orderBy: { createdAt: 'asc' }
+});
+
+// Lier un fournisseur à un compte existant (l'ID token prouve la possession de l'identité)
+export const linkIdentity = async (userId, providerName, { idToken, nonce }) => {
+  const identity = await verifyIdToken(providerName, idToken, { nonce });
+
+  const linked = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider: identity.provider, subject: identity.subject } },
+    select: { userId: true }
+  });
+
+  if (linked) {
+    if (linked.userId !== userId) {
+      throw errors.conflict('Cette identité est déjà liée à un autre compte');
+    }
+    throw errors.conflict('Cette identité est déjà liée à votre compte');
+  }
+
+  const existing = await prisma.userIdentity.findUnique({
+    where: { userId_provider: { userId, provider: identity.provider } },
+    select: { id: true }
+  });
+
+  if (existing) {
+    throw errors.conflict('Un autre compte de ce fournisseur est déjà lié. Déliez-le d\'abord.');
+  }
+
+  const created = await prisma.userIdentity.create({
+    data: {
+      userId,
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email
+    },
+    select: {
+      provider: true,
+      email: true,
+      createdAt: true,
+      lastUsedAt: true
+    }
+  });
+
+  await cache.del(`user:profile:${userId}`);
+
+  appLogger.security(`Fournisseur d'identité lié: ${identity.provider}`, { userId });
+
+  return created;
+};
+
+// Délier un fournisseur
+export const unlinkIdentity = async (userId, providerName) => {
+  const { count } = await prisma.userIdentity.deleteMany({
+    where: { userId, provider: providerName }
+  });
+
+  if (count === 0) {
+    throw errors.notFound('Identité');
+  }
+
+  await cache.del(`user:profile:${userId}`);
+
+  appLogger.security(`Fournisseur d'identité délié: ${providerName}`, { userId });
+};
+
+export default {
+  issueNonce,
+  purgeExpiredNonces,
+  verifyIdToken,
+  signInWithOidc,
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity
+};
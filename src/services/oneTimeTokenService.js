@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import prisma from '../database/connection.js';
+import { errors } from '../middleware/errorHandler.js';
+
+// Tokens à usage unique envoyés par email (vérification, réinitialisation, déverrouillage, changement d'email, connexion)
+// Seule l'empreinte SHA-256 est stockée dans AuthToken ; émettre un token invalide les précédents du même type
+export const ONE_TIME_TOKEN_TYPES = {
+  EMAIL_VERIFICATION: { ttlMs: 60 * 60 * 1000 }, // 1 heure
+  PASSWORD_RESET: { ttlMs: 60 * 60 * 1000 }, // 1 heure
+  ACCOUNT_UNLOCK: { ttlMs: 24 * 60 * 60 * 1000 }, // 24 heures
+  EMAIL_CHANGE: { ttlMs: 24 * 60 * 60 * 1000 }, // 24 heures, envoyé à la nouvelle adresse
+  EMAIL_CHANGE_CANCEL: { ttlMs: 7 * 24 * 60 * 60 * 1000 }, // 7 jours, envoyé à l'ancienne adresse
+  MAGIC_LINK: { ttlMs: 15 * 60 * 1000 } // 15 minutes
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Émettre un nouveau token pour un utilisateur
+export const issueOneTimeToken = async (userId, type) => {
+  const definition = ONE_TIME_TOKEN_TYPES[type];
+  if (!definition) {
+    throw new Error(`Type de token inconnu: ${type}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await prisma.$transaction([
+    // Les liens envoyés précédemment ne sont plus valables
+    prisma.authToken.updateMany({
+      where: { userId, type, usedAt: null, isRevoked: false },
+      data: { isRevoked: true }
+    }),
+    prisma.authToken.create({
+      data: {
+        token: hashToken(token),
+        type,
+        userId,
+        expiresAt: new Date(Date.now() + definition.ttlMs)
+      }
+    })
+  ]);
+
+  return token;
+};
+
+// Consommer un token : valable une seule fois, non révoqué et non expiré
+// Renvoie l'identifiant de l'utilisateur concerné
+export const consumeOneTimeToken = async (token, type, message = 'Lien invalide ou expiré') => {
+  if (!token) {
+    throw errors.badRequest(message);
+  }
+
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Garde sur usedAt : deux requêtes simultanées ne peuvent pas consommer le même token
+  const { count } = await prisma.authToken.updateMany({
+    where: {
+      token: tokenHash,
+      type,
+      usedAt: null,
+      isRevoked: false,
+      expiresAt: { gt: now }
+    },
+    data: { usedAt: now }
+  });
+
+  if (count === 0) {
+    throw errors.badRequest(message);
+  }
+
+  const record = await prisma.authToken.findUnique({
+    where: { token: tokenHash },
+    select: { userId: true }
+  });
+
+  return record.userId;
+};
+
+export default {
+  ONE_TIME_TOKEN_TYPES,
+  issueOneTimeToken,
+  consumeOneTimeToken
+};
@@ -0,0 +1,259 @@
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { appLogger } from '../utils/logger.js';
+import { createNotification } from './notificationService.js';
+import { applyOrderTransition, notifyEscrowMovement } from './escrowService.js';
+import { queueProductMatching } from './savedSearchService.js';
+import { queueProductWatch } from './productWatchService.js';
+
+export const ORDER_STATUSES = [
+  'AWAITING_PAYMENT',
+  'PAID',
+  'SHIPPED',
+  'DELIVERED',
+  'COMPLETED',
+  'CANCELLED',
+  'DISPUTED'
+];
+
+// Transitions autorisées : statut courant -> statut cible -> rôles autorisés
+// SYSTEM désigne les transitions déclenchées par la plateforme (paiement, jobs, modération)
+// PAID n'est atteint que par le webhook du provider de paiement : les fonds sont alors séquestrés
+export const ORDER_TRANSITIONS = {
+  AWAITING_PAYMENT: {
+    PAID: ['SYSTEM'],
+    CANCELLED: ['BUYER', 'SELLER', 'SYSTEM']
+  },
+  PAID: {
+    SHIPPED: ['SELLER'],
+    DISPUTED: ['BUYER'],
+    CANCELLED: ['SYSTEM'] // Remboursement intégral
+  },
+  SHIPPED: {
+    DELIVERED: ['BUYER'], // Seul l'acheteur sait qu'il a reçu le colis
+    DISPUTED: ['BUYER']
+  },
+  DELIVERED: {
+    COMPLETED: ['BUYER', 'SYSTEM'],
+    DISPUTED: ['BUYER']
+  },
+  DISPUTED: {
+    COMPLETED: ['SYSTEM'],
+    CANCELLED: ['SYSTEM']
+  }
+};
+
+// Horodatage renseigné pour chaque statut
+const statusTimestamps = {
+  PAID: 'paidAt',
+  SHIPPED: 'shippedAt',
+  DELIVERED: 'deliveredAt',
+  COMPLETED: 'completedAt',
+  CANCELLED: 'cancelledAt',
+  DISPUTED: 'disputedAt'
+};
+
+// Contenu des notifications envoyées à chaque transition
+const statusNotifications = {
+  PAID: (order) => ({
+    type: 'ORDER_PAID',
+    title: 'Paiement confirmé',
+    message: `Le paiement de ${order.amount}€ pour "${order.product.title}" est confirmé`
+  }),
+  SHIPPED: (order) => ({
+    type: 'ORDER_SHIPPED',
+    title: 'Commande expédiée 📦',
+    message: `"${order.product.title}" a été expédié${order.trackingNumber ? ` (suivi : ${order.trackingNumber})` : ''}`
+  }),
+  DELIVERED: (order) => ({
+    type: 'ORDER_DELIVERED',
+    title: 'Commande livrée',
+    message: `La livraison de "${order.product.title}" a été confirmée`
+  }),
+  COMPLETED: (order) => ({
+    type: 'ORDER_COMPLETED',
+    title: 'Transaction terminée ✅',
+    message: `La transaction pour "${order.product.title}" est terminée`
+  }),
+  CANCELLED: (order) => ({
+    type: 'ORDER_CANCELLED',
+    title: 'Commande annulée',
+    message: `La commande pour "${order.product.title}" a été annulée${order.cancelReason ? ` : ${order.cancelReason}` : ''}`
+  }),
+  DISPUTED: (order) => ({
+    type: 'ORDER_DISPUTED',
+    title: 'Litige ouvert',
+    message: `Un litige a été ouvert sur la commande "${order.product.title}"`
+  })
+};
+
+// Rôle d'un utilisateur dans une commande
+export const getOrderRole = (order, userId) => {
+  if (!userId) return 'SYSTEM';
+  if (order.buyerId === userId) return 'BUYER';
+  if (order.sellerId === userId) return 'SELLER';
+  return null;
+};
+
+// Créer la commande associée à une offre acceptée (dans une transaction Prisma)
+export const createOrderFromOffer = (tx, offer) => {
+  return tx.order.create({
+    data: {
+      offerId: offer.id,
+      productId: offer.productId,
+      buyerId: offer.buyerId,
+      sellerId: offer.sellerId,
+      amount: offer.amount,
+      currency: offer.currency || 'EUR'
+    }
+  });
+};
+
+// Invalider les caches touchés par une commande
+export const invalidateOrderCaches = async (order) => {
+  await cache.flushPattern(`orders:${order.buyerId}:*`);
+  await cache.flushPattern(`orders:${order.sellerId}:*`);
+  await cache.del(`product:${order.productId}`);
+  await cache.flushPattern(`products:search:*`);
+};
+
+// Faire passer une commande à un nouveau statut en vérifiant le rôle de l'acteur
+// asPlatform : l'acteur (modérateur) agit au nom de la plateforme, avec le rôle SYSTEM
+export const transitionOrder = async (orderId, toStatus, { actorId = null, asPlatform = false, details = {} } = {}) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      product: {
+        select: {
+          id: true,
+          title: true
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    throw errors.notFound('Commande');
+  }
+
+  const role = asPlatform ? 'SYSTEM' : getOrderRole(order, actorId);
+  if (!role) {
+    throw errors.forbidden('Accès non autorisé à cette commande');
+  }
+
+  const allowedRoles = ORDER_TRANSITIONS[order.status]?.[toStatus];
+  if (!allowedRoles) {
+    throw errors.badRequest(`Transition impossible de ${order.status} vers ${toStatus}`);
+  }
+
+  if (!allowedRoles.includes(role)) {
+    throw errors.forbidden(`Action réservée à: ${allowedRoles.join(', ')}`);
+  }
+
+  const now = new Date();
+
+  let escrowMovement = null;
+  let relisted = false;
+
+  const updatedOrder = await prisma.$transaction(async (tx) => {
+    // Garde sur le statut courant pour éviter les transitions concurrentes
+    const { count } = await tx.order.updateMany({
+      where: { id: orderId, status: order.status },
+      data: {
+        status: toStatus,
+        [statusTimestamps[toStatus]]: now,
+        ...(details.shippingCarrier && { shippingCarrier: details.shippingCarrier }),
+        ...(details.trackingNumber && { trackingNumber: details.trackingNumber }),
+        ...(toStatus === 'CANCELLED' && details.reason && { cancelReason: details.reason }),
+        ...(toStatus === 'DISPUTED' && details.reason && { disputeReason: details.reason })
+      }
+    });
+
+    if (count === 0) {
+      throw errors.conflict('La commande a été modifiée entre-temps, veuillez réessayer');
+    }
+
+    // Annulation (avant paiement, ou après remboursement) : le produit est remis en vente,
+    // sauf s'il a quitté le statut SOLD entre-temps (retiré par la modération, supprimé…)
+    if (toStatus === 'CANCELLED') {
+      const { count: relistedCount } = await tx.product.updateMany({
+        where: { id: order.productId, status: 'SOLD' },
+        data: { status: 'ACTIVE' }
+      });
+      relisted = relistedCount === 1;
+
+      await tx.offer.update({
+        where: { id: order.offerId },
+        data: { status: 'CANCELLED', respondedAt: now }
+      });
+    }
+
+    // Séquestre : blocage au paiement, inspection à la réception, déblocage à la clôture, gel en cas de litige
+    escrowMovement = await applyOrderTransition(tx, order, toStatus, {
+      actorId,
+      reason: details.reason || null,
+      now
+    });
+
+    return tx.order.findUnique({
+      where: { id: orderId },
+      include: {
+        product: {
+          select: {
+            id: true,
+            title: true,
+            mainImage: true,
+            status: true
+          }
+        }
+      }
+    });
+  });
+
+  // Notifier l'autre partie (les deux si la plateforme est à l'origine)
+  const notification = statusNotifications[toStatus](updatedOrder);
+  const recipients = role === 'BUYER'
+    ? [order.sellerId]
+    : role === 'SELLER'
+      ? [order.buyerId]
+      : [order.buyerId, order.sellerId];
+
+  await Promise.all(recipients.map(userId => createNotification({
+    userId,
+    ...notification,
+    data: {
+      orderId: order.id,
+      productId: order.productId,
+      status: toStatus,
+      previousStatus: order.status
+    }
+  })));
+
+  await notifyEscrowMovement(escrowMovement);
+  await invalidateOrderCaches(order);
+
+  // Produit remis en vente après annulation : alertes des recherches sauvegardées et des likes
+  if (relisted) {
+    queueProductMatching(order.productId);
+    queueProductWatch(order.productId, { previousStatus: 'SOLD' });
+  }
+
+  appLogger.business(`Commande ${order.id}: ${order.status} -> ${toStatus}`, {
+    orderId: order.id,
+    productId: order.productId,
+    actorId,
+    role
+  });
+
+  return updatedOrder;
+};
+
+export default {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getOrderRole,
+  createOrderFromOffer,
+  invalidateOrderCaches,
+  transitionOrder
+};
@@ -0,0 +1,154 @@
+import crypto from 'crypto';
+
+// Provider de paiement factice, en mémoire (tests et développement hors ligne)
+const intents = new Map();
+
+// Moyens de paiement de test
+export const FAKE_PAYMENT_METHODS = {
+  SUCCESS: 'fake_card_ok',
+  DECLINED: 'fake_card_declined'
+};
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Pas de secret par défaut : une valeur connue de tous permettrait de forger des webhooks
+const getWebhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET manquant');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+// Identifiants aléatoires : les intents perdus au redémarrage ne doivent pas être réattribués
+// (Payment.providerPaymentId est unique en base)
+const nextId = (prefix) => `${prefix}_${crypto.randomUUID()}`;
+
+const getIntent = (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) {
+    const error = new Error(`Intent de paiement inconnu: ${intentId}`);
+    error.code = 'PAYMENT_INTENT_NOT_FOUND';
+    throw error;
+  }
+  return intent;
+};
+
+const snapshot = (intent) => ({ ...intent, metadata: { ...intent.metadata } });
+
+export const fakeProvider = {
+  name: 'fake',
+
+  async createIntent({ amount, currency = 'EUR', captureMethod = 'automatic', metadata = {} }) {
+    const id = nextId('fake_pi');
+    const intent = {
+      id,
+      amount,
+      currency,
+      captureMethod,
+      status: 'requires_confirmation',
+      amountRefunded: 0,
+      failureReason: null,
+      clientSecret: `${id}_secret`,
+      metadata
+    };
+    intents.set(id, intent);
+    return snapshot(intent);
+  },
+
+  async confirmIntent(intentId, { paymentMethod = FAKE_PAYMENT_METHODS.SUCCESS } = {}) {
+    const intent = getIntent(intentId);
+
+    if (intent.status !== 'requires_confirmation' && intent.status !== 'failed') {
+      return snapshot(intent);
+    }
+
+    if (paymentMethod === FAKE_PAYMENT_METHODS.DECLINED) {
+      intent.status = 'failed';
+      intent.failureReason = 'card_declined';
+    } else {
+      intent.status = intent.captureMethod === 'manual' ? 'requires_capture' : 'succeeded';
+      intent.failureReason = null;
+    }
+
+    return snapshot(intent);
+  },
+
+  async captureIntent(intentId) {
+    const intent = getIntent(intentId);
+    if (intent.status === 'requires_capture') {
+      intent.status = 'succeeded';
+    }
+    return snapshot(intent);
+  },
+
+  async cancelIntent(intentId) {
+    const intent = getIntent(intentId);
+    if (['requires_confirmation', 'requires_capture', 'failed'].includes(intent.status)) {
+      intent.status = 'canceled';
+    }
+    return snapshot(intent);
+  },
+
+  async refund(intentId, amount) {
+    const intent = getIntent(intentId);
+    if (intent.status !== 'succeeded') {
+      const error = new Error('Seul un paiement encaissé peut être remboursé');
+      error.code = 'PAYMENT_NOT_REFUNDABLE';
+      throw error;
+    }
+
+    const refundable = intent.amount - intent.amountRefunded;
+    intent.amountRefunded += Math.min(amount ?? refundable, refundable);
+    return snapshot(intent);
+  },
+
+  // Signature HMAC-SHA256 au format "t=<timestamp>,v1=<hex>"
+  signPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', getWebhookSecret())
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  },
+
+  // Vérifie la signature et renvoie l'événement normalisé
+  verifyWebhook(rawBody, signatureHeader) {
+    const parts = Object.fromEntries(
+      String(signatureHeader || '').split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new Error('Signature de webhook absente ou mal formée');
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new Error('Signature de webhook expirée');
+    }
+
+    const expected = Buffer.from(this.signPayload(rawBody, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Signature de webhook invalide');
+    }
+
+    return JSON.parse(rawBody);
+  },
+
+  // Construire un événement webhook pour un intent (utilisé par les tests)
+  buildEvent(type, intentId) {
+    return {
+      id: nextId('fake_evt'),
+      type,
+      data: { object: snapshot(getIntent(intentId)) }
+    };
+  },
+
+  // Réinitialiser l'état (tests)
+  reset() {
+    intents.clear();
+  }
+};
+
+export default fakeProvider;
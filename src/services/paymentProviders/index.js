@@ -0,0 +1,64 @@
+import { fakeProvider } from './fakeProvider.js';
+
+// Registre des providers de paiement
+// Un provider expose : createIntent, confirmIntent, captureIntent, cancelIntent, refund, verifyWebhook
+const providers = new Map();
+let configured = false;
+
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+// Providers configurés par l'environnement (lu au premier usage, après dotenv)
+const configureProviders = () => {
+  if (configured) return;
+  configured = true;
+
+  // Provider factice : ses paiements ne sont jamais encaissés, jamais en production sauf activation explicite
+  const fakeEnabled = process.env.PAYMENT_FAKE_ENABLED
+    ? process.env.PAYMENT_FAKE_ENABLED === 'true'
+    : process.env.NODE_ENV !== 'production';
+  if (fakeEnabled) {
+    registerPaymentProvider(fakeProvider);
+  }
+};
+
+// Provider choisi par PAYMENT_PROVIDER : pas de valeur par défaut, le provider factice doit être demandé
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  configureProviders();
+  if (!name) {
+    throw new Error('Aucun provider de paiement configuré (PAYMENT_PROVIDER)');
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Provider de paiement inconnu: ${name}`);
+  }
+  return provider;
+};
+
+// Raison pour laquelle les paiements sont désactivés, null s'ils sont disponibles
+// Sans secret, les webhooks pourraient être forgés : les paiements restent alors désactivés
+export const getPaymentUnavailableReason = () => {
+  configureProviders();
+
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) {
+    return 'aucun provider configuré (PAYMENT_PROVIDER)';
+  }
+  if (!providers.has(name)) {
+    return `provider indisponible: ${name}`;
+  }
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    return 'PAYMENT_WEBHOOK_SECRET manquant';
+  }
+  return null;
+};
+
+export const isPaymentEnabled = () => !getPaymentUnavailableReason();
+
+export default {
+  registerPaymentProvider,
+  getPaymentProvider,
+  getPaymentUnavailableReason,
+  isPaymentEnabled
+};
@@ -0,0 +1,390 @@
+import prisma from '../database/connection.js';
+import { errors } from '../middleware/errorHandler.js';
+import { logger, appLogger } from '../utils/logger.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { createNotification } from './notificationService.js';
+import { ORDER_TRANSITIONS, transitionOrder } from './orderService.js';
+import { refundEscrow } from './escrowService.js';
+
+// Correspondance des statuts provider -> statuts Payment
+const providerStatuses = {
+  requires_confirmation: 'REQUIRES_CONFIRMATION',
+  requires_capture: 'REQUIRES_CAPTURE',
+  succeeded: 'SUCCEEDED',
+  failed: 'FAILED',
+  canceled: 'CANCELLED'
+};
+
+const OPEN_PAYMENT_STATUSES = ['REQUIRES_CONFIRMATION', 'REQUIRES_CAPTURE', 'FAILED'];
+
+// Progression d'un paiement : un état d'intent de rang inférieur est en retard sur la base
+// (webhook arrivé dans le désordre, ex. « succeeded » reçu après un remboursement)
+const PAYMENT_STATUS_RANKS = {
+  REQUIRES_CONFIRMATION: 0,
+  FAILED: 0,
+  REQUIRES_CAPTURE: 1,
+  CANCELLED: 2,
+  SUCCEEDED: 3,
+  PARTIALLY_REFUNDED: 4,
+  REFUNDED: 5
+};
+
+const getCaptureMethod = () => process.env.PAYMENT_CAPTURE_METHOD === 'manual' ? 'manual' : 'automatic';
+
+const paymentInclude = {
+  order: {
+    select: {
+      id: true,
+      status: true,
+      buyerId: true,
+      sellerId: true,
+      productId: true,
+      offerId: true,
+      product: {
+        select: {
+          id: true,
+          title: true
+        }
+      }
+    }
+  }
+};
+
+// Statut Payment déduit d'un intent provider
+const toPaymentStatus = (intent) => {
+  if (intent.amountRefunded > 0) {
+    return intent.amountRefunded >= intent.amount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  }
+  return providerStatuses[intent.status] || 'FAILED';
+};
+
+// Appel provider avec conversion des erreurs en erreurs API
+const callProvider = async (fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.error('❌ Erreur provider de paiement:', error);
+    throw errors.badRequest(`Erreur de paiement: ${error.message}`);
+  }
+};
+
+// Intent en retard sur le paiement : statut qui reculerait, montant remboursé qui diminuerait,
+// ou paiement annulé (état final)
+const isStaleIntent = (payment, status, intent) => {
+  return intent.amountRefunded < payment.amountRefunded
+    || PAYMENT_STATUS_RANKS[status] < PAYMENT_STATUS_RANKS[payment.status]
+    || (payment.status === 'CANCELLED' && status !== 'CANCELLED');
+};
+
+// Répercuter l'état d'un intent sur le paiement, la commande, le produit et les notifications
+const syncPaymentWithIntent = async (payment, intent) => {
+  const status = toPaymentStatus(intent);
+  const now = new Date();
+
+  if (status === payment.status && intent.amountRefunded === payment.amountRefunded) {
+    return payment;
+  }
+
+  if (isStaleIntent(payment, status, intent)) {
+    logger.warn(`⚠️ État d'intent ignoré pour le paiement ${payment.id}: ${status} (${intent.amountRefunded}€ remboursés) après ${payment.status} (${payment.amountRefunded}€)`);
+    return payment;
+  }
+
+  // Garde sur l'état lu : un autre événement traité entre-temps impose de recomparer
+  const { count } = await prisma.payment.updateMany({
+    where: { id: payment.id, status: payment.status, amountRefunded: payment.amountRefunded },
+    data: {
+      status,
+      amountRefunded: intent.amountRefunded,
+      failureReason: intent.failureReason || null,
+      ...(status === 'SUCCEEDED' && !payment.succeededAt && { succeededAt: now }),
+      ...(['REFUNDED', 'PARTIALLY_REFUNDED'].includes(status) && { refundedAt: now })
+    }
+  });
+
+  if (count !== 1) {
+    const current = await prisma.payment.findUnique({ where: { id: payment.id }, include: paymentInclude });
+    return syncPaymentWithIntent(current, intent);
+  }
+
+  const updated = await prisma.payment.findUnique({
+    where: { id: payment.id },
+    include: paymentInclude
+  });
+
+  const { order } = updated;
+  const data = {
+    paymentId: payment.id,
+    orderId: order.id,
+    productId: order.productId,
+    amount: payment.amount
+  };
+
+  switch (status) {
+    case 'SUCCEEDED':
+      if (order.status === 'AWAITING_PAYMENT') {
+        await transitionOrder(order.id, 'PAID');
+      }
+      break;
+
+    case 'FAILED':
+      await createNotification({
+        userId: order.buyerId,
+        type: 'PAYMENT_FAILED',
+        title: 'Paiement refusé',
+        message: `Le paiement de ${payment.amount}€ pour "${order.product.title}" a échoué. Vous pouvez réessayer.`,
+        data: { ...data, reason: intent.failureReason }
+      });
+      break;
+
+    case 'PARTIALLY_REFUNDED':
+    case 'REFUNDED':
+      // Le montant remboursé sort du séquestre (ou du solde vendeur si déjà débloqué)
+      await prisma.$transaction(tx => refundEscrow(
+        tx,
+        order.id,
+        intent.amountRefunded - payment.amountRefunded,
+        { reason: 'Remboursement du paiement' }
+      ));
+
+      await createNotification({
+        userId: order.buyerId,
+        type: 'PAYMENT_REFUNDED',
+        title: 'Remboursement effectué',
+        message: `${intent.amountRefunded}€ vous ont été remboursés pour "${order.product.title}"`,
+        data: { ...data, amountRefunded: intent.amountRefunded }
+      });
+
+      // Remboursement intégral : la commande est annulée et le produit remis en vente
+      if (status === 'REFUNDED' && ORDER_TRANSITIONS[order.status]?.CANCELLED?.includes('SYSTEM')) {
+        await transitionOrder(order.id, 'CANCELLED', { details: { reason: 'Paiement remboursé' } });
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  appLogger.business(`Paiement ${payment.id}: ${payment.status} -> ${status}`, {
+    paymentId: payment.id,
+    orderId: order.id,
+    provider: payment.provider
+  });
+
+  return updated;
+};
+
+// Récupérer un paiement et vérifier que l'utilisateur y a accès
+export const getPaymentForUser = async (paymentId, userId) => {
+  const payment = await prisma.payment.findUnique({
+    where: { id: paymentId },
+    include: paymentInclude
+  });
+
+  if (!payment) {
+    throw errors.notFound('Paiement');
+  }
+
+  if (payment.order.buyerId !== userId && payment.order.sellerId !== userId) {
+    throw errors.forbidden('Accès non autorisé à ce paiement');
+  }
+
+  return payment;
+};
+
+// Créer (ou réutiliser) l'intent de paiement d'une commande
+export const createPaymentIntent = async ({ orderId, offerId, userId }) => {
+  const order = await prisma.order.findFirst({
+    where: orderId ? { id: orderId } : { offerId }
+  });
+
+  if (!order) {
+    throw errors.notFound('Commande');
+  }
+
+  if (order.buyerId !== userId) {
+    throw errors.forbidden('Seul l\'acheteur peut payer cette commande');
+  }
+
+  if (order.status !== 'AWAITING_PAYMENT') {
+    throw errors.badRequest(`Commande non payable avec le statut: ${order.status}`);
+  }
+
+  const provider = getPaymentProvider();
+
+  // Réutiliser un intent encore ouvert pour éviter les doubles paiements
+  const existing = await prisma.payment.findFirst({
+    where: {
+      orderId: order.id,
+      provider: provider.name,
+      status: { in: OPEN_PAYMENT_STATUSES }
+    },
+    orderBy: { createdAt: 'desc' },
+    include: paymentInclude
+  });
+
+  if (existing) {
+    return { payment: existing, clientSecret: existing.clientSecret };
+  }
+
+  const intent = await callProvider(() => provider.createIntent({
+    amount: order.amount,
+    currency: order.currency,
+    captureMethod: getCaptureMethod(),
+    metadata: { orderId: order.id, offerId: order.offerId }
+  }));
+
+  const payment = await prisma.payment.create({
+    data: {
+      orderId: order.id,
+      provider: provider.name,
+      providerPaymentId: intent.id,
+      clientSecret: intent.clientSecret,
+      amount: order.amount,
+      currency: order.currency,
+      status: toPaymentStatus(intent)
+    },
+    include: paymentInclude
+  });
+
+  appLogger.business(`Intent de paiement créé: ${order.amount}€`, {
+    paymentId: payment.id,
+    orderId: order.id,
+    provider: provider.name
+  });
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+// Confirmer un paiement (acheteur)
+export const confirmPayment = async (paymentId, userId, { paymentMethod } = {}) => {
+  const payment = await getPaymentForUser(paymentId, userId);
+
+  if (payment.order.buyerId !== userId) {
+    throw errors.forbidden('Seul l\'acheteur peut confirmer ce paiement');
+  }
+
+  if (!['REQUIRES_CONFIRMATION', 'FAILED'].includes(payment.status)) {
+    throw errors.badRequest(`Paiement non confirmable avec le statut: ${payment.status}`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const intent = await callProvider(() => provider.confirmIntent(payment.providerPaymentId, { paymentMethod }));
+
+  return syncPaymentWithIntent(payment, intent);
+};
+
+// Encaisser un paiement autorisé (capture manuelle)
+export const capturePayment = async (paymentId, userId) => {
+  const payment = await getPaymentForUser(paymentId, userId);
+
+  if (payment.order.sellerId !== userId) {
+    throw errors.forbidden('Seul le vendeur peut encaisser ce paiement');
+  }
+
+  if (payment.status !== 'REQUIRES_CAPTURE') {
+    throw errors.badRequest(`Paiement non encaissable avec le statut: ${payment.status}`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const intent = await callProvider(() => provider.captureIntent(payment.providerPaymentId));
+
+  return syncPaymentWithIntent(payment, intent);
+};
+
+// Rembourser tout ou partie d'un paiement (vendeur, ou plateforme si userId est null)
+export const refundPayment = async (paymentId, userId, { amount } = {}) => {
+  const payment = userId
+    ? await getPaymentForUser(paymentId, userId)
+    : await prisma.payment.findUnique({ where: { id: paymentId }, include: paymentInclude });
+
+  if (!payment) {
+    throw errors.notFound('Paiement');
+  }
+
+  if (userId && payment.order.sellerId !== userId) {
+    throw errors.forbidden('Seul le vendeur peut rembourser ce paiement');
+  }
+
+  if (!['SUCCEEDED', 'PARTIALLY_REFUNDED'].includes(payment.status)) {
+    throw errors.badRequest(`Paiement non remboursable avec le statut: ${payment.status}`);
+  }
+
+  const refundable = payment.amount - payment.amountRefunded;
+  if (amount !== undefined && amount > refundable) {
+    throw errors.badRequest(`Montant remboursable maximum: ${refundable}€`);
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const intent = await callProvider(() => provider.refund(payment.providerPaymentId, amount));
+
+  return syncPaymentWithIntent(payment, intent);
+};
+
+// Traiter un webhook signé du provider (idempotent)
+export const handlePaymentWebhook = async (providerName, rawBody, signature) => {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch (error) {
+    throw errors.notFound('Provider de paiement');
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, signature);
+  } catch (error) {
+    appLogger.security(`Webhook de paiement rejeté (${providerName}): ${error.message}`);
+    throw errors.badRequest('Signature de webhook invalide');
+  }
+
+  const intent = event.data?.object;
+  const payment = intent?.id
+    ? await prisma.payment.findUnique({
+        where: { providerPaymentId: intent.id },
+        include: paymentInclude
+      })
+    : null;
+
+  // Un provider ne peut agir que sur ses propres paiements (sa signature ne vaut rien pour un autre)
+  if (payment && payment.provider !== provider.name) {
+    appLogger.security(`Webhook de paiement rejeté (${providerName}): paiement ${payment.id} géré par ${payment.provider}`);
+    throw errors.badRequest('Paiement inconnu pour ce provider');
+  }
+
+  // Enregistrement de l'événement : un doublon signifie qu'il a déjà été traité
+  try {
+    await prisma.paymentEvent.create({
+      data: {
+        provider: provider.name,
+        providerEventId: event.id,
+        type: event.type,
+        payload: rawBody,
+        paymentId: payment?.id || null
+      }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { duplicate: true, event };
+    }
+    throw error;
+  }
+
+  if (!payment) {
+    logger.warn(`⚠️ Webhook ${event.type} pour un paiement inconnu: ${intent?.id}`);
+    return { ignored: true, event };
+  }
+
+  await syncPaymentWithIntent(payment, intent);
+
+  return { processed: true, event };
+};
+
+export default {
+  getPaymentForUser,
+  createPaymentIntent,
+  confirmPayment,
+  capturePayment,
+  refundPayment,
+  handlePaymentWebhook
+};
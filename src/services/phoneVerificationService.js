@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { logger, appLogger } from '../utils/logger.js';
+import { getSmsProvider } from './smsProviders/index.js';
+
+// Vérification du numéro de téléphone par code à 6 chiffres envoyé par SMS
+// Limites stockées en base (codes émis) : elles s'appliquent sans Redis et entre plusieurs instances
+const CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_CODE_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute entre deux envois
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getMaxCodesPerDay = () => parseInt(process.env.PHONE_MAX_CODES_PER_DAY) || 5;
+
+const smsMessages = {
+  fr: (code) => `WANT2 : votre code de vérification est ${code}. Il expire dans 10 minutes.`,
+  en: (code) => `WANT2: your verification code is ${code}. It expires in 10 minutes.`
+};
+
+// Empreinte liée à l'utilisateur et au numéro : un code ne vaut que pour la demande qui l'a produit
+const hashCode = (userId, phone, code) => crypto
+  .createHash('sha256')
+  .update(`${userId}:${phone}:${code}`)
+  .digest('hex');
+
+// Numéro masqué renvoyé au client (+336••••••78)
+const maskPhone = (phone) => `${phone.slice(0, 4)}${'•'.repeat(Math.max(phone.length - 6, 0))}${phone.slice(-2)}`;
+
+const invalidateUserCaches = async (userId) => {
+  await cache.del(`user:${userId}`);
+  await cache.del(`user:profile:${userId}`);
+  await cache.del(`user:public:${userId}`);
+};
+
+// Un numéro ne peut être vérifié que sur un seul compte
+const assertPhoneAvailable = async (phone, userId) => {
+  const owner = await prisma.user.findFirst({
+    where: { phone, phoneVerified: true, id: { not: userId } },
+    select: { id: true }
+  });
+
+  if (owner) {
+    throw errors.conflict('Ce numéro est déjà vérifié sur un autre compte');
+  }
+};
+
+// Limites d'envoi : délai entre deux codes, plafond quotidien par compte et par numéro
+const assertCanSendCode = async (userId, phone, now) => {
+  const since = new Date(now.getTime() - DAY_MS);
+
+  const [lastCode, sentByUser, sentToPhone] = await Promise.all([
+    prisma.phoneVerificationCode.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true }
+    }),
+    prisma.phoneVerificationCode.count({ where: { userId, createdAt: { gt: since } } }),
+    prisma.phoneVerificationCode.count({ where: { phone, createdAt: { gt: since } } })
+  ]);
+
+  if (lastCode && now.getTime() - lastCode.createdAt.getTime() < RESEND_COOLDOWN_MS) {
+    const seconds = Math.ceil((RESEND_COOLDOWN_MS - (now.getTime() - lastCode.createdAt.getTime())) / 1000);
+    throw errors.tooManyRequests(`Veuillez patienter ${seconds} seconde(s) avant de demander un nouveau code`);
+  }
+
+  if (sentByUser >= getMaxCodesPerDay() || sentToPhone >= getMaxCodesPerDay()) {
+    throw errors.tooManyRequests('Trop de codes envoyés, réessayez demain');
+  }
+};
+
+// Envoyer un code au numéro fourni (ou au numéro du profil)
+export const requestPhoneVerification = async (userId, phone = null, now = new Date()) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, phone: true, phoneVerified: true, locale: true }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  const target = phone || user.phone;
+  if (!target) {
+    throw errors.badRequest('Numéro de téléphone requis');
+  }
+
+  if (target === user.phone && user.phoneVerified) {
+    throw errors.badRequest('Ce numéro est déjà vérifié');
+  }
+
+  await assertPhoneAvailable(target, userId);
+  await assertCanSendCode(userId, target, now);
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now.getTime() + CODE_TTL_MS);
+
+  await prisma.$transaction([
+    // Les codes envoyés précédemment ne sont plus valables
+    prisma.phoneVerificationCode.updateMany({
+      where: { userId, usedAt: null, expiresAt: { gt: now } },
+      data: { expiresAt: now }
+    }),
+    prisma.phoneVerificationCode.create({
+      data: {
+        userId,
+        phone: target,
+        codeHash: hashCode(userId, target, code),
+        expiresAt
+      }
+    })
+  ]);
+
+  const message = (smsMessages[user.locale] || smsMessages.fr)(code);
+
+  try {
+    await getSmsProvider().send({ to: target, body: message });
+  } catch (error) {
+    logger.error(`Envoi du SMS de vérification impossible pour ${userId}:`, error);
+    throw errors.internal('Envoi du SMS impossible, réessayez plus tard');
+  }
+
+  appLogger.security('Code de vérification du téléphone envoyé', { userId, phone: maskPhone(target) });
+
+  return { phone: maskPhone(target), expiresAt };
+};
+
+// Vérifier le dernier code envoyé ; le numéro vérifié devient celui du profil
+export const verifyPhoneCode = async (userId, code, now = new Date()) => {
+  const record = await prisma.phoneVerificationCode.findFirst({
+    where: { userId, usedAt: null, expiresAt: { gt: now } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!record) {
+    throw errors.badRequest('Code invalide ou expiré, demandez un nouveau code');
+  }
+
+  // Essai décompté avant la comparaison : des requêtes simultanées ne peuvent pas dépasser MAX_CODE_ATTEMPTS
+  const { count: attemptCount } = await prisma.phoneVerificationCode.updateMany({
+    where: { id: record.id, usedAt: null, attempts: { lt: MAX_CODE_ATTEMPTS } },
+    data: { attempts: { increment: 1 } }
+  });
+
+  if (attemptCount === 0) {
+    throw errors.badRequest('Code invalide ou expiré, demandez un nouveau code');
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const received = Buffer.from(hashCode(userId, record.phone, code), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    const remaining = MAX_CODE_ATTEMPTS - record.attempts - 1;
+    throw errors.badRequest(remaining > 0
+      ? `Code incorrect (${remaining} essai(s) restant(s))`
+      : 'Code incorrect, demandez un nouveau code');
+  }
+
+  // Garde sur usedAt : deux requêtes simultanées ne peuvent pas consommer le même code
+  const { count } = await prisma.phoneVerificationCode.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: now }
+  });
+
+  if (count === 0) {
+    throw errors.badRequest('Code invalide ou expiré, demandez un nouveau code');
+  }
+
+  // Le numéro a pu être vérifié sur un autre compte depuis l'envoi
+  await assertPhoneAvailable(record.phone, userId);
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: {
+      phone: record.phone,
+      phoneVerified: true,
+      phoneVerifiedAt: now
+    },
+    select: {
+      id: true,
+      phone: true,
+      phoneVerified: true,
+      phoneVerifiedAt: true
+    }
+  });
+
+  await invalidateUserCaches(userId);
+
+  appLogger.security('Numéro de téléphone vérifié', { userId, phone: maskPhone(record.phone) });
+
+  return user;
+};
+
+export default {
+  requestPhoneVerification,
+  verifyPhoneCode
+};
@@ -0,0 +1,104 @@
+import prisma from '../database/connection.js';
+
+// Facettes d'une recherche de produits : nombre d'annonces par catégorie, marque (les plus représentées),
+// état, tranche de prix et authentification, sous les filtres de la recherche en cours
+const TOP_BRANDS = 10;
+
+// Bornes inférieures des tranches de prix (la dernière tranche n'a pas de maximum)
+export const PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Champs nécessaires au calcul des facettes en mémoire (recherche plein texte ou géographique)
+export const facetSelect = {
+  category: true,
+  brand: true,
+  condition: true,
+  price: true,
+  isAuthenticated: true
+};
+
+const getPriceBuckets = () => PRICE_BUCKETS.map((min, index) => ({
+  min,
+  max: PRICE_BUCKETS[index + 1] ?? null
+}));
+
+const isInBucket = (price, bucket) => price >= bucket.min && (bucket.max === null || price < bucket.max);
+
+// Valeurs les plus fréquentes en premier, puis ordre alphabétique
+const sortCounts = (counts) => counts
+  .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+const fromGroups = (groups, field) => sortCounts(groups.map(group => ({
+  value: group[field],
+  count: group._count._all
+})));
+
+const countValues = (products, field) => {
+  const counts = new Map();
+  for (const product of products) {
+    const value = product[field];
+    if (value !== null && value !== undefined) {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return sortCounts([...counts].map(([value, count]) => ({ value, count })));
+};
+
+// Facettes calculées en base pour un filtre Prisma
+export const computeFacets = async (where) => {
+  const [categories, brands, conditions, authentication, priceCounts] = await Promise.all([
+    prisma.product.groupBy({ by: ['category'], where, _count: { _all: true } }),
+    prisma.product.groupBy({
+      by: ['brand'],
+      where: { AND: [where, { brand: { not: null } }] },
+      _count: { _all: true },
+      orderBy: { _count: { brand: 'desc' } },
+      take: TOP_BRANDS
+    }),
+    prisma.product.groupBy({ by: ['condition'], where, _count: { _all: true } }),
+    prisma.product.groupBy({ by: ['isAuthenticated'], where, _count: { _all: true } }),
+    Promise.all(getPriceBuckets().map(bucket => prisma.product.count({
+      where: {
+        AND: [where, { price: { gte: bucket.min, ...(bucket.max !== null && { lt: bucket.max }) } }]
+      }
+    })))
+  ]);
+
+  const authenticatedCount = (value) => authentication.find(group => group.isAuthenticated === value)?._count._all || 0;
+
+  return {
+    categories: fromGroups(categories, 'category'),
+    brands: fromGroups(brands, 'brand'),
+    conditions: fromGroups(conditions, 'condition'),
+    prices: getPriceBuckets().map((bucket, index) => ({ ...bucket, count: priceCounts[index] })),
+    authenticity: {
+      authenticated: authenticatedCount(true),
+      notAuthenticated: authenticatedCount(false)
+    }
+  };
+};
+
+// Facettes calculées en mémoire sur des produits déjà sélectionnés (champs de facetSelect)
+export const aggregateFacets = (products) => {
+  const authenticated = products.filter(product => product.isAuthenticated).length;
+
+  return {
+    categories: countValues(products, 'category'),
+    brands: countValues(products, 'brand').slice(0, TOP_BRANDS),
+    conditions: countValues(products, 'condition'),
+    prices: getPriceBuckets().map(bucket => ({
+      ...bucket,
+      count: products.filter(product => isInBucket(product.price, bucket)).length
+    })),
+    authenticity: {
+      authenticated,
+      notAuthenticated: products.length - authenticated
+    }
+  };
+};
+
+export default {
+  PRICE_BUCKETS,
+  facetSelect,
+  computeFacets,
+  aggregateFacets
+};
@@ -0,0 +1,399 @@
+import prisma from '../database/connection.js';
+import { logger } from '../utils/logger.js';
+import { boundingBoxWhere, filterByDistance, compareByDistance } from './geoService.js';
+import { facetSelect, aggregateFacets } from './productFacetService.js';
+
+// Recherche plein texte des produits, identique sur PostgreSQL et SQLite :
+// - Product.searchText contient titre, marque et description normalisés (minuscules, sans accents),
+//   ce qui permet un pré-filtrage par `contains` ; sur PostgreSQL il est servi par l'index GIN
+//   trigrammes (pg_trgm) de la colonne, sur SQLite (développement) il parcourt la table
+// - les candidats sont ensuite classés ici : champs pondérés, tolérance aux fautes de frappe,
+//   bonus d'authenticité et de mise en avant, extraits surlignés
+// - au-delà de SEARCH_MAX_CANDIDATES candidats, seuls les plus récents sont classés et le résultat
+//   est signalé comme tronqué (`truncated`)
+
+// Poids des champs : titre > marque > description
+const FIELD_WEIGHTS = { title: 3, brand: 2, description: 1 };
+const MAX_FIELD_WEIGHT = 3;
+
+// Qualité d'une correspondance entre un terme recherché et un mot du produit
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const FUZZY_MATCH = 0.6;
+
+// Bonus de classement
+const AUTHENTICITY_BOOST = 0.3; // Jusqu'à +30 % pour un score d'authenticité de 1
+const PROMOTED_BOOST = 1.25; // +25 % pour une annonce mise en avant
+const TITLE_PHRASE_BONUS = 0.2; // La requête entière apparaît telle quelle dans le titre
+
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40; // Caractères conservés avant la première correspondance
+
+const getMaxCandidates = () => parseInt(process.env.SEARCH_MAX_CANDIDATES) || 1000;
+
+// Mots vides ignorés (sauf si la requête n'en contient pas d'autres)
+const STOP_WORDS = new Set([
+  'a', 'au', 'aux', 'de', 'des', 'du', 'en', 'et', 'la', 'le', 'les', 'l', 'd', 'un', 'une', 'pour', 'avec', 'sur',
+  'the', 'an', 'and', 'of', 'for', 'with', 'in', 'on'
+]);
+
+const LIGATURES = { 'œ': 'oe', 'æ': 'ae', 'ß': 'ss' };
+
+// Forme normalisée d'un caractère (« É » → « e », « œ » → « oe »)
+const foldChar = (char) => {
+  const lower = char.toLowerCase();
+  return LIGATURES[lower] || lower.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+};
+
+// Texte normalisé et, pour chaque caractère normalisé, sa position dans le texte d'origine
+const foldWithMap = (text) => {
+  let folded = '';
+  const map = [];
+
+  for (let index = 0; index < text.length; index++) {
+    const char = foldChar(text[index]);
+    folded += char;
+    for (let i = 0; i < char.length; i++) {
+      map.push(index);
+    }
+  }
+
+  return { folded, map };
+};
+
+export const foldText = (text) => foldWithMap(String(text || '')).folded;
+
+const tokenize = (folded) => folded.split(/[^a-z0-9]+/).filter(Boolean);
+
+// Texte indexé d'un produit (à recalculer quand le titre, la marque ou la description changent)
+export const buildSearchText = ({ title, brand, description }) => {
+  return tokenize(foldText([title, brand, description].filter(Boolean).join(' '))).join(' ');
+};
+
+// Termes d'une requête, sans doublons ni mots vides
+export const parseQuery = (query) => {
+  const terms = [...new Set(tokenize(foldText(query)))];
+  const meaningful = terms.filter(term => !STOP_WORDS.has(term));
+  return meaningful.length ? meaningful : terms;
+};
+
+// Distance de Damerau-Levenshtein (transpositions comptées comme une seule faute), bornée par maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// Fautes tolérées selon la longueur du terme
+const getAllowedEdits = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+// Qualité de la correspondance entre un terme et un mot (0 si aucune)
+const matchToken = (term, token) => {
+  if (token === term) return EXACT_MATCH;
+  if (term.length >= 2 && token.startsWith(term)) return PREFIX_MATCH;
+
+  const allowedEdits = getAllowedEdits(term);
+  if (allowedEdits && editDistance(term, token, allowedEdits) <= allowedEdits) return FUZZY_MATCH;
+
+  return 0;
+};
+
+const bestMatch = (term, tokens) => {
+  let best = 0;
+  for (const token of tokens) {
+    best = Math.max(best, matchToken(term, token));
+    if (best === EXACT_MATCH) break;
+  }
+  return best;
+};
+
+// Fragments utilisés pour le pré-filtrage en base : le terme entier s'il est court,
+// sinon ses trigrammes (une faute de frappe laisse la plupart d'entre eux intacts,
+// et l'index trigrammes ne sert que des motifs d'au moins 3 caractères)
+const getTermFragments = (term) => {
+  if (term.length <= 3) return [term];
+
+  const fragments = new Set();
+  for (let i = 0; i + 3 <= term.length; i++) {
+    fragments.add(term.slice(i, i + 3));
+  }
+  return [...fragments];
+};
+
+// Filtre Prisma des candidats : chaque terme doit partager au moins un fragment avec le texte indexé
+// (les produits sans searchText sont complétés par le job search-text-backfill)
+export const buildCandidateWhere = (terms) => ({
+  AND: terms.map(term => ({
+    OR: getTermFragments(term).map(fragment => ({
+      searchText: { contains: fragment }
+    }))
+  }))
+});
+
+const isPromotionActive = (product, now) => {
+  return Boolean(product.isPromoted) && (!product.promotedUntil || new Date(product.promotedUntil) > now);
+};
+
+// Score de pertinence d'un produit (null si un terme ne correspond à aucun champ)
+export const scoreProduct = (product, terms, { now = new Date(), phrase = null } = {}) => {
+  const fieldTokens = Object.fromEntries(
+    Object.keys(FIELD_WEIGHTS).map(field => [field, tokenize(foldText(product[field]))])
+  );
+
+  let textScore = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      termScore = Math.max(termScore, weight * bestMatch(term, fieldTokens[field]));
+    }
+
+    if (termScore === 0) return null;
+    textScore += termScore;
+  }
+
+  let score = textScore / (terms.length * MAX_FIELD_WEIGHT);
+
+  if (phrase && terms.length > 1 && fieldTokens.title.join(' ').includes(phrase)) {
+    score += TITLE_PHRASE_BONUS;
+  }
+
+  score *= 1 + AUTHENTICITY_BOOST * (product.authenticityScore || 0);
+
+  if (isPromotionActive(product, now)) {
+    score *= PROMOTED_BOOST;
+  }
+
+  return Math.round(score * 1000) / 1000;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Plages [début, fin[ du texte d'origine correspondant à un terme recherché
+const findMatchRanges = (text, terms) => {
+  const { folded, map } = foldWithMap(text);
+  const ranges = [];
+
+  for (const { 0: token, index } of folded.matchAll(/[a-z0-9]+/g)) {
+    if (terms.some(term => matchToken(term, token) > 0)) {
+      ranges.push([map[index], map[index + token.length - 1] + 1]);
+    }
+  }
+
+  return ranges;
+};
+
+// Texte échappé avec les correspondances entourées de <mark>, limité à [start, end[
+const renderHighlight = (text, ranges, start = 0, end = text.length) => {
+  let html = '';
+  let cursor = start;
+
+  for (const [rangeStart, rangeEnd] of ranges) {
+    if (rangeEnd <= start || rangeStart >= end) continue;
+    html += escapeHtml(text.slice(cursor, Math.max(rangeStart, cursor)));
+    html += `<mark>${escapeHtml(text.slice(Math.max(rangeStart, cursor), Math.min(rangeEnd, end)))}</mark>`;
+    cursor = Math.min(rangeEnd, end);
+  }
+
+  return html + escapeHtml(text.slice(cursor, end));
+};
+
+// Extrait centré sur la première correspondance (texte long, ex. description)
+const renderSnippet = (text, ranges) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return renderHighlight(text, ranges);
+  }
+
+  let start = ranges.length ? Math.max(0, ranges[0][0] - SNIPPET_CONTEXT) : 0;
+  // Commencer au début d'un mot
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    if (nextSpace !== -1 && nextSpace < (ranges[0]?.[0] ?? start)) start = nextSpace + 1;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (lastSpace > start) end = lastSpace;
+  }
+
+  return `${start > 0 ? '…' : ''}${renderHighlight(text, ranges, start, end)}${end < text.length ? '…' : ''}`;
+};
+
+// Extraits surlignés (HTML échappé, correspondances dans des balises <mark>)
+export const buildHighlights = (product, terms) => {
+  const highlights = {};
+
+  for (const field of ['title', 'brand']) {
+    if (product[field]) {
+      highlights[field] = renderHighlight(product[field], findMatchRanges(product[field], terms));
+    }
+  }
+
+  if (product.description) {
+    highlights.description = renderSnippet(product.description, findMatchRanges(product.description, terms));
+  }
+
+  return highlights;
+};
+
+// Champs nécessaires au classement des candidats
+const candidateSelect = {
+  id: true,
+  title: true,
+  brand: true,
+  description: true,
+  price: true,
+  authenticityScore: true,
+  isPromoted: true,
+  promotedUntil: true,
+  latitude: true,
+  longitude: true,
+  createdAt: true
+};
+
+const sorters = {
+  relevance: (a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt),
+  price_asc: (a, b) => a.price - b.price,
+  price_desc: (a, b) => b.price - a.price,
+  date_asc: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  date_desc: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  distance: compareByDistance
+};
+
+// Rechercher des produits : `where` porte les autres filtres (statut, catégorie, prix...),
+// `select` les champs renvoyés pour chaque produit de la page. Avec `origin`, seuls les produits situés
+// à moins de `radius` km sont retenus et chacun reçoit sa distance. Avec `facets`, les facettes de
+// l'ensemble des résultats sont aussi renvoyées. `truncated` indique que le plafond de candidats
+// a été atteint : `total` et les facettes ne portent alors que sur les annonces les plus récentes
+export const searchProducts = async ({
+  q,
+  where,
+  select,
+  origin = null,
+  radius = null,
+  sortBy = 'relevance',
+  page = 1,
+  limit = 20,
+  facets = false,
+  now = new Date()
+}) => {
+  const terms = parseQuery(q);
+  if (!terms.length) {
+    return { products: [], total: 0, truncated: false, ...(facets && { facets: aggregateFacets([]) }) };
+  }
+
+  const maxCandidates = getMaxCandidates();
+  const candidates = await prisma.product.findMany({
+    where: { AND: [where, buildCandidateWhere(terms), ...(origin ? [boundingBoxWhere(origin, radius)] : [])] },
+    select: facets ? { ...candidateSelect, ...facetSelect } : candidateSelect,
+    orderBy: { createdAt: 'desc' },
+    // Un candidat de plus que le plafond pour savoir s'il est atteint
+    take: maxCandidates + 1
+  });
+
+  const truncated = candidates.length > maxCandidates;
+  if (truncated) {
+    candidates.length = maxCandidates;
+    logger.warn(`Recherche « ${q} » tronquée aux ${maxCandidates} candidats les plus récents`);
+  }
+
+  const phrase = terms.join(' ');
+  const located = origin ? filterByDistance(candidates, origin, radius) : candidates;
+  const matches = located
+    .map(candidate => ({ ...candidate, score: scoreProduct(candidate, terms, { now, phrase }) }))
+    .filter(candidate => candidate.score !== null)
+    .sort(sorters[sortBy] || sorters.relevance);
+
+  const pageMatches = matches.slice((page - 1) * limit, page * limit);
+
+  const products = await prisma.product.findMany({
+    where: { id: { in: pageMatches.map(match => match.id) } },
+    select
+  });
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  return {
+    total: matches.length,
+    truncated,
+    products: pageMatches
+      .filter(match => productsById.has(match.id))
+      .map(match => ({
+        ...productsById.get(match.id),
+        relevance: match.score,
+        ...(origin && { distance: match.distance }),
+        highlights: buildHighlights(match, terms)
+      })),
+    ...(facets && { facets: aggregateFacets(matches) })
+  };
+};
+
+// Calculer searchText des produits qui n'en ont pas (créés avant la recherche plein texte ou hors API),
+// par lots : sans lui, un produit n'apparaît dans aucune recherche textuelle
+export const backfillSearchText = async ({ batchSize = 200 } = {}) => {
+  let updatedCount = 0;
+
+  for (;;) {
+    const products = await prisma.product.findMany({
+      where: { searchText: null },
+      select: { id: true, title: true, brand: true, description: true },
+      orderBy: { id: 'asc' },
+      take: batchSize
+    });
+
+    if (!products.length) break;
+
+    await prisma.$transaction(products.map(product => prisma.product.update({
+      where: { id: product.id },
+      data: { searchText: buildSearchText(product) }
+    })));
+
+    updatedCount += products.length;
+    if (products.length < batchSize) break;
+  }
+
+  return updatedCount;
+};
+
+export default {
+  foldText,
+  buildSearchText,
+  parseQuery,
+  buildCandidateWhere,
+  scoreProduct,
+  buildHighlights,
+  searchProducts,
+  backfillSearchText
+};
@@ -0,0 +1,234 @@
+import prisma from '../database/connection.js';
+import { logger, appLogger } from '../utils/logger.js';
+import { areQueuesEnabled, getQueue } from './queueService.js';
+import { createNotification } from './notificationService.js';
+
+// Suivi des produits likés : baisse de prix (PRICE_DROP), remise en vente (BACK_IN_STOCK) et vente (SOLD)
+// Anti-spam :
+// - les modifications d'un produit sont regroupées pendant WATCH_ALERT_DELAY_MS, puis l'état final est
+//   comparé à l'état d'avant la première modification (pause puis remise en ligne rapprochées : rien)
+// - une baisse n'est signalée que sous le plus bas prix déjà signalé (ou le prix au moment du like)
+// - PRICE_DROP et BACK_IN_STOCK au plus une fois par WATCH_ALERT_COOLDOWN_MS et par like
+export const WATCH_ALERT_TYPES = ['PRICE_DROP', 'BACK_IN_STOCK', 'SOLD'];
+
+const QUEUE_NAME = 'product-watch';
+const BATCH_SIZE = 100;
+
+const getAlertDelay = () => parseInt(process.env.WATCH_ALERT_DELAY_MS) || 5 * 60 * 1000; // 5 minutes
+const getAlertCooldown = () => parseInt(process.env.WATCH_ALERT_COOLDOWN_MS) || 6 * 60 * 60 * 1000; // 6 heures
+
+// Vérifications planifiées en process (sans Redis), une par produit
+const pendingChecks = new Map();
+
+// Alerte à envoyer à un like (null si aucune), `retryAt` si elle est retenue par le délai anti-spam
+// `previous` : prix et statut du produit avant la première modification regroupée
+export const decideWatchAlert = (like, product, previous, now = new Date()) => {
+  if (product.status === 'SOLD') {
+    return previous.status !== 'SOLD' ? { type: 'SOLD' } : null;
+  }
+
+  if (product.status !== 'ACTIVE') return null;
+
+  const backInStock = Boolean(previous.status) && previous.status !== 'ACTIVE';
+  const referencePrice = Math.min(like.alertedPrice ?? Infinity, previous.price ?? Infinity);
+  // Sans prix de référence (like ancien, changement de statut seul), aucune baisse à signaler
+  const priceDropped = Number.isFinite(referencePrice)
+    && product.price < referencePrice
+    && (like.targetPrice === null || like.targetPrice === undefined || product.price <= like.targetPrice);
+
+  if (!backInStock && !priceDropped) return null;
+
+  const retryAt = like.lastAlertedAt ? new Date(new Date(like.lastAlertedAt).getTime() + getAlertCooldown()) : null;
+  if (retryAt && retryAt > now) {
+    return { type: null, retryAt };
+  }
+
+  return {
+    type: backInStock ? 'BACK_IN_STOCK' : 'PRICE_DROP',
+    priceDropped,
+    previousPrice: Number.isFinite(referencePrice) ? referencePrice : null
+  };
+};
+
+const formatPrice = (price) => `${Math.round(price * 100) / 100}€`;
+
+const alertNotifications = {
+  PRICE_DROP: (product, alert) => ({
+    title: 'Baisse de prix 📉',
+    message: `"${product.title}" passe à ${formatPrice(product.price)}`
+      + (alert.previousPrice !== null ? ` (au lieu de ${formatPrice(alert.previousPrice)})` : '')
+  }),
+  BACK_IN_STOCK: (product, alert) => ({
+    title: 'De nouveau disponible',
+    message: `"${product.title}" est de nouveau en vente`
+      + (alert.priceDropped ? ` à ${formatPrice(product.price)}` : '')
+  }),
+  SOLD: (product) => ({
+    title: 'Produit vendu',
+    message: `"${product.title}" a été vendu`
+  })
+};
+
+// Acheteur de la commande en cours : il n'est pas prévenu de son propre achat
+const getCurrentBuyerId = async (productId) => {
+  const order = await prisma.order.findFirst({
+    where: { productId, status: { not: 'CANCELLED' } },
+    orderBy: { createdAt: 'desc' },
+    select: { buyerId: true }
+  });
+  return order?.buyerId || null;
+};
+
+const sendAlert = async (like, product, alert, now) => {
+  await createNotification({
+    userId: like.userId,
+    type: alert.type,
+    ...alertNotifications[alert.type](product, alert),
+    data: {
+      productId: product.id,
+      price: product.price,
+      ...(alert.previousPrice !== undefined && { previousPrice: alert.previousPrice }),
+      ...(like.targetPrice !== null && { targetPrice: like.targetPrice })
+    }
+  });
+
+  await prisma.like.update({
+    where: { id: like.id },
+    data: {
+      lastAlertedAt: now,
+      ...(alert.priceDropped && { alertedPrice: product.price })
+    }
+  });
+};
+
+// Comparer l'état actuel d'un produit à son état précédent et prévenir les utilisateurs qui l'ont liké
+// (`likeIds` : seulement ces likes, ceux dont l'alerte avait été retenue)
+export const processProductWatch = async (productId, previous = {}, { likeIds = null, now = new Date() } = {}) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, title: true, price: true, status: true, sellerId: true }
+  });
+
+  if (!product) return { sentCount: 0, retryAt: null };
+
+  const excludedUserIds = [product.sellerId];
+  if (product.status === 'SOLD') {
+    const buyerId = await getCurrentBuyerId(productId);
+    if (buyerId) excludedUserIds.push(buyerId);
+  }
+
+  let cursor = null;
+  let sentCount = 0;
+  let retryAt = null;
+  const retryLikeIds = [];
+
+  for (;;) {
+    const likes = await prisma.like.findMany({
+      where: {
+        productId,
+        alertsEnabled: true,
+        userId: { notIn: excludedUserIds },
+        ...(likeIds && { id: { in: likeIds } }),
+        user: { status: 'ACTIVE' }
+      },
+      select: {
+        id: true,
+        userId: true,
+        targetPrice: true,
+        alertedPrice: true,
+        lastAlertedAt: true
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (likes.length === 0) break;
+
+    for (const like of likes) {
+      const alert = decideWatchAlert(like, product, previous, now);
+      if (!alert) continue;
+
+      if (!alert.type) {
+        retryAt = retryAt && retryAt > alert.retryAt ? retryAt : alert.retryAt;
+        retryLikeIds.push(like.id);
+        continue;
+      }
+
+      await sendAlert(like, product, alert, now);
+      sentCount++;
+    }
+
+    if (likes.length < BATCH_SIZE) break;
+    cursor = likes[likes.length - 1].id;
+  }
+
+  if (sentCount > 0) {
+    appLogger.business(`Produit ${productId}: ${sentCount} alerte(s) envoyée(s) aux utilisateurs l'ayant liké`, {
+      productId,
+      status: product.status,
+      sentCount
+    });
+  }
+
+  // Alertes retenues par le délai anti-spam : nouvelle vérification de ces likes à l'échéance
+  if (retryAt) {
+    scheduleCheck(productId, { previous, likeIds: retryLikeIds }, retryAt.getTime() - now.getTime());
+  }
+
+  return { sentCount, retryAt };
+};
+
+const runCheck = (productId, { previous, likeIds = null }) => processProductWatch(productId, previous, { likeIds })
+  .catch(error => logger.error(`❌ Alertes des likes échouées pour le produit ${productId}:`, error));
+
+// Planifier une vérification ; les demandes suivantes pendant le délai sont regroupées avec la première
+// (les vérifications différées par l'anti-spam sont planifiées à part)
+const scheduleCheck = (productId, check, delay) => {
+  const key = check.likeIds ? `${productId}:retry` : productId;
+
+  if (areQueuesEnabled()) {
+    // Un identifiant par produit et par fenêtre : Bull ignore les ajouts en double
+    const window = Math.floor((Date.now() + delay) / getAlertDelay());
+    return getQueue(QUEUE_NAME).add('check', { productId, ...check }, {
+      delay,
+      jobId: `${key}:${window}`,
+      removeOnComplete: true
+    }).catch(error => logger.error(`❌ Alertes des likes non planifiées pour le produit ${productId}:`, error));
+  }
+
+  if (pendingChecks.has(key)) return Promise.resolve(null);
+
+  const timer = setTimeout(() => {
+    pendingChecks.delete(key);
+    runCheck(productId, check);
+  }, delay);
+  timer.unref();
+  pendingChecks.set(key, timer);
+  return Promise.resolve(null);
+};
+
+// Signaler un changement de prix ou de statut d'un produit (prix et statut avant le changement)
+export const queueProductWatch = (productId, { previousPrice = null, previousStatus = null } = {}) => {
+  return scheduleCheck(productId, { previous: { price: previousPrice, status: previousStatus } }, getAlertDelay());
+};
+
+// Démarrer le consommateur de la file des alertes (avec Redis uniquement)
+export const startProductWatchWorker = () => {
+  if (!areQueuesEnabled()) return null;
+
+  const queue = getQueue(QUEUE_NAME);
+  queue.process('check', (job) => processProductWatch(job.data.productId, job.data.previous, {
+    likeIds: job.data.likeIds || null
+  }));
+  logger.info('👀 Consommateur de la file des alertes de produits likés démarré');
+  return queue;
+};
+
+export default {
+  WATCH_ALERT_TYPES,
+  decideWatchAlert,
+  processProductWatch,
+  queueProductWatch,
+  startProductWatchWorker
+};
@@ -0,0 +1,81 @@
+import Queue from 'bull';
+import { logger } from '../utils/logger.js';
+
+const queues = new Map();
+const intervals = new Set();
+
+// Bull nécessite Redis : sans Redis, les tâches récurrentes tournent en process
+let queuesEnabled = false;
+
+export const setQueuesEnabled = (enabled) => {
+  queuesEnabled = Boolean(enabled);
+};
+
+export const areQueuesEnabled = () => queuesEnabled;
+
+// Options par défaut des jobs (retries avec backoff exponentiel)
+const defaultJobOptions = {
+  attempts: 3,
+  backoff: { type: 'exponential', delay: 5000 },
+  removeOnComplete: 100,
+  removeOnFail: 500
+};
+
+// Créer (ou récupérer) une file Bull partageant la configuration Redis
+export const getQueue = (name, options = {}) => {
+  if (queues.has(name)) {
+    return queues.get(name);
+  }
+
+  const queue = new Queue(name, process.env.REDIS_URL || 'redis://localhost:6379', {
+    prefix: 'want2',
+    ...(process.env.REDIS_PASSWORD && { redis: { password: process.env.REDIS_PASSWORD } }),
+    defaultJobOptions: { ...defaultJobOptions, ...options.defaultJobOptions }
+  });
+
+  queue.on('failed', (job, error) => {
+    logger.error(`❌ Job ${name}:${job.name} échoué (tentative ${job.attemptsMade}):`, error.message);
+  });
+
+  queue.on('error', (error) => {
+    logger.warn(`⚠️ File ${name} indisponible:`, error.message);
+  });
+
+  queues.set(name, queue);
+  return queue;
+};
+
+// Planifier une tâche récurrente (job répétable Bull, ou setInterval en repli)
+export const scheduleRecurring = async (queueName, jobName, every, handler) => {
+  if (!queuesEnabled) {
+    const timer = setInterval(() => {
+      Promise.resolve(handler({ name: jobName, data: {} }))
+        .catch(error => logger.error(`❌ Tâche ${queueName}:${jobName} échouée:`, error));
+    }, every);
+    intervals.add(timer);
+    logger.info(`⏱️ Tâche ${queueName}:${jobName} planifiée en process (toutes les ${every / 1000}s)`);
+    return null;
+  }
+
+  const queue = getQueue(queueName);
+  queue.process(jobName, handler);
+  await queue.add(jobName, {}, { repeat: { every }, jobId: `${queueName}:${jobName}` });
+  logger.info(`⏱️ Job ${queueName}:${jobName} planifié (toutes les ${every / 1000}s)`);
+  return queue;
+};
+
+// Fermeture propre de toutes les files
+export const closeQueues = async () => {
+  intervals.forEach(timer => clearInterval(timer));
+  intervals.clear();
+  await Promise.all([...queues.values()].map(queue => queue.close()));
+  queues.clear();
+};
+
+export default {
+  setQueuesEnabled,
+  areQueuesEnabled,
+  getQueue,
+  scheduleRecurring,
+  closeQueues
+};
@@ -0,0 +1,65 @@
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+
+// Rôle évalué -> rôle de l'auteur de l'avis
+const authorRoles = {
+  SELLER: 'BUYER',
+  BUYER: 'SELLER'
+};
+
+const ratingCacheKey = (userId, role) => `user:public:${userId}:rating:${role.toLowerCase()}`;
+
+// Note moyenne, nombre d'avis et répartition par étoile d'un utilisateur (en tant que vendeur par défaut)
+export const getRatingSummary = async (userId, role = 'SELLER') => {
+  const cacheKey = ratingCacheKey(userId, role);
+  let summary = await cache.get(cacheKey);
+
+  if (!summary) {
+    const where = { targetId: userId, authorRole: authorRoles[role] };
+
+    const [aggregate, groups] = await Promise.all([
+      prisma.review.aggregate({
+        where,
+        _avg: { rating: true },
+        _count: { _all: true }
+      }),
+      prisma.review.groupBy({
+        by: ['rating'],
+        where,
+        _count: { _all: true }
+      })
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    groups.forEach(group => {
+      distribution[group.rating] = group._count._all;
+    });
+
+    summary = {
+      averageRating: aggregate._avg.rating !== null
+        ? Math.round(aggregate._avg.rating * 10) / 10
+        : null,
+      totalRatings: aggregate._count._all,
+      distribution
+    };
+
+    // Cache pour 10 minutes, comme le profil public
+    await cache.set(cacheKey, summary, 600);
+  }
+
+  return summary;
+};
+
+// Invalider les notes et le profil public d'un utilisateur
+export const invalidateRatingCaches = async (userId) => {
+  await Promise.all([
+    cache.del(`user:public:${userId}`),
+    cache.del(ratingCacheKey(userId, 'SELLER')),
+    cache.del(ratingCacheKey(userId, 'BUYER'))
+  ]);
+};
+
+export default {
+  getRatingSummary,
+  invalidateRatingCaches
+};
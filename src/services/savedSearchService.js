@@ -0,0 +1,314 @@
+import prisma from '../database/connection.js';
+import { errors } from '../middleware/errorHandler.js';
+import { logger, appLogger } from '../utils/logger.js';
+import { activeAccountWhere } from '../utils/accountStatus.js';
+import { areQueuesEnabled, getQueue } from './queueService.js';
+import { createNotification } from './notificationService.js';
+import { queueUserEmail } from './emailService.js';
+import { foldText, parseQuery, scoreProduct } from './productSearchService.js';
+import { DEFAULT_SEARCH_RADIUS_KM, geocodeCity, distanceKm } from './geoService.js';
+
+// Recherches sauvegardées : les annonces créées ou remises en vente sont comparées aux recherches
+// en tâche de fond ; chaque correspondance est enregistrée (SavedSearchMatch) puis signalée
+// immédiatement (INSTANT) ou dans un récapitulatif quotidien ou hebdomadaire (cf. jobs/savedSearchDigest.js)
+export const SAVED_SEARCH_FREQUENCIES = ['INSTANT', 'DAILY', 'WEEKLY'];
+
+const QUEUE_NAME = 'saved-search-matching';
+const BATCH_SIZE = 100;
+
+const getMaxSavedSearches = () => parseInt(process.env.SAVED_SEARCH_MAX_PER_USER) || 20;
+
+const savedSearchSelect = {
+  id: true,
+  name: true,
+  query: true,
+  frequency: true,
+  alertsEnabled: true,
+  lastNotifiedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const formatSavedSearch = ({ _count, ...savedSearch }) => ({
+  ...savedSearch,
+  query: JSON.parse(savedSearch.query),
+  ...(_count && { pendingMatches: _count.matches })
+});
+
+const getOwnedSavedSearch = async (userId, id) => {
+  const savedSearch = await prisma.savedSearch.findFirst({
+    where: { id, userId },
+    select: { id: true, name: true }
+  });
+
+  if (!savedSearch) {
+    throw errors.notFound('Recherche sauvegardée');
+  }
+
+  return savedSearch;
+};
+
+const assertNameAvailable = async (userId, name, excludedId = null) => {
+  const existing = await prisma.savedSearch.findUnique({
+    where: { userId_name: { userId, name } },
+    select: { id: true }
+  });
+
+  if (existing && existing.id !== excludedId) {
+    throw errors.conflict('Une recherche sauvegardée porte déjà ce nom');
+  }
+};
+
+// Une ville inconnue du répertoire ne pourrait jamais correspondre à une annonce
+const assertLocationKnown = (query) => {
+  if (query.location && !geocodeCity(query.location)) {
+    throw errors.badRequest(`Localisation inconnue : ${query.location}`);
+  }
+};
+
+// Recherches sauvegardées d'un utilisateur, avec le nombre d'annonces en attente de récapitulatif
+export const listSavedSearches = async (userId) => {
+  const savedSearches = await prisma.savedSearch.findMany({
+    where: { userId },
+    select: {
+      ...savedSearchSelect,
+      _count: { select: { matches: { where: { notifiedAt: null } } } }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return savedSearches.map(formatSavedSearch);
+};
+
+// Sauvegarder une recherche (données déjà validées par validateSavedSearchCreation)
+export const createSavedSearch = async (userId, { name, query, frequency, alertsEnabled }) => {
+  assertLocationKnown(query);
+
+  const count = await prisma.savedSearch.count({ where: { userId } });
+  if (count >= getMaxSavedSearches()) {
+    throw errors.badRequest(`Vous ne pouvez pas sauvegarder plus de ${getMaxSavedSearches()} recherches`);
+  }
+
+  await assertNameAvailable(userId, name);
+
+  const savedSearch = await prisma.savedSearch.create({
+    data: {
+      userId,
+      name,
+      query: JSON.stringify(query),
+      category: query.category || null,
+      frequency,
+      alertsEnabled
+    },
+    select: savedSearchSelect
+  });
+
+  appLogger.business(`Recherche sauvegardée: ${name}`, { userId, savedSearchId: savedSearch.id, frequency });
+
+  return formatSavedSearch(savedSearch);
+};
+
+// Modifier une recherche sauvegardée (données déjà validées par validateSavedSearchUpdate)
+export const updateSavedSearch = async (userId, id, { name, query, frequency, alertsEnabled }) => {
+  const savedSearch = await getOwnedSavedSearch(userId, id);
+
+  if (name && name !== savedSearch.name) {
+    await assertNameAvailable(userId, name, id);
+  }
+
+  if (query) {
+    assertLocationKnown(query);
+  }
+
+  const updated = await prisma.savedSearch.update({
+    where: { id },
+    data: {
+      ...(name && { name }),
+      ...(query && { query: JSON.stringify(query), category: query.category || null }),
+      ...(frequency && { frequency }),
+      ...(alertsEnabled !== undefined && { alertsEnabled })
+    },
+    select: savedSearchSelect
+  });
+
+  // Les anciennes correspondances ne concernent plus la recherche modifiée
+  if (query) {
+    await prisma.savedSearchMatch.deleteMany({ where: { savedSearchId: id, notifiedAt: null } });
+  }
+
+  return formatSavedSearch(updated);
+};
+
+export const deleteSavedSearch = async (userId, id) => {
+  await getOwnedSavedSearch(userId, id);
+  await prisma.savedSearch.delete({ where: { id } });
+};
+
+// Un produit correspond-il aux filtres d'une recherche ? (mêmes règles que GET /api/products)
+export const matchesSearchQuery = (product, query) => {
+  if (query.category && product.category !== query.category) return false;
+  if (query.brand && !foldText(product.brand).includes(foldText(query.brand))) return false;
+  if (query.minPrice && product.price < query.minPrice) return false;
+  if (query.maxPrice && product.price > query.maxPrice) return false;
+  if (query.condition && !query.condition.includes(product.condition)) return false;
+
+  const origin = query.lat !== undefined && query.lng !== undefined
+    ? { latitude: query.lat, longitude: query.lng }
+    : geocodeCity(query.location);
+
+  if (query.location || query.lat !== undefined) {
+    if (!origin || product.latitude === null || product.longitude === null) return false;
+    if (distanceKm(origin, product) > (query.radius || DEFAULT_SEARCH_RADIUS_KM)) return false;
+  }
+
+  if (query.q) {
+    const terms = parseQuery(query.q);
+    if (!terms.length || scoreProduct(product, terms) === null) return false;
+  }
+
+  return true;
+};
+
+const matchProductSelect = {
+  id: true,
+  title: true,
+  brand: true,
+  description: true,
+  price: true,
+  category: true,
+  condition: true,
+  latitude: true,
+  longitude: true,
+  authenticityScore: true,
+  isPromoted: true,
+  promotedUntil: true,
+  sellerId: true
+};
+
+// Enregistrer la correspondance ; false si l'annonce a déjà été signalée pour cette recherche
+const recordMatch = async (savedSearch, product, now) => {
+  try {
+    await prisma.savedSearchMatch.create({
+      data: {
+        savedSearchId: savedSearch.id,
+        productId: product.id,
+        notifiedAt: savedSearch.frequency === 'INSTANT' ? now : null
+      }
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 'P2002') return false;
+    throw error;
+  }
+};
+
+const sendInstantAlert = async (savedSearch, product, now) => {
+  await createNotification({
+    userId: savedSearch.userId,
+    type: 'SAVED_SEARCH_MATCH',
+    title: `Nouvelle annonce pour « ${savedSearch.name} »`,
+    message: `"${product.title}" à ${product.price}€ correspond à votre recherche`,
+    data: { savedSearchId: savedSearch.id, productId: product.id }
+  });
+
+  queueUserEmail(savedSearch.userId, 'savedSearchMatch', {
+    searchName: savedSearch.name,
+    productId: product.id,
+    productTitle: product.title,
+    price: product.price
+  });
+
+  await prisma.savedSearch.update({
+    where: { id: savedSearch.id },
+    data: { lastNotifiedAt: now }
+  });
+};
+
+// Comparer une annonce en ligne à toutes les recherches sauvegardées actives
+export const matchProductToSavedSearches = async (productId, now = new Date()) => {
+  const product = await prisma.product.findFirst({
+    where: { id: productId, status: 'ACTIVE', seller: activeAccountWhere(now) },
+    select: matchProductSelect
+  });
+
+  if (!product) return 0;
+
+  let cursor = null;
+  let matchedCount = 0;
+
+  for (;;) {
+    const savedSearches = await prisma.savedSearch.findMany({
+      where: {
+        alertsEnabled: true,
+        userId: { not: product.sellerId },
+        OR: [{ category: null }, { category: product.category }],
+        user: { status: 'ACTIVE' }
+      },
+      select: { id: true, userId: true, name: true, query: true, frequency: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    if (savedSearches.length === 0) break;
+
+    for (const savedSearch of savedSearches) {
+      if (!matchesSearchQuery(product, JSON.parse(savedSearch.query))) continue;
+      if (!await recordMatch(savedSearch, product, now)) continue;
+
+      matchedCount++;
+
+      if (savedSearch.frequency === 'INSTANT') {
+        await sendInstantAlert(savedSearch, product, now);
+      }
+    }
+
+    if (savedSearches.length < BATCH_SIZE) break;
+    cursor = savedSearches[savedSearches.length - 1].id;
+  }
+
+  if (matchedCount > 0) {
+    appLogger.business(`Annonce ${productId}: ${matchedCount} recherche(s) sauvegardée(s) correspondante(s)`, {
+      productId,
+      matchedCount
+    });
+  }
+
+  return matchedCount;
+};
+
+// Planifier la comparaison d'une annonce créée ou remise en vente ; une erreur ne doit pas faire échouer la requête
+export const queueProductMatching = (productId) => {
+  if (areQueuesEnabled()) {
+    return getQueue(QUEUE_NAME).add('match', { productId })
+      .catch(error => logger.error(`❌ Comparaison aux recherches sauvegardées non planifiée pour ${productId}:`, error));
+  }
+
+  setImmediate(() => {
+    matchProductToSavedSearches(productId)
+      .catch(error => logger.error(`❌ Comparaison aux recherches sauvegardées échouée pour ${productId}:`, error));
+  });
+  return Promise.resolve(null);
+};
+
+// Démarrer le consommateur de la file de comparaison (avec Redis uniquement)
+export const startSavedSearchWorker = () => {
+  if (!areQueuesEnabled()) return null;
+
+  const queue = getQueue(QUEUE_NAME);
+  queue.process('match', (job) => matchProductToSavedSearches(job.data.productId));
+  logger.info('🔎 Consommateur de la file des recherches sauvegardées démarré');
+  return queue;
+};
+
+export default {
+  SAVED_SEARCH_FREQUENCIES,
+  listSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  matchesSearchQuery,
+  matchProductToSavedSearches,
+  queueProductMatching,
+  startSavedSearchWorker
+};
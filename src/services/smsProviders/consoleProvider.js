@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import { logger } from '../../utils/logger.js';
+
+// Provider SMS de substitution (tests et développement hors ligne) : les messages sont journalisés,
+// conservés en mémoire et, si SMS_OUTBOX_FILE est défini, ajoutés au fichier (une ligne JSON par SMS)
+const messages = [];
+let sequence = 0;
+
+export const consoleProvider = {
+  name: 'console',
+
+  async send({ to, body }) {
+    const message = {
+      id: `console_sms_${String(++sequence).padStart(8, '0')}`,
+      to,
+      body,
+      sentAt: new Date().toISOString()
+    };
+
+    messages.push(message);
+    logger.info(`📱 SMS (console) à ${to}: ${body}`);
+
+    if (process.env.SMS_OUTBOX_FILE) {
+      await fs.appendFile(process.env.SMS_OUTBOX_FILE, `${JSON.stringify(message)}\n`);
+    }
+
+    return { id: message.id };
+  },
+
+  // Messages envoyés, du plus ancien au plus récent (tests)
+  getSentMessages() {
+    return messages.map(message => ({ ...message }));
+  },
+
+  // Réinitialiser l'état (tests)
+  reset() {
+    messages.length = 0;
+    sequence = 0;
+  }
+};
+
+export default consoleProvider;
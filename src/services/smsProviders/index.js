@@ -0,0 +1,22 @@
+import { consoleProvider } from './consoleProvider.js';
+
+// Registre des providers SMS
+// Un provider expose : name et send({ to, body }) qui renvoie { id }
+const providers = new Map([[consoleProvider.name, consoleProvider]]);
+
+export const registerSmsProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+export const getSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Provider SMS inconnu: ${name}`);
+  }
+  return provider;
+};
+
+export default {
+  registerSmsProvider,
+  getSmsProvider
+};
@@ -1,5 +1,6 @@
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
+import prisma from '../database/connection.js';
+import { resolveAccessToken } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
 
 let io = null;
@@ -19,8 +20,9 @@ export const initializeSocketIO = (server) => {
     transports: ['websocket', 'polling']
   });
 
-  // Middleware d'authentification pour Socket.io
-  io.use((socket, next) => {
+  // Middleware d'authentification pour Socket.io (mêmes vérifications que les routes HTTP :
+  // révocation des tokens et des sessions, compte suspendu, banni ou supprimé)
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
     
     if (!token) {
@@ -28,13 +30,15 @@ export const initializeSocketIO = (server) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.id;
-      socket.join(`user:${decoded.id}`);
+      const { user } = await resolveAccessToken(token);
+      socket.userId = user.id;
+      socket.join(`user:${user.id}`);
       next();
     } catch (error) {
-      logger.error('Erreur authentification Socket.io:', error);
-      next(new Error('Token invalide'));
+      if (!error.isOperational) {
+        logger.error('Erreur authentification Socket.io:', error);
+      }
+      next(new Error(error.isOperational ? error.message : 'Token invalide'));
     }
   });
 
@@ -77,16 +81,47 @@ export const initializeSocketIO = (server) => {
       }
     });
 
+    // Rejoindre la room d'une conversation (participants uniquement)
+    socket.on('chat:join', async (data, ack) => {
+      try {
+        const conversation = await prisma.conversation.findUnique({
+          where: { id: data?.chatId },
+          select: { id: true, buyerId: true, sellerId: true }
+        });
+
+        if (!conversation || (conversation.buyerId !== userId && conversation.sellerId !== userId)) {
+          if (typeof ack === 'function') ack({ success: false, message: 'Conversation non accessible' });
+          return;
+        }
+
+        socket.join(`chat:${conversation.id}`);
+        if (typeof ack === 'function') ack({ success: true, chatId: conversation.id });
+      } catch (error) {
+        logger.error('Erreur connexion conversation:', error);
+        if (typeof ack === 'function') ack({ success: false, message: 'Erreur lors de la connexion à la conversation' });
+      }
+    });
+
+    socket.on('chat:leave', (data) => {
+      socket.leave(`chat:${data?.chatId}`);
+    });
+
     socket.on('typing:start', (data) => {
-      // Pour les futures fonctionnalités de chat
+      // Seuls les participants ayant rejoint la conversation peuvent relayer
+      if (!socket.rooms.has(`chat:${data?.chatId}`)) return;
+
       socket.to(`chat:${data.chatId}`).emit('user:typing', {
+        chatId: data.chatId,
         userId,
         timestamp: new Date().toISOString()
       });
     });
 
     socket.on('typing:stop', (data) => {
+      if (!socket.rooms.has(`chat:${data?.chatId}`)) return;
+
       socket.to(`chat:${data.chatId}`).emit('user:stopped_typing', {
+        chatId: data.chatId,
         userId,
         timestamp: new Date().toISOString()
       });
@@ -156,6 +191,14 @@ export const broadcastToAll = (event, data) => {
   }
 };
 
+// Fermer les connexions temps réel d'un utilisateur (compte suspendu, banni ou supprimé)
+export const disconnectUser = (userId) => {
+  if (io) {
+    io.in(`user:${userId}`).disconnectSockets(true);
+    logger.debug(`Connexions WebSocket de l'utilisateur ${userId} fermées`);
+  }
+};
+
 // Obtenir les statistiques de connexion
 export const getConnectionStats = () => {
   if (!io) return null;
@@ -191,6 +234,7 @@ export default {
   emitToUser,
   emitToRoom,
   broadcastToAll,
+  disconnectUser,
   getConnectionStats,
   closeSocketIO
 };
\ No newline at end of file
@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import prisma from '../database/connection.js';
+import { cache } from '../database/redis.js';
+import { errors } from '../middleware/errorHandler.js';
+import { appLogger } from '../utils/logger.js';
+
+// Paramètres TOTP (RFC 6238) compatibles avec les applications d'authentification courantes
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Tolérance d'un pas avant/après pour le décalage d'horloge
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = 'WANT2';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// Chiffrement du secret en base (AES-256-GCM), clé dérivée de TWO_FACTOR_ENCRYPTION_KEY
+// Clé dédiée et obligatoire : sans elle, la 2FA répond 503 plutôt que de dépendre de JWT_SECRET,
+// dont la rotation rendrait les secrets illisibles
+export const isTwoFactorAvailable = () => Boolean(process.env.TWO_FACTOR_ENCRYPTION_KEY);
+
+const getEncryptionKey = () => {
+  if (!isTwoFactorAvailable()) {
+    throw errors.serviceUnavailable('Double authentification temporairement indisponible');
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const getTimeStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD);
+
+// Code TOTP d'un secret pour un pas de temps donné (HOTP, HMAC-SHA1)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Pas de temps correspondant au code fourni (ou null)
+const findMatchingStep = (secret, code, now = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = generateCode(secret, current + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Codes de secours : affichés une seule fois, stockés hachés
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeBackupCode(code))
+  .digest('hex');
+
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const replaceBackupCodes = async (tx, userId) => {
+  const codes = generateBackupCodes();
+
+  await tx.twoFactorBackupCode.deleteMany({ where: { userId } });
+  await tx.twoFactorBackupCode.createMany({
+    data: codes.map(code => ({ userId, codeHash: hashBackupCode(code) }))
+  });
+
+  return codes;
+};
+
+const getUserSecrets = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      twoFactorEnabled: true,
+      twoFactorSecret: true,
+      twoFactorTempSecret: true,
+      twoFactorLastStep: true
+    }
+  });
+
+  if (!user) {
+    throw errors.notFound('Utilisateur');
+  }
+
+  return user;
+};
+
+// Démarrer l'enrôlement : secret temporaire à scanner dans l'application d'authentification
+export const startTwoFactorSetup = async (userId) => {
+  getEncryptionKey(); // Échoue avant tout enrôlement si la clé n'est pas configurée
+
+  const user = await getUserSecrets(userId);
+
+  if (user.twoFactorEnabled) {
+    throw errors.badRequest('La double authentification est déjà activée');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorTempSecret: encryptSecret(secret) }
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email)
+  };
+};
+
+// Activer la double authentification après vérification d'un premier code
+export const enableTwoFactor = async (userId, code) => {
+  const user = await getUserSecrets(userId);
+
+  if (user.twoFactorEnabled) {
+    throw errors.badRequest('La double authentification est déjà activée');
+  }
+
+  if (!user.twoFactorTempSecret) {
+    throw errors.badRequest('Aucun enrôlement en cours, recommencez la configuration');
+  }
+
+  const step = findMatchingStep(decryptSecret(user.twoFactorTempSecret), code);
+  if (step === null) {
+    throw errors.badRequest('Code de vérification invalide');
+  }
+
+  const backupCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorSecret: user.twoFactorTempSecret,
+        twoFactorTempSecret: null,
+        twoFactorLastStep: step
+      }
+    });
+
+    return replaceBackupCodes(tx, userId);
+  });
+
+  await cache.del(`user:${userId}`);
+
+  appLogger.security('Double authentification activée', { userId });
+
+  return backupCodes;
+};
+
+// Désactiver la double authentification (le code doit avoir été vérifié au préalable)
+export const disableTwoFactor = async (userId) => {
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorTempSecret: null,
+        twoFactorLastStep: null
+      }
+    }),
+    prisma.twoFactorBackupCode.deleteMany({ where: { userId } })
+  ]);
+
+  await cache.del(`user:${userId}`);
+
+  appLogger.security('Double authentification désactivée', { userId });
+};
+
+// Générer une nouvelle série de codes de secours (invalide les précédents)
+export const regenerateBackupCodes = async (userId) => {
+  const codes = await prisma.$transaction(tx => replaceBackupCodes(tx, userId));
+
+  appLogger.security('Codes de secours régénérés', { userId });
+
+  return codes;
+};
+
+// Vérifier un code TOTP ou un code de secours (chaque code n'est accepté qu'une fois)
+export const verifyTwoFactor = async (userId, { code, backupCode } = {}) => {
+  const user = await getUserSecrets(userId);
+
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    throw errors.badRequest('La double authentification n\'est pas activée');
+  }
+
+  if (backupCode) {
+    const { count } = await prisma.twoFactorBackupCode.updateMany({
+      where: { userId, codeHash: hashBackupCode(backupCode), usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      appLogger.security('Code de secours 2FA invalide', { userId });
+      throw errors.unauthorized('Code de secours invalide');
+    }
+
+    appLogger.security('Code de secours 2FA utilisé', { userId });
+    return { method: 'backup_code' };
+  }
+
+  const step = findMatchingStep(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) {
+    appLogger.security('Code 2FA invalide', { userId });
+    throw errors.unauthorized('Code de double authentification invalide');
+  }
+
+  // Anti-rejeu : le pas doit être postérieur au dernier code accepté
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [
+        { twoFactorLastStep: null },
+        { twoFactorLastStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastStep: step }
+  });
+
+  if (count === 0) {
+    throw errors.unauthorized('Ce code a déjà été utilisé, attendez le suivant');
+  }
+
+  return { method: 'totp' };
+};
+
+// État de la double authentification d'un utilisateur
+export const getTwoFactorStatus = async (userId) => {
+  const [user, backupCodesRemaining] = await Promise.all([
+    getUserSecrets(userId),
+    prisma.twoFactorBackupCode.count({ where: { userId, usedAt: null } })
+  ]);
+
+  return {
+    available: isTwoFactorAvailable(),
+    enabled: user.twoFactorEnabled,
+    pendingSetup: !user.twoFactorEnabled && Boolean(user.twoFactorTempSecret),
+    backupCodesRemaining: user.twoFactorEnabled ? backupCodesRemaining : 0
+  };
+};
+
+export default {
+  isTwoFactorAvailable,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifyTwoFactor,
+  getTwoFactorStatus
+};
@@ -0,0 +1,45 @@
+import { errors } from '../middleware/errorHandler.js';
+
+// Statuts d'un compte utilisateur (champ User.status)
+export const ACCOUNT_STATUSES = ['ACTIVE', 'SUSPENDED', 'BANNED', 'DELETED'];
+
+// Suspension encore en cours (une suspension échue redonne accès sans intervention)
+// suspendedUntil peut venir du cache sous forme de chaîne
+export const isSuspensionActive = (user, now = new Date()) => {
+  return user.status === 'SUSPENDED' && (!user.suspendedUntil || new Date(user.suspendedUntil) > now);
+};
+
+// Refuser l'accès d'un compte suspendu, banni ou supprimé
+export const assertAccountActive = (user, now = new Date()) => {
+  const reason = user.statusReason ? ` : ${user.statusReason}` : '';
+
+  if (user.status === 'DELETED') {
+    throw errors.unauthorized('Compte supprimé');
+  }
+
+  if (user.status === 'BANNED') {
+    throw errors.forbidden(`Compte banni${reason}`);
+  }
+
+  if (isSuspensionActive(user, now)) {
+    const until = user.suspendedUntil
+      ? ` jusqu'au ${new Date(user.suspendedUntil).toLocaleDateString('fr-FR')}`
+      : '';
+    throw errors.forbidden(`Compte suspendu${until}${reason}`);
+  }
+};
+
+// Filtre Prisma des comptes pouvant apparaître publiquement (vendeurs dont les annonces sont visibles)
+export const activeAccountWhere = (now = new Date()) => ({
+  OR: [
+    { status: 'ACTIVE' },
+    { status: 'SUSPENDED', suspendedUntil: { lte: now } }
+  ]
+});
+
+export default {
+  ACCOUNT_STATUSES,
+  isSuspensionActive,
+  assertAccountActive,
+  activeAccountWhere
+};
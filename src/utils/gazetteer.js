@@ -0,0 +1,73 @@
+// Répertoire local des villes utilisées pour la recherche géographique (coordonnées du centre-ville)
+// Pas d'appel à un service de géocodage externe : la liste est courte, stable et versionnée avec le code
+export const GAZETTEER = [
+  { name: 'Paris', latitude: 48.8566, longitude: 2.3522 },
+  { name: 'Marseille', latitude: 43.2965, longitude: 5.3698 },
+  { name: 'Lyon', latitude: 45.7640, longitude: 4.8357 },
+  { name: 'Toulouse', latitude: 43.6047, longitude: 1.4442 },
+  { name: 'Nice', latitude: 43.7102, longitude: 7.2620 },
+  { name: 'Nantes', latitude: 47.2184, longitude: -1.5536 },
+  { name: 'Montpellier', latitude: 43.6108, longitude: 3.8767 },
+  { name: 'Strasbourg', latitude: 48.5734, longitude: 7.7521 },
+  { name: 'Bordeaux', latitude: 44.8378, longitude: -0.5792 },
+  { name: 'Lille', latitude: 50.6292, longitude: 3.0573 },
+  { name: 'Rennes', latitude: 48.1173, longitude: -1.6778 },
+  { name: 'Reims', latitude: 49.2583, longitude: 4.0317 },
+  { name: 'Toulon', latitude: 43.1242, longitude: 5.9280 },
+  { name: 'Saint-Étienne', latitude: 45.4397, longitude: 4.3872 },
+  { name: 'Le Havre', latitude: 49.4944, longitude: 0.1079 },
+  { name: 'Grenoble', latitude: 45.1885, longitude: 5.7245 },
+  { name: 'Dijon', latitude: 47.3220, longitude: 5.0415 },
+  { name: 'Angers', latitude: 47.4784, longitude: -0.5632 },
+  { name: 'Nîmes', latitude: 43.8367, longitude: 4.3601 },
+  { name: 'Villeurbanne', latitude: 45.7719, longitude: 4.8902 },
+  { name: 'Clermont-Ferrand', latitude: 45.7772, longitude: 3.0870 },
+  { name: 'Le Mans', latitude: 48.0061, longitude: 0.1996 },
+  { name: 'Aix-en-Provence', latitude: 43.5297, longitude: 5.4474 },
+  { name: 'Brest', latitude: 48.3904, longitude: -4.4861 },
+  { name: 'Tours', latitude: 47.3941, longitude: 0.6848 },
+  { name: 'Amiens', latitude: 49.8941, longitude: 2.2958 },
+  { name: 'Limoges', latitude: 45.8336, longitude: 1.2611 },
+  { name: 'Annecy', latitude: 45.8992, longitude: 6.1294 },
+  { name: 'Perpignan', latitude: 42.6887, longitude: 2.8948 },
+  { name: 'Boulogne-Billancourt', latitude: 48.8397, longitude: 2.2399 },
+  { name: 'Metz', latitude: 49.1193, longitude: 6.1757 },
+  { name: 'Besançon', latitude: 47.2378, longitude: 6.0241 },
+  { name: 'Orléans', latitude: 47.9030, longitude: 1.9093 },
+  { name: 'Rouen', latitude: 49.4432, longitude: 1.0999 },
+  { name: 'Mulhouse', latitude: 47.7508, longitude: 7.3359 },
+  { name: 'Caen', latitude: 49.1829, longitude: -0.3707 },
+  { name: 'Nancy', latitude: 48.6921, longitude: 6.1844 },
+  { name: 'Saint-Denis', latitude: 48.9362, longitude: 2.3574 },
+  { name: 'Versailles', latitude: 48.8049, longitude: 2.1204 },
+  { name: 'Avignon', latitude: 43.9493, longitude: 4.8055 },
+  { name: 'Poitiers', latitude: 46.5802, longitude: 0.3404 },
+  { name: 'La Rochelle', latitude: 46.1603, longitude: -1.1511 },
+  { name: 'Pau', latitude: 43.2951, longitude: -0.3708 },
+  { name: 'Bayonne', latitude: 43.4929, longitude: -1.4748 },
+  { name: 'Biarritz', latitude: 43.4832, longitude: -1.5586 },
+  { name: 'Cannes', latitude: 43.5528, longitude: 7.0174 },
+  { name: 'Antibes', latitude: 43.5808, longitude: 7.1251 },
+  { name: 'Calais', latitude: 50.9513, longitude: 1.8587 },
+  { name: 'Dunkerque', latitude: 51.0344, longitude: 2.3768, aliases: ['Dunkirk'] },
+  { name: 'Chambéry', latitude: 45.5646, longitude: 5.9178 },
+  { name: 'Troyes', latitude: 48.2973, longitude: 4.0744 },
+  { name: 'Lorient', latitude: 47.7483, longitude: -3.3700 },
+  { name: 'Vannes', latitude: 47.6582, longitude: -2.7608 },
+  { name: 'Quimper', latitude: 47.9960, longitude: -4.1024 },
+  { name: 'Saint-Malo', latitude: 48.6493, longitude: -2.0257 },
+  { name: 'Colmar', latitude: 48.0794, longitude: 7.3585 },
+  { name: 'Valence', latitude: 44.9334, longitude: 4.8924 },
+  { name: 'Béziers', latitude: 43.3442, longitude: 3.2158 },
+  { name: 'Angoulême', latitude: 45.6484, longitude: 0.1562 },
+  { name: 'Niort', latitude: 46.3237, longitude: -0.4588 },
+  { name: 'Ajaccio', latitude: 41.9192, longitude: 8.7386 },
+  { name: 'Bastia', latitude: 42.6977, longitude: 9.4508 },
+  { name: 'Bruxelles', latitude: 50.8503, longitude: 4.3517, aliases: ['Brussels', 'Brussel'] },
+  { name: 'Genève', latitude: 46.2044, longitude: 6.1432, aliases: ['Geneva', 'Genf'] },
+  { name: 'Lausanne', latitude: 46.5197, longitude: 6.6323 },
+  { name: 'Luxembourg', latitude: 49.6116, longitude: 6.1319 },
+  { name: 'Monaco', latitude: 43.7384, longitude: 7.4246, aliases: ['Monte-Carlo'] }
+];
+
+export default GAZETTEER;
@@ -0,0 +1,33 @@
+// Origines autorisées : CORS et redirections des liens envoyés par email (deep links mobiles)
+export const getAllowedOrigins = () => [
+  'capacitor://localhost',
+  'ionic://localhost', 
+  'http://localhost',
+  'http://localhost:3000',
+  'http://localhost:8080',
+  'http://localhost:8100',
+  // Production origins - depuis variables d'environnement
+  ...(process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : [])
+];
+
+// Origine d'une URL, y compris pour les schémas non standards (capacitor://, ionic://)
+// où `new URL().origin` vaut "null"
+export const getUrlOrigin = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isAllowedOrigin = (origin) => {
+  const allowedOrigins = getAllowedOrigins();
+  return allowedOrigins.includes(origin) || allowedOrigins.includes('*');
+};
+
+export default {
+  getAllowedOrigins,
+  getUrlOrigin,
+  isAllowedOrigin
+};
@@ -0,0 +1,49 @@
+// Rôles d'administration de la plateforme (indépendants du userMode BUYER/SELLER/BOTH)
+export const ROLES = ['USER', 'SUPPORT', 'MODERATOR', 'ADMIN'];
+
+// Permissions élémentaires
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_LOGOUT: 'users:logout',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_BAN: 'users:ban',
+  USERS_ROLE: 'users:role',
+  PRODUCTS_TAKEDOWN: 'products:takedown',
+  ORDERS_DISPUTES: 'orders:disputes',
+  REPORTS_MODERATE: 'reports:moderate',
+  ANALYTICS_PLATFORM: 'analytics:platform',
+  UPLOADS_STATS: 'uploads:stats'
+};
+
+// Permissions accordées à chaque rôle
+const rolePermissions = {
+  USER: [],
+  SUPPORT: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_LOGOUT
+  ],
+  MODERATOR: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_LOGOUT,
+    PERMISSIONS.USERS_SUSPEND,
+    PERMISSIONS.PRODUCTS_TAKEDOWN,
+    PERMISSIONS.ORDERS_DISPUTES,
+    PERMISSIONS.REPORTS_MODERATE
+  ],
+  ADMIN: Object.values(PERMISSIONS)
+};
+
+// Permissions d'un rôle
+export const getPermissions = (role) => rolePermissions[role] || [];
+
+// Vérifier qu'un utilisateur dispose d'une permission
+export const hasPermission = (user, permission) => {
+  return Boolean(user) && getPermissions(user.role).includes(permission);
+};
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
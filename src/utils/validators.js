@@ -39,6 +39,17 @@ const nameSchema = Joi.string()
     'any.required': 'Nom requis'
   });
 
+const localeSchema = Joi.string()
+  .valid('fr', 'en')
+  .messages({
+    'any.only': 'Langue invalide (fr ou en)'
+  });
+
+// Nom de l'appareil affiché dans la liste des sessions
+const deviceNameSchema = Joi.string().trim().max(100).messages({
+  'string.max': 'Le nom de l\'appareil ne peut pas dépasser 100 caractères'
+});
+
 const phoneSchema = Joi.string()
   .pattern(/^\+?[1-9]\d{1,14}$/)
   .optional()
@@ -57,7 +68,9 @@ export const validateRegistration = (data) => {
       .default('BUYER')
       .messages({
         'any.only': 'Mode utilisateur invalide (BUYER, SELLER ou BOTH)'
-      })
+      }),
+    locale: localeSchema.optional(),
+    deviceName: deviceNameSchema.optional()
   });
 
   return schema.validate(data, { abortEarly: false });
@@ -70,12 +83,159 @@ export const validateLogin = (data) => {
     password: Joi.string().required().messages({
       'string.empty': 'Mot de passe requis',
       'any.required': 'Mot de passe requis'
+    }),
+    deviceName: deviceNameSchema.optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de la réinitialisation du mot de passe
+export const validatePasswordReset = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Token requis'
+    }),
+    password: passwordSchema
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de la demande de lien de connexion
+export const validateMagicLinkRequest = (data) => {
+  const schema = Joi.object({
+    email: emailSchema,
+    redirectUrl: Joi.string().uri().max(500).optional().messages({
+      'string.uri': 'URL de redirection invalide'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de l'échange d'un lien de connexion
+export const validateMagicLinkConsume = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().required().messages({
+      'any.required': 'Token requis'
+    }),
+    deviceName: deviceNameSchema.optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// ID token OpenID Connect et nonce éventuellement transmis au fournisseur
+const idTokenSchema = Joi.string().max(10000).required().messages({
+  'string.empty': 'Jeton d\'identité requis',
+  'any.required': 'Jeton d\'identité requis'
+});
+
+// Nonce émis par POST /oidc/nonce et transmis au fournisseur : lie l'ID token à la demande de connexion
+const nonceSchema = Joi.string().max(255).required().messages({
+  'string.empty': 'Nonce requis',
+  'any.required': 'Nonce requis'
+});
+
+// Validation de la connexion via un fournisseur d'identité
+export const validateOidcSignIn = (data) => {
+  const schema = Joi.object({
+    idToken: idTokenSchema,
+    nonce: nonceSchema,
+    // Nom transmis par le client à la première connexion (absent de l'ID token Apple)
+    name: nameSchema.optional(),
+    locale: localeSchema.optional(),
+    deviceName: deviceNameSchema.optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de la liaison d'un fournisseur d'identité
+export const validateOidcLink = (data) => {
+  const schema = Joi.object({
+    idToken: idTokenSchema,
+    nonce: nonceSchema
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de la demande de code de vérification du téléphone (numéro du profil par défaut)
+export const validatePhoneVerificationRequest = (data) => {
+  const schema = Joi.object({
+    phone: phoneSchema
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation du code reçu par SMS
+export const validatePhoneVerificationCode = (data) => {
+  const schema = Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required().messages({
+      'string.pattern.base': 'Le code doit contenir 6 chiffres',
+      'any.required': 'Code requis'
     })
   });
 
   return schema.validate(data, { abortEarly: false });
 };
 
+// Code TOTP à 6 chiffres et code de secours (xxxxx-xxxxx)
+const totpCodeSchema = Joi.string()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Le code doit contenir 6 chiffres'
+  });
+
+const backupCodeSchema = Joi.string().trim().max(20);
+
+// Validation de la seconde étape de connexion (2FA)
+export const validateTwoFactorLogin = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required().messages({
+      'any.required': 'Token de challenge requis'
+    }),
+    code: totpCodeSchema,
+    backupCode: backupCodeSchema,
+    deviceName: deviceNameSchema.optional()
+  }).xor('code', 'backupCode').messages({
+    'object.missing': 'Code de vérification ou code de secours requis',
+    'object.xor': 'Fournir soit un code, soit un code de secours'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de l'activation de la 2FA
+export const validateTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: totpCodeSchema.required().messages({
+      'any.required': 'Code de vérification requis'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de la désactivation de la 2FA (mot de passe + code ou code de secours)
+export const validateTwoFactorDisable = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required().messages({
+      'any.required': 'Mot de passe requis'
+    }),
+    code: totpCodeSchema,
+    backupCode: backupCodeSchema
+  }).xor('code', 'backupCode').messages({
+    'object.missing': 'Code de vérification ou code de secours requis',
+    'object.xor': 'Fournir soit un code, soit un code de secours'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
 // Validation de mise à jour du profil
 export const validateProfileUpdate = (data) => {
   const schema = Joi.object({
@@ -275,6 +435,281 @@ export const validateOfferCreation = (data) => {
   return schema.validate(data, { abortEarly: false });
 };
 
+// Validation de contre-offre
+export const validateCounterOffer = (data) => {
+  const schema = Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .max(999999.99)
+      .required()
+      .messages({
+        'number.positive': 'Le montant doit être positif',
+        'number.max': 'Le montant ne peut pas dépasser 999,999.99',
+        'any.required': 'Montant de contre-offre requis'
+      }),
+    
+    message: Joi.string()
+      .max(500)
+      .trim()
+      .optional()
+      .messages({
+        'string.max': 'Le message ne peut pas dépasser 500 caractères'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation des informations de mise à jour de commande
+export const validateOrderUpdate = (data) => {
+  const schema = Joi.object({
+    shippingCarrier: Joi.string().max(50).trim().optional().messages({
+      'string.max': 'Le transporteur ne peut pas dépasser 50 caractères'
+    }),
+    trackingNumber: Joi.string().max(100).trim().optional().messages({
+      'string.max': 'Le numéro de suivi ne peut pas dépasser 100 caractères'
+    }),
+    reason: Joi.string().max(500).trim().optional().messages({
+      'string.max': 'Le motif ne peut pas dépasser 500 caractères'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de création d'intent de paiement
+export const validatePaymentIntent = (data) => {
+  const schema = Joi.object({
+    orderId: Joi.string().uuid().optional().messages({
+      'string.uuid': 'ID de commande invalide'
+    }),
+    offerId: Joi.string().uuid().optional().messages({
+      'string.uuid': 'ID d\'offre invalide'
+    })
+  }).xor('orderId', 'offerId').messages({
+    'object.missing': 'ID de commande ou d\'offre requis',
+    'object.xor': 'Fournir soit une commande, soit une offre'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de confirmation de paiement
+export const validatePaymentConfirmation = (data) => {
+  const schema = Joi.object({
+    paymentMethod: Joi.string().max(100).optional()
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de remboursement
+export const validateRefund = (data) => {
+  const schema = Joi.object({
+    amount: Joi.number().positive().precision(2).optional().messages({
+      'number.positive': 'Le montant doit être positif'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de création d'avis
+export const validateReviewCreation = (data) => {
+  const schema = Joi.object({
+    offerId: Joi.string().uuid().optional().messages({
+      'string.uuid': 'ID d\'offre invalide'
+    }),
+    orderId: Joi.string().uuid().optional().messages({
+      'string.uuid': 'ID de commande invalide'
+    }),
+    rating: Joi.number().integer().min(1).max(5).required().messages({
+      'number.min': 'La note doit être comprise entre 1 et 5',
+      'number.max': 'La note doit être comprise entre 1 et 5',
+      'number.integer': 'La note doit être un nombre entier',
+      'any.required': 'La note est requise'
+    }),
+    comment: Joi.string().max(1000).trim().allow('').optional().messages({
+      'string.max': 'Le commentaire ne peut pas dépasser 1000 caractères'
+    })
+  }).xor('offerId', 'orderId').messages({
+    'object.missing': 'ID d\'offre ou de commande requis',
+    'object.xor': 'Fournir soit une offre, soit une commande'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de réponse à un avis
+export const validateReviewResponse = (data) => {
+  const schema = Joi.object({
+    response: Joi.string().min(1).max(1000).trim().required().messages({
+      'string.empty': 'La réponse ne peut pas être vide',
+      'string.max': 'La réponse ne peut pas dépasser 1000 caractères',
+      'any.required': 'La réponse est requise'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de signalement
+export const validateReportCreation = (data) => {
+  const schema = Joi.object({
+    productId: Joi.string().uuid().optional().messages({
+      'string.uuid': 'ID de produit invalide'
+    }),
+    userId: Joi.string().uuid().optional().messages({
+      'string.uuid': 'ID d\'utilisateur invalide'
+    }),
+    reason: Joi.string().valid('SPAM', 'FRAUD', 'COUNTERFEIT', 'INAPPROPRIATE', 'HARASSMENT', 'OTHER').required().messages({
+      'any.only': 'Motif de signalement invalide',
+      'any.required': 'Le motif est requis'
+    }),
+    description: Joi.string().max(1000).trim().allow('').optional().messages({
+      'string.max': 'La description ne peut pas dépasser 1000 caractères'
+    })
+  }).xor('productId', 'userId').messages({
+    'object.missing': 'Produit ou utilisateur à signaler requis',
+    'object.xor': 'Signaler soit un produit, soit un utilisateur'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de résolution de signalement (modération)
+export const validateReportResolution = (data) => {
+  const schema = Joi.object({
+    action: Joi.string().valid('NONE', 'PAUSE_PRODUCT', 'REMOVE_PRODUCT', 'WARN_USER', 'SUSPEND_USER').required().messages({
+      'any.only': 'Action de modération invalide',
+      'any.required': 'L\'action est requise'
+    }),
+    suspensionDays: Joi.number().integer().min(1).max(365).optional().messages({
+      'number.min': 'La suspension doit durer au moins 1 jour',
+      'number.max': 'La suspension ne peut pas dépasser 365 jours'
+    }),
+    note: Joi.string().max(1000).trim().allow('').optional().messages({
+      'string.max': 'La note ne peut pas dépasser 1000 caractères'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de classement sans suite (modération)
+export const validateReportDismissal = (data) => {
+  const schema = Joi.object({
+    note: Joi.string().max(1000).trim().allow('').optional().messages({
+      'string.max': 'La note ne peut pas dépasser 1000 caractères'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de sanction (administration)
+export const validateAdminSanction = (data) => {
+  const schema = Joi.object({
+    days: Joi.number().integer().min(1).max(365).optional().messages({
+      'number.min': 'La suspension doit durer au moins 1 jour',
+      'number.max': 'La suspension ne peut pas dépasser 365 jours'
+    }),
+    reason: Joi.string().max(500).trim().optional().messages({
+      'string.max': 'Le motif ne peut pas dépasser 500 caractères'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de changement de rôle (administration)
+export const validateRoleUpdate = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('USER', 'SUPPORT', 'MODERATOR', 'ADMIN').required().messages({
+      'any.only': 'Rôle invalide',
+      'any.required': 'Le rôle est requis'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de retrait de produit (administration)
+export const validateProductTakedown = (data) => {
+  const schema = Joi.object({
+    remove: Joi.boolean().default(false),
+    reason: Joi.string().max(500).trim().optional().messages({
+      'string.max': 'Le motif ne peut pas dépasser 500 caractères'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de l'arbitrage d'un litige (modération)
+export const validateDisputeResolution = (data) => {
+  const schema = Joi.object({
+    resolution: Joi.string().valid('RELEASE', 'REFUND').required().messages({
+      'any.only': 'Résolution invalide (RELEASE ou REFUND)',
+      'any.required': 'Résolution requise'
+    }),
+    reason: Joi.string().max(500).trim().optional().messages({
+      'string.max': 'Le motif ne peut pas dépasser 500 caractères'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de création de conversation
+export const validateConversationCreation = (data) => {
+  const schema = Joi.object({
+    productId: Joi.string()
+      .uuid()
+      .required()
+      .messages({
+        'string.uuid': 'ID de produit invalide',
+        'any.required': 'ID de produit requis'
+      }),
+    
+    offerId: Joi.string()
+      .uuid()
+      .optional()
+      .messages({
+        'string.uuid': 'ID d\'offre invalide'
+      }),
+    
+    message: Joi.string()
+      .max(2000)
+      .trim()
+      .optional()
+      .messages({
+        'string.max': 'Le message ne peut pas dépasser 2000 caractères'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation d'envoi de message
+export const validateMessageCreation = (data) => {
+  const schema = Joi.object({
+    content: Joi.string()
+      .min(1)
+      .max(2000)
+      .trim()
+      .required()
+      .messages({
+        'string.max': 'Le message ne peut pas dépasser 2000 caractères',
+        'string.empty': 'Message requis',
+        'any.required': 'Message requis'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
 // Validation de recherche de produits
 export const validateProductSearch = (data) => {
   const schema = Joi.object({
@@ -286,15 +721,106 @@ export const validateProductSearch = (data) => {
     condition: Joi.array().items(Joi.string().valid(
       'NEW', 'LIKE_NEW', 'VERY_GOOD', 'GOOD', 'ACCEPTABLE', 'DAMAGED'
     )).optional(),
-    location: Joi.string().optional(),
+    // Recherche géographique : ville du répertoire local ou coordonnées explicites
+    location: Joi.string().max(100).trim().optional(),
+    lat: Joi.number().min(-90).max(90).optional(),
+    lng: Joi.number().min(-180).max(180).optional(),
     radius: Joi.number().min(1).max(1000).optional(),
     sortBy: Joi.string().valid(
-      'price_asc', 'price_desc', 'date_asc', 'date_desc', 'relevance'
+      'price_asc', 'price_desc', 'date_asc', 'date_desc', 'relevance', 'distance'
     ).default('relevance'),
     page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(50).default(20)
-  }).with('radius', 'location').messages({
-    'object.with': 'Le rayon nécessite une localisation'
+    limit: Joi.number().integer().min(1).max(50).default(20),
+    // Renvoyer aussi les facettes (catégories, marques, états, tranches de prix, authentification)
+    facets: Joi.boolean().default(false)
+  }).and('lat', 'lng').oxor('location', 'lat').custom((value, helpers) => {
+    const hasOrigin = Boolean(value.location) || value.lat !== undefined;
+    if (value.radius !== undefined && !hasOrigin) {
+      return helpers.error('custom.radiusWithoutLocation');
+    }
+    if (value.sortBy === 'distance' && !hasOrigin) {
+      return helpers.error('custom.distanceWithoutLocation');
+    }
+    return value;
+  }).messages({
+    'object.and': 'La latitude et la longitude doivent être fournies ensemble',
+    'object.oxor': 'Indiquez une ville ou des coordonnées, pas les deux',
+    'custom.radiusWithoutLocation': 'Le rayon nécessite une localisation',
+    'custom.distanceWithoutLocation': 'Le tri par distance nécessite une localisation'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation des alertes d'un produit liké (baisse de prix, remise en vente, vente)
+export const validateLikeAlertsUpdate = (data) => {
+  const schema = Joi.object({
+    targetPrice: Joi.number().positive().allow(null).optional().messages({
+      'number.positive': 'Le prix cible doit être positif'
+    }),
+    alertsEnabled: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'Aucune modification fournie'
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Recherche sauvegardée : nom, filtres de la recherche (validés par validateProductSearch) et fréquence des alertes
+const savedSearchNameSchema = Joi.string().min(1).max(50).trim().messages({
+  'string.empty': 'Nom de la recherche requis',
+  'string.max': 'Le nom ne peut pas dépasser 50 caractères',
+  'any.required': 'Nom de la recherche requis'
+});
+
+// Les paramètres de pagination et les facettes ne sont pas conservés
+const UNSAVED_SEARCH_PARAMS = ['page', 'limit', 'facets'];
+
+const savedSearchQuerySchema = Joi.object().unknown(true).custom((query, helpers) => {
+  const withoutPagination = (params) => Object.fromEntries(
+    Object.entries(params).filter(([key]) => !UNSAVED_SEARCH_PARAMS.includes(key))
+  );
+
+  const { error, value } = validateProductSearch(withoutPagination(query));
+  if (error) {
+    return helpers.message(error.details.map(detail => detail.message).join(', '));
+  }
+
+  const criteria = withoutPagination(value);
+  if (!Object.keys(criteria).some(key => key !== 'sortBy')) {
+    return helpers.error('custom.emptySearch');
+  }
+  return criteria;
+}).messages({
+  'custom.emptySearch': 'La recherche doit contenir au moins un critère',
+  'any.required': 'Paramètres de recherche requis'
+});
+
+const savedSearchFrequencySchema = Joi.string().valid('INSTANT', 'DAILY', 'WEEKLY').messages({
+  'any.only': 'Fréquence invalide (INSTANT, DAILY ou WEEKLY)'
+});
+
+// Validation de création d'une recherche sauvegardée
+export const validateSavedSearchCreation = (data) => {
+  const schema = Joi.object({
+    name: savedSearchNameSchema.required(),
+    query: savedSearchQuerySchema.required(),
+    frequency: savedSearchFrequencySchema.default('INSTANT'),
+    alertsEnabled: Joi.boolean().default(true)
+  });
+
+  return schema.validate(data, { abortEarly: false });
+};
+
+// Validation de mise à jour d'une recherche sauvegardée
+export const validateSavedSearchUpdate = (data) => {
+  const schema = Joi.object({
+    name: savedSearchNameSchema.optional(),
+    query: savedSearchQuerySchema.optional(),
+    frequency: savedSearchFrequencySchema.optional(),
+    alertsEnabled: Joi.boolean().optional()
+  }).min(1).messages({
+    'object.min': 'Aucune modification fournie'
   });
 
   return schema.validate(data, { abortEarly: false });
@@ -317,7 +843,8 @@ export const validateUserUpdate = (data) => {
       .optional()
       .messages({
         'any.only': 'Mode utilisateur invalide (BUYER, SELLER ou BOTH)'
-      })
+      }),
+    locale: localeSchema.optional()
   });
 
   return schema.validate(data, { abortEarly: false });
@@ -333,6 +860,7 @@ export const validatePreferencesUpdate = (data) => {
     excludedSellers: Joi.array().items(Joi.string().uuid()).optional(),
     requireAuthenticated: Joi.boolean().optional(),
     minAuthenticityScore: Joi.number().min(0).max(1).optional(),
+    requirePhoneVerifiedBuyers: Joi.boolean().optional(),
     emailNotifications: Joi.boolean().optional(),
     pushNotifications: Joi.boolean().optional(),
     offerNotifications: Joi.boolean().optional(),
@@ -0,0 +1,153 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+process.env.JWT_SECRET = 'test_access_secret';
+process.env.JWT_REFRESH_SECRET = 'test_refresh_secret';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn(),
+    flushPattern: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/savedSearchService.js', {
+  queueProductMatching: jest.fn()
+});
+mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+
+// Serveur Socket.io factice : on récupère le middleware d'authentification du handshake
+const socketMiddlewares = [];
+jest.unstable_mockModule('socket.io', () => ({
+  Server: jest.fn(() => ({
+    use: (middleware) => socketMiddlewares.push(middleware),
+    on: jest.fn()
+  }))
+}));
+
+const { assertAccountActive } = await import('../src/utils/accountStatus.js');
+const { resolveAccessToken, optionalAuth, jwtUtils } = await import('../src/middleware/auth.js');
+const { refreshSession } = await import('../src/services/authSessionService.js');
+const { initializeSocketIO } = await import('../src/services/socketService.js');
+const { getProducts } = await import('../src/controllers/productController.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const account = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'alice@example.com',
+  status: 'ACTIVE',
+  suspendedUntil: null,
+  statusReason: null,
+  tokensRevokedAt: null,
+  ...overrides
+});
+
+const suspended = account({ status: 'SUSPENDED', suspendedUntil: new Date('2099-01-01T00:00:00Z'), statusReason: 'Spam' });
+const banned = account({ status: 'BANNED', statusReason: 'Fraude' });
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('statut du compte', () => {
+  test('suspendu, banni ou supprimé : accès refusé avec le motif', () => {
+    expect(() => assertAccountActive(suspended, NOW)).toThrow(expect.objectContaining({ statusCode: 403, message: expect.stringContaining('Spam') }));
+    expect(() => assertAccountActive(banned, NOW)).toThrow(expect.objectContaining({ statusCode: 403, message: 'Compte banni : Fraude' }));
+    expect(() => assertAccountActive(account({ status: 'DELETED' }), NOW)).toThrow(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  test('une suspension échue redonne accès, y compris lue depuis le cache (date en chaîne)', () => {
+    expect(() => assertAccountActive(account({ status: 'SUSPENDED', suspendedUntil: '2026-03-01T00:00:00.000Z' }), NOW)).not.toThrow();
+  });
+});
+
+describe('authentification', () => {
+  test('un token d\'accès valide est refusé pour un compte banni', async () => {
+    prisma.user.findUnique.mockResolvedValue(banned);
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+
+    await expect(resolveAccessToken(token)).rejects.toMatchObject({ statusCode: 403 });
+    expect(prisma.authToken.findMany).not.toHaveBeenCalled();
+  });
+
+  test('optionalAuth continue en anonyme pour un compte suspendu', async () => {
+    prisma.user.findUnique.mockResolvedValue(suspended);
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    const req = { headers: { authorization: `Bearer ${token}` } };
+
+    const error = await new Promise(resolve => optionalAuth(req, {}, resolve));
+
+    expect(error).toBeUndefined();
+    expect(req.user).toBeNull();
+  });
+
+  test('un compte suspendu ne peut pas rafraîchir ses tokens', async () => {
+    const refreshToken = jwtUtils.generateRefreshToken({ id: 'user-1', sid: 'family-1', jti: 'jti-1' });
+    prisma.authToken.findUnique.mockResolvedValue({
+      id: 'token-1',
+      type: 'REFRESH',
+      familyId: 'family-1',
+      userId: 'user-1',
+      isRevoked: false,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    prisma.user.findUnique.mockResolvedValue(suspended);
+
+    await expect(refreshSession(refreshToken, { ip: '127.0.0.1', get: () => undefined }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('temps réel', () => {
+  test('le handshake Socket.io refuse un compte suspendu', async () => {
+    initializeSocketIO({});
+    const [authenticateSocket] = socketMiddlewares;
+    prisma.user.findUnique.mockResolvedValue(suspended);
+    const socket = {
+      handshake: { auth: { token: jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' }) }, headers: {} },
+      join: jest.fn()
+    };
+    const next = jest.fn();
+
+    await authenticateSocket(socket, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('Compte suspendu') }));
+    expect(socket.join).not.toHaveBeenCalled();
+  });
+});
+
+describe('annonces', () => {
+  test('les annonces des vendeurs suspendus, bannis ou supprimés sont masquées', async () => {
+    prisma.product.findMany.mockResolvedValue([]);
+    prisma.product.count.mockResolvedValue(0);
+
+    const { status } = await runHandler(getProducts, { query: {} });
+
+    expect(status).toBe(200);
+    expect(prisma.product.findMany.mock.calls[0][0].where).toMatchObject({
+      status: 'ACTIVE',
+      seller: {
+        OR: [
+          { status: 'ACTIVE' },
+          { status: 'SUSPENDED', suspendedUntil: { lte: expect.any(Date) } }
+        ]
+      }
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+const redis = mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn(),
+    flushPattern: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+const sockets = mockSrcModule('services/socketService.js', {
+  disconnectUser: jest.fn()
+});
+mockSrcModule('services/savedSearchService.js', {
+  queueProductMatching: jest.fn()
+});
+mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+mockSrcModule('services/paymentService.js', {
+  refundPayment: jest.fn()
+});
+
+const { requirePermission } = await import('../src/middleware/auth.js');
+const { PERMISSIONS, getPermissions } = await import('../src/utils/permissions.js');
+const {
+  listUsers,
+  suspendUser,
+  banUser,
+  reactivateUser,
+  forceLogout,
+  updateUserRole
+} = await import('../src/controllers/adminController.js');
+
+const support = { id: 'support-1', role: 'SUPPORT' };
+const moderator = { id: 'moderator-1', role: 'MODERATOR' };
+const admin = { id: 'admin-1', role: 'ADMIN' };
+
+const member = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'alice@example.com',
+  role: 'USER',
+  status: 'ACTIVE',
+  ...overrides
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  prisma.authToken.updateMany.mockResolvedValue({ count: 2 });
+});
+
+describe('permissions', () => {
+  test('chaque rôle reçoit ses permissions, les admins toutes', () => {
+    expect(getPermissions('USER')).toEqual([]);
+    expect(getPermissions('SUPPORT')).toEqual([PERMISSIONS.USERS_READ, PERMISSIONS.USERS_LOGOUT]);
+    expect(getPermissions('MODERATOR')).toContain(PERMISSIONS.USERS_SUSPEND);
+    expect(getPermissions('MODERATOR')).not.toContain(PERMISSIONS.USERS_BAN);
+    expect(getPermissions('ADMIN')).toEqual(Object.values(PERMISSIONS));
+    expect(getPermissions('INCONNU')).toEqual([]);
+  });
+
+  test('requirePermission exige une authentification puis chaque permission demandée', async () => {
+    const guard = requirePermission(PERMISSIONS.USERS_READ, PERMISSIONS.USERS_SUSPEND);
+    const run = (user) => new Promise(resolve => guard({ user }, {}, resolve));
+
+    await expect(run(null)).resolves.toMatchObject({ statusCode: 401 });
+    await expect(run(support)).resolves.toMatchObject({ statusCode: 403, message: expect.stringContaining('users:suspend') });
+    await expect(run(moderator)).resolves.toBeUndefined();
+  });
+});
+
+describe('gestion des utilisateurs', () => {
+  test('la recherche refuse un statut inconnu', async () => {
+    const { error } = await runHandler(listUsers, { user: support, query: { status: 'DORMANT' } });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(prisma.user.findMany).not.toHaveBeenCalled();
+  });
+
+  test('suspendre un utilisateur le déconnecte et invalide son cache', async () => {
+    prisma.user.findUnique.mockResolvedValue(member());
+    prisma.user.update.mockResolvedValue({ id: 'user-1', status: 'SUSPENDED' });
+
+    const { status } = await runHandler(suspendUser, {
+      user: moderator,
+      params: { id: 'user-1' },
+      body: { days: 3, reason: 'Spam' }
+    });
+
+    expect(status).toBe(200);
+    expect(prisma.user.update.mock.calls[0][0].data).toEqual({
+      status: 'SUSPENDED',
+      suspendedUntil: expect.any(Date),
+      statusReason: 'Spam'
+    });
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', type: 'REFRESH', isRevoked: false },
+      data: { isRevoked: true }
+    });
+    expect(sockets.disconnectUser).toHaveBeenCalledWith('user-1');
+    expect(redis.cache.del).toHaveBeenCalledWith('user:user-1');
+  });
+
+  test('aucune sanction sur son propre compte', async () => {
+    prisma.user.findUnique.mockResolvedValue(member({ id: 'moderator-1', role: 'MODERATOR' }));
+
+    const { error } = await runHandler(suspendUser, { user: moderator, params: { id: 'moderator-1' }, body: {} });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('seuls les admins agissent sur un membre de l\'équipe', async () => {
+    prisma.user.findUnique.mockResolvedValue(member({ id: 'support-1', role: 'SUPPORT' }));
+
+    const { error } = await runHandler(forceLogout, { user: moderator, params: { id: 'support-1' } });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+    expect(prisma.authToken.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('bannir retire les annonces en vente du vendeur', async () => {
+    prisma.user.findUnique.mockResolvedValue(member());
+    prisma.user.update.mockResolvedValue({ id: 'user-1', status: 'BANNED' });
+
+    const { status } = await runHandler(banUser, { user: admin, params: { id: 'user-1' }, body: { reason: 'Fraude' } });
+
+    expect(status).toBe(200);
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({
+      where: { sellerId: 'user-1', status: 'ACTIVE' },
+      data: { status: 'REPORTED' }
+    });
+    expect(prisma.user.update.mock.calls[0][0].data).toMatchObject({ status: 'BANNED', statusReason: 'Fraude' });
+  });
+
+  test('lever un bannissement demande la permission de bannir', async () => {
+    prisma.user.findUnique.mockResolvedValue(member({ status: 'BANNED' }));
+
+    const { error } = await runHandler(reactivateUser, { user: moderator, params: { id: 'user-1' } });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('changer de rôle invalide le cache d\'authentification', async () => {
+    prisma.user.findUnique.mockResolvedValue(member());
+    prisma.user.update.mockResolvedValue(member({ role: 'MODERATOR' }));
+
+    const { status, body } = await runHandler(updateUserRole, {
+      user: admin,
+      params: { id: 'user-1' },
+      body: { role: 'MODERATOR' }
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.permissions).toEqual(getPermissions('MODERATOR'));
+    expect(redis.cache.del).toHaveBeenCalledWith('user:user-1');
+  });
+});
@@ -0,0 +1,381 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+process.env.JWT_SECRET = 'test_access_secret';
+process.env.JWT_REFRESH_SECRET = 'test_refresh_secret';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test_two_factor_key';
+
+const prisma = mockDatabase();
+const redis = mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn()
+});
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn()
+});
+
+const { resolveAccessToken, jwtUtils } = await import('../src/middleware/auth.js');
+const { refreshSession } = await import('../src/services/authSessionService.js');
+const { startTwoFactorSetup, enableTwoFactor, verifyTwoFactor } = await import('../src/services/twoFactorService.js');
+const { verifyTwoFactorLogin } = await import('../src/controllers/authController.js');
+const { disableTwoFactor } = await import('../src/controllers/twoFactorController.js');
+const { runHandler } = await import('./helpers/http.js');
+
+const user = {
+  id: 'user-1',
+  email: 'alice@example.com',
+  name: 'Alice',
+  role: 'USER',
+  status: 'ACTIVE',
+  suspendedUntil: null
+};
+
+const req = { ip: '203.0.113.7', get: () => 'Mozilla/5.0 (iPhone)' };
+
+const refreshRecord = (token, overrides = {}) => ({
+  id: 'token-1',
+  token,
+  type: 'REFRESH',
+  familyId: 'family-1',
+  userId: 'user-1',
+  isRevoked: false,
+  rotatedAt: null,
+  deviceName: 'iPhone',
+  userAgent: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  redis.cache.get.mockResolvedValue(null);
+  redis.cache.exists.mockResolvedValue(0);
+  redis.isRedisAvailable.mockReturnValue(true);
+});
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('révocation des tokens d\'accès', () => {
+  const activeSession = { type: 'REFRESH' };
+
+  beforeEach(() => {
+    prisma.user.findUnique.mockResolvedValue({ ...user, tokensRevokedAt: null });
+    prisma.authToken.findMany.mockResolvedValue([activeSession]);
+  });
+
+  test('accepte un token valide dont la session est active, en une seule requête', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+
+    const result = await resolveAccessToken(token);
+
+    expect(result).toEqual({ user, sessionId: 'family-1' });
+    expect(prisma.authToken.findMany).toHaveBeenCalledTimes(1);
+    expect(prisma.authToken.findMany).toHaveBeenCalledWith({
+      where: {
+        OR: [
+          { token: sha256(token) },
+          { type: 'REFRESH', isRevoked: false, OR: [{ familyId: 'family-1' }, { id: 'family-1' }] }
+        ]
+      },
+      select: { type: true }
+    });
+    expect(prisma.authToken.findUnique).not.toHaveBeenCalled();
+    expect(prisma.authToken.findFirst).not.toHaveBeenCalled();
+    // Token vérifié : la base n'est réinterrogée qu'à l'expiration de cette clé
+    expect(redis.cache.set).toHaveBeenCalledWith(`checked_token:${sha256(token)}`, true, 30);
+  });
+
+  test('un token vérifié récemment n\'interroge plus la base', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    redis.cache.exists.mockImplementation((key) => Promise.resolve(key.startsWith('checked_token:') ? 1 : 0));
+
+    await expect(resolveAccessToken(token)).resolves.toMatchObject({ sessionId: 'family-1' });
+    expect(prisma.authToken.findMany).not.toHaveBeenCalled();
+  });
+
+  test('une révocation connue de Redis l\'emporte sur un token vérifié récemment', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    redis.cache.exists.mockImplementation((key) => Promise.resolve(
+      key.startsWith('checked_token:') || key === 'revoked_session:family-1' ? 1 : 0
+    ));
+
+    await expect(resolveAccessToken(token)).rejects.toMatchObject({ statusCode: 401, message: 'Session révoquée' });
+  });
+
+  test('refuse un token révoqué en base même si Redis ne le connaît pas', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    prisma.authToken.findMany.mockResolvedValue([{ type: 'REVOKED_ACCESS' }, activeSession]);
+
+    await expect(resolveAccessToken(token)).rejects.toMatchObject({ statusCode: 401, message: 'Token révoqué' });
+    expect(redis.cache.set).toHaveBeenCalledWith(`revoked_token:${token}`, true, expect.any(Number));
+  });
+
+  test('refuse une session sans refresh token actif même si Redis ne la connaît pas', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    prisma.authToken.findMany.mockResolvedValue([]);
+
+    await expect(resolveAccessToken(token)).rejects.toMatchObject({ statusCode: 401, message: 'Session révoquée' });
+    expect(redis.cache.set).toHaveBeenCalledWith('revoked_session:family-1', true, expect.any(Number));
+    expect(redis.cache.set).not.toHaveBeenCalledWith(expect.stringMatching(/^checked_token:/), true, expect.any(Number));
+  });
+
+  test('refuse un token émis avant une déconnexion forcée, lue sur la ligne utilisateur', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    prisma.user.findUnique.mockResolvedValue({ ...user, tokensRevokedAt: new Date(Date.now() + 5000) });
+
+    await expect(resolveAccessToken(token)).rejects.toMatchObject({ statusCode: 401, message: 'Session révoquée' });
+    expect(prisma.user.findUnique).toHaveBeenCalledTimes(1);
+    expect(prisma.authToken.findMany).not.toHaveBeenCalled();
+  });
+
+  test('la déconnexion forcée est enregistrée en base et purge l\'utilisateur en cache', async () => {
+    await jwtUtils.revokeUserTokens('user-1');
+
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { tokensRevokedAt: expect.any(Date) }
+    });
+    expect(redis.cache.del).toHaveBeenCalledWith('user:user-1');
+  });
+});
+
+describe('rotation des refresh tokens', () => {
+  beforeEach(() => {
+    prisma.user.findUnique.mockResolvedValue({ status: 'ACTIVE', suspendedUntil: null, statusReason: null });
+  });
+
+  test('remplace le refresh token par un nouveau de la même famille', async () => {
+    const token = jwtUtils.generateRefreshToken({ id: 'user-1', sid: 'family-1', jti: 'jti-1' });
+    prisma.authToken.findUnique.mockResolvedValue(refreshRecord(token));
+    prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authToken.create.mockResolvedValue({ id: 'token-2' });
+
+    const result = await refreshSession(token, req);
+
+    expect(result.refreshToken).not.toBe(token);
+    // Seules les empreintes des refresh tokens sont stockées et recherchées
+    expect(prisma.authToken.findUnique).toHaveBeenCalledWith({ where: { token: sha256(token) } });
+    expect(prisma.authToken.create.mock.calls[0][0].data.token).toBe(sha256(result.refreshToken));
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { id: 'token-1', isRevoked: false },
+      data: { isRevoked: true, rotatedAt: expect.any(Date) }
+    });
+    expect(prisma.authToken.create.mock.calls[0][0].data).toMatchObject({ familyId: 'family-1', userId: 'user-1' });
+  });
+
+  test('la réutilisation d\'un token remplacé révoque toute la session', async () => {
+    const token = jwtUtils.generateRefreshToken({ id: 'user-1', sid: 'family-1', jti: 'jti-1' });
+    prisma.authToken.findUnique.mockResolvedValue(refreshRecord(token, { isRevoked: true, rotatedAt: new Date() }));
+    prisma.authToken.updateMany.mockResolvedValue({ count: 2 });
+
+    await expect(refreshSession(token, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { type: 'REFRESH', OR: [{ familyId: 'family-1' }, { id: 'family-1' }], isRevoked: false },
+      data: { isRevoked: true }
+    });
+    expect(redis.cache.set).toHaveBeenCalledWith('revoked_session:family-1', true, expect.any(Number));
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'SECURITY_ALERT' }));
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+  });
+
+  test('deux rafraîchissements concurrents : le second est traité comme une réutilisation', async () => {
+    const token = jwtUtils.generateRefreshToken({ id: 'user-1', sid: 'family-1', jti: 'jti-1' });
+    prisma.authToken.findUnique.mockResolvedValue(refreshRecord(token));
+    prisma.authToken.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(refreshSession(token, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'SECURITY_ALERT' }));
+  });
+
+  test('un token révoqué sans rotation est simplement refusé', async () => {
+    const token = jwtUtils.generateRefreshToken({ id: 'user-1', sid: 'family-1', jti: 'jti-1' });
+    prisma.authToken.findUnique.mockResolvedValue(refreshRecord(token, { isRevoked: true }));
+
+    await expect(refreshSession(token, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.authToken.updateMany).not.toHaveBeenCalled();
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+  });
+});
+
+// Code TOTP (RFC 6238) calculé indépendamment du service, comme le ferait une application d'authentification
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of input) {
+    value = (value << 5) | 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const totp = (secret, now = Date.now()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 1000 / 30)));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+describe('double authentification', () => {
+  let secret;
+  let encryptedSecret;
+
+  // Enrôlement complet : secret temporaire chiffré puis activation avec un premier code
+  const enrol = async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'alice@example.com', twoFactorEnabled: false });
+    ({ secret } = await startTwoFactorSetup('user-1'));
+    encryptedSecret = prisma.user.update.mock.calls[0][0].data.twoFactorTempSecret;
+
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', twoFactorEnabled: false, twoFactorTempSecret: encryptedSecret });
+    return enableTwoFactor('user-1', totp(secret));
+  };
+
+  const enabledUser = (overrides = {}) => ({
+    ...user,
+    twoFactorEnabled: true,
+    twoFactorSecret: encryptedSecret,
+    twoFactorLastStep: null,
+    failedLoginAttempts: 0,
+    lockedUntil: null,
+    ...overrides
+  });
+
+  test('enrôlement : le secret est chiffré et le premier code active la 2FA avec 10 codes de secours', async () => {
+    const backupCodes = await enrol();
+
+    expect(encryptedSecret).not.toContain(secret);
+    expect(backupCodes).toHaveLength(10);
+    expect(prisma.user.update).toHaveBeenLastCalledWith({
+      where: { id: 'user-1' },
+      data: expect.objectContaining({ twoFactorEnabled: true, twoFactorSecret: encryptedSecret, twoFactorTempSecret: null })
+    });
+    // Seules les empreintes des codes de secours sont stockées
+    const stored = prisma.twoFactorBackupCode.createMany.mock.calls[0][0].data;
+    expect(stored.map(code => code.codeHash)).not.toContain(backupCodes[0]);
+    expect(stored).toHaveLength(10);
+  });
+
+  test('enrôlement : un code erroné n\'active pas la 2FA', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'alice@example.com', twoFactorEnabled: false });
+    await startTwoFactorSetup('user-1');
+    const tempSecret = prisma.user.update.mock.calls[0][0].data.twoFactorTempSecret;
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', twoFactorEnabled: false, twoFactorTempSecret: tempSecret });
+
+    await expect(enableTwoFactor('user-1', '000000')).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.user.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('sans TWO_FACTOR_ENCRYPTION_KEY, l\'enrôlement répond 503 au lieu d\'utiliser JWT_SECRET', async () => {
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    try {
+      await expect(startTwoFactorSetup('user-1')).rejects.toMatchObject({ statusCode: 503 });
+      expect(prisma.user.update).not.toHaveBeenCalled();
+    } finally {
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test_two_factor_key';
+    }
+  });
+
+  test('connexion : le code TOTP ouvre une session, puis ne peut pas être rejoué', async () => {
+    await enrol();
+    prisma.user.findUnique.mockResolvedValue(enabledUser());
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authToken.create.mockResolvedValue({ id: 'token-1' });
+    redis.rateLimiter.check.mockResolvedValue({ current: 1 });
+    const challengeToken = jwtUtils.generateTwoFactorChallenge('user-1');
+
+    const { status, body } = await runHandler(verifyTwoFactorLogin, {
+      body: { challengeToken, code: totp(secret) },
+      get: () => 'Mozilla/5.0 (iPhone)'
+    });
+
+    expect(status).toBe(200);
+    expect(body.data.tokens.accessToken).toEqual(expect.any(String));
+    // Anti-rejeu : le pas de temps accepté est enregistré sous garde
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 'user-1', OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: expect.any(Number) } }] },
+      data: { twoFactorLastStep: expect.any(Number) }
+    });
+
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+    await expect(verifyTwoFactor('user-1', { code: totp(secret) })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('connexion : un code erroné compte comme un échec de connexion', async () => {
+    await enrol();
+    prisma.user.findUnique.mockResolvedValue(enabledUser());
+    prisma.user.update.mockResolvedValue({ failedLoginAttempts: 1 });
+    redis.rateLimiter.check.mockResolvedValue({ current: 1 });
+
+    const { error } = await runHandler(verifyTwoFactorLogin, {
+      body: { challengeToken: jwtUtils.generateTwoFactorChallenge('user-1'), code: '000000' },
+      get: () => undefined
+    });
+
+    expect(error).toMatchObject({ statusCode: 401 });
+    expect(prisma.user.update).toHaveBeenLastCalledWith(expect.objectContaining({
+      data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: expect.any(Date) }
+    }));
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+  });
+
+  test('un code de secours n\'est accepté qu\'une fois', async () => {
+    const [backupCode] = await enrol();
+    prisma.user.findUnique.mockResolvedValue(enabledUser());
+    prisma.twoFactorBackupCode.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    await expect(verifyTwoFactor('user-1', { backupCode: backupCode.toUpperCase() }))
+      .resolves.toEqual({ method: 'backup_code' });
+    await expect(verifyTwoFactor('user-1', { backupCode })).rejects.toMatchObject({ statusCode: 401 });
+
+    const [[firstCall], [secondCall]] = prisma.twoFactorBackupCode.updateMany.mock.calls;
+    expect(firstCall.where).toEqual({ userId: 'user-1', codeHash: secondCall.where.codeHash, usedAt: null });
+  });
+
+  test('désactivation : mot de passe et code exigés, secrets et codes de secours supprimés', async () => {
+    await enrol();
+    const password = await bcrypt.hash('MotDePasse1!', 4);
+    prisma.user.findUnique.mockResolvedValue(enabledUser({ password }));
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    const refused = await runHandler(disableTwoFactor, {
+      user,
+      body: { password: 'Mauvais1!', code: totp(secret) }
+    });
+    expect(refused.error).toMatchObject({ statusCode: 400 });
+
+    const { status } = await runHandler(disableTwoFactor, {
+      user,
+      body: { password: 'MotDePasse1!', code: totp(secret) }
+    });
+
+    expect(status).toBe(200);
+    expect(prisma.user.update).toHaveBeenLastCalledWith({
+      where: { id: 'user-1' },
+      data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorTempSecret: null, twoFactorLastStep: null }
+    });
+    expect(prisma.twoFactorBackupCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+  });
+});
@@ -0,0 +1,118 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+const socket = mockSrcModule('services/socketService.js', {
+  emitToRoom: jest.fn(),
+  emitToUser: jest.fn()
+});
+
+const {
+  startConversation,
+  sendMessage,
+  markConversationAsRead
+} = await import('../src/controllers/conversationController.js');
+
+const PRODUCT_ID = '0b7c6f0e-52d4-4d6f-9a3e-0e5c2f7a1b01';
+const buyer = { id: 'buyer-1', name: 'Alice' };
+const seller = { id: 'seller-1', name: 'Bob' };
+const conversation = { id: 'conv-1', productId: PRODUCT_ID, buyerId: buyer.id, sellerId: seller.id, offerId: null };
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('startConversation', () => {
+  test('crée la conversation et poste le premier message', async () => {
+    prisma.product.findUnique.mockResolvedValue({ id: PRODUCT_ID, title: 'Sac', sellerId: seller.id, status: 'ACTIVE' });
+    prisma.conversation.create.mockResolvedValue(conversation);
+    prisma.message.create.mockResolvedValue({ id: 'msg-1', content: 'Bonjour', senderId: buyer.id });
+    prisma.message.count.mockResolvedValue(1);
+
+    const { status, body } = await runHandler(startConversation, {
+      user: buyer,
+      body: { productId: PRODUCT_ID, message: 'Bonjour' }
+    });
+
+    expect(status).toBe(201);
+    expect(body.data.message.id).toBe('msg-1');
+    expect(prisma.conversation.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: { productId: PRODUCT_ID, buyerId: buyer.id, sellerId: seller.id }
+    }));
+    expect(socket.emitToRoom).toHaveBeenCalledWith('chat:conv-1', 'message:new', expect.any(Object));
+    expect(socket.emitToUser).toHaveBeenCalledWith(seller.id, 'conversation:updated', expect.objectContaining({
+      unreadCount: 1
+    }));
+  });
+
+  test('reprend la conversation existante', async () => {
+    prisma.product.findUnique.mockResolvedValue({ id: PRODUCT_ID, title: 'Sac', sellerId: seller.id, status: 'ACTIVE' });
+    prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+    const { status } = await runHandler(startConversation, { user: buyer, body: { productId: PRODUCT_ID } });
+
+    expect(status).toBe(200);
+    expect(prisma.conversation.create).not.toHaveBeenCalled();
+  });
+
+  test('refuse une conversation sur son propre produit', async () => {
+    prisma.product.findUnique.mockResolvedValue({ id: PRODUCT_ID, title: 'Sac', sellerId: seller.id, status: 'ACTIVE' });
+
+    const { error } = await runHandler(startConversation, { user: seller, body: { productId: PRODUCT_ID } });
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  test('refuse un produit qui n\'est plus en vente', async () => {
+    prisma.product.findUnique.mockResolvedValue({ id: PRODUCT_ID, title: 'Sac', sellerId: seller.id, status: 'SOLD' });
+
+    const { error } = await runHandler(startConversation, { user: buyer, body: { productId: PRODUCT_ID } });
+
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('sendMessage', () => {
+  test('refuse un utilisateur qui ne participe pas à la conversation', async () => {
+    prisma.conversation.findUnique.mockResolvedValue(conversation);
+
+    const { error } = await runHandler(sendMessage, {
+      user: { id: 'intrus' },
+      params: { id: conversation.id },
+      body: { content: 'Salut' }
+    });
+
+    expect(error.statusCode).toBe(403);
+    expect(prisma.message.create).not.toHaveBeenCalled();
+  });
+
+  test('refuse un message vide', async () => {
+    const { error } = await runHandler(sendMessage, {
+      user: buyer,
+      params: { id: conversation.id },
+      body: { content: '' }
+    });
+
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('markConversationAsRead', () => {
+  test('marque les messages reçus comme lus et envoie l\'accusé de lecture', async () => {
+    prisma.conversation.findUnique.mockResolvedValue(conversation);
+    prisma.message.updateMany.mockResolvedValue({ count: 3 });
+
+    const { body } = await runHandler(markConversationAsRead, { user: seller, params: { id: conversation.id } });
+
+    expect(body.data.count).toBe(3);
+    expect(prisma.message.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ senderId: { not: seller.id }, readAt: null })
+    }));
+    expect(socket.emitToRoom).toHaveBeenCalledWith('chat:conv-1', 'message:read', expect.objectContaining({
+      readerId: seller.id,
+      count: 3
+    }));
+  });
+});
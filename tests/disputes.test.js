@@ -0,0 +1,149 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn(),
+    flushPattern: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/socketService.js', {
+  disconnectUser: jest.fn()
+});
+mockSrcModule('services/savedSearchService.js', {
+  queueProductMatching: jest.fn()
+});
+mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+const payments = mockSrcModule('services/paymentService.js', {
+  refundPayment: jest.fn()
+});
+
+const { resolveDispute } = await import('../src/controllers/adminController.js');
+const { PERMISSIONS, hasPermission } = await import('../src/utils/permissions.js');
+
+const moderator = { id: 'moderator-1', role: 'MODERATOR' };
+
+const disputedOrder = {
+  id: 'order-1',
+  offerId: 'offer-1',
+  productId: 'product-1',
+  buyerId: 'buyer-1',
+  sellerId: 'seller-1',
+  amount: 90,
+  status: 'DISPUTED',
+  product: { id: 'product-1', title: 'Sac' }
+};
+
+const frozenEscrow = {
+  id: 'escrow-1',
+  orderId: 'order-1',
+  buyerId: 'buyer-1',
+  sellerId: 'seller-1',
+  amount: 90,
+  refundedAmount: 0,
+  currency: 'EUR',
+  status: 'FROZEN'
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  prisma.order.findUnique.mockResolvedValue(disputedOrder);
+  prisma.order.updateMany.mockResolvedValue({ count: 1 });
+  prisma.escrow.updateMany.mockResolvedValue({ count: 1 });
+});
+
+const resolve = (body) => runHandler(resolveDispute, { user: moderator, params: { id: 'order-1' }, body });
+
+describe('arbitrage des litiges', () => {
+  test('réservé aux modérateurs et administrateurs', () => {
+    expect(hasPermission(moderator, PERMISSIONS.ORDERS_DISPUTES)).toBe(true);
+    expect(hasPermission({ role: 'ADMIN' }, PERMISSIONS.ORDERS_DISPUTES)).toBe(true);
+    expect(hasPermission({ role: 'SUPPORT' }, PERMISSIONS.ORDERS_DISPUTES)).toBe(false);
+    expect(hasPermission({ role: 'USER' }, PERMISSIONS.ORDERS_DISPUTES)).toBe(false);
+  });
+
+  test('RELEASE clôt la commande et verse les fonds gelés au vendeur', async () => {
+    prisma.escrow.findUnique.mockResolvedValue(frozenEscrow);
+
+    const { status } = await resolve({ resolution: 'RELEASE', reason: 'Colis conforme' });
+
+    expect(status).toBe(200);
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'order-1', status: 'DISPUTED' },
+      data: expect.objectContaining({ status: 'COMPLETED' })
+    });
+    expect(prisma.escrow.updateMany).toHaveBeenCalledWith({
+      where: { id: 'escrow-1', status: 'FROZEN', refundedAmount: 0 },
+      data: expect.objectContaining({ status: 'RELEASED' })
+    });
+    expect(prisma.ledgerEntry.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'buyer-1', account: 'FROZEN', amount: -90 })
+    });
+    expect(prisma.ledgerEntry.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ userId: 'seller-1', account: 'AVAILABLE', amount: 90 })
+    });
+    // Le modérateur figure dans le journal d'audit du séquestre
+    expect(prisma.escrowAuditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'RELEASE', actorId: 'moderator-1', reason: 'Colis conforme' })
+    });
+    // Décision de la plateforme : les deux parties sont prévenues
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 'buyer-1', type: 'ORDER_COMPLETED' }));
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 'seller-1', type: 'ORDER_COMPLETED' }));
+  });
+
+  test('REFUND rembourse intégralement le paiement au nom de la plateforme', async () => {
+    prisma.payment.findFirst.mockResolvedValue({ id: 'payment-1', status: 'SUCCEEDED' });
+
+    const { status } = await resolve({ resolution: 'REFUND' });
+
+    expect(status).toBe(200);
+    expect(prisma.payment.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { orderId: 'order-1', status: { in: ['SUCCEEDED', 'PARTIALLY_REFUNDED'] } }
+    }));
+    expect(payments.refundPayment).toHaveBeenCalledWith('payment-1', null);
+    // L'annulation est faite par la synchronisation du paiement remboursé
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('REFUND sans paiement remboursable annule directement la commande', async () => {
+    prisma.payment.findFirst.mockResolvedValue(null);
+
+    await resolve({ resolution: 'REFUND', reason: 'Contrefaçon' });
+
+    expect(payments.refundPayment).not.toHaveBeenCalled();
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'order-1', status: 'DISPUTED' },
+      data: expect.objectContaining({ status: 'CANCELLED', cancelReason: 'Contrefaçon' })
+    });
+  });
+
+  test('refuse une commande qui n\'est pas en litige', async () => {
+    prisma.order.findUnique.mockResolvedValue({ ...disputedOrder, status: 'SHIPPED' });
+
+    const { error } = await resolve({ resolution: 'RELEASE' });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('refuse une résolution inconnue', async () => {
+    const { error } = await resolve({ resolution: 'SPLIT' });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,150 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+process.env.JWT_SECRET = 'test_access_secret';
+process.env.JWT_REFRESH_SECRET = 'test_refresh_secret';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+// File d'envoi Bull et transport SMTP simulés
+const outbox = { add: jest.fn() };
+const queues = mockSrcModule('services/queueService.js', {
+  areQueuesEnabled: jest.fn(),
+  getQueue: jest.fn(() => outbox),
+  scheduleRecurring: jest.fn()
+});
+const sendMail = jest.fn();
+jest.unstable_mockModule('nodemailer', () => ({
+  default: { createTransport: jest.fn(() => ({ sendMail })) }
+}));
+
+const { renderEmail } = await import('../src/services/emailTemplates.js');
+const { sendUserEmail, queueUserEmail } = await import('../src/services/emailService.js');
+const { register } = await import('../src/controllers/authController.js');
+
+const recipient = (overrides = {}) => ({
+  email: 'alice@example.com',
+  name: 'Alice',
+  locale: 'fr',
+  status: 'ACTIVE',
+  preferences: { emailNotifications: true, offerNotifications: true },
+  ...overrides
+});
+
+const offerData = { productTitle: 'Sac', buyerName: 'Bob', amount: 90, offerId: 'offer-1' };
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  queues.areQueuesEnabled.mockReturnValue(true);
+  sendMail.mockResolvedValue({ messageId: 'message-1' });
+});
+
+describe('modèles d\'email', () => {
+  test('rendus dans la langue demandée, en français par défaut', () => {
+    expect(renderEmail('verification', 'en', { token: 'abc' }).subject).toBe('Confirm your email address');
+    expect(renderEmail('verification', 'de', { token: 'abc' }).subject).toBe('Confirmez votre adresse email');
+  });
+
+  test('le HTML échappe les données et le texte reprend le lien', () => {
+    const email = renderEmail('verification', 'fr', { name: '<script>', token: 'abc' });
+
+    expect(email.html).not.toContain('<script>');
+    expect(email.text).toContain('/verify-email/abc');
+  });
+
+  test('un modèle inconnu est une erreur de programmation', () => {
+    expect(() => renderEmail('inconnu', 'fr')).toThrow('Modèle d\'email inconnu');
+  });
+});
+
+describe('file d\'envoi', () => {
+  test('l\'email est rendu dans la langue de l\'utilisateur et placé dans la file avec retries', async () => {
+    prisma.user.findUnique.mockResolvedValue(recipient({ locale: 'en' }));
+
+    await sendUserEmail('user-1', 'offerReceived', offerData);
+
+    expect(queues.getQueue).toHaveBeenCalledWith('email-outbox');
+    expect(outbox.add).toHaveBeenCalledWith(
+      'send',
+      expect.objectContaining({ to: 'alice@example.com', template: 'offerReceived', subject: 'New offer for "Sac"' }),
+      expect.objectContaining({ attempts: 5, backoff: expect.objectContaining({ type: 'exponential' }) })
+    );
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  test('sans Redis, l\'email est envoyé directement', async () => {
+    queues.areQueuesEnabled.mockReturnValue(false);
+    prisma.user.findUnique.mockResolvedValue(recipient());
+
+    await sendUserEmail('user-1', 'verification', { token: 'abc' }, { to: 'nouvelle@example.com' });
+
+    expect(outbox.add).not.toHaveBeenCalled();
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'nouvelle@example.com',
+      subject: 'Confirmez votre adresse email'
+    }));
+  });
+
+  test('les préférences filtrent les emails d\'offres et les résumés, jamais ceux du compte', async () => {
+    prisma.user.findUnique.mockResolvedValue(recipient({
+      preferences: { emailNotifications: true, offerNotifications: false }
+    }));
+    await expect(sendUserEmail('user-1', 'offerReceived', offerData)).resolves.toBeNull();
+
+    prisma.user.findUnique.mockResolvedValue(recipient({
+      preferences: { emailNotifications: false, offerNotifications: true }
+    }));
+    await expect(sendUserEmail('user-1', 'weeklyDigest', {})).resolves.toBeNull();
+    await sendUserEmail('user-1', 'passwordReset', { token: 'abc' });
+
+    expect(outbox.add).toHaveBeenCalledTimes(1);
+    expect(outbox.add.mock.calls[0][1].template).toBe('passwordReset');
+  });
+
+  test('aucun email vers un compte supprimé', async () => {
+    prisma.user.findUnique.mockResolvedValue(recipient({ status: 'DELETED' }));
+
+    await expect(sendUserEmail('user-1', 'passwordReset', { token: 'abc' })).resolves.toBeNull();
+    expect(outbox.add).not.toHaveBeenCalled();
+  });
+
+  test('un échec de planification ne fait pas échouer la requête', async () => {
+    prisma.user.findUnique.mockResolvedValue(recipient());
+    outbox.add.mockRejectedValueOnce(new Error('Redis indisponible'));
+
+    await queueUserEmail('user-1', 'passwordReset', { token: 'abc' });
+
+    expect(outbox.add).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('langue à l\'inscription', () => {
+  test('reprise de l\'en-tête Accept-Language quand elle n\'est pas choisie', async () => {
+    prisma.user.create.mockImplementation(({ data }) => Promise.resolve({ id: 'user-1', email: data.email, locale: data.locale }));
+
+    const { status } = await runHandler(register, {
+      body: { name: 'Alice', email: 'alice@example.com', password: 'MotDePasse1!' },
+      acceptsLanguages: () => 'en'
+    });
+
+    expect(status).toBe(201);
+    expect(prisma.user.create.mock.calls[0][0].data.locale).toBe('en');
+  });
+});
@@ -0,0 +1,118 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/savedSearchService.js', { queueProductMatching: jest.fn() });
+mockSrcModule('services/productWatchService.js', { queueProductWatch: jest.fn() });
+
+const { applyOrderTransition, findEscrowsDueForRelease } = await import('../src/services/escrowService.js');
+const { releaseDueEscrows } = await import('../src/jobs/escrowRelease.js');
+
+const now = new Date('2026-01-10T12:00:00Z');
+const order = { id: 'order-1', buyerId: 'buyer-1', sellerId: 'seller-1', productId: 'product-1', offerId: 'offer-1' };
+const heldEscrow = {
+  id: 'escrow-1',
+  orderId: 'order-1',
+  buyerId: 'buyer-1',
+  sellerId: 'seller-1',
+  amount: 90,
+  refundedAmount: 0,
+  currency: 'EUR',
+  status: 'HELD',
+  releaseAfter: null
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  prisma.escrow.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe('applyOrderTransition', () => {
+  test('l\'expédition ne démarre pas la période d\'inspection', async () => {
+    prisma.escrow.findUnique.mockResolvedValue(heldEscrow);
+
+    expect(await applyOrderTransition(prisma, order, 'SHIPPED', { now })).toBeNull();
+    expect(prisma.escrow.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('la réception démarre la période d\'inspection sans débloquer les fonds', async () => {
+    prisma.escrow.findUnique.mockResolvedValue(heldEscrow);
+
+    await applyOrderTransition(prisma, order, 'DELIVERED', { now });
+
+    expect(prisma.escrow.updateMany).toHaveBeenCalledWith({
+      where: { id: 'escrow-1', status: 'HELD', refundedAmount: 0 },
+      data: { releaseAfter: new Date('2026-01-17T12:00:00Z') }
+    });
+    expect(prisma.ledgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  test('la clôture débloque les fonds au profit du vendeur', async () => {
+    prisma.escrow.findUnique.mockResolvedValue({ ...heldEscrow, refundedAmount: 10 });
+
+    const movement = await applyOrderTransition(prisma, order, 'COMPLETED', { now });
+
+    expect(movement).toMatchObject({ action: 'RELEASE', amount: 80 });
+    expect(prisma.escrow.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: { status: 'RELEASED', releasedAt: now, releaseAfter: null }
+    }));
+    // Écritures équilibrées : débit du compte bloqué de l'acheteur, crédit du solde du vendeur
+    expect(prisma.ledgerEntry.create.mock.calls.map(([{ data }]) => [data.userId, data.account, data.amount])).toEqual([
+      ['buyer-1', 'HELD', -80],
+      ['seller-1', 'AVAILABLE', 80]
+    ]);
+  });
+
+  test('un litige gèle les fonds', async () => {
+    prisma.escrow.findUnique.mockResolvedValue(heldEscrow);
+
+    const movement = await applyOrderTransition(prisma, order, 'DISPUTED', { now, reason: 'Article abîmé' });
+
+    expect(movement.action).toBe('FREEZE');
+    expect(prisma.escrowAuditLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ action: 'FREEZE', fromStatus: 'HELD', toStatus: 'FROZEN', reason: 'Article abîmé' })
+    });
+  });
+
+  test('échoue en conflit si le séquestre a changé entre-temps', async () => {
+    prisma.escrow.findUnique.mockResolvedValue(heldEscrow);
+    prisma.escrow.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(applyOrderTransition(prisma, order, 'COMPLETED', { now }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('releaseDueEscrows', () => {
+  test('ne concerne que les commandes dont la réception a été confirmée', async () => {
+    await findEscrowsDueForRelease(now);
+
+    expect(prisma.escrow.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'HELD', releaseAfter: { lte: now }, order: { status: 'DELIVERED' } }
+    }));
+  });
+
+  test('clôture la commande à la fin de la période d\'inspection, ce qui débloque les fonds', async () => {
+    prisma.escrow.findMany.mockResolvedValue([{ id: 'escrow-1', orderId: 'order-1' }]);
+    prisma.order.findUnique
+      .mockResolvedValueOnce({ ...order, status: 'DELIVERED', product: { id: 'product-1', title: 'Sac' } })
+      .mockResolvedValueOnce({ ...order, status: 'COMPLETED', product: { id: 'product-1', title: 'Sac' } });
+    prisma.order.updateMany.mockResolvedValue({ count: 1 });
+    prisma.escrow.findUnique.mockResolvedValue(heldEscrow);
+
+    expect(await releaseDueEscrows(now)).toBe(1);
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'order-1', status: 'DELIVERED' },
+      data: expect.objectContaining({ status: 'COMPLETED' })
+    });
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'seller-1',
+      type: 'ESCROW_RELEASED'
+    }));
+  });
+});
@@ -0,0 +1,157 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+const cacheStore = new Map();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(key => Promise.resolve(cacheStore.get(key) ?? null)),
+    set: jest.fn((key, value) => Promise.resolve(cacheStore.set(key, value))),
+    del: jest.fn(),
+    exists: jest.fn(),
+    flushPattern: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/savedSearchService.js', {
+  queueProductMatching: jest.fn()
+});
+mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+
+const { PRICE_BUCKETS, aggregateFacets, computeFacets } = await import('../src/services/productFacetService.js');
+const { searchProducts } = await import('../src/services/productSearchService.js');
+const { getProducts } = await import('../src/controllers/productController.js');
+
+const product = (overrides = {}) => ({
+  id: 'product-1',
+  title: 'Sac Kelly',
+  brand: 'Hermès',
+  description: null,
+  category: 'BAGS',
+  condition: 'GOOD',
+  price: 120,
+  isAuthenticated: false,
+  authenticityScore: 0,
+  isPromoted: false,
+  promotedUntil: null,
+  createdAt: new Date('2026-03-01T00:00:00Z'),
+  ...overrides
+});
+
+const group = (field, value, count) => ({ [field]: value, _count: { _all: count } });
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  cacheStore.clear();
+});
+
+describe('facettes en mémoire', () => {
+  test('comptes par valeur, les plus fréquentes d\'abord puis par ordre alphabétique', () => {
+    const facets = aggregateFacets([
+      product({ brand: 'Chanel' }),
+      product({ brand: 'Hermès', isAuthenticated: true }),
+      product({ brand: 'Hermès', category: 'SHOES' }),
+      product({ brand: 'Dior' }),
+      product({ brand: null })
+    ]);
+
+    expect(facets.brands).toEqual([
+      { value: 'Hermès', count: 2 },
+      { value: 'Chanel', count: 1 },
+      { value: 'Dior', count: 1 }
+    ]);
+    expect(facets.categories).toEqual([{ value: 'BAGS', count: 4 }, { value: 'SHOES', count: 1 }]);
+    expect(facets.authenticity).toEqual({ authenticated: 1, notAuthenticated: 4 });
+  });
+
+  test('tranches de prix : borne inférieure incluse, dernière tranche sans maximum', () => {
+    const { prices } = aggregateFacets([product({ price: 50 }), product({ price: 49.99 }), product({ price: 9000 })]);
+
+    expect(prices).toHaveLength(PRICE_BUCKETS.length);
+    expect(prices[0]).toEqual({ min: 0, max: 50, count: 1 });
+    expect(prices[1]).toEqual({ min: 50, max: 100, count: 1 });
+    expect(prices.at(-1)).toEqual({ min: 5000, max: null, count: 1 });
+  });
+
+  test('au plus 10 marques', () => {
+    const products = Array.from({ length: 12 }, (_, index) => product({ brand: `Marque ${index}` }));
+
+    expect(aggregateFacets(products).brands).toHaveLength(10);
+  });
+});
+
+describe('facettes en base', () => {
+  test('regroupements sous le filtre de la recherche, marques nulles exclues', async () => {
+    const where = { status: 'ACTIVE', category: 'BAGS' };
+    prisma.product.groupBy
+      .mockResolvedValueOnce([group('category', 'BAGS', 3)])
+      .mockResolvedValueOnce([group('brand', 'Dior', 1), group('brand', 'Hermès', 2)])
+      .mockResolvedValueOnce([group('condition', 'GOOD', 3)])
+      .mockResolvedValueOnce([group('isAuthenticated', true, 1), group('isAuthenticated', false, 2)]);
+    prisma.product.count.mockResolvedValue(0);
+    prisma.product.count.mockResolvedValueOnce(1).mockResolvedValueOnce(2);
+
+    const facets = await computeFacets(where);
+
+    expect(facets.brands).toEqual([{ value: 'Hermès', count: 2 }, { value: 'Dior', count: 1 }]);
+    expect(facets.authenticity).toEqual({ authenticated: 1, notAuthenticated: 2 });
+    expect(facets.prices.slice(0, 2).map(bucket => bucket.count)).toEqual([1, 2]);
+    expect(prisma.product.groupBy.mock.calls[1][0]).toMatchObject({
+      where: { AND: [where, { brand: { not: null } }] },
+      take: 10
+    });
+    expect(prisma.product.count.mock.calls[1][0].where).toEqual({ AND: [where, { price: { gte: 50, lt: 100 } }] });
+  });
+});
+
+describe('facettes d\'une recherche', () => {
+  test('la recherche plein texte compte tous les résultats, pas seulement la page', async () => {
+    prisma.product.findMany
+      .mockResolvedValueOnce([
+        product({ id: 'p1', brand: 'Hermès' }),
+        product({ id: 'p2', brand: 'Hermès' }),
+        product({ id: 'p3', title: 'Pochette', brand: 'Dior' })
+      ])
+      .mockResolvedValueOnce([{ id: 'p1' }]);
+
+    const result = await searchProducts({ q: 'kelly', where: {}, select: { id: true }, limit: 1, facets: true });
+
+    expect(result.products).toHaveLength(1);
+    expect(result.facets.brands).toEqual([{ value: 'Hermès', count: 2 }]);
+    expect(prisma.product.findMany.mock.calls[0][0].select).toMatchObject({ category: true, isAuthenticated: true });
+  });
+
+  test('facettes mises en cache indépendamment de la page', async () => {
+    prisma.product.findMany.mockResolvedValue([]);
+    prisma.product.count.mockResolvedValue(0);
+    prisma.product.groupBy.mockResolvedValue([]);
+
+    await runHandler(getProducts, { query: { category: 'BAGS', facets: 'true' } });
+    expect(prisma.product.groupBy).toHaveBeenCalledTimes(4);
+
+    const { body } = await runHandler(getProducts, { query: { category: 'BAGS', facets: 'true', page: '2' } });
+
+    expect(prisma.product.groupBy).toHaveBeenCalledTimes(4);
+    expect(body.data.facets.prices).toHaveLength(PRICE_BUCKETS.length);
+  });
+
+  test('sans le paramètre facets, aucune facette n\'est calculée', async () => {
+    prisma.product.findMany.mockResolvedValue([]);
+    prisma.product.count.mockResolvedValue(0);
+
+    const { body } = await runHandler(getProducts, { query: {} });
+
+    expect(body.data).not.toHaveProperty('facets');
+    expect(prisma.product.groupBy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,68 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockDatabase } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+
+const { findNearbyProducts, boundingBoxWhere, distanceKm } = await import('../src/services/geoService.js');
+
+const LYON = { name: 'Lyon', latitude: 45.764, longitude: 4.8357 };
+
+const candidate = (id, latitude, longitude) => ({
+  id,
+  latitude,
+  longitude,
+  price: 100,
+  createdAt: new Date('2026-03-01T00:00:00Z')
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  delete process.env.GEO_MAX_CANDIDATES;
+});
+
+describe('recherche géographique', () => {
+  test('classe les annonces du rayon par distance et écarte les coins du rectangle', async () => {
+    prisma.product.findMany
+      .mockResolvedValueOnce([
+        candidate('villeurbanne', 45.7719, 4.8902),
+        candidate('lyon', 45.764, 4.8357),
+        candidate('coin', 46.2, 5.45) // Dans le rectangle, hors du cercle de 50 km
+      ])
+      .mockResolvedValueOnce([{ id: 'lyon' }, { id: 'villeurbanne' }]);
+
+    const result = await findNearbyProducts({ where: {}, select: { id: true }, origin: LYON, radius: 50 });
+
+    expect(result.total).toBe(2);
+    expect(result.products.map(product => product.id)).toEqual(['lyon', 'villeurbanne']);
+    expect(result.products[1].distance).toBeCloseTo(4.3, 0);
+  });
+
+  test('refuse la recherche plutôt que de trier un sous-ensemble quand le plafond est dépassé', async () => {
+    process.env.GEO_MAX_CANDIDATES = '2';
+    prisma.product.findMany.mockResolvedValueOnce([
+      candidate('p1', 45.76, 4.83),
+      candidate('p2', 45.77, 4.84),
+      candidate('p3', 45.78, 4.85)
+    ]);
+
+    await expect(findNearbyProducts({ where: {}, select: { id: true }, origin: LYON, radius: 50 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.product.findMany.mock.calls[0][0].take).toBe(3);
+    expect(prisma.product.findMany).toHaveBeenCalledTimes(1);
+  });
+
+  test('le rectangle à cheval sur l\'antiméridien couvre les deux plages de longitude', () => {
+    const where = boundingBoxWhere({ latitude: 0, longitude: 179.9 }, 50);
+
+    expect(where.OR).toHaveLength(2);
+    expect(where.OR[1].longitude.lte).toBeLessThan(-179);
+  });
+
+  test('distance de haversine', () => {
+    expect(distanceKm(LYON, { latitude: 48.8566, longitude: 2.3522 })).toBeCloseTo(392, -1);
+  });
+});
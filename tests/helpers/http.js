@@ -0,0 +1,36 @@
+// Exécuter un handler Express (asyncHandler) avec une requête factice
+// Renvoie { status, body } ou { error } si le handler a transmis une erreur à next()
+export const runHandler = (handler, { user = null, params = {}, query = {}, body = {}, headers = {}, ...rest } = {}) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      },
+      send(payload) {
+        resolve({ status: this.statusCode, body: payload });
+        return this;
+      },
+      setHeader() {},
+      cookie() { return this; },
+      clearCookie() { return this; }
+    };
+
+    const req = {
+      user,
+      params,
+      query,
+      body,
+      headers,
+      ip: '127.0.0.1',
+      get: (name) => headers[name.toLowerCase()],
+      ...rest
+    };
+
+    handler(req, res, (error) => resolve({ error }));
+  });
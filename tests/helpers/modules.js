@@ -0,0 +1,24 @@
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { createPrismaMock } from './prisma.js';
+
+// Chemin absolu d'un module de src/ (jest.unstable_mockModule résout les chemins relatifs depuis ce fichier)
+export const srcPath = (path) => fileURLToPath(new URL(`../../src/${path}`, import.meta.url));
+
+// Remplacer la connexion à la base par un client Prisma factice ; à appeler avant d'importer le code testé
+export const mockDatabase = ({ sqlite = false } = {}) => {
+  const prisma = createPrismaMock();
+  jest.unstable_mockModule(srcPath('database/connection.js'), () => ({
+    default: prisma,
+    isSqlite: () => sqlite,
+    connectDatabase: jest.fn(),
+    disconnectDatabase: jest.fn()
+  }));
+  return prisma;
+};
+
+// Remplacer un module de src/ par les exports donnés
+export const mockSrcModule = (path, exports) => {
+  jest.unstable_mockModule(srcPath(path), () => ({ ...exports, default: exports }));
+  return exports;
+};
@@ -0,0 +1,45 @@
+import { jest } from '@jest/globals';
+
+// Client Prisma factice : chaque méthode de modèle (prisma.offer.findUnique…) est un jest.fn()
+// créé au premier accès, à configurer dans le test (mockResolvedValue…)
+export const createPrismaMock = () => {
+  let models = new Map();
+
+  const getModel = (name) => {
+    if (!models.has(name)) {
+      const methods = new Map();
+      models.set(name, new Proxy({}, {
+        get: (target, method) => {
+          if (!methods.has(method)) methods.set(method, jest.fn().mockResolvedValue(null));
+          return methods.get(method);
+        }
+      }));
+    }
+    return models.get(name);
+  };
+
+  const prisma = new Proxy({}, {
+    get: (target, name) => {
+      if (name === 'then') return undefined;
+      if (name === '$reset') return () => { models = new Map(); };
+      if (name === '$transaction') {
+        if (!models.has(name)) {
+          // Tableau de requêtes ou transaction interactive (le client factice sert de client de transaction)
+          models.set(name, jest.fn((operations) => (typeof operations === 'function'
+            ? operations(prisma)
+            : Promise.all(operations))));
+        }
+        return models.get(name);
+      }
+      if (name.startsWith('$')) {
+        if (!models.has(name)) models.set(name, jest.fn().mockResolvedValue(null));
+        return models.get(name);
+      }
+      return getModel(name);
+    }
+  });
+
+  return prisma;
+};
+
+export default createPrismaMock;
@@ -0,0 +1,111 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+const emails = mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn()
+});
+mockSrcModule('services/oneTimeTokenService.js', {
+  issueOneTimeToken: jest.fn().mockResolvedValue('unlock-token'),
+  consumeOneTimeToken: jest.fn()
+});
+
+const { recordFailedLogin, assertNotLocked } = await import('../src/services/loginProtectionService.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const user = { id: 'user-1', email: 'alice@example.com' };
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+// Compteur en base simulé : update({ increment }) renvoie la valeur après incrément
+const withStoredAttempts = (initial) => {
+  let stored = initial;
+  prisma.user.update.mockImplementation(({ data }) => {
+    stored += data.failedLoginAttempts.increment;
+    return Promise.resolve({ failedLoginAttempts: stored });
+  });
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  prisma.user.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe('échecs de connexion', () => {
+  test('incrémente le compteur en base sans se fier à la copie chargée', async () => {
+    withStoredAttempts(2);
+
+    const result = await recordFailedLogin({ ...user, failedLoginAttempts: 0 }, req, NOW);
+
+    expect(result).toEqual({ locked: false, attempts: 3 });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: NOW },
+      select: { failedLoginAttempts: true }
+    });
+  });
+
+  test('remet le compteur à zéro seulement si le dernier échec est hors de la fenêtre', async () => {
+    withStoredAttempts(0);
+
+    await recordFailedLogin(user, req, NOW);
+
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: 'user-1',
+        OR: [
+          { lastFailedLoginAt: null },
+          { lastFailedLoginAt: { lte: new Date('2026-03-10T11:45:00Z') } }
+        ]
+      },
+      data: { failedLoginAttempts: 0 }
+    });
+  });
+
+  test('verrouille le compte au seuil et prévient l\'utilisateur', async () => {
+    withStoredAttempts(4);
+
+    const result = await recordFailedLogin(user, req, NOW);
+
+    expect(result).toEqual({ locked: true, attempts: 5 });
+    expect(prisma.user.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'user-1', failedLoginAttempts: { gte: 5 } },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: NOW,
+        lockedUntil: new Date('2026-03-10T12:30:00Z')
+      }
+    });
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'SECURITY_ALERT' }));
+    expect(emails.queueUserEmail).toHaveBeenCalledWith('user-1', 'accountLocked', { token: 'unlock-token', minutes: 30 });
+  });
+
+  test('des échecs concurrents au-delà du seuil ne verrouillent et ne préviennent qu\'une fois', async () => {
+    withStoredAttempts(5);
+    // Verrou déjà posé par la requête concurrente : le compteur a été remis à zéro
+    prisma.user.updateMany
+      .mockResolvedValueOnce({ count: 0 })
+      .mockResolvedValueOnce({ count: 0 });
+
+    const result = await recordFailedLogin(user, req, NOW);
+
+    expect(result.locked).toBe(true);
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+    expect(emails.queueUserEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('compte verrouillé', () => {
+  test('refuse la connexion pendant le verrouillage', () => {
+    expect(() => assertNotLocked({ lockedUntil: new Date('2026-03-10T12:10:00Z') }, NOW))
+      .toThrow(expect.objectContaining({ statusCode: 429 }));
+  });
+
+  test('accepte la connexion une fois le verrouillage échu', () => {
+    expect(() => assertNotLocked({ lockedUntil: new Date('2026-03-10T11:59:00Z') }, NOW)).not.toThrow();
+  });
+});
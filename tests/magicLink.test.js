@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+process.env.JWT_SECRET = 'test_access_secret';
+process.env.JWT_REFRESH_SECRET = 'test_refresh_secret';
+process.env.APP_URL = 'https://app.want2.test/';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+const emails = mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn()
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+const { requestMagicLink, consumeMagicLink } = await import('../src/controllers/authController.js');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const user = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'alice@example.com',
+  name: 'Alice',
+  status: 'ACTIVE',
+  twoFactorEnabled: false,
+  failedLoginAttempts: 0,
+  lockedUntil: null,
+  preferences: null,
+  ...overrides
+});
+
+// URL envoyée par email pour une demande de lien
+const requestLinkUrl = async (redirectUrl) => {
+  prisma.user.findUnique.mockResolvedValue(user());
+  await runHandler(requestMagicLink, { body: { email: 'alice@example.com', ...(redirectUrl && { redirectUrl }) } });
+  return new URL(emails.queueUserEmail.mock.calls[0][2].url);
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  delete process.env.ALLOWED_ORIGINS;
+});
+
+describe('demande de lien de connexion', () => {
+  test('même réponse pour un email inconnu, sans lien émis', async () => {
+    const { status, body } = await runHandler(requestMagicLink, { body: { email: 'inconnu@example.com' } });
+
+    expect(status).toBe(200);
+    expect(body.message).toBe('Si cet email existe, un lien de connexion a été envoyé');
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+    expect(emails.queueUserEmail).not.toHaveBeenCalled();
+  });
+
+  test('le lien expire au bout de 15 minutes et seule l\'empreinte est stockée', async () => {
+    const url = await requestLinkUrl();
+    const token = url.searchParams.get('token');
+    const { data } = prisma.authToken.create.mock.calls[0][0];
+
+    expect(`${url.origin}${url.pathname}`).toBe('https://app.want2.test/magic-link');
+    expect(data).toMatchObject({ token: sha256(token), type: 'MAGIC_LINK', userId: 'user-1' });
+    expect(data.expiresAt.getTime() - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+    expect(data.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(15 * 60 * 1000);
+  });
+
+  test('redirige vers le deep link d\'une origine autorisée', async () => {
+    const url = await requestLinkUrl('capacitor://localhost/auth/magic');
+
+    expect(url.protocol).toBe('capacitor:');
+    expect(url.pathname).toBe('/auth/magic');
+    expect(url.searchParams.get('token')).toBeTruthy();
+  });
+
+  test('ignore une redirection vers une origine inconnue, même avec le joker CORS', async () => {
+    process.env.ALLOWED_ORIGINS = '*';
+
+    const url = await requestLinkUrl('https://evil.example.com/steal');
+
+    expect(url.origin).toBe('https://app.want2.test');
+    expect(url.pathname).toBe('/magic-link');
+  });
+});
+
+describe('utilisation du lien', () => {
+  test('ouvre une session et consomme le lien non expiré', async () => {
+    prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authToken.findUnique.mockResolvedValue({ userId: 'user-1' });
+    prisma.user.findUnique.mockResolvedValue(user());
+
+    const { status, body } = await runHandler(consumeMagicLink, { body: { token: 'magic-token' } });
+
+    expect(status).toBe(200);
+    expect(body.data.tokens.accessToken).toBeTruthy();
+    expect(prisma.authToken.updateMany.mock.calls[0][0].where).toMatchObject({
+      token: sha256('magic-token'),
+      type: 'MAGIC_LINK',
+      usedAt: null,
+      expiresAt: { gt: expect.any(Date) }
+    });
+  });
+
+  test('un lien déjà utilisé ou expiré est refusé', async () => {
+    prisma.authToken.updateMany.mockResolvedValue({ count: 0 });
+
+    const { error } = await runHandler(consumeMagicLink, { body: { token: 'magic-token' } });
+
+    expect(error).toMatchObject({ statusCode: 400, message: 'Lien de connexion invalide ou expiré' });
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+
+  test('la double authentification reste exigée', async () => {
+    prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authToken.findUnique.mockResolvedValue({ userId: 'user-1' });
+    prisma.user.findUnique.mockResolvedValue(user({ twoFactorEnabled: true }));
+
+    const { body } = await runHandler(consumeMagicLink, { body: { token: 'magic-token' } });
+
+    expect(body.data).toEqual({ requiresTwoFactor: true, challengeToken: expect.any(String) });
+    expect(prisma.authToken.create).not.toHaveBeenCalled();
+  });
+});
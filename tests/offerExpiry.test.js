@@ -0,0 +1,69 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+const { expireOffers, sendExpiryReminders } = await import('../src/jobs/offerExpiry.js');
+
+const now = new Date('2026-01-10T12:00:00Z');
+const pendingOffer = {
+  id: 'offer-2',
+  amount: 80,
+  status: 'PENDING',
+  expiresAt: new Date('2026-01-09T12:00:00Z'),
+  buyerId: 'buyer-1',
+  sellerId: 'seller-1',
+  product: { id: 'product-1', title: 'Sac' }
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('expireOffers', () => {
+  test('n\'expire que la dernière proposition en attente, pas les étapes contrées de l\'historique', async () => {
+    prisma.offer.findMany.mockResolvedValueOnce([pendingOffer]);
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+
+    const count = await expireOffers(now);
+
+    expect(count).toBe(1);
+    expect(prisma.offer.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { status: 'PENDING', expiresAt: { lt: now } }
+    }));
+    expect(prisma.offer.updateMany).toHaveBeenCalledWith({
+      where: { id: 'offer-2', status: 'PENDING' },
+      data: { status: 'EXPIRED', respondedAt: now }
+    });
+    expect(notifications.createNotifications).toHaveBeenCalledWith([
+      expect.objectContaining({ userId: 'buyer-1', type: 'OFFER_EXPIRED' }),
+      expect.objectContaining({ userId: 'seller-1', type: 'OFFER_EXPIRED' })
+    ]);
+  });
+
+  test('ignore une offre acceptée entre la lecture et la mise à jour', async () => {
+    prisma.offer.findMany.mockResolvedValueOnce([pendingOffer]);
+    prisma.offer.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await expireOffers(now)).toBe(0);
+    expect(notifications.createNotifications).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendExpiryReminders', () => {
+  test('rappelle une seule fois l\'échéance aux deux parties', async () => {
+    prisma.offer.findMany.mockResolvedValue([{ ...pendingOffer, expiresAt: new Date('2026-01-11T00:00:00Z') }]);
+    prisma.offer.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    await sendExpiryReminders(now);
+    await sendExpiryReminders(now);
+
+    expect(notifications.createNotifications).toHaveBeenCalledTimes(1);
+    expect(notifications.createNotifications.mock.calls[0][0][0].message).toContain('expire dans 12h');
+  });
+});
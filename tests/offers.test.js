@@ -0,0 +1,261 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn(),
+  sendUserEmail: jest.fn()
+});
+const productWatch = mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+
+const {
+  createOffer,
+  acceptOffer,
+  rejectOffer,
+  createCounterOffer,
+  cancelOffer
+} = await import('../src/controllers/offerController.js');
+
+const PRODUCT_ID = '0b7c6f0e-52d4-4d6f-9a3e-0e5c2f7a1b01';
+const buyer = { id: 'buyer-1', name: 'Alice' };
+const seller = { id: 'seller-1', name: 'Bob' };
+
+const pendingOffer = (overrides = {}) => ({
+  id: 'offer-1',
+  productId: PRODUCT_ID,
+  buyerId: buyer.id,
+  sellerId: seller.id,
+  amount: 80,
+  status: 'PENDING',
+  proposedBy: 'BUYER',
+  round: 1,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  product: { id: PRODUCT_ID, title: 'Sac', price: 100, sellerId: seller.id, status: 'ACTIVE' },
+  ...overrides
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('createOffer', () => {
+  test('seule une proposition PENDING bloque une nouvelle offre, pas l\'historique contré', async () => {
+    prisma.product.findUnique.mockResolvedValue({ id: PRODUCT_ID, title: 'Sac', price: 100, sellerId: seller.id, status: 'ACTIVE', seller });
+    prisma.offer.create.mockResolvedValue(pendingOffer());
+
+    const { status } = await runHandler(createOffer, { user: buyer, body: { productId: PRODUCT_ID, amount: 80 } });
+
+    expect(status).toBe(201);
+    expect(prisma.offer.findFirst).toHaveBeenCalledWith({
+      where: { productId: PRODUCT_ID, buyerId: buyer.id, status: 'PENDING' }
+    });
+  });
+
+  test('refuse une deuxième négociation en cours', async () => {
+    prisma.product.findUnique.mockResolvedValue({ id: PRODUCT_ID, title: 'Sac', price: 100, sellerId: seller.id, status: 'ACTIVE', seller });
+    prisma.offer.findFirst.mockResolvedValue(pendingOffer());
+
+    const { error } = await runHandler(createOffer, { user: buyer, body: { productId: PRODUCT_ID, amount: 80 } });
+
+    expect(error.statusCode).toBe(409);
+    expect(prisma.offer.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('acceptOffer', () => {
+  test('accepte la proposition, vend le produit et ouvre la commande', async () => {
+    prisma.offer.findUnique
+      .mockResolvedValueOnce(pendingOffer())
+      .mockResolvedValueOnce({ ...pendingOffer(), status: 'ACCEPTED' });
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+    prisma.order.create.mockResolvedValue({ id: 'order-1', productId: PRODUCT_ID, buyerId: buyer.id, sellerId: seller.id });
+
+    const { body } = await runHandler(acceptOffer, { user: seller, params: { id: 'offer-1' } });
+
+    expect(body.data.order.id).toBe('order-1');
+    expect(prisma.offer.updateMany).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      where: { id: 'offer-1', status: 'PENDING' }
+    }));
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({
+      where: { id: PRODUCT_ID, status: 'ACTIVE' },
+      data: { status: 'SOLD' }
+    });
+    // Les autres propositions en attente sont rejetées, l'historique contré est conservé
+    expect(prisma.offer.updateMany).toHaveBeenNthCalledWith(2, expect.objectContaining({
+      where: { productId: PRODUCT_ID, id: { not: 'offer-1' }, status: 'PENDING' },
+      data: expect.objectContaining({ status: 'REJECTED' })
+    }));
+    expect(prisma.order.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ offerId: 'offer-1', amount: 80 })
+    });
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: buyer.id,
+      type: 'OFFER_ACCEPTED'
+    }));
+    expect(productWatch.queueProductWatch).toHaveBeenCalledWith(PRODUCT_ID, { previousStatus: 'ACTIVE' });
+  });
+
+  test('échoue en conflit si une autre offre a vendu le produit entre-temps', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+    prisma.product.updateMany.mockResolvedValue({ count: 0 });
+
+    const { error } = await runHandler(acceptOffer, { user: seller, params: { id: 'offer-1' } });
+
+    expect(error.statusCode).toBe(409);
+    expect(prisma.order.create).not.toHaveBeenCalled();
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+  });
+
+  test('échoue en conflit si la proposition a déjà reçu une réponse', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+    prisma.offer.updateMany.mockResolvedValue({ count: 0 });
+
+    const { error } = await runHandler(acceptOffer, { user: seller, params: { id: 'offer-1' } });
+
+    expect(error.statusCode).toBe(409);
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('l\'auteur de la proposition ne peut pas l\'accepter', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+
+    const { error } = await runHandler(acceptOffer, { user: buyer, params: { id: 'offer-1' } });
+
+    expect(error.statusCode).toBe(403);
+  });
+});
+
+describe('createCounterOffer', () => {
+  test('contre la proposition et crée le tour suivant', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+    prisma.$queryRaw.mockResolvedValue([{ id: PRODUCT_ID }]);
+    prisma.offer.create.mockResolvedValue(pendingOffer({ id: 'offer-2', amount: 95, proposedBy: 'SELLER', round: 2 }));
+
+    const { status, body } = await runHandler(createCounterOffer, {
+      user: seller,
+      params: { id: 'offer-1' },
+      body: { amount: 95 }
+    });
+
+    expect(status).toBe(201);
+    expect(body.data.offer.round).toBe(2);
+    expect(prisma.offer.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'offer-1', status: 'PENDING' },
+      data: expect.objectContaining({ status: 'COUNTER_OFFERED' })
+    }));
+    expect(prisma.offer.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ parentOfferId: 'offer-1', proposedBy: 'SELLER', round: 2, status: 'PENDING' })
+    }));
+    // Verrou explicite sur le produit, sans écriture
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toContain('FOR UPDATE');
+    expect(prisma.$queryRaw.mock.calls[0][1]).toBe(PRODUCT_ID);
+    expect(prisma.product.updateMany).not.toHaveBeenCalled();
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: buyer.id,
+      type: 'OFFER_COUNTER'
+    }));
+  });
+
+  test('échoue en conflit si la proposition a été acceptée entre-temps', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+    prisma.offer.updateMany.mockResolvedValue({ count: 0 });
+
+    const { error } = await runHandler(createCounterOffer, {
+      user: seller,
+      params: { id: 'offer-1' },
+      body: { amount: 95 }
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(prisma.offer.create).not.toHaveBeenCalled();
+  });
+
+  test('échoue en conflit si le produit a été vendu entre-temps', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+    prisma.$queryRaw.mockResolvedValue([]);
+
+    const { error } = await runHandler(createCounterOffer, {
+      user: seller,
+      params: { id: 'offer-1' },
+      body: { amount: 95 }
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(prisma.offer.create).not.toHaveBeenCalled();
+  });
+
+  test('refuse au-delà du nombre maximum de tours', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer({ round: 5 }));
+
+    const { error } = await runHandler(createCounterOffer, {
+      user: seller,
+      params: { id: 'offer-1' },
+      body: { amount: 95 }
+    });
+
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe('rejectOffer et cancelOffer', () => {
+  test('le rejet d\'une proposition déjà traitée échoue en conflit', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+    prisma.offer.updateMany.mockResolvedValue({ count: 0 });
+
+    const { error } = await runHandler(rejectOffer, { user: seller, params: { id: 'offer-1' }, body: {} });
+
+    expect(error.statusCode).toBe(409);
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+  });
+
+  test('une étape contrée de l\'historique ne peut pas être annulée', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer({ status: 'COUNTER_OFFERED' }));
+
+    const { error } = await runHandler(cancelOffer, { user: buyer, params: { id: 'offer-1' } });
+
+    expect(error.statusCode).toBe(400);
+    expect(prisma.offer.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('le vendeur peut retirer sa propre contre-offre', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer({ id: 'offer-2', proposedBy: 'SELLER', round: 2 }));
+    prisma.offer.updateMany.mockResolvedValue({ count: 1 });
+
+    const { status } = await runHandler(cancelOffer, { user: seller, params: { id: 'offer-2' } });
+
+    expect(status).toBe(200);
+    expect(prisma.offer.updateMany).toHaveBeenCalledWith({
+      where: { id: 'offer-2', status: 'PENDING' },
+      data: expect.objectContaining({ status: 'CANCELLED' })
+    });
+  });
+
+  test('l\'acheteur ne peut pas annuler la contre-offre du vendeur', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer({ id: 'offer-2', proposedBy: 'SELLER', round: 2 }));
+
+    const { error } = await runHandler(cancelOffer, { user: buyer, params: { id: 'offer-2' } });
+
+    expect(error.statusCode).toBe(403);
+    expect(prisma.offer.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('le vendeur ne peut pas annuler l\'offre de l\'acheteur', async () => {
+    prisma.offer.findUnique.mockResolvedValue(pendingOffer());
+
+    const { error } = await runHandler(cancelOffer, { user: seller, params: { id: 'offer-1' } });
+
+    expect(error.statusCode).toBe(403);
+  });
+});
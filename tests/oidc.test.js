@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+
+const { issueNonce, verifyIdToken, signInWithOidc, linkIdentity } = await import('../src/services/oidcService.js');
+const { mockProvider } = await import('../src/services/oidcProviders/mockProvider.js');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Table oidc_nonces simulée : deleteMany supprime la ligne non expirée correspondante
+let storedNonces;
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+
+  storedNonces = new Map();
+  prisma.oidcNonce.create.mockImplementation(({ data }) => {
+    storedNonces.set(data.nonceHash, data.expiresAt);
+    return Promise.resolve(data);
+  });
+  prisma.oidcNonce.deleteMany.mockImplementation(({ where }) => {
+    const expiresAt = storedNonces.get(where.nonceHash);
+    if (!expiresAt || expiresAt <= where.expiresAt.gt) {
+      return Promise.resolve({ count: 0 });
+    }
+    storedNonces.delete(where.nonceHash);
+    return Promise.resolve({ count: 1 });
+  });
+});
+
+describe('nonces émis par le serveur', () => {
+  test('seule l\'empreinte du nonce est stockée, avec une expiration', async () => {
+    const { nonce, expiresAt } = await issueNonce();
+
+    expect(storedNonces.has(sha256(nonce))).toBe(true);
+    expect(storedNonces.has(nonce)).toBe(false);
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('nonce des ID tokens', () => {
+  test('accepte un nonce transmis en clair ou haché au fournisseur', async () => {
+    const first = await issueNonce();
+    const second = await issueNonce();
+    const plain = mockProvider.mintIdToken({ sub: 'sub-1', nonce: first.nonce });
+    const hashed = mockProvider.mintIdToken({ sub: 'sub-1', nonce: sha256(second.nonce) });
+
+    await expect(verifyIdToken('mock', plain, { nonce: first.nonce })).resolves.toMatchObject({ subject: 'sub-1' });
+    await expect(verifyIdToken('mock', hashed, { nonce: second.nonce })).resolves.toMatchObject({ subject: 'sub-1' });
+  });
+
+  test('refuse de rejouer un même token avec son nonce', async () => {
+    const { nonce } = await issueNonce();
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', nonce });
+
+    await expect(verifyIdToken('mock', idToken, { nonce })).resolves.toMatchObject({ subject: 'sub-1' });
+    await expect(verifyIdToken('mock', idToken, { nonce })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('refuse un nonce choisi par le client (non émis par le serveur)', async () => {
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', nonce: 'nonce-client' });
+
+    await expect(verifyIdToken('mock', idToken, { nonce: 'nonce-client' })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('refuse un nonce expiré', async () => {
+    const { nonce } = await issueNonce();
+    storedNonces.set(sha256(nonce), new Date(Date.now() - 1000));
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', nonce });
+
+    await expect(verifyIdToken('mock', idToken, { nonce })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('refuse un token sans nonce attendu', async () => {
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', nonce: 'nonce-1' });
+
+    await expect(verifyIdToken('mock', idToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('refuse un token émis sans claim nonce ou pour un autre nonce, sans consommer le nonce', async () => {
+    const { nonce } = await issueNonce();
+    const withoutNonce = mockProvider.mintIdToken({ sub: 'sub-1' });
+    const otherNonce = mockProvider.mintIdToken({ sub: 'sub-1', nonce: 'nonce-2' });
+
+    await expect(verifyIdToken('mock', withoutNonce, { nonce })).rejects.toMatchObject({ statusCode: 401 });
+    await expect(verifyIdToken('mock', otherNonce, { nonce })).rejects.toMatchObject({ statusCode: 401 });
+    expect(storedNonces.has(sha256(nonce))).toBe(true);
+  });
+
+  test('la connexion exige le nonce', async () => {
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', email: 'alice@example.com', nonce: 'nonce-1' });
+
+    await expect(signInWithOidc('mock', { idToken })).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.userIdentity.findUnique).not.toHaveBeenCalled();
+  });
+
+  test('la liaison exige le nonce', async () => {
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', email: 'alice@example.com', nonce: 'nonce-1' });
+
+    await expect(linkIdentity('user-1', 'mock', { idToken })).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+  });
+
+  test('la liaison refuse un token déjà utilisé pour se connecter', async () => {
+    const { nonce } = await issueNonce();
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', email: 'alice@example.com', nonce });
+    prisma.userIdentity.findUnique.mockResolvedValue({ id: 'identity-1', user: { id: 'user-1' } });
+
+    await signInWithOidc('mock', { idToken, nonce });
+
+    await expect(linkIdentity('user-2', 'mock', { idToken, nonce })).rejects.toMatchObject({ statusCode: 401 });
+    expect(prisma.userIdentity.create).not.toHaveBeenCalled();
+  });
+
+  test('la connexion avec le bon nonce retrouve l\'identité liée', async () => {
+    const { nonce } = await issueNonce();
+    const idToken = mockProvider.mintIdToken({ sub: 'sub-1', email: 'alice@example.com', nonce });
+    prisma.userIdentity.findUnique.mockResolvedValue({ id: 'identity-1', user: { id: 'user-1' } });
+
+    const result = await signInWithOidc('mock', { idToken, nonce });
+
+    expect(result).toEqual({ user: { id: 'user-1' }, created: false });
+  });
+});
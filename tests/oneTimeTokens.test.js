@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+process.env.JWT_SECRET = 'test_access_secret';
+process.env.JWT_REFRESH_SECRET = 'test_refresh_secret';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn()
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+const { issueOneTimeToken, consumeOneTimeToken } = await import('../src/services/oneTimeTokenService.js');
+const { resetPassword } = await import('../src/controllers/authController.js');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('tokens à usage unique', () => {
+  test('seule l\'empreinte est stockée et les liens précédents du même type sont invalidés', async () => {
+    const token = await issueOneTimeToken('user-1', 'PASSWORD_RESET');
+
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', type: 'PASSWORD_RESET', usedAt: null, isRevoked: false },
+      data: { isRevoked: true }
+    });
+    expect(prisma.authToken.create.mock.calls[0][0].data).toMatchObject({
+      token: sha256(token),
+      type: 'PASSWORD_RESET',
+      userId: 'user-1'
+    });
+  });
+
+  test('refuse un type inconnu', async () => {
+    await expect(issueOneTimeToken('user-1', 'UNKNOWN')).rejects.toThrow('Type de token inconnu');
+  });
+
+  test('consomme un token valide une seule fois', async () => {
+    prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authToken.findUnique.mockResolvedValue({ userId: 'user-1' });
+
+    const userId = await consumeOneTimeToken('secret', 'PASSWORD_RESET');
+
+    expect(userId).toBe('user-1');
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: {
+        token: sha256('secret'),
+        type: 'PASSWORD_RESET',
+        usedAt: null,
+        isRevoked: false,
+        expiresAt: { gt: expect.any(Date) }
+      },
+      data: { usedAt: expect.any(Date) }
+    });
+  });
+
+  test('refuse un token déjà utilisé, révoqué, expiré ou d\'un autre type', async () => {
+    prisma.authToken.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(consumeOneTimeToken('secret', 'EMAIL_VERIFICATION', 'Lien de vérification invalide'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Lien de vérification invalide' });
+    expect(prisma.authToken.findUnique).not.toHaveBeenCalled();
+  });
+});
+
+describe('réinitialisation du mot de passe', () => {
+  test('révoque sessions et liens sauf le lien d\'annulation d\'un changement d\'email', async () => {
+    prisma.authToken.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 3 });
+    prisma.authToken.findUnique.mockResolvedValue({ userId: 'user-1' });
+
+    const { status } = await runHandler(resetPassword, {
+      body: { token: 'reset-token', password: 'NouveauMotDePasse1!' }
+    });
+
+    expect(status).toBe(200);
+    expect(prisma.authToken.updateMany).toHaveBeenLastCalledWith({
+      where: { userId: 'user-1', isRevoked: false, type: { not: 'EMAIL_CHANGE_CANCEL' } },
+      data: { isRevoked: true }
+    });
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { id: 'user-1' },
+      data: { tokensRevokedAt: expect.any(Date) }
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+const savedSearches = mockSrcModule('services/savedSearchService.js', {
+  queueProductMatching: jest.fn()
+});
+const productWatch = mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+
+const { ORDER_TRANSITIONS, transitionOrder } = await import('../src/services/orderService.js');
+const { completeDeliveredOrders } = await import('../src/jobs/orderAutoComplete.js');
+
+const order = (overrides = {}) => ({
+  id: 'order-1',
+  offerId: 'offer-1',
+  productId: 'product-1',
+  buyerId: 'buyer-1',
+  sellerId: 'seller-1',
+  amount: 90,
+  status: 'AWAITING_PAYMENT',
+  product: { id: 'product-1', title: 'Sac' },
+  ...overrides
+});
+
+// Commande lue avant la transition puis relue dans la transaction
+const mockOrder = (current, updated = {}) => {
+  prisma.order.findUnique
+    .mockResolvedValueOnce(current)
+    .mockResolvedValueOnce({ ...current, ...updated });
+  prisma.order.updateMany.mockResolvedValue({ count: 1 });
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('transitionOrder', () => {
+  test('le vendeur ne peut pas marquer une commande comme payée', async () => {
+    prisma.order.findUnique.mockResolvedValue(order());
+
+    await expect(transitionOrder('order-1', 'PAID', { actorId: 'seller-1' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    expect(ORDER_TRANSITIONS.AWAITING_PAYMENT.PAID).toEqual(['SYSTEM']);
+  });
+
+  test('le paiement (SYSTEM) passe la commande en PAID et séquestre les fonds', async () => {
+    mockOrder(order(), { status: 'PAID' });
+    prisma.payment.findFirst.mockResolvedValue({ id: 'payment-1', amount: 90, currency: 'EUR' });
+    prisma.escrow.create.mockResolvedValue({ id: 'escrow-1', orderId: 'order-1', buyerId: 'buyer-1', sellerId: 'seller-1', amount: 90, currency: 'EUR' });
+
+    const updated = await transitionOrder('order-1', 'PAID');
+
+    expect(updated.status).toBe('PAID');
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'order-1', status: 'AWAITING_PAYMENT' },
+      data: expect.objectContaining({ status: 'PAID', paidAt: expect.any(Date) })
+    });
+    expect(prisma.escrow.create).toHaveBeenCalled();
+    // Transition de la plateforme : les deux parties sont prévenues
+    expect(notifications.createNotification).toHaveBeenCalledTimes(3);
+  });
+
+  test('la plateforme ne peut pas déclarer livrée une commande expédiée', async () => {
+    prisma.order.findUnique.mockResolvedValue(order({ status: 'SHIPPED' }));
+
+    await expect(transitionOrder('order-1', 'DELIVERED'))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('l\'acheteur ne peut pas expédier', async () => {
+    prisma.order.findUnique.mockResolvedValue(order({ status: 'PAID' }));
+
+    await expect(transitionOrder('order-1', 'SHIPPED', { actorId: 'buyer-1' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('refuse une transition hors du cycle de vie', async () => {
+    prisma.order.findUnique.mockResolvedValue(order({ status: 'AWAITING_PAYMENT' }));
+
+    await expect(transitionOrder('order-1', 'DELIVERED', { actorId: 'buyer-1' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('refuse un utilisateur étranger à la commande', async () => {
+    prisma.order.findUnique.mockResolvedValue(order());
+
+    await expect(transitionOrder('order-1', 'CANCELLED', { actorId: 'intrus' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('échoue en conflit si la commande a changé entre-temps', async () => {
+    prisma.order.findUnique.mockResolvedValue(order({ status: 'PAID' }));
+    prisma.order.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(transitionOrder('order-1', 'SHIPPED', { actorId: 'seller-1' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('l\'annulation remet le produit en vente et prévient les alertes', async () => {
+    mockOrder(order(), { status: 'CANCELLED' });
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+
+    await transitionOrder('order-1', 'CANCELLED', { actorId: 'buyer-1', details: { reason: 'Erreur' } });
+
+    expect(prisma.product.updateMany).toHaveBeenCalledWith({
+      where: { id: 'product-1', status: 'SOLD' },
+      data: { status: 'ACTIVE' }
+    });
+    expect(prisma.offer.update).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'offer-1' },
+      data: expect.objectContaining({ status: 'CANCELLED' })
+    }));
+    expect(savedSearches.queueProductMatching).toHaveBeenCalledWith('product-1');
+    expect(productWatch.queueProductWatch).toHaveBeenCalledWith('product-1', { previousStatus: 'SOLD' });
+    // Seul le vendeur est prévenu d'une annulation de l'acheteur
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'seller-1',
+      type: 'ORDER_CANCELLED'
+    }));
+  });
+
+  test('l\'annulation ne remet pas en vente un produit qui n\'est plus SOLD', async () => {
+    mockOrder(order({ status: 'PAID' }), { status: 'CANCELLED' });
+    prisma.product.updateMany.mockResolvedValue({ count: 0 }); // Retiré par la modération entre-temps
+
+    await transitionOrder('order-1', 'CANCELLED', { details: { reason: 'Paiement remboursé' } });
+
+    expect(prisma.order.updateMany).toHaveBeenCalled();
+    expect(savedSearches.queueProductMatching).not.toHaveBeenCalled();
+    expect(productWatch.queueProductWatch).not.toHaveBeenCalled();
+  });
+});
+
+describe('completeDeliveredOrders', () => {
+  test('clôture les commandes livrées depuis plus de 7 jours', async () => {
+    const now = new Date('2026-01-10T12:00:00Z');
+    prisma.order.findMany.mockResolvedValue([{ id: 'order-1' }]);
+    mockOrder(order({ status: 'DELIVERED' }), { status: 'COMPLETED' });
+
+    expect(await completeDeliveredOrders(now)).toBe(1);
+    expect(prisma.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        status: 'DELIVERED',
+        deliveredAt: { lte: new Date('2026-01-03T12:00:00Z') },
+        // Les fonds séquestrés attendent la fin de leur propre période d'inspection
+        NOT: { escrow: { is: { status: 'HELD' } } }
+      }
+    }));
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({
+      where: { id: 'order-1', status: 'DELIVERED' },
+      data: expect.objectContaining({ status: 'COMPLETED' })
+    });
+  });
+
+  test('ignore une commande contestée entre-temps', async () => {
+    prisma.order.findMany.mockResolvedValue([{ id: 'order-1' }]);
+    prisma.order.findUnique.mockResolvedValue(order({ status: 'DISPUTED' }));
+
+    expect(await completeDeliveredOrders()).toBe(0);
+  });
+});
@@ -0,0 +1,252 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+const orders = mockSrcModule('services/orderService.js', {
+  ORDER_TRANSITIONS: { AWAITING_PAYMENT: { PAID: ['SYSTEM'] } },
+  transitionOrder: jest.fn()
+});
+mockSrcModule('services/escrowService.js', {
+  refundEscrow: jest.fn()
+});
+
+const { fakeProvider } = await import('../src/services/paymentProviders/fakeProvider.js');
+const { handlePaymentWebhook } = await import('../src/services/paymentService.js');
+const { requirePaymentsEnabled } = await import('../src/controllers/paymentController.js');
+
+const SECRET = 'test_webhook_secret';
+
+const payment = (overrides = {}) => ({
+  id: 'payment-1',
+  provider: 'fake',
+  providerPaymentId: 'fake_pi_00000001',
+  amount: 90,
+  amountRefunded: 0,
+  status: 'REQUIRES_CONFIRMATION',
+  succeededAt: null,
+  order: { id: 'order-1', status: 'AWAITING_PAYMENT', buyerId: 'buyer-1', sellerId: 'seller-1', productId: 'product-1', product: { title: 'Sac' } },
+  ...overrides
+});
+
+const succeededEvent = JSON.stringify({
+  id: 'fake_evt_1',
+  type: 'payment_intent.succeeded',
+  data: { object: { id: 'fake_pi_00000001', amount: 90, amountRefunded: 0, status: 'succeeded' } }
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+});
+
+afterEach(() => {
+  delete process.env.PAYMENT_WEBHOOK_SECRET;
+});
+
+describe('signature des webhooks (provider factice)', () => {
+  test('accepte un corps signé avec le secret', () => {
+    const signature = fakeProvider.signPayload(succeededEvent);
+
+    expect(fakeProvider.verifyWebhook(succeededEvent, signature).id).toBe('fake_evt_1');
+  });
+
+  test('rejette un corps modifié après signature', () => {
+    const signature = fakeProvider.signPayload(succeededEvent);
+
+    expect(() => fakeProvider.verifyWebhook(succeededEvent.replace('90', '1'), signature))
+      .toThrow('Signature de webhook invalide');
+  });
+
+  test('rejette une signature trop ancienne', () => {
+    const signature = fakeProvider.signPayload(succeededEvent, Math.floor(Date.now() / 1000) - 3600);
+
+    expect(() => fakeProvider.verifyWebhook(succeededEvent, signature)).toThrow('Signature de webhook expirée');
+  });
+
+  test('rejette une signature faite avec un autre secret', () => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'autre_secret';
+    const signature = fakeProvider.signPayload(succeededEvent);
+    process.env.PAYMENT_WEBHOOK_SECRET = SECRET;
+
+    expect(() => fakeProvider.verifyWebhook(succeededEvent, signature)).toThrow('Signature de webhook invalide');
+  });
+
+  test('n\'a pas de secret par défaut', () => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+    expect(() => fakeProvider.signPayload(succeededEvent)).toThrow('PAYMENT_WEBHOOK_SECRET manquant');
+  });
+});
+
+describe('provider factice', () => {
+  test('les identifiants d\'intent ne sont pas réattribués après un redémarrage', async () => {
+    const first = await fakeProvider.createIntent({ amount: 90 });
+    fakeProvider.reset();
+    const second = await fakeProvider.createIntent({ amount: 90 });
+
+    expect(first.id).toMatch(/^fake_pi_/);
+    expect(second.id).not.toBe(first.id);
+  });
+});
+
+describe('handlePaymentWebhook', () => {
+  test('un paiement réussi passe la commande en PAID', async () => {
+    prisma.payment.findUnique.mockResolvedValue(payment());
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+
+    const result = await handlePaymentWebhook('fake', succeededEvent, fakeProvider.signPayload(succeededEvent));
+
+    expect(result.processed).toBe(true);
+    expect(orders.transitionOrder).toHaveBeenCalledWith('order-1', 'PAID');
+  });
+
+  test('rejette un événement mal signé sans rien enregistrer', async () => {
+    await expect(handlePaymentWebhook('fake', succeededEvent, 't=1,v1=00'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.paymentEvent.create).not.toHaveBeenCalled();
+  });
+
+  test('rejette un événement portant sur le paiement d\'un autre provider', async () => {
+    prisma.payment.findUnique.mockResolvedValue(payment({ provider: 'stripe' }));
+
+    await expect(handlePaymentWebhook('fake', succeededEvent, fakeProvider.signPayload(succeededEvent)))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.paymentEvent.create).not.toHaveBeenCalled();
+    expect(orders.transitionOrder).not.toHaveBeenCalled();
+  });
+
+  test('ignore un « succeeded » arrivé après un remboursement', async () => {
+    prisma.payment.findUnique.mockResolvedValue(payment({ status: 'PARTIALLY_REFUNDED', amountRefunded: 30 }));
+
+    const result = await handlePaymentWebhook('fake', succeededEvent, fakeProvider.signPayload(succeededEvent));
+
+    expect(result.processed).toBe(true);
+    expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+    expect(orders.transitionOrder).not.toHaveBeenCalled();
+  });
+
+  test('ignore un remboursement partiel arrivé après un remboursement plus important', async () => {
+    const partialRefund = JSON.stringify({
+      id: 'fake_evt_2',
+      type: 'charge.refunded',
+      data: { object: { id: 'fake_pi_00000001', amount: 90, amountRefunded: 30, status: 'succeeded' } }
+    });
+    prisma.payment.findUnique.mockResolvedValue(payment({ status: 'REFUNDED', amountRefunded: 90 }));
+
+    await handlePaymentWebhook('fake', partialRefund, fakeProvider.signPayload(partialRefund));
+
+    expect(prisma.payment.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('recompare avec l\'état en base quand un autre événement a été traité entre-temps', async () => {
+    prisma.payment.findUnique
+      .mockResolvedValueOnce(payment())
+      .mockResolvedValueOnce(payment({ status: 'REFUNDED', amountRefunded: 90 }));
+    prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+
+    await handlePaymentWebhook('fake', succeededEvent, fakeProvider.signPayload(succeededEvent));
+
+    expect(prisma.payment.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.payment.updateMany.mock.calls[0][0].where).toEqual({
+      id: 'payment-1',
+      status: 'REQUIRES_CONFIRMATION',
+      amountRefunded: 0
+    });
+    expect(orders.transitionOrder).not.toHaveBeenCalled();
+  });
+
+  test('ne traite qu\'une fois un même événement', async () => {
+    prisma.payment.findUnique.mockResolvedValue(payment());
+    prisma.paymentEvent.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    const result = await handlePaymentWebhook('fake', succeededEvent, fakeProvider.signPayload(succeededEvent));
+
+    expect(result.duplicate).toBe(true);
+    expect(orders.transitionOrder).not.toHaveBeenCalled();
+  });
+
+  test('un provider inconnu renvoie 404', async () => {
+    await expect(handlePaymentWebhook('inconnu', succeededEvent, ''))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('registre des providers', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  // Chaque import avec une requête différente donne un registre neuf
+  const loadRegistry = (tag) => import(`../src/services/paymentProviders/index.js?${tag}`);
+
+  test('le provider factice n\'est pas enregistré en production', async () => {
+    process.env.NODE_ENV = 'production';
+    const { getPaymentProvider } = await loadRegistry('production');
+
+    expect(() => getPaymentProvider('fake')).toThrow('Provider de paiement inconnu: fake');
+  });
+
+  test('le provider factice peut être activé explicitement', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PAYMENT_FAKE_ENABLED = 'true';
+    const { getPaymentProvider } = await loadRegistry('enabled');
+
+    expect(getPaymentProvider('fake').name).toBe('fake');
+  });
+
+  test('pas de provider par défaut : les paiements sont désactivés en production', async () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_PROVIDER;
+    const { getPaymentProvider, getPaymentUnavailableReason, isPaymentEnabled } = await loadRegistry('default');
+
+    expect(() => getPaymentProvider()).toThrow('Aucun provider de paiement configuré');
+    expect(getPaymentUnavailableReason()).toBe('aucun provider configuré (PAYMENT_PROVIDER)');
+    expect(isPaymentEnabled()).toBe(false);
+  });
+
+  test('le provider factice demandé en production reste indisponible', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PAYMENT_PROVIDER = 'fake';
+    const { getPaymentUnavailableReason } = await loadRegistry('production-fake');
+
+    expect(getPaymentUnavailableReason()).toBe('provider indisponible: fake');
+  });
+
+  test('les paiements sont désactivés sans secret de webhook', async () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+    const { getPaymentUnavailableReason } = await loadRegistry('secret');
+
+    expect(getPaymentUnavailableReason()).toBe('PAYMENT_WEBHOOK_SECRET manquant');
+  });
+});
+
+describe('routes de paiement', () => {
+  afterEach(() => {
+    delete process.env.PAYMENT_PROVIDER;
+  });
+
+  test('répondent 503 quand les paiements ne sont pas configurés', () => {
+    const next = jest.fn();
+
+    requirePaymentsEnabled({}, {}, next);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 503 }));
+  });
+
+  test('sont servies quand le provider et le secret sont configurés', () => {
+    process.env.PAYMENT_PROVIDER = 'fake';
+    const next = jest.fn();
+
+    requirePaymentsEnabled({}, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+const sms = { name: 'test', send: jest.fn() };
+mockSrcModule('services/smsProviders/index.js', {
+  getSmsProvider: () => sms,
+  registerSmsProvider: jest.fn()
+});
+
+const { requestPhoneVerification, verifyPhoneCode } = await import('../src/services/phoneVerificationService.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const PHONE = '+33612345678';
+
+const hashCode = (code) => crypto.createHash('sha256').update(`user-1:${PHONE}:${code}`).digest('hex');
+
+const codeRecord = (overrides = {}) => ({
+  id: 'code-1',
+  userId: 'user-1',
+  phone: PHONE,
+  codeHash: hashCode('123456'),
+  attempts: 0,
+  usedAt: null,
+  expiresAt: new Date(NOW.getTime() + 5 * 60 * 1000),
+  ...overrides
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  prisma.user.findUnique.mockResolvedValue({ id: 'user-1', phone: PHONE, phoneVerified: false, locale: 'fr' });
+  prisma.phoneVerificationCode.count.mockResolvedValue(0);
+});
+
+describe('envoi du code', () => {
+  test('envoie un code dont seule l\'empreinte est stockée et invalide les codes précédents', async () => {
+    const result = await requestPhoneVerification('user-1', null, NOW);
+
+    expect(result.phone).toBe('+336••••••78');
+    expect(prisma.phoneVerificationCode.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', usedAt: null, expiresAt: { gt: NOW } },
+      data: { expiresAt: NOW }
+    });
+    const code = sms.send.mock.calls[0][0].body.match(/\d{6}/)[0];
+    expect(prisma.phoneVerificationCode.create.mock.calls[0][0].data.codeHash).toBe(hashCode(code));
+  });
+
+  test('impose un délai d\'une minute entre deux codes', async () => {
+    prisma.phoneVerificationCode.findFirst.mockResolvedValue({ createdAt: new Date(NOW.getTime() - 20 * 1000) });
+
+    await expect(requestPhoneVerification('user-1', null, NOW))
+      .rejects.toMatchObject({ statusCode: 429, message: expect.stringContaining('40 seconde') });
+    expect(sms.send).not.toHaveBeenCalled();
+  });
+
+  test('plafonne le nombre de codes par jour et par numéro', async () => {
+    prisma.phoneVerificationCode.count
+      .mockResolvedValueOnce(1) // Codes envoyés par le compte
+      .mockResolvedValueOnce(5); // Codes envoyés au numéro (autres comptes compris)
+
+    await expect(requestPhoneVerification('user-1', null, NOW)).rejects.toMatchObject({ statusCode: 429 });
+    expect(prisma.phoneVerificationCode.count).toHaveBeenCalledWith({
+      where: { phone: PHONE, createdAt: { gt: new Date(NOW.getTime() - 24 * 60 * 60 * 1000) } }
+    });
+    expect(sms.send).not.toHaveBeenCalled();
+  });
+
+  test('refuse un numéro déjà vérifié sur un autre compte', async () => {
+    prisma.user.findFirst.mockResolvedValue({ id: 'user-2' });
+
+    await expect(requestPhoneVerification('user-1', null, NOW)).rejects.toMatchObject({ statusCode: 409 });
+    expect(prisma.user.findFirst).toHaveBeenCalledWith({
+      where: { phone: PHONE, phoneVerified: true, id: { not: 'user-1' } },
+      select: { id: true }
+    });
+  });
+});
+
+describe('vérification du code', () => {
+  test('décompte l\'essai avant la comparaison puis vérifie le numéro', async () => {
+    prisma.phoneVerificationCode.findFirst.mockResolvedValue(codeRecord());
+    prisma.phoneVerificationCode.updateMany.mockResolvedValue({ count: 1 });
+    prisma.user.update.mockResolvedValue({ id: 'user-1', phone: PHONE, phoneVerified: true });
+
+    await verifyPhoneCode('user-1', '123456', NOW);
+
+    expect(prisma.phoneVerificationCode.updateMany).toHaveBeenNthCalledWith(1, {
+      where: { id: 'code-1', usedAt: null, attempts: { lt: 5 } },
+      data: { attempts: { increment: 1 } }
+    });
+    expect(prisma.phoneVerificationCode.updateMany).toHaveBeenNthCalledWith(2, {
+      where: { id: 'code-1', usedAt: null },
+      data: { usedAt: NOW }
+    });
+    expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { phone: PHONE, phoneVerified: true, phoneVerifiedAt: NOW }
+    }));
+  });
+
+  test('un code incorrect consomme un essai', async () => {
+    prisma.phoneVerificationCode.findFirst.mockResolvedValue(codeRecord({ attempts: 3 }));
+    prisma.phoneVerificationCode.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(verifyPhoneCode('user-1', '000000', NOW))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Code incorrect (1 essai(s) restant(s))' });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('essais épuisés (éventuellement par des requêtes simultanées) : même le bon code est refusé', async () => {
+    // Lu avant que les requêtes concurrentes n'aient décompté leurs essais
+    prisma.phoneVerificationCode.findFirst.mockResolvedValue(codeRecord({ attempts: 4 }));
+    prisma.phoneVerificationCode.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(verifyPhoneCode('user-1', '123456', NOW))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Code invalide ou expiré, demandez un nouveau code' });
+    expect(prisma.phoneVerificationCode.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  test('refuse un numéro vérifié sur un autre compte depuis l\'envoi du code', async () => {
+    prisma.phoneVerificationCode.findFirst.mockResolvedValue(codeRecord());
+    prisma.phoneVerificationCode.updateMany.mockResolvedValue({ count: 1 });
+    prisma.user.findFirst.mockResolvedValue({ id: 'user-2' });
+
+    await expect(verifyPhoneCode('user-1', '123456', NOW)).rejects.toMatchObject({ statusCode: 409 });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
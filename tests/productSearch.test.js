@@ -0,0 +1,160 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { mockDatabase } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+
+const {
+  parseQuery,
+  buildCandidateWhere,
+  scoreProduct,
+  buildHighlights,
+  searchProducts,
+  backfillSearchText
+} = await import('../src/services/productSearchService.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const product = (overrides = {}) => ({
+  id: 'product-1',
+  title: 'Sac à main',
+  brand: null,
+  description: null,
+  price: 100,
+  authenticityScore: 0,
+  isPromoted: false,
+  promotedUntil: null,
+  createdAt: new Date('2026-03-01T00:00:00Z'),
+  ...overrides
+});
+
+const score = (overrides, q) => scoreProduct(product(overrides), parseQuery(q), { now: NOW });
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('classement par pertinence', () => {
+  test('le titre pèse plus que la marque, elle-même plus que la description', () => {
+    const inTitle = score({ title: 'Hermès Kelly' }, 'hermes');
+    const inBrand = score({ title: 'Sac Kelly', brand: 'Hermès' }, 'hermes');
+    const inDescription = score({ title: 'Sac Kelly', description: 'Modèle Hermès authentique' }, 'hermes');
+
+    expect(inTitle).toBeGreaterThan(inBrand);
+    expect(inBrand).toBeGreaterThan(inDescription);
+  });
+
+  test('correspondance exacte > préfixe > faute de frappe', () => {
+    const exact = score({ title: 'Écharpe en soie' }, 'echarpe');
+    const prefix = score({ title: 'Écharpe en soie' }, 'echar');
+    const fuzzy = score({ title: 'Écharpe en soie' }, 'echarpr');
+
+    expect(exact).toBe(1);
+    expect(exact).toBeGreaterThan(prefix);
+    expect(prefix).toBeGreaterThan(fuzzy);
+    expect(fuzzy).toBeGreaterThan(0);
+  });
+
+  test('tous les termes doivent correspondre', () => {
+    expect(score({ title: 'Sac Kelly' }, 'sac birkin')).toBeNull();
+  });
+
+  test('les termes courts ne tolèrent pas de faute', () => {
+    expect(score({ title: 'Sac' }, 'sax')).toBeNull();
+  });
+
+  test('authenticité et mise en avant (en cours) améliorent le classement', () => {
+    const base = score({}, 'sac');
+
+    expect(score({ authenticityScore: 1 }, 'sac')).toBeCloseTo(base * 1.3);
+    expect(score({ isPromoted: true, promotedUntil: new Date('2026-04-01T00:00:00Z') }, 'sac')).toBeCloseTo(base * 1.25);
+    expect(score({ isPromoted: true, promotedUntil: new Date('2026-03-01T00:00:00Z') }, 'sac')).toBe(base);
+  });
+
+  test('surligne les correspondances dans le texte échappé', () => {
+    const highlights = buildHighlights(product({ title: 'Sac <Kelly> Hermès' }), parseQuery('hermes'));
+
+    expect(highlights.title).toBe('Sac &lt;Kelly&gt; <mark>Hermès</mark>');
+  });
+});
+
+describe('pré-filtrage en base', () => {
+  test('chaque terme doit partager un trigramme avec searchText', () => {
+    expect(buildCandidateWhere(['sac', 'kelly'])).toEqual({
+      AND: [
+        { OR: [{ searchText: { contains: 'sac' } }] },
+        {
+          OR: [
+            { searchText: { contains: 'kel' } },
+            { searchText: { contains: 'ell' } },
+            { searchText: { contains: 'lly' } }
+          ]
+        }
+      ]
+    });
+  });
+
+  test('les produits sans searchText ne sont plus candidats d\'office', () => {
+    expect(JSON.stringify(buildCandidateWhere(['sac']))).not.toContain('null');
+  });
+});
+
+describe('recherche', () => {
+  afterEach(() => {
+    delete process.env.SEARCH_MAX_CANDIDATES;
+  });
+
+  test('classe les candidats et renvoie la page demandée', async () => {
+    prisma.product.findMany
+      .mockResolvedValueOnce([
+        product({ id: 'description', title: 'Pochette', description: 'Sac Kelly vintage' }),
+        product({ id: 'title', title: 'Sac Kelly' })
+      ])
+      .mockResolvedValueOnce([{ id: 'title' }, { id: 'description' }]);
+
+    const result = await searchProducts({ q: 'kelly', where: { status: 'ACTIVE' }, select: { id: true }, now: NOW });
+
+    expect(result.products.map(match => match.id)).toEqual(['title', 'description']);
+    expect(result).toMatchObject({ total: 2, truncated: false });
+  });
+
+  test('signale un résultat tronqué quand le plafond de candidats est atteint', async () => {
+    process.env.SEARCH_MAX_CANDIDATES = '2';
+    prisma.product.findMany
+      .mockResolvedValueOnce([
+        product({ id: 'p1', title: 'Sac Kelly' }),
+        product({ id: 'p2', title: 'Sac Kelly' }),
+        product({ id: 'p3', title: 'Sac Kelly' })
+      ])
+      .mockResolvedValueOnce([{ id: 'p1' }, { id: 'p2' }]);
+
+    const result = await searchProducts({ q: 'kelly', where: {}, select: { id: true }, now: NOW });
+
+    expect(prisma.product.findMany.mock.calls[0][0].take).toBe(3);
+    expect(result).toMatchObject({ total: 2, truncated: true });
+  });
+});
+
+describe('indexation des produits sans searchText', () => {
+  test('calcule searchText par lots jusqu\'au dernier', async () => {
+    prisma.product.findMany
+      .mockResolvedValueOnce([
+        { id: 'p1', title: 'Écharpe', brand: 'Hermès', description: null },
+        { id: 'p2', title: 'Sac', brand: null, description: 'Cuir' }
+      ])
+      .mockResolvedValueOnce([{ id: 'p3', title: 'Montre', brand: null, description: null }]);
+
+    const updatedCount = await backfillSearchText({ batchSize: 2 });
+
+    expect(updatedCount).toBe(3);
+    expect(prisma.product.findMany).toHaveBeenCalledTimes(2);
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: 'p1' },
+      data: { searchText: 'echarpe hermes' }
+    });
+    expect(prisma.product.update).toHaveBeenCalledWith({
+      where: { id: 'p3' },
+      data: { searchText: 'montre' }
+    });
+  });
+});
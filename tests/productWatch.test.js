@@ -0,0 +1,146 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+// File Bull simulée : les vérifications différées y sont planifiées
+const watchQueue = { add: jest.fn() };
+mockSrcModule('services/queueService.js', {
+  areQueuesEnabled: jest.fn().mockReturnValue(true),
+  getQueue: jest.fn(() => watchQueue),
+  scheduleRecurring: jest.fn()
+});
+
+const { decideWatchAlert, processProductWatch } = await import('../src/services/productWatchService.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const like = (overrides = {}) => ({
+  id: 'like-1',
+  userId: 'user-1',
+  targetPrice: null,
+  alertedPrice: null,
+  lastAlertedAt: null,
+  ...overrides
+});
+
+const product = (overrides = {}) => ({
+  id: 'product-1',
+  title: 'Sac',
+  price: 80,
+  status: 'ACTIVE',
+  sellerId: 'seller-1',
+  ...overrides
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  watchQueue.add.mockResolvedValue({});
+});
+
+describe('choix de l\'alerte', () => {
+  test('baisse de prix sous le prix précédent et sous le prix cible', () => {
+    expect(decideWatchAlert(like(), product(), { price: 100 }, NOW)).toEqual({
+      type: 'PRICE_DROP',
+      priceDropped: true,
+      previousPrice: 100
+    });
+    expect(decideWatchAlert(like({ targetPrice: 70 }), product(), { price: 100 }, NOW)).toBeNull();
+    expect(decideWatchAlert(like(), product({ price: 120 }), { price: 100 }, NOW)).toBeNull();
+  });
+
+  test('pas de nouvelle alerte au-dessus du plus bas prix déjà signalé', () => {
+    expect(decideWatchAlert(like({ alertedPrice: 70 }), product(), { price: 100 }, NOW)).toBeNull();
+  });
+
+  test('remise en vente, mais rien pour une pause puis remise en ligne regroupées', () => {
+    expect(decideWatchAlert(like({ alertedPrice: 80 }), product(), { price: null, status: 'PAUSED' }, NOW))
+      .toEqual({ type: 'BACK_IN_STOCK', priceDropped: false, previousPrice: 80 });
+    expect(decideWatchAlert(like({ alertedPrice: 80 }), product(), { price: 80, status: 'ACTIVE' }, NOW)).toBeNull();
+  });
+
+  test('sans prix de référence, un changement de statut n\'est pas une baisse de prix', () => {
+    expect(decideWatchAlert(like(), product(), { price: null, status: 'ACTIVE' }, NOW)).toBeNull();
+    expect(decideWatchAlert(like(), product(), { price: null, status: 'SOLD' }, NOW))
+      .toMatchObject({ type: 'BACK_IN_STOCK', priceDropped: false });
+  });
+
+  test('vente signalée une seule fois, sans délai anti-spam', () => {
+    const recentlyAlerted = like({ lastAlertedAt: new Date(NOW.getTime() - 60 * 1000) });
+
+    expect(decideWatchAlert(recentlyAlerted, product({ status: 'SOLD' }), { status: 'ACTIVE' }, NOW)).toEqual({ type: 'SOLD' });
+    expect(decideWatchAlert(like(), product({ status: 'SOLD' }), { status: 'SOLD' }, NOW)).toBeNull();
+  });
+
+  test('alerte retenue jusqu\'à la fin du délai anti-spam', () => {
+    const lastAlertedAt = new Date(NOW.getTime() - HOUR_MS);
+
+    expect(decideWatchAlert(like({ lastAlertedAt }), product(), { price: 100 }, NOW)).toEqual({
+      type: null,
+      retryAt: new Date(lastAlertedAt.getTime() + 6 * HOUR_MS)
+    });
+    expect(decideWatchAlert(like({ lastAlertedAt: new Date(NOW.getTime() - 7 * HOUR_MS) }), product(), { price: 100 }, NOW))
+      .toMatchObject({ type: 'PRICE_DROP' });
+  });
+});
+
+describe('alertes des produits likés', () => {
+  test('prévient les likes et retient le prix signalé', async () => {
+    prisma.product.findUnique.mockResolvedValue(product());
+    prisma.like.findMany.mockResolvedValueOnce([like()]);
+
+    const result = await processProductWatch('product-1', { price: 100, status: null }, { now: NOW });
+
+    expect(result).toEqual({ sentCount: 1, retryAt: null });
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      type: 'PRICE_DROP',
+      message: '"Sac" passe à 80€ (au lieu de 100€)'
+    }));
+    expect(prisma.like.update).toHaveBeenCalledWith({
+      where: { id: 'like-1' },
+      data: { lastAlertedAt: NOW, alertedPrice: 80 }
+    });
+    expect(prisma.like.findMany.mock.calls[0][0].where).toMatchObject({
+      userId: { notIn: ['seller-1'] },
+      alertsEnabled: true
+    });
+  });
+
+  test('l\'acheteur n\'est pas prévenu de son propre achat', async () => {
+    prisma.product.findUnique.mockResolvedValue(product({ status: 'SOLD' }));
+    prisma.order.findFirst.mockResolvedValue({ buyerId: 'buyer-1' });
+    prisma.like.findMany.mockResolvedValue([]);
+
+    await processProductWatch('product-1', { status: 'ACTIVE' }, { now: NOW });
+
+    expect(prisma.order.findFirst.mock.calls[0][0].where).toEqual({ productId: 'product-1', status: { not: 'CANCELLED' } });
+    expect(prisma.like.findMany.mock.calls[0][0].where.userId).toEqual({ notIn: ['seller-1', 'buyer-1'] });
+  });
+
+  test('les alertes retenues sont replanifiées pour ces seuls likes', async () => {
+    const lastAlertedAt = new Date(NOW.getTime() - HOUR_MS);
+    prisma.product.findUnique.mockResolvedValue(product());
+    prisma.like.findMany.mockResolvedValueOnce([like(), like({ id: 'like-2', userId: 'user-2', lastAlertedAt })]);
+
+    const result = await processProductWatch('product-1', { price: 100, status: null }, { now: NOW });
+
+    expect(result).toEqual({ sentCount: 1, retryAt: new Date(lastAlertedAt.getTime() + 6 * HOUR_MS) });
+    expect(watchQueue.add).toHaveBeenCalledWith(
+      'check',
+      { productId: 'product-1', previous: { price: 100, status: null }, likeIds: ['like-2'] },
+      expect.objectContaining({ delay: 5 * HOUR_MS, jobId: expect.stringMatching(/^product-1:retry:/) })
+    );
+  });
+
+  test('rien pour un produit supprimé', async () => {
+    await expect(processProductWatch('product-1', { price: 100 }, { now: NOW })).resolves.toEqual({ sentCount: 0, retryAt: null });
+    expect(prisma.like.findMany).not.toHaveBeenCalled();
+  });
+});
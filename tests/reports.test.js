@@ -0,0 +1,108 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+const moderation = mockSrcModule('services/moderationService.js', {
+  REPORT_STATUSES: ['PENDING', 'REVIEWING', 'RESOLVED', 'DISMISSED'],
+  applyReportAction: jest.fn()
+});
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+
+const { resolveReport, getUserReportHistory } = await import('../src/controllers/reportController.js');
+
+const moderator = { id: 'moderator-1', role: 'MODERATOR' };
+const pendingReport = {
+  id: 'report-1',
+  status: 'PENDING',
+  moderatorId: null,
+  authorId: 'author-1',
+  targetId: 'target-1',
+  productId: 'product-1'
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('resolveReport', () => {
+  test('réserve le signalement, applique l\'action puis le clôt', async () => {
+    prisma.report.findUnique.mockResolvedValueOnce(pendingReport);
+    prisma.report.updateMany.mockResolvedValue({ count: 1 });
+
+    const { body } = await runHandler(resolveReport, {
+      user: moderator,
+      params: { id: 'report-1' },
+      body: { action: 'PAUSE_PRODUCT', note: 'Contrefaçon' }
+    });
+
+    expect(body.success).toBe(true);
+    expect(prisma.report.updateMany).toHaveBeenNthCalledWith(1, {
+      where: { id: 'report-1', status: 'PENDING', moderatorId: null },
+      data: expect.objectContaining({ status: 'REVIEWING', moderatorId: 'moderator-1' })
+    });
+    expect(moderation.applyReportAction).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'report-1', status: 'REVIEWING' }),
+      'PAUSE_PRODUCT',
+      expect.objectContaining({ moderatorId: 'moderator-1' })
+    );
+    expect(prisma.report.updateMany).toHaveBeenNthCalledWith(2, {
+      where: { id: 'report-1', status: 'REVIEWING' },
+      data: expect.objectContaining({ status: 'RESOLVED', action: 'PAUSE_PRODUCT' })
+    });
+    expect(moderation.applyReportAction.mock.invocationCallOrder[0])
+      .toBeLessThan(prisma.report.updateMany.mock.invocationCallOrder[1]);
+  });
+
+  test('laisse le signalement ouvert si l\'action échoue', async () => {
+    prisma.report.findUnique.mockResolvedValueOnce(pendingReport);
+    prisma.report.updateMany.mockResolvedValue({ count: 1 });
+    moderation.applyReportAction.mockRejectedValueOnce(new Error('Base indisponible'));
+
+    const { error } = await runHandler(resolveReport, {
+      user: moderator,
+      params: { id: 'report-1' },
+      body: { action: 'SUSPEND_USER' }
+    });
+
+    expect(error.message).toBe('Base indisponible');
+    // Seule la prise en charge a eu lieu : pas de clôture ni de notification à l'auteur
+    expect(prisma.report.updateMany).toHaveBeenCalledTimes(1);
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+  });
+
+  test('n\'applique pas l\'action si un autre modérateur a pris le signalement entre-temps', async () => {
+    prisma.report.findUnique.mockResolvedValueOnce(pendingReport);
+    prisma.report.updateMany.mockResolvedValue({ count: 0 });
+
+    const { error } = await runHandler(resolveReport, {
+      user: moderator,
+      params: { id: 'report-1' },
+      body: { action: 'WARN_USER' }
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(moderation.applyReportAction).not.toHaveBeenCalled();
+  });
+});
+
+describe('getUserReportHistory', () => {
+  test('le total compte tous les signalements, pas seulement les 100 renvoyés', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'target-1', name: 'Bob' });
+    prisma.report.findMany.mockResolvedValue(Array.from({ length: 100 }, (_, index) => ({ id: `report-${index}` })));
+    prisma.report.groupBy.mockResolvedValue([
+      { status: 'RESOLVED', _count: { _all: 120 } },
+      { status: 'PENDING', _count: { _all: 30 } }
+    ]);
+
+    const { body } = await runHandler(getUserReportHistory, { user: moderator, params: { userId: 'target-1' } });
+
+    expect(body.data.reports).toHaveLength(100);
+    expect(body.data.total).toBe(150);
+    expect(body.data.counts).toEqual({ PENDING: 30, REVIEWING: 0, RESOLVED: 120, DISMISSED: 0 });
+  });
+});
@@ -0,0 +1,183 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+const prisma = mockDatabase();
+
+// Cache Redis simulé en mémoire, pour vérifier l'invalidation des notes
+const cacheStore = new Map();
+mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(key => Promise.resolve(cacheStore.get(key) ?? null)),
+    set: jest.fn((key, value) => Promise.resolve(cacheStore.set(key, value))),
+    del: jest.fn(key => Promise.resolve(cacheStore.delete(key))),
+    exists: jest.fn()
+  },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/savedSearchService.js', {
+  queueProductMatching: jest.fn()
+});
+mockSrcModule('services/productWatchService.js', {
+  queueProductWatch: jest.fn()
+});
+
+const { getRatingSummary } = await import('../src/services/reviewService.js');
+const { createReview, respondToReview } = await import('../src/controllers/reviewController.js');
+
+const ORDER_ID = '0b8f2a3e-6c1d-4e5f-9a7b-2c3d4e5f6a7b';
+
+const order = (overrides = {}) => ({
+  id: ORDER_ID,
+  offerId: 'offer-1',
+  buyerId: 'buyer-1',
+  sellerId: 'seller-1',
+  status: 'COMPLETED',
+  product: { id: 'product-1', title: 'Sac' },
+  ...overrides
+});
+
+const buyer = { id: 'buyer-1', name: 'Alice' };
+
+// Agrégats Prisma pour une liste de notes
+const mockRatings = (ratings) => {
+  const counts = {};
+  ratings.forEach(rating => {
+    counts[rating] = (counts[rating] || 0) + 1;
+  });
+
+  prisma.review.aggregate.mockResolvedValue({
+    _avg: { rating: ratings.length ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null },
+    _count: { _all: ratings.length }
+  });
+  prisma.review.groupBy.mockResolvedValue(
+    Object.entries(counts).map(([rating, count]) => ({ rating: Number(rating), _count: { _all: count } }))
+  );
+};
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+  cacheStore.clear();
+});
+
+describe('notes agrégées', () => {
+  test('moyenne arrondie, nombre d\'avis et répartition par étoile', async () => {
+    mockRatings([5, 4, 4]);
+
+    const summary = await getRatingSummary('seller-1');
+
+    expect(summary).toEqual({
+      averageRating: 4.3,
+      totalRatings: 3,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 2, 5: 1 }
+    });
+    expect(prisma.review.aggregate.mock.calls[0][0].where).toEqual({ targetId: 'seller-1', authorRole: 'BUYER' });
+  });
+
+  test('les notes en tant qu\'acheteur ne comptent que les avis des vendeurs', async () => {
+    mockRatings([]);
+
+    const summary = await getRatingSummary('buyer-1', 'BUYER');
+
+    expect(summary.averageRating).toBeNull();
+    expect(prisma.review.groupBy.mock.calls[0][0].where).toEqual({ targetId: 'buyer-1', authorRole: 'SELLER' });
+  });
+
+  test('un nouvel avis invalide les notes en cache', async () => {
+    mockRatings([5]);
+    await getRatingSummary('seller-1');
+    cacheStore.set('user:public:seller-1', { id: 'seller-1' });
+
+    prisma.order.findFirst.mockResolvedValue(order());
+    prisma.review.create.mockResolvedValue({ id: 'review-1' });
+    await runHandler(createReview, { user: buyer, body: { orderId: ORDER_ID, rating: 1 } });
+
+    mockRatings([5, 1]);
+    const summary = await getRatingSummary('seller-1');
+
+    expect(summary).toMatchObject({ averageRating: 3, totalRatings: 2 });
+    expect(cacheStore.has('user:public:seller-1')).toBe(false);
+  });
+});
+
+describe('dépôt d\'un avis', () => {
+  test('l\'acheteur évalue le vendeur d\'une commande terminée', async () => {
+    prisma.order.findFirst.mockResolvedValue(order());
+    prisma.review.create.mockResolvedValue({ id: 'review-1' });
+
+    const { status } = await runHandler(createReview, {
+      user: buyer,
+      body: { orderId: ORDER_ID, rating: 5, comment: 'Parfait' }
+    });
+
+    expect(status).toBe(201);
+    expect(prisma.review.create.mock.calls[0][0].data).toEqual({
+      offerId: 'offer-1',
+      authorId: 'buyer-1',
+      targetId: 'seller-1',
+      authorRole: 'BUYER',
+      rating: 5,
+      comment: 'Parfait'
+    });
+    expect(notifications.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: 'seller-1', type: 'REVIEW_RECEIVED' })
+    );
+  });
+
+  test('refuse un avis avant la fin de la transaction', async () => {
+    prisma.order.findFirst.mockResolvedValue(order({ status: 'SHIPPED' }));
+
+    const { error } = await runHandler(createReview, { user: buyer, body: { orderId: ORDER_ID, rating: 5 } });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(prisma.review.create).not.toHaveBeenCalled();
+  });
+
+  test('refuse un avis d\'une personne extérieure à la transaction', async () => {
+    prisma.order.findFirst.mockResolvedValue(order());
+
+    const { error } = await runHandler(createReview, {
+      user: { id: 'intrus', name: 'Eve' },
+      body: { orderId: ORDER_ID, rating: 1 }
+    });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+  });
+
+  test('un seul avis par personne et par transaction', async () => {
+    prisma.order.findFirst.mockResolvedValue(order());
+    prisma.review.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    const { error } = await runHandler(createReview, { user: buyer, body: { orderId: ORDER_ID, rating: 4 } });
+
+    expect(error).toMatchObject({ statusCode: 409 });
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe('réponse à un avis', () => {
+  test('seule la personne évaluée peut répondre, une seule fois', async () => {
+    prisma.review.findUnique.mockResolvedValue({ id: 'review-1', targetId: 'seller-1', authorId: 'buyer-1', response: null });
+
+    const forbidden = await runHandler(respondToReview, {
+      user: buyer,
+      params: { id: 'review-1' },
+      body: { response: 'Merci' }
+    });
+    expect(forbidden.error).toMatchObject({ statusCode: 403 });
+
+    prisma.review.findUnique.mockResolvedValue({ id: 'review-1', targetId: 'seller-1', authorId: 'buyer-1', response: 'Merci' });
+    const conflict = await runHandler(respondToReview, {
+      user: { id: 'seller-1', name: 'Bob' },
+      params: { id: 'review-1' },
+      body: { response: 'Merci encore' }
+    });
+    expect(conflict.error).toMatchObject({ statusCode: 409 });
+    expect(prisma.review.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,174 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+
+const prisma = mockDatabase();
+const notifications = mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+const emails = mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn(),
+  sendUserEmail: jest.fn()
+});
+
+const { matchesSearchQuery, matchProductToSavedSearches } = await import('../src/services/savedSearchService.js');
+const { sendSavedSearchDigests } = await import('../src/jobs/savedSearchDigest.js');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const product = (overrides = {}) => ({
+  id: 'product-1',
+  title: 'Sac Kelly',
+  brand: 'Hermès',
+  description: null,
+  price: 900,
+  category: 'BAGS',
+  condition: 'GOOD',
+  latitude: 45.764,
+  longitude: 4.8357,
+  authenticityScore: 0,
+  isPromoted: false,
+  promotedUntil: null,
+  sellerId: 'seller-1',
+  ...overrides
+});
+
+const savedSearch = (query, overrides = {}) => ({
+  id: 'search-1',
+  userId: 'user-1',
+  name: 'Kelly',
+  query: JSON.stringify(query),
+  frequency: 'INSTANT',
+  ...overrides
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('correspondance avec une recherche', () => {
+  test('mêmes filtres que la recherche de produits', () => {
+    expect(matchesSearchQuery(product(), { category: 'BAGS', brand: 'hermes', maxPrice: 1000, condition: ['GOOD', 'NEW'] })).toBe(true);
+    expect(matchesSearchQuery(product(), { category: 'SHOES' })).toBe(false);
+    expect(matchesSearchQuery(product(), { minPrice: 1000 })).toBe(false);
+    expect(matchesSearchQuery(product(), { condition: ['NEW'] })).toBe(false);
+  });
+
+  test('texte avec tolérance aux accents, tous les termes requis', () => {
+    expect(matchesSearchQuery(product(), { q: 'sac hermes' })).toBe(true);
+    expect(matchesSearchQuery(product(), { q: 'sac birkin' })).toBe(false);
+  });
+
+  test('rayon autour d\'une ville, annonces sans position exclues', () => {
+    expect(matchesSearchQuery(product(), { location: 'Lyon', radius: 10 })).toBe(true);
+    expect(matchesSearchQuery(product(), { location: 'Paris', radius: 50 })).toBe(false);
+    expect(matchesSearchQuery(product({ latitude: null, longitude: null }), { location: 'Lyon' })).toBe(false);
+  });
+});
+
+describe('comparaison d\'une nouvelle annonce', () => {
+  test('alerte immédiate pour une recherche INSTANT', async () => {
+    prisma.product.findFirst.mockResolvedValue(product());
+    prisma.savedSearch.findMany.mockResolvedValueOnce([savedSearch({ q: 'kelly' })]);
+
+    const matchedCount = await matchProductToSavedSearches('product-1', NOW);
+
+    expect(matchedCount).toBe(1);
+    expect(prisma.savedSearch.findMany.mock.calls[0][0].where).toMatchObject({
+      alertsEnabled: true,
+      userId: { not: 'seller-1' },
+      OR: [{ category: null }, { category: 'BAGS' }]
+    });
+    expect(prisma.savedSearchMatch.create).toHaveBeenCalledWith({
+      data: { savedSearchId: 'search-1', productId: 'product-1', notifiedAt: NOW }
+    });
+    expect(notifications.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      type: 'SAVED_SEARCH_MATCH'
+    }));
+    expect(emails.queueUserEmail).toHaveBeenCalledWith('user-1', 'savedSearchMatch', expect.objectContaining({ productId: 'product-1' }));
+  });
+
+  test('une recherche quotidienne attend le récapitulatif', async () => {
+    prisma.product.findFirst.mockResolvedValue(product());
+    prisma.savedSearch.findMany.mockResolvedValueOnce([savedSearch({ brand: 'Hermès' }, { frequency: 'DAILY' })]);
+
+    await matchProductToSavedSearches('product-1', NOW);
+
+    expect(prisma.savedSearchMatch.create.mock.calls[0][0].data.notifiedAt).toBeNull();
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+    expect(emails.queueUserEmail).not.toHaveBeenCalled();
+  });
+
+  test('une annonce remise en vente n\'est pas signalée deux fois', async () => {
+    prisma.product.findFirst.mockResolvedValue(product());
+    prisma.savedSearch.findMany.mockResolvedValueOnce([savedSearch({})]);
+    prisma.savedSearchMatch.create.mockRejectedValue(Object.assign(new Error('Unique constraint'), { code: 'P2002' }));
+
+    await expect(matchProductToSavedSearches('product-1', NOW)).resolves.toBe(0);
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+  });
+
+  test('une annonce hors ligne ou d\'un vendeur sanctionné n\'est comparée à rien', async () => {
+    await expect(matchProductToSavedSearches('product-1', NOW)).resolves.toBe(0);
+    expect(prisma.product.findFirst.mock.calls[0][0].where).toMatchObject({ id: 'product-1', status: 'ACTIVE' });
+    expect(prisma.savedSearch.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('récapitulatifs quotidiens et hebdomadaires', () => {
+  const pendingMatch = (id, status = 'ACTIVE') => ({
+    id: `match-${id}`,
+    product: { id, title: `Annonce ${id}`, price: 100, status }
+  });
+
+  test('ne retient que les recherches dont la période est écoulée', async () => {
+    prisma.user.findMany.mockResolvedValueOnce([]);
+
+    await sendSavedSearchDigests(NOW);
+
+    const dueSearches = prisma.user.findMany.mock.calls[0][0].where.savedSearches.some;
+    expect(dueSearches.OR).toEqual(expect.arrayContaining([
+      { frequency: 'DAILY', OR: [{ lastNotifiedAt: null }, { lastNotifiedAt: { lte: new Date(NOW.getTime() - DAY_MS) } }] },
+      { frequency: 'WEEKLY', OR: [{ lastNotifiedAt: null }, { lastNotifiedAt: { lte: new Date(NOW.getTime() - 7 * DAY_MS) } }] }
+    ]));
+  });
+
+  test('un email par utilisateur regroupant ses recherches, sans les annonces vendues', async () => {
+    prisma.user.findMany.mockResolvedValueOnce([{
+      id: 'user-1',
+      savedSearches: [{ id: 'search-1', name: 'Kelly' }, { id: 'search-2', name: 'Montres' }]
+    }]);
+    prisma.savedSearchMatch.findMany
+      .mockResolvedValueOnce([pendingMatch('p1'), pendingMatch('p2', 'SOLD')])
+      .mockResolvedValueOnce([pendingMatch('p3')]);
+
+    const sentCount = await sendSavedSearchDigests(NOW);
+
+    expect(sentCount).toBe(1);
+    expect(prisma.savedSearchMatch.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['match-p1', 'match-p2'] } },
+      data: { notifiedAt: NOW }
+    });
+    expect(prisma.savedSearch.update).toHaveBeenCalledWith({ where: { id: 'search-1' }, data: { lastNotifiedAt: NOW } });
+    expect(notifications.createNotification).toHaveBeenCalledTimes(2);
+    expect(emails.sendUserEmail).toHaveBeenCalledWith('user-1', 'savedSearchDigest', {
+      searches: [
+        { name: 'Kelly', count: 1, products: [{ title: 'Annonce p1', price: 100 }] },
+        { name: 'Montres', count: 1, products: [{ title: 'Annonce p3', price: 100 }] }
+      ]
+    });
+  });
+
+  test('aucun email si toutes les annonces en attente sont parties', async () => {
+    prisma.user.findMany.mockResolvedValueOnce([{ id: 'user-1', savedSearches: [{ id: 'search-1', name: 'Kelly' }] }]);
+    prisma.savedSearchMatch.findMany.mockResolvedValueOnce([pendingMatch('p1', 'SOLD')]);
+
+    await expect(sendSavedSearchDigests(NOW)).resolves.toBe(0);
+    expect(prisma.savedSearchMatch.updateMany).toHaveBeenCalled();
+    expect(notifications.createNotification).not.toHaveBeenCalled();
+    expect(emails.sendUserEmail).not.toHaveBeenCalled();
+  });
+});
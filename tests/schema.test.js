@@ -0,0 +1,25 @@
+import { readFileSync } from 'fs';
+import { describe, test, expect } from '@jest/globals';
+
+const readSchema = (name) => readFileSync(new URL(`../prisma/${name}`, import.meta.url), 'utf8');
+
+// Modèles et champs d'un schéma Prisma : { Modèle: ['champ Type', ...] }
+const parseModels = (schema) => {
+  const models = {};
+  for (const [, name, body] of schema.matchAll(/^model (\w+) \{\n([\s\S]*?)^\}/gm)) {
+    models[name] = body.split('\n')
+      .map(line => line.trim())
+      .filter(line => /^\w/.test(line))
+      .map(line => line.split(/\s+/).slice(0, 2).join(' '));
+  }
+  return models;
+};
+
+describe('schéma SQLite de développement', () => {
+  test('a les mêmes modèles et champs que le schéma PostgreSQL', () => {
+    const postgresModels = parseModels(readSchema('schema.prisma'));
+
+    expect(Object.keys(postgresModels)).toEqual(expect.arrayContaining(['User', 'AuthToken', 'Order']));
+    expect(parseModels(readSchema('schema-sqlite.prisma'))).toEqual(postgresModels);
+  });
+});
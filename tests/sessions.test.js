@@ -0,0 +1,133 @@
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import { mockDatabase, mockSrcModule } from './helpers/modules.js';
+import { runHandler } from './helpers/http.js';
+
+process.env.JWT_SECRET = 'test_access_secret';
+process.env.JWT_REFRESH_SECRET = 'test_refresh_secret';
+
+const prisma = mockDatabase();
+const redis = mockSrcModule('database/redis.js', {
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn(),
+    exists: jest.fn()
+  },
+  session: {},
+  rateLimiter: { check: jest.fn() },
+  isRedisAvailable: jest.fn().mockReturnValue(false)
+});
+mockSrcModule('services/notificationService.js', {
+  createNotification: jest.fn(),
+  createNotifications: jest.fn()
+});
+mockSrcModule('services/emailService.js', {
+  queueUserEmail: jest.fn()
+});
+
+const { createSession, listSessions } = await import('../src/services/authSessionService.js');
+const { getSessions, deleteSession } = await import('../src/controllers/authController.js');
+const { jwtUtils } = await import('../src/middleware/auth.js');
+
+const user = { id: 'user-1', email: 'alice@example.com' };
+
+const requestFrom = (userAgent) => ({ ip: '203.0.113.7', get: () => userAgent });
+
+beforeEach(() => {
+  prisma.$reset();
+  jest.clearAllMocks();
+});
+
+describe('ouverture de session', () => {
+  test('chaque connexion ouvre une famille propre, nommée d\'après l\'appareil', async () => {
+    prisma.authToken.create.mockImplementation(({ data }) => Promise.resolve({ id: 'token-1', deviceName: data.deviceName }));
+
+    const { session, tokens } = await createSession('user-1', requestFrom('Mozilla/5.0 (iPad; CPU OS 17_0)'));
+    const other = await createSession('user-1', requestFrom('Mozilla/5.0 (Windows NT 10.0)'), { deviceName: 'Bureau' });
+
+    expect(session.id).not.toBe(other.session.id);
+    expect(jwtUtils.verifyRefreshToken(tokens.refreshToken).sid).toBe(session.id);
+    expect(prisma.authToken.create.mock.calls[0][0].data).toMatchObject({
+      type: 'REFRESH',
+      familyId: session.id,
+      deviceName: 'iPad',
+      ipAddress: '203.0.113.7'
+    });
+    expect(prisma.authToken.create.mock.calls[1][0].data.deviceName).toBe('Bureau');
+  });
+});
+
+describe('liste des sessions', () => {
+  test('une entrée par famille, ouverte à la date du premier token, session courante signalée', async () => {
+    const openedAt = new Date('2026-03-01T08:00:00Z');
+    prisma.authToken.findMany.mockResolvedValue([
+      { id: 'token-3', familyId: 'family-1', deviceName: 'iPhone', createdAt: new Date('2026-03-09T08:00:00Z') },
+      { id: 'legacy-1', familyId: null, deviceName: null, createdAt: new Date('2026-02-01T08:00:00Z') }
+    ]);
+    prisma.authToken.groupBy.mockResolvedValue([{ familyId: 'family-1', _min: { createdAt: openedAt } }]);
+
+    const sessions = await listSessions('user-1', 'family-1');
+
+    expect(prisma.authToken.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', type: 'REFRESH', isRevoked: false, expiresAt: { gt: expect.any(Date) } }
+    }));
+    expect(sessions).toEqual([
+      expect.objectContaining({ id: 'family-1', deviceName: 'iPhone', createdAt: openedAt, current: true }),
+      // Token antérieur aux familles : il forme sa propre session
+      expect.objectContaining({ id: 'legacy-1', current: false })
+    ]);
+  });
+
+  test('GET /sessions renvoie les sessions de l\'utilisateur connecté', async () => {
+    prisma.authToken.findMany.mockResolvedValue([]);
+    prisma.authToken.groupBy.mockResolvedValue([]);
+
+    const { body } = await runHandler(getSessions, { user, sessionId: 'family-1' });
+
+    expect(body.data.sessions).toEqual([]);
+    expect(prisma.authToken.findMany.mock.calls[0][0].where.userId).toBe('user-1');
+  });
+});
+
+describe('révocation d\'une session', () => {
+  test('révoque tous les tokens de la famille et refuse ses tokens d\'accès', async () => {
+    prisma.authToken.findFirst.mockResolvedValue({ id: 'token-3' });
+    prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+
+    const { status } = await runHandler(deleteSession, { user, params: { id: 'family-2' }, sessionId: 'family-1' });
+
+    expect(status).toBe(200);
+    expect(prisma.authToken.findFirst).toHaveBeenCalledWith({
+      where: { type: 'REFRESH', OR: [{ familyId: 'family-2' }, { id: 'family-2' }], userId: 'user-1' },
+      select: { id: true }
+    });
+    expect(prisma.authToken.updateMany).toHaveBeenCalledWith({
+      where: { type: 'REFRESH', OR: [{ familyId: 'family-2' }, { id: 'family-2' }], isRevoked: false },
+      data: { isRevoked: true }
+    });
+    expect(redis.cache.set).toHaveBeenCalledWith('revoked_session:family-2', true, expect.any(Number));
+    // Autre appareil : le token d'accès de la requête reste valable
+    expect(prisma.authToken.upsert).not.toHaveBeenCalled();
+  });
+
+  test('révoquer la session courante révoque aussi le token d\'accès de la requête', async () => {
+    const token = jwtUtils.generateAccessToken({ id: 'user-1', sid: 'family-1' });
+    prisma.authToken.findFirst.mockResolvedValue({ id: 'token-1' });
+    prisma.authToken.updateMany.mockResolvedValue({ count: 1 });
+
+    await runHandler(deleteSession, { user, params: { id: 'family-1' }, sessionId: 'family-1', token });
+
+    expect(prisma.authToken.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      create: expect.objectContaining({ type: 'REVOKED_ACCESS', userId: 'user-1' })
+    }));
+  });
+
+  test('la session d\'un autre utilisateur est introuvable', async () => {
+    prisma.authToken.findFirst.mockResolvedValue(null);
+
+    const { error } = await runHandler(deleteSession, { user, params: { id: 'family-9' } });
+
+    expect(error).toMatchObject({ statusCode: 404 });
+    expect(prisma.authToken.updateMany).not.toHaveBeenCalled();
+  });
+});